@@ -5,15 +5,29 @@ import { AuthProvider } from './contexts/AuthContext';
 import { ThemeProvider } from './contexts/ThemeContext';
 import { NotificationProvider } from './contexts/NotificationContext';
 import ProtectedRoute from './components/ProtectedRoute';
+import AdminRoute from './components/AdminRoute';
 import Layout from './components/Layout';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import MoodTracker from './pages/MoodTracker';
+import Calendar from './pages/Calendar';
 import Activities from './pages/Activities';
 import Journal from './pages/Journal';
+import Assessments from './pages/Assessments';
+import Medications from './pages/Medications';
+import Habits from './pages/Habits';
+import Goals from './pages/Goals';
+import Sleep from './pages/Sleep';
 import Analytics from './pages/Analytics';
 import Profile from './pages/Profile';
+import Admin from './pages/Admin';
+import Sharing from './pages/Sharing';
+import SharedPatient from './pages/SharedPatient';
+import AcceptShare from './pages/AcceptShare';
 
 function App() {
   return (
@@ -49,6 +63,10 @@ function App() {
             <Routes>
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/sharing/accept" element={<AcceptShare />} />
               <Route path="/" element={
                 <ProtectedRoute>
                   <Layout />
@@ -57,10 +75,23 @@ function App() {
                 <Route index element={<Navigate to="/dashboard" replace />} />
                 <Route path="dashboard" element={<Dashboard />} />
                 <Route path="mood" element={<MoodTracker />} />
+                <Route path="calendar" element={<Calendar />} />
                 <Route path="activities" element={<Activities />} />
+                <Route path="habits" element={<Habits />} />
+                <Route path="goals" element={<Goals />} />
                 <Route path="journal" element={<Journal />} />
+                <Route path="assessments" element={<Assessments />} />
+                <Route path="medications" element={<Medications />} />
+                <Route path="sleep" element={<Sleep />} />
                 <Route path="analytics" element={<Analytics />} />
+                <Route path="sharing" element={<Sharing />} />
+                <Route path="sharing/patients/:grantId" element={<SharedPatient />} />
                 <Route path="profile" element={<Profile />} />
+                <Route path="admin" element={
+                  <AdminRoute>
+                    <Admin />
+                  </AdminRoute>
+                } />
               </Route>
             </Routes>
           </div>
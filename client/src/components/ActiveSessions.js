@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+
+export const isMobile = (userAgent) => /mobile|android|iphone|ipad/i.test(userAgent);
+
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name));
+  const os = ['Windows', 'Mac OS', 'Android', 'iPhone', 'iPad', 'Linux'].find(name => userAgent.includes(name));
+
+  if (!browser && !os) return userAgent.substring(0, 60);
+  return `${browser === 'Edg' ? 'Edge' : browser || 'Browser'} on ${os || 'unknown OS'}`;
+};
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get('/api/auth/sessions');
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error('Failed to load signed-in devices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revokeSession = async (sessionId) => {
+    try {
+      await axios.delete(`/api/auth/sessions/${sessionId}`);
+      toast.success('Device signed out');
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      toast.error('Failed to sign out device');
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    try {
+      await axios.delete('/api/auth/sessions');
+      toast.success('Signed out of all other devices');
+      setSessions(prev => prev.filter(session => session.current));
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      toast.error('Failed to sign out other devices');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Signed-in Devices</h3>
+          <p className="text-sm text-gray-500">
+            Sign out any device you no longer use or don't recognise.
+          </p>
+        </div>
+        {sessions.length > 1 && (
+          <button onClick={revokeOtherSessions} className="btn btn-outline btn-sm">
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+        {sessions.map((session) => {
+          const Icon = isMobile(session.userAgent) ? Smartphone : Monitor;
+          return (
+            <div key={session.id} className="flex items-center justify-between p-4">
+              <div className="flex items-center space-x-3">
+                <Icon className="h-6 w-6 text-gray-400" />
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {describeDevice(session.userAgent)}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {session.ip || 'Unknown IP'} · Last active {format(new Date(session.lastUsedAt), 'MMM d, yyyy h:mm a')}
+                  </p>
+                </div>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => revokeSession(session.id)}
+                  className="btn btn-ghost btn-sm text-red-600"
+                >
+                  <LogOut className="h-4 w-4 mr-1" />
+                  Sign out
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Clock, Plus, CheckCircle } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Browse the built-in activity library by category and copy items into the
+// user's activities. Calls `onAdopted` with each new activity.
+const ActivityLibrary = ({ onAdopted, onClose }) => {
+  const [category, setCategory] = useState('all');
+  const [items, setItems] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [adoptingId, setAdoptingId] = useState(null);
+
+  useEffect(() => {
+    const fetchLibrary = async () => {
+      try {
+        const response = await axios.get('/api/activities/library', {
+          params: category === 'all' ? {} : { category }
+        });
+        setItems(response.data.items);
+        setCategories(response.data.categories);
+      } catch (error) {
+        console.error('Error fetching activity library:', error);
+        toast.error('Failed to load activity library');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLibrary();
+  }, [category]);
+
+  const adopt = async (item) => {
+    setAdoptingId(item._id);
+    try {
+      const response = await axios.post(`/api/activities/library/${item._id}/adopt`);
+      setItems(prev => prev.map(entry => (entry._id === item._id ? { ...entry, adopted: true } : entry)));
+      toast.success(response.data.message);
+      onAdopted(response.data.activity);
+    } catch (error) {
+      console.error('Error adding library activity:', error);
+      toast.error(error.response?.data?.message || 'Failed to add activity');
+    } finally {
+      setAdoptingId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-xl font-semibold text-gray-900">Activity Library</h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              ×
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            Ideas that tend to help wellbeing. Add one to make it yours; you can edit it afterwards.
+          </p>
+
+          <div className="flex flex-wrap gap-2 mb-4">
+            <button
+              type="button"
+              onClick={() => setCategory('all')}
+              className={`btn btn-sm ${category === 'all' ? 'btn-primary' : 'btn-outline'}`}
+            >
+              All
+            </button>
+            {categories.map(entry => (
+              <button
+                key={entry.category}
+                type="button"
+                onClick={() => setCategory(entry.category)}
+                className={`btn btn-sm ${category === entry.category ? 'btn-primary' : 'btn-outline'}`}
+              >
+                {capitalize(entry.category)} ({entry.count})
+              </button>
+            ))}
+          </div>
+
+          {loading ? (
+            <LoadingSpinner size="lg" className="min-h-48" />
+          ) : (
+            <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {items.map(item => (
+                <div key={item._id} className="flex items-start justify-between gap-4 p-4">
+                  <div className="flex items-start">
+                    <span className="text-2xl mr-3">{item.icon}</span>
+                    <div>
+                      <p className="font-medium text-gray-900">{item.name}</p>
+                      <p className="text-sm text-gray-600">{item.description}</p>
+                      <p className="mt-1 text-xs text-gray-500 flex items-center">
+                        <span className="mr-3">{capitalize(item.category)}</span>
+                        <Clock className="h-3 w-3 mr-1" />
+                        {item.duration} min
+                      </p>
+                    </div>
+                  </div>
+                  {item.adopted ? (
+                    <span className="flex items-center text-sm text-green-600 whitespace-nowrap">
+                      <CheckCircle className="h-4 w-4 mr-1" />
+                      Added
+                    </span>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => adopt(item)}
+                      disabled={adoptingId === item._id}
+                      className="btn btn-outline btn-sm whitespace-nowrap"
+                    >
+                      <Plus className="h-4 w-4 mr-1" />
+                      Add
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityLibrary;
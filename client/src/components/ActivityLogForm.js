@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+
+export const MOOD_RATINGS = [
+  { value: 1, emoji: '😢', label: 'Very Sad' },
+  { value: 2, emoji: '😔', label: 'Sad' },
+  { value: 3, emoji: '😐', label: 'Neutral' },
+  { value: 4, emoji: '😊', label: 'Happy' },
+  { value: 5, emoji: '😄', label: 'Very Happy' }
+];
+
+export const formatMoodRating = (value) => MOOD_RATINGS.find(rating => rating.value === value)?.emoji;
+
+const MoodRatingPicker = ({ label, value, onChange }) => (
+  <div>
+    <p className="text-xs font-medium text-gray-500 mb-1">{label}</p>
+    <div className="flex gap-1">
+      {MOOD_RATINGS.map(rating => (
+        <button
+          key={rating.value}
+          type="button"
+          title={rating.label}
+          onClick={() => onChange(value === rating.value ? null : rating.value)}
+          className={`h-8 w-8 rounded-full border text-lg ${
+            value === rating.value ? 'border-primary-500 bg-primary-50' : 'border-gray-200 hover:border-gray-300'
+          }`}
+        >
+          {rating.emoji}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+// Log one time the activity was done, with when, for how long and how the
+// user felt before and after. Calls `onSaved` with the new log.
+const ActivityLogForm = ({ activity, onSaved, onCancel }) => {
+  const [when, setWhen] = useState(format(new Date(), "yyyy-MM-dd'T'HH:mm"));
+  const [duration, setDuration] = useState(activity.duration || '');
+  const [moodBefore, setMoodBefore] = useState(null);
+  const [moodAfter, setMoodAfter] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const response = await axios.post(`/api/activities/${activity._id}/log`, {
+        date: new Date(when).toISOString(),
+        duration: duration === '' ? null : Number(duration),
+        moodBefore,
+        moodAfter,
+        notes
+      });
+      toast.success(`${activity.name} logged`);
+      onSaved(response.data.log);
+    } catch (error) {
+      console.error('Error logging activity:', error);
+      toast.error(error.response?.data?.message || 'Failed to log activity');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="label">When</label>
+          <input
+            type="datetime-local"
+            value={when}
+            max={format(new Date(), "yyyy-MM-dd'T'HH:mm")}
+            onChange={(e) => setWhen(e.target.value)}
+            className="input"
+          />
+        </div>
+        <div>
+          <label className="label">Minutes</label>
+          <input
+            type="number"
+            min="1"
+            max="1440"
+            value={duration}
+            onChange={(e) => setDuration(e.target.value)}
+            className="input"
+            placeholder="30"
+          />
+        </div>
+      </div>
+      <MoodRatingPicker label="Mood before" value={moodBefore} onChange={setMoodBefore} />
+      <MoodRatingPicker label="Mood after" value={moodAfter} onChange={setMoodAfter} />
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        maxLength={500}
+        rows={2}
+        className="input resize-none"
+        placeholder="Notes (optional)"
+      />
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="btn btn-ghost btn-sm">Cancel</button>
+        <button type="button" onClick={save} disabled={saving || !when} className="btn btn-primary btn-sm">
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityLogForm;
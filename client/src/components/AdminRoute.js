@@ -0,0 +1,17 @@
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+// Only render children for admins; everyone else goes back to the dashboard.
+// Must be nested inside ProtectedRoute.
+const AdminRoute = ({ children }) => {
+  const { user } = useAuth();
+
+  if (user?.role !== 'admin') {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return children;
+};
+
+export default AdminRoute;
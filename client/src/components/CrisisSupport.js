@@ -0,0 +1,27 @@
+import React from 'react';
+import { LifeBuoy, Phone } from 'lucide-react';
+
+// Shown when a questionnaire answer starts the crisis-support flow. The
+// message and number come from the server so they stay in one place.
+const CrisisSupport = ({ support, onDismiss }) => (
+  <div className="rounded-lg border-2 border-red-300 bg-red-50 p-6" role="alert">
+    <h2 className="text-lg font-semibold text-red-900 flex items-center">
+      <LifeBuoy className="h-5 w-5 mr-2" />
+      You don't have to go through this alone
+    </h2>
+    <p className="text-sm text-red-800 mt-2">{support.message}</p>
+    <div className="flex flex-wrap gap-3 mt-4">
+      <a href={`tel:${support.hotline.replace(/[^\d+]/g, '')}`} className="btn btn-primary btn-md">
+        <Phone className="h-4 w-4 mr-2" />
+        Call {support.hotline}
+      </a>
+      {onDismiss && (
+        <button onClick={onDismiss} className="btn btn-outline btn-md">
+          I'm safe right now
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+export default CrisisSupport;
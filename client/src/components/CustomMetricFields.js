@@ -0,0 +1,113 @@
+import React from 'react';
+import { Minus, Plus } from 'lucide-react';
+
+export const describeMetric = (metric) => {
+  const unit = metric.unit ? ` · ${metric.unit}` : '';
+  switch (metric.type) {
+    case 'scale': return `Scale ${metric.min}–${metric.max}${unit}`;
+    case 'boolean': return 'Yes or no';
+    case 'count': return `Count${metric.max !== null ? ` up to ${metric.max}` : ''}${unit}`;
+    default: return metric.type;
+  }
+};
+
+// Display a stored value: booleans are stored as 1 or 0
+export const formatMetricValue = (metric, value) => {
+  if (metric.type === 'boolean') return value ? 'Yes' : 'No';
+  return metric.unit ? `${value} ${metric.unit}` : `${value}${metric.type === 'scale' ? `/${metric.max}` : ''}`;
+};
+
+// Inputs for the user's custom metrics. `value` maps metric ids to the value
+// entered so far; metrics left blank aren't recorded.
+const CustomMetricFields = ({ metrics, value = {}, onChange }) => {
+  const set = (metricId, metricValue) => onChange({ ...value, [metricId]: metricValue });
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {metrics.map(metric => {
+        const current = value[metric._id];
+
+        return (
+          <div key={metric._id} className="p-4 border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-medium text-gray-900">{metric.name}</span>
+              {current !== undefined && (
+                <button
+                  type="button"
+                  onClick={() => set(metric._id, undefined)}
+                  className="text-xs text-gray-500 hover:text-gray-700"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+
+            {metric.type === 'scale' && (
+              <div className="space-y-1">
+                <div className="flex justify-between text-sm text-gray-600">
+                  <span>{metric.min}</span>
+                  <span className="font-semibold text-gray-900">
+                    {current !== undefined ? formatMetricValue(metric, current) : 'Not recorded'}
+                  </span>
+                  <span>{metric.max}</span>
+                </div>
+                <input
+                  type="range"
+                  min={metric.min}
+                  max={metric.max}
+                  value={current ?? Math.round((metric.min + metric.max) / 2)}
+                  onChange={(e) => set(metric._id, parseInt(e.target.value, 10))}
+                  className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
+                />
+              </div>
+            )}
+
+            {metric.type === 'boolean' && (
+              <div className="flex gap-2">
+                {[true, false].map(option => (
+                  <button
+                    key={String(option)}
+                    type="button"
+                    onClick={() => set(metric._id, option)}
+                    className={`px-4 py-1 rounded-full border text-sm ${
+                      current === option
+                        ? 'border-primary-500 bg-primary-50 text-primary-700'
+                        : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    {option ? 'Yes' : 'No'}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {metric.type === 'count' && (
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => set(metric._id, Math.max((current ?? 0) - 1, 0))}
+                  className="btn btn-outline btn-sm"
+                  title="Less"
+                >
+                  <Minus className="h-4 w-4" />
+                </button>
+                <span className="w-16 text-center text-lg font-semibold text-gray-900">{current ?? '–'}</span>
+                <button
+                  type="button"
+                  onClick={() => set(metric._id, Math.min((current ?? 0) + 1, metric.max ?? Infinity))}
+                  className="btn btn-outline btn-sm"
+                  title="More"
+                >
+                  <Plus className="h-4 w-4" />
+                </button>
+                {metric.unit && <span className="text-sm text-gray-500">{metric.unit}</span>}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CustomMetricFields;
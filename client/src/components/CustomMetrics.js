@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Plus, Trash2, Edit3, SlidersHorizontal } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+import { describeMetric } from './CustomMetricFields';
+
+const TYPE_OPTIONS = [
+  { value: 'scale', label: 'Scale', hint: 'A rating, e.g. focus from 1 to 10' },
+  { value: 'boolean', label: 'Yes / no', hint: 'e.g. took a walk' },
+  { value: 'count', label: 'Count', hint: 'A number from 0 up, e.g. cups of coffee' }
+];
+
+const EMPTY_FORM = { name: '', type: 'scale', min: '1', max: '10', unit: '' };
+
+const CustomMetrics = () => {
+  const [metrics, setMetrics] = useState([]);
+  const [limit, setLimit] = useState(20);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editing, setEditing] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors, isSubmitting }
+  } = useForm({ defaultValues: EMPTY_FORM });
+
+  // Disabled inputs aren't submitted, so the type of a metric being edited
+  // comes from the metric itself
+  const selectedType = watch('type');
+  const type = editing ? editing.type : selectedType;
+
+  useEffect(() => {
+    axios.get('/api/metrics')
+      .then(response => {
+        setMetrics(response.data.metrics);
+        setLimit(response.data.limit);
+      })
+      .catch(error => {
+        console.error('Error fetching custom metrics:', error);
+        toast.error('Failed to load custom metrics');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const openForm = (metric = null) => {
+    setEditing(metric);
+    reset(metric
+      ? { name: metric.name, type: metric.type, min: metric.min ?? '', max: metric.max ?? '', unit: metric.unit || '' }
+      : EMPTY_FORM);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditing(null);
+    reset(EMPTY_FORM);
+  };
+
+  const onSubmit = async (data) => {
+    const metricType = editing ? editing.type : data.type;
+    const toNumber = (value) => (value === '' ? null : parseInt(value, 10));
+    const payload = {
+      name: data.name,
+      unit: data.unit,
+      ...(metricType === 'scale' && { min: toNumber(data.min), max: toNumber(data.max) }),
+      ...(metricType === 'count' && { max: toNumber(data.max) })
+    };
+
+    try {
+      if (editing) {
+        const response = await axios.put(`/api/metrics/${editing._id}`, payload);
+        setMetrics(prev => prev.map(metric => (metric._id === editing._id ? response.data.metric : metric)));
+        toast.success('Metric updated');
+      } else {
+        const response = await axios.post('/api/metrics', { ...payload, type: metricType });
+        setMetrics(prev => [...prev, response.data.metric]);
+        toast.success('Metric added');
+      }
+      closeForm();
+    } catch (error) {
+      console.error('Error saving custom metric:', error);
+      toast.error(error.response?.data?.message || 'Failed to save metric');
+    }
+  };
+
+  const deleteMetric = async (metric) => {
+    if (!window.confirm(`Delete ${metric.name} and every value you've recorded for it?`)) return;
+
+    try {
+      await axios.delete(`/api/metrics/${metric._id}`);
+      setMetrics(prev => prev.filter(item => item._id !== metric._id));
+      toast.success('Metric deleted');
+    } catch (error) {
+      console.error('Error deleting custom metric:', error);
+      toast.error('Failed to delete metric');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Custom Metrics</h3>
+          <p className="text-sm text-gray-500">
+            Track anything else alongside your mood at each check-in, and chart it under Analytics.
+          </p>
+        </div>
+        {!showForm && metrics.length < limit && (
+          <button onClick={() => openForm()} className="btn btn-primary btn-sm flex-shrink-0 ml-4">
+            <Plus className="h-4 w-4 mr-1" />
+            New metric
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4 p-4 border border-gray-200 rounded-lg">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="label">Name</label>
+              <input
+                {...register('name', { required: 'Name is required' })}
+                type="text"
+                className="input"
+                placeholder="e.g. Focus"
+              />
+              {errors.name && (
+                <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="label">Type</label>
+              <select {...register('type')} disabled={!!editing} className="input">
+                {TYPE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500">
+                {editing ? "The type can't be changed" : TYPE_OPTIONS.find(option => option.value === type)?.hint}
+              </p>
+            </div>
+          </div>
+
+          {type !== 'boolean' && (
+            <div className="grid grid-cols-3 gap-4">
+              {type === 'scale' && (
+                <div>
+                  <label className="label">From</label>
+                  <input {...register('min')} type="number" min="0" max="1000" className="input" />
+                </div>
+              )}
+              <div>
+                <label className="label">{type === 'scale' ? 'To' : 'Maximum (optional)'}</label>
+                <input {...register('max')} type="number" min="1" max="1000" className="input" />
+              </div>
+              <div>
+                <label className="label">Unit (optional)</label>
+                <input {...register('unit')} type="text" className="input" placeholder="e.g. cups" />
+              </div>
+            </div>
+          )}
+
+          <div className="flex space-x-3">
+            <button type="button" onClick={closeForm} className="btn btn-outline btn-md">
+              Cancel
+            </button>
+            <button type="submit" disabled={isSubmitting} className="btn btn-primary btn-md">
+              {isSubmitting ? 'Saving...' : editing ? 'Save metric' : 'Add metric'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {metrics.length === 0 ? (
+        <p className="text-sm text-gray-500">You haven't defined any custom metrics yet.</p>
+      ) : (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {metrics.map(metric => (
+            <div key={metric._id} className="flex items-center justify-between p-4">
+              <div className="flex items-center space-x-3">
+                <SlidersHorizontal className="h-6 w-6 text-gray-400" />
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{metric.name}</p>
+                  <p className="text-xs text-gray-500">{describeMetric(metric)}</p>
+                </div>
+              </div>
+              <div className="flex">
+                <button onClick={() => openForm(metric)} className="btn btn-ghost btn-sm" title="Edit">
+                  <Edit3 className="h-4 w-4" />
+                </button>
+                <button onClick={() => deleteMetric(metric)} className="btn btn-ghost btn-sm text-red-600" title="Delete">
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomMetrics;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Download, Clock, XCircle } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Save a downloaded blob using the filename the server suggested
+const saveBlob = (blob, contentDisposition) => {
+  const match = /filename="?([^";]+)"?/.exec(contentDisposition || '');
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : 'mental-health-tracker-export.zip';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+const DataExport = () => {
+  const [exports, setExports] = useState([]);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    fetchExports();
+  }, []);
+
+  const fetchExports = async () => {
+    try {
+      const response = await axios.get('/api/auth/export/jobs');
+      setExports(response.data.exports);
+    } catch (error) {
+      console.error('Error fetching exports:', error);
+    }
+  };
+
+  const requestExport = async () => {
+    setExporting(true);
+    try {
+      const response = await axios.get('/api/auth/export', { responseType: 'blob' });
+
+      // Large accounts are exported in the background
+      if (response.status === 202) {
+        const data = JSON.parse(await response.data.text());
+        toast.success(data.message);
+        fetchExports();
+        return;
+      }
+
+      saveBlob(response.data, response.headers['content-disposition']);
+      toast.success('Your data has been exported');
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      toast.error('Failed to export your data');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const downloadExport = async (exportId) => {
+    try {
+      const response = await axios.get(`/api/auth/export/jobs/${exportId}/download`, { responseType: 'blob' });
+      saveBlob(response.data, response.headers['content-disposition']);
+      fetchExports();
+    } catch (error) {
+      console.error('Error downloading export:', error);
+      toast.error('Failed to download export');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between space-y-4 md:space-y-0">
+        <div>
+          <p className="text-sm font-medium text-gray-700">Your data</p>
+          <p className="text-sm text-gray-500">
+            Download a ZIP of your profile, mood entries, activities and journal entries as JSON and CSV.
+          </p>
+        </div>
+        <button onClick={requestExport} disabled={exporting} className="btn btn-outline btn-md">
+          {exporting ? <LoadingSpinner size="sm" className="mr-2" /> : <Download className="h-4 w-4 mr-2" />}
+          Export my data
+        </button>
+      </div>
+
+      {exports.length > 0 && (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {exports.map(dataExport => (
+            <div key={dataExport.id} className="flex items-center justify-between p-3 text-sm">
+              <div>
+                <p className="text-gray-900">
+                  Requested {format(new Date(dataExport.createdAt), 'MMM d, yyyy h:mm a')}
+                </p>
+                {dataExport.status === 'ready' && (
+                  <p className="text-gray-500">
+                    {dataExport.recordCount} records, {formatSize(dataExport.fileSize)} &middot; available until{' '}
+                    {format(new Date(dataExport.expiresAt), 'MMM d, yyyy h:mm a')}
+                  </p>
+                )}
+              </div>
+              {dataExport.status === 'ready' && (
+                <button onClick={() => downloadExport(dataExport.id)} className="btn btn-primary btn-sm">
+                  <Download className="h-4 w-4 mr-1" />
+                  Download
+                </button>
+              )}
+              {(dataExport.status === 'pending' || dataExport.status === 'processing') && (
+                <span className="flex items-center text-gray-500">
+                  <Clock className="h-4 w-4 mr-1" />
+                  Preparing...
+                </span>
+              )}
+              {dataExport.status === 'failed' && (
+                <span className="flex items-center text-red-600">
+                  <XCircle className="h-4 w-4 mr-1" />
+                  Failed
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataExport;
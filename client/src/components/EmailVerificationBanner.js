@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { MailWarning } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const EmailVerificationBanner = () => {
+  const { user, resendVerification } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    await resendVerification();
+    setSending(false);
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="flex items-center justify-between px-6 py-3">
+        <div className="flex items-center text-sm text-yellow-800">
+          <MailWarning className="h-5 w-5 mr-2 flex-shrink-0" />
+          <span>
+            Please confirm your email address <strong>{user.email}</strong>. Reminders and
+            notifications won't be emailed until it's verified.
+          </span>
+        </div>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="btn btn-outline btn-sm ml-4 flex-shrink-0"
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
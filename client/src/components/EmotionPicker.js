@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { X } from 'lucide-react';
+
+const FAMILY_STYLES = {
+  happy: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  sad: 'bg-blue-100 text-blue-800 border-blue-200',
+  angry: 'bg-red-100 text-red-800 border-red-200',
+  fearful: 'bg-purple-100 text-purple-800 border-purple-200',
+  surprised: 'bg-pink-100 text-pink-800 border-pink-200',
+  disgusted: 'bg-green-100 text-green-800 border-green-200',
+  bad: 'bg-gray-100 text-gray-800 border-gray-200'
+};
+
+const DEFAULT_INTENSITY = 3;
+
+export const formatEmotion = (name) => name.charAt(0).toUpperCase() + name.slice(1).replace('-', ' ');
+
+// Pick specific emotions from the emotion wheel and rate each one. Choose a
+// core emotion to see the more specific feelings around it. `value` is a list
+// of { name, intensity }.
+const EmotionPicker = ({ value = [], onChange }) => {
+  const [wheel, setWheel] = useState([]);
+  const [intensity, setIntensity] = useState({ min: 1, max: 5 });
+  const [family, setFamily] = useState(null);
+
+  useEffect(() => {
+    axios.get('/api/mood/emotions')
+      .then(response => {
+        setWheel(response.data.wheel);
+        setIntensity(response.data.intensity);
+      })
+      .catch(error => console.error('Error fetching emotions:', error));
+  }, []);
+
+  const familyOf = (name) => wheel.find(core => core.name === name || core.emotions.includes(name))?.name;
+  const isSelected = (name) => value.some(emotion => emotion.name === name);
+
+  const toggle = (name) => {
+    onChange(isSelected(name)
+      ? value.filter(emotion => emotion.name !== name)
+      : [...value, { name, intensity: DEFAULT_INTENSITY }]);
+  };
+
+  const rate = (name, level) => {
+    onChange(value.map(emotion => (emotion.name === name ? { ...emotion, intensity: level } : emotion)));
+  };
+
+  const activeFamily = wheel.find(core => core.name === family);
+  const levels = Array.from({ length: intensity.max - intensity.min + 1 }, (_, index) => intensity.min + index);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        {wheel.map(core => (
+          <button
+            key={core.name}
+            type="button"
+            onClick={() => setFamily(prev => (prev === core.name ? null : core.name))}
+            className={`px-3 py-1 rounded-full border text-sm font-medium transition-all ${FAMILY_STYLES[core.name]} ${
+              family === core.name ? 'ring-2 ring-primary-500' : 'hover:opacity-80'
+            }`}
+          >
+            {formatEmotion(core.name)}
+          </button>
+        ))}
+      </div>
+
+      {activeFamily && (
+        <div className="flex flex-wrap gap-2 pl-2 border-l-2 border-gray-200">
+          {[activeFamily.name, ...activeFamily.emotions].map(name => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => toggle(name)}
+              className={`px-3 py-1 rounded-full border text-sm transition-all ${
+                isSelected(name)
+                  ? 'border-primary-500 bg-primary-50 text-primary-700'
+                  : 'border-gray-200 text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {formatEmotion(name)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value.length > 0 && (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {value.map(emotion => (
+            <div key={emotion.name} className="flex items-center justify-between p-2">
+              <span className={`px-2 py-0.5 rounded-full border text-xs font-medium ${FAMILY_STYLES[familyOf(emotion.name)] || ''}`}>
+                {formatEmotion(emotion.name)}
+              </span>
+              <div className="flex items-center gap-1">
+                <span className="text-xs text-gray-500 mr-1">Intensity</span>
+                {levels.map(level => (
+                  <button
+                    key={level}
+                    type="button"
+                    onClick={() => rate(emotion.name, level)}
+                    className={`h-6 w-6 rounded text-xs ${
+                      level <= emotion.intensity ? 'bg-primary-500 text-white' : 'bg-gray-100 text-gray-500'
+                    }`}
+                  >
+                    {level}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => toggle(emotion.name)}
+                  className="btn btn-ghost btn-sm text-gray-400 hover:text-red-600"
+                  title="Remove"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmotionPicker;
@@ -4,6 +4,7 @@ import Sidebar from './Sidebar';
 import Header from './Header';
 import NotificationToast from './NotificationToast';
 import ChatbotComponent from './ChatbotComponents';
+import EmailVerificationBanner from './EmailVerificationBanner';
 
 const Layout = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -17,6 +18,9 @@ const Layout = () => {
       <div className="flex-1 flex flex-col overflow-hidden">
         {/* Header */}
         <Header onMenuClick={() => setSidebarOpen(true)} />
+
+        {/* Unverified email notice */}
+        <EmailVerificationBanner />
         
         {/* Page content */}
         <main className="flex-1 overflow-x-hidden overflow-y-auto bg-gray-50">
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { CheckCircle, XCircle, Lock } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+import { describeDevice } from './ActiveSessions';
+
+const REASON_LABELS = {
+  success: 'Signed in',
+  'invalid-credentials': 'Wrong password',
+  'invalid-code': 'Wrong authentication code',
+  deactivated: 'Account deactivated',
+  blocked: 'Blocked after too many failed attempts'
+};
+
+const LoginHistory = () => {
+  const [attempts, setAttempts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchHistory();
+  }, []);
+
+  const fetchHistory = async () => {
+    try {
+      const response = await axios.get('/api/auth/login-history');
+      setAttempts(response.data.attempts);
+    } catch (error) {
+      console.error('Error fetching login history:', error);
+      toast.error('Failed to load login history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Login History</h3>
+        <p className="text-sm text-gray-500">
+          Recent sign-in attempts. If you don't recognise a failed attempt, consider changing your password.
+        </p>
+      </div>
+
+      {attempts.length === 0 ? (
+        <p className="text-sm text-gray-500">No sign-in attempts recorded yet.</p>
+      ) : (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {attempts.map((attempt) => {
+            const Icon = attempt.success ? CheckCircle : attempt.reason === 'blocked' ? Lock : XCircle;
+            return (
+              <div key={attempt.id} className="flex items-center space-x-3 p-4">
+                <Icon className={`h-5 w-5 ${attempt.success ? 'text-green-600' : 'text-red-600'}`} />
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {REASON_LABELS[attempt.reason] || attempt.reason}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {format(new Date(attempt.createdAt), 'MMM d, yyyy h:mm a')} · {attempt.ip || 'Unknown IP'} · {describeDevice(attempt.userAgent)}
+                  </p>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoginHistory;
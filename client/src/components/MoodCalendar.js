@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import {
+  format,
+  startOfMonth,
+  endOfMonth,
+  startOfWeek,
+  endOfWeek,
+  eachDayOfInterval,
+  addMonths,
+  subMonths,
+  isSameMonth,
+  isAfter
+} from 'date-fns';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+// Background for a day's average mood score (1-5)
+export const getMoodShade = (score) => {
+  if (score < 1.5) return 'bg-red-200 text-red-900';
+  if (score < 2.5) return 'bg-orange-200 text-orange-900';
+  if (score < 3.5) return 'bg-yellow-200 text-yellow-900';
+  if (score < 4.5) return 'bg-green-200 text-green-900';
+  return 'bg-emerald-300 text-emerald-900';
+};
+
+// Month grid of tracked days. Days are colored by average mood; picking one
+// calls onSelect with its 'yyyy-MM-dd' key. `refreshKey` reloads the month.
+const MoodCalendar = ({ selectedDate, onSelect, refreshKey }) => {
+  const [month, setMonth] = useState(() => startOfMonth(new Date(`${selectedDate}T12:00:00`)));
+  const [days, setDays] = useState({});
+
+  // Follow the selection when it moves to another month (e.g. from the date picker)
+  useEffect(() => {
+    const selectedMonth = startOfMonth(new Date(`${selectedDate}T12:00:00`));
+    setMonth(prev => (isSameMonth(prev, selectedMonth) ? prev : selectedMonth));
+  }, [selectedDate]);
+
+  useEffect(() => {
+    const fetchMonth = async () => {
+      try {
+        const response = await axios.get('/api/mood/calendar', {
+          params: {
+            startDate: format(startOfMonth(month), 'yyyy-MM-dd'),
+            endDate: format(endOfMonth(month), 'yyyy-MM-dd')
+          }
+        });
+        setDays(Object.fromEntries(response.data.days.map(day => [day.date, day])));
+      } catch (error) {
+        console.error('Error fetching mood calendar:', error);
+      }
+    };
+
+    fetchMonth();
+  }, [month, refreshKey]);
+
+  const today = new Date();
+  const gridDays = eachDayOfInterval({
+    start: startOfWeek(startOfMonth(month)),
+    end: endOfWeek(endOfMonth(month))
+  });
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <button
+          type="button"
+          onClick={() => setMonth(prev => subMonths(prev, 1))}
+          className="btn btn-ghost btn-sm"
+          title="Previous month"
+        >
+          <ChevronLeft className="h-4 w-4" />
+        </button>
+        <span className="text-sm font-medium text-gray-900">{format(month, 'MMMM yyyy')}</span>
+        <button
+          type="button"
+          onClick={() => setMonth(prev => addMonths(prev, 1))}
+          disabled={isSameMonth(month, today)}
+          className="btn btn-ghost btn-sm"
+          title="Next month"
+        >
+          <ChevronRight className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center text-xs text-gray-500 mb-1">
+        {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
+          <div key={day}>{day}</div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-7 gap-1">
+        {gridDays.map(day => {
+          const dateKey = format(day, 'yyyy-MM-dd');
+          const summary = days[dateKey]?.checkIns > 0 ? days[dateKey] : null;
+          const inMonth = isSameMonth(day, month);
+          const isFuture = isAfter(day, today);
+
+          return (
+            <button
+              key={dateKey}
+              type="button"
+              onClick={() => onSelect(dateKey)}
+              disabled={isFuture || !inMonth}
+              title={summary ? `${summary.checkIns} check-in${summary.checkIns === 1 ? '' : 's'}` : undefined}
+              className={`relative h-10 rounded-md text-sm transition-colors ${
+                !inMonth ? 'invisible' : ''
+              } ${
+                summary ? getMoodShade(summary.score) : 'text-gray-700 hover:bg-gray-100'
+              } ${
+                dateKey === selectedDate ? 'ring-2 ring-primary-500' : ''
+              } ${
+                isFuture ? 'opacity-40 cursor-not-allowed' : ''
+              }`}
+            >
+              {format(day, 'd')}
+              {summary?.checkIns > 1 && (
+                <span className="absolute bottom-0.5 right-1 text-[10px] leading-none">{summary.checkIns}</span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default MoodCalendar;
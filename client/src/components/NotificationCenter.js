@@ -8,6 +8,10 @@ import {
   AlertTriangle, 
   MessageCircle,
   CheckCircle,
+  Download,
+  Repeat,
+  Target,
+  Trophy,
   ArrowRight
 } from 'lucide-react';
 import { useNotifications } from '../contexts/NotificationContext';
@@ -38,6 +42,14 @@ const NotificationCenter = () => {
         return <Moon className="w-5 h-5 text-purple-500" />;
       case 'activity-reminder':
         return <Activity className="w-5 h-5 text-green-500" />;
+      case 'habit-missed':
+        return <Repeat className="w-5 h-5 text-green-500" />;
+      case 'goal-completed':
+        return <Trophy className="w-5 h-5 text-yellow-500" />;
+      case 'goal-at-risk':
+        return <Target className="w-5 h-5 text-orange-500" />;
+      case 'data-export-ready':
+        return <Download className="w-5 h-5 text-primary-600" />;
       default:
         return <MessageCircle className="w-5 h-5 text-gray-500" />;
     }
@@ -95,6 +107,18 @@ const NotificationCenter = () => {
       case 'activities':
         window.location.href = '/activities';
         break;
+      case 'habits':
+        window.location.href = '/habits';
+        break;
+      case 'goals':
+        window.location.href = '/goals';
+        break;
+      case 'assessments':
+        window.location.href = '/assessments';
+        break;
+      case 'profile':
+        window.location.href = '/profile';
+        break;
       default:
         break;
     }
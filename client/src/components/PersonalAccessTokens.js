@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Copy, Plus, Trash2, Terminal } from 'lucide-react';
+import LoadingSpinner from './LoadingSpinner';
+
+const NewToken = ({ token, onDone }) => {
+  const copyToken = () => {
+    navigator.clipboard.writeText(token);
+    toast.success('Token copied');
+  };
+
+  return (
+    <div className="space-y-3 p-4 bg-green-50 border border-green-200 rounded-lg">
+      <p className="text-sm text-green-800">
+        Copy your new token now. For your security it won't be shown again.
+      </p>
+      <p className="font-mono text-sm bg-white p-2 rounded border border-green-200 break-all">{token}</p>
+      <div className="flex space-x-3">
+        <button type="button" onClick={copyToken} className="btn btn-outline btn-sm">
+          <Copy className="h-4 w-4 mr-1" />
+          Copy token
+        </button>
+        <button type="button" onClick={onDone} className="btn btn-primary btn-sm">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const PersonalAccessTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [expiryOptions, setExpiryOptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting }
+  } = useForm({ defaultValues: { name: '', scopes: [], expiresInDays: '90' } });
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      const [tokensResponse, scopesResponse] = await Promise.all([
+        axios.get('/api/auth/tokens'),
+        axios.get('/api/auth/tokens/scopes')
+      ]);
+      setTokens(tokensResponse.data.tokens);
+      setScopes(scopesResponse.data.scopes);
+      setExpiryOptions(scopesResponse.data.expiryOptionsDays);
+    } catch (error) {
+      console.error('Error fetching access tokens:', error);
+      toast.error('Failed to load access tokens');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onCreate = async (data) => {
+    try {
+      const response = await axios.post('/api/auth/tokens', {
+        name: data.name,
+        scopes: data.scopes,
+        expiresInDays: data.expiresInDays ? parseInt(data.expiresInDays, 10) : null
+      });
+      setNewToken(response.data.token);
+      setTokens(prev => [response.data.accessToken, ...prev]);
+      setShowForm(false);
+      reset();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create access token');
+    }
+  };
+
+  const revokeToken = async (tokenId) => {
+    try {
+      await axios.delete(`/api/auth/tokens/${tokenId}`);
+      toast.success('Access token revoked');
+      setTokens(prev => prev.filter(token => token.id !== tokenId));
+    } catch (error) {
+      console.error('Error revoking access token:', error);
+      toast.error('Failed to revoke access token');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Personal Access Tokens</h3>
+          <p className="text-sm text-gray-500">
+            Use tokens to read or update your data from scripts and notebooks. Send them as{' '}
+            <code className="font-mono text-xs">Authorization: Bearer &lt;token&gt;</code>.
+          </p>
+        </div>
+        {!showForm && (
+          <button onClick={() => setShowForm(true)} className="btn btn-primary btn-sm flex-shrink-0 ml-4">
+            <Plus className="h-4 w-4 mr-1" />
+            New token
+          </button>
+        )}
+      </div>
+
+      {newToken && <NewToken token={newToken} onDone={() => setNewToken(null)} />}
+
+      {showForm && (
+        <form onSubmit={handleSubmit(onCreate)} className="space-y-4 p-4 border border-gray-200 rounded-lg">
+          <div>
+            <label className="label">Name</label>
+            <input
+              {...register('name', { required: 'Name is required' })}
+              type="text"
+              className="input"
+              placeholder="e.g. Analysis notebook"
+            />
+            {errors.name && (
+              <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label className="label">Scopes</label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {scopes.map(scope => (
+                <label key={scope.name} className="flex items-start space-x-2 text-sm">
+                  <input
+                    {...register('scopes', { validate: value => value.length > 0 || 'Select at least one scope' })}
+                    type="checkbox"
+                    value={scope.name}
+                    className="mt-1 h-4 w-4 text-primary-600 border-gray-300 rounded"
+                  />
+                  <span>
+                    <span className="font-mono text-gray-900">{scope.name}</span>
+                    <span className="block text-gray-500">{scope.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            {errors.scopes && (
+              <p className="mt-1 text-sm text-red-600">{errors.scopes.message}</p>
+            )}
+          </div>
+
+          <div className="max-w-xs">
+            <label className="label">Expires</label>
+            <select {...register('expiresInDays')} className="input">
+              {expiryOptions.map(days => (
+                <option key={days} value={days}>In {days} days</option>
+              ))}
+              <option value="">Never</option>
+            </select>
+          </div>
+
+          <div className="flex space-x-3">
+            <button type="button" onClick={() => setShowForm(false)} className="btn btn-outline btn-md">
+              Cancel
+            </button>
+            <button type="submit" disabled={isSubmitting} className="btn btn-primary btn-md">
+              {isSubmitting ? 'Creating...' : 'Create token'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">You don't have any access tokens yet.</p>
+      ) : (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {tokens.map(token => (
+            <div key={token.id} className="flex items-center justify-between p-4">
+              <div className="flex items-center space-x-3">
+                <Terminal className="h-6 w-6 text-gray-400" />
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {token.name}
+                    <span className="ml-2 font-mono text-xs text-gray-500">{token.tokenPrefix}...</span>
+                  </p>
+                  <p className="text-xs text-gray-500">{token.scopes.join(', ')}</p>
+                  <p className="text-xs text-gray-500">
+                    {token.lastUsedAt
+                      ? `Last used ${format(new Date(token.lastUsedAt), 'MMM d, yyyy h:mm a')}`
+                      : 'Never used'}
+                    {' · '}
+                    {token.expiresAt
+                      ? `Expires ${format(new Date(token.expiresAt), 'MMM d, yyyy')}`
+                      : 'Never expires'}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={() => revokeToken(token.id)}
+                className="btn btn-ghost btn-sm text-red-600"
+              >
+                <Trash2 className="h-4 w-4 mr-1" />
+                Revoke
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PersonalAccessTokens;
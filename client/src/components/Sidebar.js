@@ -1,15 +1,26 @@
 import React from 'react';
 import { NavLink } from 'react-router-dom';
-import { X, Home, Heart, Activity, BookOpen, BarChart3, User } from 'lucide-react';
+import { X, Home, Heart, CalendarDays, Activity, Repeat, Target, BookOpen, BarChart3, ClipboardList, Pill, Moon, User, Share2, Shield } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
 
 const Sidebar = ({ isOpen, onClose }) => {
+  const { user } = useAuth();
+
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: Home },
     { name: 'Mood Tracker', href: '/mood', icon: Heart },
+    { name: 'Calendar', href: '/calendar', icon: CalendarDays },
     { name: 'Activities', href: '/activities', icon: Activity },
+    { name: 'Habits', href: '/habits', icon: Repeat },
+    { name: 'Goals', href: '/goals', icon: Target },
     { name: 'Journal', href: '/journal', icon: BookOpen },
+    { name: 'Questionnaires', href: '/assessments', icon: ClipboardList },
+    { name: 'Medications', href: '/medications', icon: Pill },
+    { name: 'Sleep', href: '/sleep', icon: Moon },
     { name: 'Analytics', href: '/analytics', icon: BarChart3 },
+    { name: 'Sharing', href: '/sharing', icon: Share2 },
     { name: 'Profile', href: '/profile', icon: User },
+    ...(user?.role === 'admin' ? [{ name: 'Admin', href: '/admin', icon: Shield }] : []),
   ];
 
   return (
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Eye, EyeOff, Plus, Settings, Trash2 } from 'lucide-react';
+
+const CATEGORIES = ['emotional', 'cognitive', 'physical', 'behavioral'];
+
+const SEVERITY_OPTIONS = [
+  { value: 1, label: 'Mild', active: 'bg-yellow-100 text-yellow-800 border-yellow-300' },
+  { value: 2, label: 'Moderate', active: 'bg-orange-100 text-orange-800 border-orange-300' },
+  { value: 3, label: 'Severe', active: 'bg-red-100 text-red-800 border-red-300' }
+];
+
+const DEFAULT_SEVERITY = 1;
+
+export const formatSeverity = (severity) => SEVERITY_OPTIONS.find(option => option.value === severity)?.label;
+
+const formatCategory = (category) => category.charAt(0).toUpperCase() + category.slice(1);
+
+// Tick off symptoms from the user's checklist and rate how bad each one is.
+// `value` is a list of { symptom, severity }. `symptoms` is the checklist from
+// /api/symptoms; changes made under "Customize" are passed to
+// `onSymptomsChange`.
+const SymptomChecklist = ({ symptoms, value = [], onChange, onSymptomsChange }) => {
+  const [customizing, setCustomizing] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newCategory, setNewCategory] = useState('emotional');
+
+  const selected = (id) => value.find(item => item.symptom === id);
+
+  const toggle = (id) => {
+    onChange(selected(id)
+      ? value.filter(item => item.symptom !== id)
+      : [...value, { symptom: id, severity: DEFAULT_SEVERITY }]);
+  };
+
+  const rate = (id, severity) => {
+    onChange(value.map(item => (item.symptom === id ? { ...item, severity } : item)));
+  };
+
+  const addSymptom = async () => {
+    if (!newName.trim()) return;
+
+    try {
+      const response = await axios.post('/api/symptoms', { name: newName.trim(), category: newCategory });
+      onSymptomsChange([...symptoms, response.data.symptom]);
+      setNewName('');
+      toast.success('Symptom added');
+    } catch (error) {
+      console.error('Error adding symptom:', error);
+      toast.error(error.response?.data?.message || 'Failed to add symptom');
+    }
+  };
+
+  const setHidden = async (symptom, hidden) => {
+    try {
+      await axios.put(`/api/symptoms/${symptom._id}/visibility`, { hidden });
+      onSymptomsChange(symptoms.map(item => (item._id === symptom._id ? { ...item, hidden } : item)));
+      if (hidden) onChange(value.filter(item => item.symptom !== symptom._id));
+    } catch (error) {
+      console.error('Error updating symptom:', error);
+      toast.error('Failed to update symptom');
+    }
+  };
+
+  const deleteSymptom = async (symptom) => {
+    if (!window.confirm(`Delete ${symptom.name} and every time you've reported it?`)) return;
+
+    try {
+      await axios.delete(`/api/symptoms/${symptom._id}`);
+      onSymptomsChange(symptoms.filter(item => item._id !== symptom._id));
+      onChange(value.filter(item => item.symptom !== symptom._id));
+      toast.success('Symptom deleted');
+    } catch (error) {
+      console.error('Error deleting symptom:', error);
+      toast.error('Failed to delete symptom');
+    }
+  };
+
+  const visible = symptoms.filter(symptom => !symptom.hidden);
+
+  return (
+    <div className="space-y-4">
+      {!customizing && CATEGORIES.map(category => {
+        const inCategory = visible.filter(symptom => symptom.category === category);
+        if (inCategory.length === 0) return null;
+
+        return (
+          <div key={category}>
+            <p className="text-xs font-medium text-gray-500 uppercase mb-2">{formatCategory(category)}</p>
+            <div className="flex flex-wrap gap-2">
+              {inCategory.map(symptom => (
+                <button
+                  key={symptom._id}
+                  type="button"
+                  onClick={() => toggle(symptom._id)}
+                  className={`px-3 py-1 rounded-full border text-sm transition-all ${
+                    selected(symptom._id)
+                      ? 'border-primary-500 bg-primary-50 text-primary-700'
+                      : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  {symptom.name}
+                </button>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+
+      {!customizing && value.length > 0 && (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {value.map(item => (
+            <div key={item.symptom} className="flex items-center justify-between p-2">
+              <span className="text-sm font-medium text-gray-900">
+                {symptoms.find(symptom => symptom._id === item.symptom)?.name}
+              </span>
+              <div className="flex gap-1">
+                {SEVERITY_OPTIONS.map(option => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => rate(item.symptom, option.value)}
+                    className={`px-2 py-0.5 rounded-full border text-xs font-medium ${
+                      item.severity === option.value ? option.active : 'border-gray-200 text-gray-600 hover:border-gray-300'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {customizing && (
+        <div className="space-y-4">
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {symptoms.map(symptom => (
+              <div key={symptom._id} className="flex items-center justify-between p-2">
+                <span className={`text-sm ${symptom.hidden ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                  {symptom.name}
+                  <span className="ml-2 text-xs text-gray-500">{formatCategory(symptom.category)}</span>
+                </span>
+                <div className="flex">
+                  <button
+                    type="button"
+                    onClick={() => setHidden(symptom, !symptom.hidden)}
+                    className="btn btn-ghost btn-sm"
+                    title={symptom.hidden ? 'Show on checklist' : 'Hide from checklist'}
+                  >
+                    {symptom.hidden ? <Eye className="h-4 w-4" /> : <EyeOff className="h-4 w-4" />}
+                  </button>
+                  {!symptom.isDefault && (
+                    <button
+                      type="button"
+                      onClick={() => deleteSymptom(symptom)}
+                      className="btn btn-ghost btn-sm text-red-600"
+                      title="Delete"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              maxLength={40}
+              className="input flex-1"
+              placeholder="Add a symptom, e.g. Jaw clenching"
+            />
+            <select value={newCategory} onChange={(e) => setNewCategory(e.target.value)} className="input w-auto">
+              {CATEGORIES.map(category => (
+                <option key={category} value={category}>{formatCategory(category)}</option>
+              ))}
+            </select>
+            <button type="button" onClick={addSymptom} className="btn btn-outline btn-sm">
+              <Plus className="h-4 w-4 mr-1" />
+              Add
+            </button>
+          </div>
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={() => setCustomizing(prev => !prev)}
+        className="btn btn-ghost btn-sm text-gray-600"
+      >
+        <Settings className="h-4 w-4 mr-1" />
+        {customizing ? 'Done' : 'Customize checklist'}
+      </button>
+    </div>
+  );
+};
+
+export default SymptomChecklist;
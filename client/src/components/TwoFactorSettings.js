@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ShieldCheck, ShieldOff, Copy, RefreshCw } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from './LoadingSpinner';
+
+const RecoveryCodes = ({ codes, onDone }) => {
+  const copyCodes = () => {
+    navigator.clipboard.writeText(codes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+        Save these recovery codes somewhere safe. Each one can be used once to sign in if you
+        lose access to your authenticator app. They won't be shown again.
+      </div>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-lg font-mono text-sm">
+        {codes.map(code => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex space-x-3">
+        <button type="button" onClick={copyCodes} className="btn btn-outline btn-md">
+          <Copy className="h-4 w-4 mr-2" />
+          Copy codes
+        </button>
+        <button type="button" onClick={onDone} className="btn btn-primary btn-md">
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorSettings = () => {
+  const { user, refreshUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [startingSetup, setStartingSetup] = useState(false);
+
+  const enableForm = useForm({ defaultValues: { code: '' } });
+  const disableForm = useForm({ defaultValues: { password: '', code: '' } });
+  const regenerateForm = useForm({ defaultValues: { code: '' } });
+
+  const startSetup = async () => {
+    setStartingSetup(true);
+    try {
+      const response = await axios.post('/api/auth/2fa/setup');
+      setSetup(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+    } finally {
+      setStartingSetup(false);
+    }
+  };
+
+  const onEnable = async (data) => {
+    try {
+      const response = await axios.post('/api/auth/2fa/enable', data);
+      toast.success(response.data.message);
+      setSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      enableForm.reset();
+      await refreshUser();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    }
+  };
+
+  const onDisable = async (data) => {
+    try {
+      const response = await axios.post('/api/auth/2fa/disable', data);
+      toast.success(response.data.message);
+      disableForm.reset();
+      await refreshUser();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    }
+  };
+
+  const onRegenerate = async (data) => {
+    try {
+      const response = await axios.post('/api/auth/2fa/recovery-codes', data);
+      toast.success(response.data.message);
+      setRecoveryCodes(response.data.recoveryCodes);
+      regenerateForm.reset();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to regenerate recovery codes');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-1 flex items-center">
+          {user?.twoFactorEnabled ? (
+            <ShieldCheck className="h-5 w-5 text-green-600 mr-2" />
+          ) : (
+            <ShieldOff className="h-5 w-5 text-gray-400 mr-2" />
+          )}
+          Two-Factor Authentication
+        </h3>
+        <p className="text-sm text-gray-500">
+          {user?.twoFactorEnabled
+            ? 'Enabled. Signing in requires a code from your authenticator app.'
+            : 'Protect your journal and mood data with a code from an authenticator app when you sign in.'}
+        </p>
+      </div>
+
+      {recoveryCodes && (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      )}
+
+      {/* Enrollment */}
+      {!user?.twoFactorEnabled && !setup && (
+        <button onClick={startSetup} disabled={startingSetup} className="btn btn-primary btn-md">
+          {startingSetup && <LoadingSpinner size="sm" className="mr-2" />}
+          Set up two-factor authentication
+        </button>
+      )}
+
+      {!user?.twoFactorEnabled && setup && (
+        <form onSubmit={enableForm.handleSubmit(onEnable)} className="space-y-4">
+          <div className="flex flex-col md:flex-row md:items-start md:space-x-6 space-y-4 md:space-y-0">
+            <img src={setup.qrCode} alt="Authenticator QR code" className="h-44 w-44 border border-gray-200 rounded-lg" />
+            <div className="space-y-2 text-sm text-gray-700">
+              <p>1. Scan the QR code with an authenticator app such as Google Authenticator, Authy or 1Password.</p>
+              <p>2. Can't scan it? Enter this key manually:</p>
+              <p className="font-mono bg-gray-50 p-2 rounded break-all">{setup.secret}</p>
+              <p>3. Enter the 6-digit code the app shows to finish.</p>
+            </div>
+          </div>
+          <div className="max-w-xs">
+            <label className="label">Authentication code</label>
+            <input
+              {...enableForm.register('code', { required: 'Code is required' })}
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className="input"
+              placeholder="123456"
+            />
+            {enableForm.formState.errors.code && (
+              <p className="mt-1 text-sm text-red-600">{enableForm.formState.errors.code.message}</p>
+            )}
+          </div>
+          <div className="flex space-x-3">
+            <button type="button" onClick={() => setSetup(null)} className="btn btn-outline btn-md">
+              Cancel
+            </button>
+            <button type="submit" disabled={enableForm.formState.isSubmitting} className="btn btn-primary btn-md">
+              {enableForm.formState.isSubmitting ? 'Verifying...' : 'Enable'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Management */}
+      {user?.twoFactorEnabled && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <form onSubmit={regenerateForm.handleSubmit(onRegenerate)} className="space-y-3 p-4 border border-gray-200 rounded-lg">
+            <h4 className="text-sm font-medium text-gray-900">Recovery codes</h4>
+            <p className="text-sm text-gray-500">Generate a new set. Your old codes will stop working.</p>
+            <input
+              {...regenerateForm.register('code', { required: 'Code is required' })}
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className="input"
+              placeholder="Authenticator code"
+            />
+            <button type="submit" disabled={regenerateForm.formState.isSubmitting} className="btn btn-outline btn-md">
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Regenerate
+            </button>
+          </form>
+
+          <form onSubmit={disableForm.handleSubmit(onDisable)} className="space-y-3 p-4 border border-red-200 rounded-lg">
+            <h4 className="text-sm font-medium text-gray-900">Disable two-factor authentication</h4>
+            <input
+              {...disableForm.register('password', { required: 'Password is required' })}
+              type="password"
+              autoComplete="current-password"
+              className="input"
+              placeholder="Current password"
+            />
+            <input
+              {...disableForm.register('code', { required: 'Code is required' })}
+              type="text"
+              autoComplete="one-time-code"
+              className="input"
+              placeholder="Authenticator or recovery code"
+            />
+            <button type="submit" disabled={disableForm.formState.isSubmitting} className="btn btn-outline btn-md text-red-600">
+              <ShieldOff className="h-4 w-4 mr-2" />
+              Disable
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
@@ -16,6 +16,7 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [token, setToken] = useState(localStorage.getItem('token'));
+  const refreshPromise = useRef(null);
 
   // Set up axios defaults
   useEffect(() => {
@@ -26,32 +27,105 @@ export const AuthProvider = ({ children }) => {
     }
   }, [token]);
 
+  const storeTokens = useCallback((newToken, newRefreshToken) => {
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', newRefreshToken);
+    axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+    setToken(newToken);
+  }, []);
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    delete axios.defaults.headers.common['Authorization'];
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  // Silently exchange the refresh token for a new token pair. Concurrent
+  // callers share the same request so the refresh token is only rotated once.
+  const refreshSession = useCallback(() => {
+    if (!refreshPromise.current) {
+      refreshPromise.current = (async () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) {
+          throw new Error('No refresh token');
+        }
+
+        const response = await axios.post('/api/auth/refresh', { refreshToken }, { _skipRefresh: true });
+        storeTokens(response.data.token, response.data.refreshToken);
+        return response.data.token;
+      })().finally(() => {
+        refreshPromise.current = null;
+      });
+    }
+
+    return refreshPromise.current;
+  }, [storeTokens]);
+
+  // Retry requests that failed because the access token expired
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async (error) => {
+        const originalRequest = error.config;
+
+        if (
+          error.response?.status !== 401 ||
+          !originalRequest ||
+          originalRequest._retry ||
+          originalRequest._skipRefresh ||
+          !localStorage.getItem('refreshToken')
+        ) {
+          return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+
+        try {
+          const newToken = await refreshSession();
+          originalRequest.headers['Authorization'] = `Bearer ${newToken}`;
+          return axios(originalRequest);
+        } catch (refreshError) {
+          clearSession();
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [refreshSession, clearSession]);
+
   // Check if user is logged in on app start
   useEffect(() => {
     const checkAuth = async () => {
-      if (token) {
+      if (localStorage.getItem('token')) {
         try {
           const response = await axios.get('/api/auth/me');
           setUser(response.data.user);
         } catch (error) {
           console.error('Auth check failed:', error);
-          localStorage.removeItem('token');
-          setToken(null);
+          clearSession();
         }
       }
       setLoading(false);
     };
 
     checkAuth();
-  }, [token]);
+  }, [clearSession]);
 
   const login = async (email, password) => {
     try {
       const response = await axios.post('/api/auth/login', { email, password });
-      const { token: newToken, user: userData } = response.data;
+
+      // The account has two-factor enabled; the caller must ask for a code
+      if (response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+
+      const { token: newToken, refreshToken, user: userData } = response.data;
       
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
+      storeTokens(newToken, refreshToken);
       setUser(userData);
       
       toast.success('Login successful!');
@@ -63,13 +137,34 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const response = await axios.post('/api/auth/login/2fa', { challengeToken, code });
+      const { token: newToken, refreshToken, user: userData, recoveryCodesRemaining } = response.data;
+
+      storeTokens(newToken, refreshToken);
+      setUser(userData);
+
+      toast.success('Login successful!');
+      if (recoveryCodesRemaining !== undefined) {
+        toast(`Recovery code used. ${recoveryCodesRemaining} remaining.`);
+      }
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   const register = async (name, email, password) => {
     try {
-      const response = await axios.post('/api/auth/register', { name, email, password });
-      const { token: newToken, user: userData } = response.data;
+      // Days are counted in the user's own timezone, so start with the device's
+      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const response = await axios.post('/api/auth/register', { name, email, password, timezone });
+      const { token: newToken, refreshToken, user: userData } = response.data;
       
-      localStorage.setItem('token', newToken);
-      setToken(newToken);
+      storeTokens(newToken, refreshToken);
       setUser(userData);
       
       toast.success('Registration successful!');
@@ -81,11 +176,14 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setToken(null);
-    setUser(null);
-    delete axios.defaults.headers.common['Authorization'];
+  const logout = async () => {
+    try {
+      await axios.post('/api/auth/logout');
+    } catch (error) {
+      // The session is cleared locally even if it could not be revoked
+      console.error('Logout request failed:', error);
+    }
+    clearSession();
     toast.success('Logged out successfully');
   };
 
@@ -114,14 +212,111 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reload the current user after changes made outside this context
+  const refreshUser = async () => {
+    try {
+      const response = await axios.get('/api/auth/me');
+      setUser(response.data.user);
+    } catch (error) {
+      console.error('Failed to refresh user:', error);
+    }
+  };
+
+  const deleteAccount = async (password, code) => {
+    try {
+      const response = await axios.delete('/api/auth/account', { data: { password, code } });
+
+      if (response.data.deleted) {
+        clearSession();
+      } else {
+        setUser(prev => ({ ...prev, deletionScheduledFor: response.data.deletionScheduledFor }));
+      }
+
+      toast.success(response.data.message);
+      return { success: true, deleted: response.data.deleted };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Account deletion failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const cancelAccountDeletion = async () => {
+    try {
+      const response = await axios.post('/api/auth/account/restore');
+      setUser(response.data.user);
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Could not cancel account deletion';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const forgotPassword = async (email) => {
+    try {
+      const response = await axios.post('/api/auth/forgot-password', { email });
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Could not send reset link';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const resetPassword = async (resetToken, password) => {
+    try {
+      const response = await axios.post('/api/auth/reset-password', { token: resetToken, password });
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Password reset failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const verifyEmail = async (verificationToken) => {
+    try {
+      const response = await axios.post('/api/auth/verify-email', { token: verificationToken });
+      setUser(prev => prev ? { ...prev, emailVerified: true } : prev);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Email verification failed';
+      return { success: false, error: message };
+    }
+  };
+
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post('/api/auth/resend-verification');
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Could not send verification email';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   const value = {
     user,
     loading,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
     updateProfile,
     changePassword,
+    refreshUser,
+    deleteAccount,
+    cancelAccountDeletion,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     isAuthenticated: !!user
   };
 
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { XCircle, Heart, Share2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const SHARED_DATA_LABELS = {
+  mood: 'Mood entries',
+  activities: 'Activities',
+  journal: 'Journal entries marked shareable'
+};
+
+const AcceptShare = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { isAuthenticated, loading: authLoading, user } = useAuth();
+  const [invite, setInvite] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [responding, setResponding] = useState(false);
+
+  const inviteToken = searchParams.get('token');
+
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (!inviteToken) {
+      setError('This invitation link is missing its token.');
+      setLoading(false);
+      return;
+    }
+
+    // Invitations are tied to an account, so signed-out visitors are asked to sign in first
+    if (!isAuthenticated) {
+      setLoading(false);
+      return;
+    }
+
+    axios.get(`/api/sharing/invites/${inviteToken}`)
+      .then(response => setInvite(response.data.invite))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load invitation'))
+      .finally(() => setLoading(false));
+  }, [authLoading, isAuthenticated, inviteToken]);
+
+  const respond = async (action) => {
+    setResponding(true);
+    try {
+      const response = await axios.post(`/api/sharing/invites/${inviteToken}/${action}`);
+      toast.success(response.data.message);
+      navigate(action === 'accept' ? `/sharing/patients/${response.data.grantId}` : '/dashboard');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to respond to invitation');
+      setResponding(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 bg-primary-600 rounded-full flex items-center justify-center">
+            <Heart className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Shared data invitation
+          </h2>
+        </div>
+
+        <div className="card p-6 text-center space-y-4">
+          {loading && <LoadingSpinner size="lg" />}
+
+          {!loading && error && (
+            <>
+              <XCircle className="h-10 w-10 text-red-600 mx-auto" />
+              <p className="text-sm text-gray-700">{error}</p>
+              <Link
+                to={isAuthenticated ? '/dashboard' : '/login'}
+                className="font-medium text-primary-600 hover:text-primary-500 text-sm"
+              >
+                {isAuthenticated ? 'Go to dashboard' : 'Go to sign in'}
+              </Link>
+            </>
+          )}
+
+          {!loading && !error && !isAuthenticated && (
+            <>
+              <p className="text-sm text-gray-700">
+                Sign in or create an account with the email address this invitation was sent to,
+                then open the link again.
+              </p>
+              <div className="flex justify-center space-x-4">
+                <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500 text-sm">
+                  Sign in
+                </Link>
+                <Link to="/register" className="font-medium text-primary-600 hover:text-primary-500 text-sm">
+                  Create account
+                </Link>
+              </div>
+            </>
+          )}
+
+          {!loading && invite && (
+            <>
+              <Share2 className="h-10 w-10 text-primary-600 mx-auto" />
+              <p className="text-sm text-gray-700">
+                <span className="font-medium">{invite.patientName}</span> would like to share the following with
+                you ({user?.email}), read-only, until {format(new Date(invite.expiresAt), 'MMM d, yyyy')}:
+              </p>
+              <ul className="text-sm text-gray-700 space-y-1">
+                {invite.sharedData.map(type => (
+                  <li key={type}>{SHARED_DATA_LABELS[type] || type}</li>
+                ))}
+              </ul>
+              <p className="text-xs text-gray-500">
+                {invite.patientName} will be able to see each time you view their data.
+              </p>
+              <div className="flex justify-center space-x-3">
+                <button
+                  onClick={() => respond('decline')}
+                  disabled={responding}
+                  className="btn btn-outline btn-md"
+                >
+                  Decline
+                </button>
+                <button
+                  onClick={() => respond('accept')}
+                  disabled={responding}
+                  className="btn btn-primary btn-md"
+                >
+                  Accept
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptShare;
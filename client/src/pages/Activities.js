@@ -11,20 +11,85 @@ import {
   TrendingUp,
   TrendingDown,
   Filter,
-  Search
+  Search,
+  CheckCircle,
+  History,
+  Library
 } from 'lucide-react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { format, formatDistanceToNow } from 'date-fns';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ActivityLogForm, { formatMoodRating } from '../components/ActivityLogForm';
+import ActivityLibrary from '../components/ActivityLibrary';
+
+const CONFIDENCE_STYLES = {
+  low: 'bg-gray-100 text-gray-700',
+  medium: 'bg-yellow-100 text-yellow-800',
+  high: 'bg-green-100 text-green-800'
+};
+
+const formatChange = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+
+// Stress going down is the good direction
+const getChangeColor = (value, lowerIsBetter = false) => {
+  if (Math.abs(value) < 0.1) return 'text-gray-600';
+  return (value > 0) !== lowerIsBetter ? 'text-green-600' : 'text-red-600';
+};
+
+// Mood, energy and stress on days the activity was done compared with days
+// it wasn't, from /api/analytics/activities
+const ObservedImpact = ({ impact }) => {
+  if (!impact) return null;
+
+  if (!impact.mood) {
+    return (
+      <p className="text-sm text-gray-500">
+        Observed: not enough days yet ({impact.daysWith} with, {impact.daysWithout} without)
+      </p>
+    );
+  }
+
+  return (
+    <div className="text-sm">
+      <div className="flex items-center justify-between">
+        <span
+          className="text-gray-600 font-medium"
+          title="Average on days you did it minus days you didn't (mood 1-5, energy and stress 1-10), over the last 3 months"
+        >
+          Observed
+        </span>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${CONFIDENCE_STYLES[impact.confidence]}`}>
+          {impact.confidence} confidence · {impact.daysWith} days
+        </span>
+      </div>
+      <div className="flex items-center space-x-4 mt-1">
+        <span className="text-gray-600">
+          Mood: <span className={`font-medium ${getChangeColor(impact.mood.difference)}`}>{formatChange(impact.mood.difference)}</span>
+        </span>
+        <span className="text-gray-600">
+          Energy: <span className={`font-medium ${getChangeColor(impact.energy.difference)}`}>{formatChange(impact.energy.difference)}</span>
+        </span>
+        <span className="text-gray-600">
+          Stress: <span className={`font-medium ${getChangeColor(impact.stress.difference, true)}`}>{formatChange(impact.stress.difference)}</span>
+        </span>
+      </div>
+    </div>
+  );
+};
 
 const Activities = () => {
   const [activities, setActivities] = useState([]);
   const [filteredActivities, setFilteredActivities] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
   const [editingActivity, setEditingActivity] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [categoryFilter, setCategoryFilter] = useState('all');
+  const [recentLogs, setRecentLogs] = useState([]);
+  const [loggingId, setLoggingId] = useState(null);
+  const [impacts, setImpacts] = useState({});
 
   const {
     register,
@@ -62,6 +127,13 @@ const Activities = () => {
 
   useEffect(() => {
     fetchActivities();
+    fetchRecentLogs();
+  }, []);
+
+  useEffect(() => {
+    axios.get('/api/analytics/activities?period=quarter')
+      .then(response => setImpacts(Object.fromEntries(response.data.impacts.map(impact => [impact.activity, impact]))))
+      .catch(error => console.error('Error fetching activity impact:', error));
   }, []);
 
   useEffect(() => {
@@ -80,6 +152,46 @@ const Activities = () => {
     }
   };
 
+  const fetchRecentLogs = async () => {
+    try {
+      const response = await axios.get('/api/activities/logs?limit=10');
+      setRecentLogs(response.data.logs);
+    } catch (error) {
+      console.error('Error fetching activity logs:', error);
+    }
+  };
+
+  // Log that the activity was just done, with its usual duration
+  const quickLog = async (activity) => {
+    try {
+      await axios.post(`/api/activities/${activity._id}/log`);
+      toast.success(`${activity.name} logged`);
+      onLogged();
+    } catch (error) {
+      console.error('Error logging activity:', error);
+      toast.error(error.response?.data?.message || 'Failed to log activity');
+    }
+  };
+
+  const onLogged = () => {
+    setLoggingId(null);
+    fetchActivities();
+    fetchRecentLogs();
+  };
+
+  const deleteLog = async (log) => {
+    if (!window.confirm(`Delete this ${log.activity?.name || 'activity'} log?`)) return;
+
+    try {
+      await axios.delete(`/api/activities/${log.activity?._id}/log/${log._id}`);
+      toast.success('Log deleted');
+      onLogged();
+    } catch (error) {
+      console.error('Error deleting activity log:', error);
+      toast.error('Failed to delete log');
+    }
+  };
+
   const filterActivities = () => {
     let filtered = activities;
 
@@ -197,17 +309,26 @@ const Activities = () => {
               Manage your daily activities and track their impact on your well-being
             </p>
           </div>
-          <button
-            onClick={() => {
-              setEditingActivity(null);
-              reset();
-              setShowForm(true);
-            }}
-            className="btn btn-primary"
-          >
-            <Plus className="h-5 w-5 mr-2" />
-            Add Activity
-          </button>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setShowLibrary(true)}
+              className="btn btn-outline"
+            >
+              <Library className="h-5 w-5 mr-2" />
+              Browse Library
+            </button>
+            <button
+              onClick={() => {
+                setEditingActivity(null);
+                reset();
+                setShowForm(true);
+              }}
+              className="btn btn-primary"
+            >
+              <Plus className="h-5 w-5 mr-2" />
+              Add Activity
+            </button>
+          </div>
         </div>
       </div>
 
@@ -303,6 +424,7 @@ const Activities = () => {
               )}
 
               <div className="flex items-center space-x-4">
+                <span className="text-sm text-gray-600 font-medium">Expected</span>
                 <div className="flex items-center text-sm">
                   {activity.moodImpact > 0 ? (
                     <TrendingUp className="h-4 w-4 text-green-500 mr-1" />
@@ -332,17 +454,70 @@ const Activities = () => {
                 </div>
               </div>
 
+              <ObservedImpact impact={impacts[activity._id]} />
+
               {activity.isRecurring && activity.recurringDays.length > 0 && (
                 <div className="text-sm text-gray-600">
                   <span className="font-medium">Recurring: </span>
                   {activity.recurringDays.map(day => day.charAt(0).toUpperCase() + day.slice(1)).join(', ')}
                 </div>
               )}
+
+              <div className="text-sm text-gray-500">
+                {activity.logCount > 0
+                  ? `Done ${activity.logCount} ${activity.logCount === 1 ? 'time' : 'times'}, last ${formatDistanceToNow(new Date(activity.lastLoggedAt), { addSuffix: true })}`
+                  : 'Not logged yet'}
+              </div>
             </div>
+
+            {loggingId === activity._id ? (
+              <ActivityLogForm activity={activity} onSaved={onLogged} onCancel={() => setLoggingId(null)} />
+            ) : (
+              <div className="mt-4 flex gap-2">
+                <button onClick={() => quickLog(activity)} className="btn btn-outline btn-sm">
+                  <CheckCircle className="h-4 w-4 mr-1" />
+                  Done now
+                </button>
+                <button onClick={() => setLoggingId(activity._id)} className="btn btn-ghost btn-sm">
+                  Log with details
+                </button>
+              </div>
+            )}
           </div>
         ))}
       </div>
 
+      {/* Recently logged */}
+      {recentLogs.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <History className="h-5 w-5 text-gray-500 mr-2" />
+            Recently Logged
+          </h2>
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {recentLogs.map(log => (
+              <div key={log._id} className="flex items-center justify-between p-3">
+                <div className="flex items-center space-x-3">
+                  <span className="text-xl">{log.activity?.icon}</span>
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{log.activity?.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {format(new Date(log.date), 'MMM d, h:mm a')}
+                      {log.duration && ` · ${log.duration} min`}
+                      {log.moodBefore && log.moodAfter && ` · ${formatMoodRating(log.moodBefore)} → ${formatMoodRating(log.moodAfter)}`}
+                      {log.notes && ` · ${log.notes}`}
+                    </p>
+                  </div>
+                </div>
+                <button onClick={() => deleteLog(log)} className="btn btn-ghost btn-sm text-red-600" title="Delete">
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {filteredActivities.length === 0 && (
         <div className="text-center py-12">
           <Activity className="h-12 w-12 text-gray-400 mx-auto mb-4" />
@@ -352,21 +527,35 @@ const Activities = () => {
           <p className="text-gray-500 mb-4">
             {searchTerm || categoryFilter !== 'all' 
               ? 'Try adjusting your search or filter criteria'
-              : 'Start by adding your first activity'
+              : 'Pick a few ideas from the library or add your own'
             }
           </p>
           {(!searchTerm && categoryFilter === 'all') && (
-            <button
-              onClick={() => setShowForm(true)}
-              className="btn btn-primary"
-            >
-              <Plus className="h-5 w-5 mr-2" />
-              Add Your First Activity
-            </button>
+            <div className="flex justify-center gap-3">
+              <button
+                onClick={() => setShowLibrary(true)}
+                className="btn btn-primary"
+              >
+                <Library className="h-5 w-5 mr-2" />
+                Browse Library
+              </button>
+              <button
+                onClick={() => setShowForm(true)}
+                className="btn btn-outline"
+              >
+                <Plus className="h-5 w-5 mr-2" />
+                Add Your Own
+              </button>
+            </div>
           )}
         </div>
       )}
 
+      {/* Activity Library */}
+      {showLibrary && (
+        <ActivityLibrary onAdopted={() => fetchActivities()} onClose={() => setShowLibrary(false)} />
+      )}
+
       {/* Activity Form Modal */}
       {showForm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format, formatDistanceToNow } from 'date-fns';
+import {
+  Users,
+  UserCheck,
+  Activity,
+  ShieldAlert,
+  Search,
+  ChevronLeft,
+  ChevronRight,
+  Server
+} from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const StatCard = ({ icon: Icon, label, value, detail }) => (
+  <div className="bg-white rounded-lg shadow-sm p-6">
+    <div className="flex items-center justify-between">
+      <div>
+        <p className="text-sm font-medium text-gray-600">{label}</p>
+        <p className="text-2xl font-semibold text-gray-900">{value}</p>
+        {detail && <p className="text-xs text-gray-500 mt-1">{detail}</p>}
+      </div>
+      <Icon className="h-8 w-8 text-primary-600" />
+    </div>
+  </div>
+);
+
+const Admin = () => {
+  const { user: currentUser } = useAuth();
+  const [metrics, setMetrics] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState({ search: '', status: '', page: 1 });
+
+  const fetchMetrics = async () => {
+    try {
+      const response = await axios.get('/api/admin/metrics');
+      setMetrics(response.data);
+    } catch (error) {
+      console.error('Error fetching metrics:', error);
+      toast.error('Failed to load usage metrics');
+    }
+  };
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const params = { page: filters.page };
+      if (filters.search) params.search = filters.search;
+      if (filters.status) params.status = filters.status;
+
+      const response = await axios.get('/api/admin/users', { params });
+      setUsers(response.data.users);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      toast.error('Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchMetrics();
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const onSearch = (e) => {
+    e.preventDefault();
+    setFilters(prev => ({ ...prev, search: search.trim(), page: 1 }));
+  };
+
+  const setAccountActive = async (targetUser, active) => {
+    if (!active && !window.confirm(`Deactivate ${targetUser.email}? They will be signed out everywhere.`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`/api/admin/users/${targetUser.id}/${active ? 'reactivate' : 'deactivate'}`);
+      toast.success(response.data.message);
+      setUsers(prev => prev.map(u => (u.id === targetUser.id ? { ...u, ...response.data.user, lastActiveAt: u.lastActiveAt } : u)));
+      fetchMetrics();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update account');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner size="xl" className="min-h-96" />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Admin Console</h1>
+        <p className="text-gray-600">
+          Manage accounts and monitor usage. Only aggregate counts are shown - never mood, journal or activity content.
+        </p>
+      </div>
+
+      {/* Metrics */}
+      {metrics && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+            <StatCard
+              icon={Users}
+              label="Users"
+              value={metrics.users.total}
+              detail={`${metrics.users.newThisWeek} new this week · ${metrics.users.deactivated} deactivated`}
+            />
+            <StatCard
+              icon={UserCheck}
+              label="Active users (7 days)"
+              value={metrics.users.activeLastWeek}
+              detail={`${metrics.users.activeLastDay} today · ${metrics.users.activeLastMonth} this month`}
+            />
+            <StatCard
+              icon={Activity}
+              label="Mood entries"
+              value={metrics.records.moodEntries}
+              detail={`${metrics.records.moodEntriesThisWeek} this week · ${metrics.records.journalEntries} journal entries`}
+            />
+            <StatCard
+              icon={ShieldAlert}
+              label="Failed logins (24h)"
+              value={metrics.security.failedLoginsLastDay}
+              detail={`${metrics.security.lockedAccounts} accounts locked`}
+            />
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <Server className="h-5 w-5 text-gray-500 mr-2" />
+              System Health
+            </h2>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div>
+                <p className="text-gray-500">Status</p>
+                <p className={metrics.system.status === 'healthy' ? 'text-green-600 font-medium' : 'text-red-600 font-medium'}>
+                  {metrics.system.status}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">Uptime</p>
+                <p className="text-gray-900">
+                  {formatDistanceToNow(new Date(Date.now() - metrics.system.uptimeSeconds * 1000))}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">Memory</p>
+                <p className="text-gray-900">{metrics.system.memoryMb} MB</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Active sessions</p>
+                <p className="text-gray-900">{metrics.security.activeSessions}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Verified emails</p>
+                <p className="text-gray-900">{metrics.users.verified} / {metrics.users.total}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Two-factor enabled</p>
+                <p className="text-gray-900">{metrics.users.twoFactorEnabled}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Pending deletions</p>
+                <p className="text-gray-900">{metrics.users.pendingDeletions}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Queued exports</p>
+                <p className="text-gray-900">{metrics.system.queuedExports}</p>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Users */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4 space-y-4 md:space-y-0">
+          <h2 className="text-lg font-semibold text-gray-900">Users</h2>
+          <div className="flex space-x-3">
+            <form onSubmit={onSearch} className="relative">
+              <Search className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2" />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                className="input pl-9"
+                placeholder="Search name or email"
+              />
+            </form>
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value, page: 1 }))}
+              className="input"
+            >
+              <option value="">All accounts</option>
+              <option value="active">Active</option>
+              <option value="deactivated">Deactivated</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">User</th>
+                <th className="py-2 pr-4 font-medium">Role</th>
+                <th className="py-2 pr-4 font-medium">Status</th>
+                <th className="py-2 pr-4 font-medium">Joined</th>
+                <th className="py-2 pr-4 font-medium">Last active</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {users.map(u => (
+                <tr key={u.id}>
+                  <td className="py-3 pr-4">
+                    <p className="font-medium text-gray-900">{u.name}</p>
+                    <p className="text-gray-500">{u.email}</p>
+                  </td>
+                  <td className="py-3 pr-4 capitalize">{u.role}</td>
+                  <td className="py-3 pr-4">
+                    {u.isActive ? (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">Active</span>
+                    ) : (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">Deactivated</span>
+                    )}
+                    {u.lockedUntil && (
+                      <span className="ml-1 px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">Locked</span>
+                    )}
+                    {u.deletionScheduledFor && (
+                      <span className="ml-1 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-800">Deleting</span>
+                    )}
+                  </td>
+                  <td className="py-3 pr-4 text-gray-600">{format(new Date(u.createdAt), 'MMM d, yyyy')}</td>
+                  <td className="py-3 pr-4 text-gray-600">
+                    {u.lastActiveAt ? formatDistanceToNow(new Date(u.lastActiveAt), { addSuffix: true }) : 'Never'}
+                  </td>
+                  <td className="py-3 text-right">
+                    {u.id !== currentUser?.id && (
+                      u.isActive ? (
+                        <button onClick={() => setAccountActive(u, false)} className="btn btn-outline btn-sm text-red-600">
+                          Deactivate
+                        </button>
+                      ) : (
+                        <button onClick={() => setAccountActive(u, true)} className="btn btn-outline btn-sm">
+                          Reactivate
+                        </button>
+                      )
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {users.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-6">No users match your search.</p>
+          )}
+        </div>
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+            <span>
+              Page {pagination.currentPage} of {pagination.totalPages} · {pagination.totalUsers} users
+            </span>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setFilters(prev => ({ ...prev, page: prev.page - 1 }))}
+                disabled={!pagination.hasPrevPage}
+                className="btn btn-outline btn-sm"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setFilters(prev => ({ ...prev, page: prev.page + 1 }))}
+                disabled={!pagination.hasNextPage}
+                className="btn btn-outline btn-sm"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
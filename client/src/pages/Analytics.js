@@ -11,7 +11,10 @@ import {
   BookOpen,
   Activity,
   Target,
-  Award
+  Award,
+  ClipboardList,
+  Pill,
+  SlidersHorizontal
 } from 'lucide-react';
 import { 
   LineChart, 
@@ -27,11 +30,13 @@ import {
   Pie,
   Cell,
   BarChart,
-  Bar
+  Bar,
+  ReferenceLine
 } from 'recharts';
 import axios from 'axios';
 import { format, subDays, subWeeks, subMonths, subQuarters } from 'date-fns';
 import LoadingSpinner from '../components/LoadingSpinner';
+import { formatEmotion } from '../components/EmotionPicker';
 
 const Analytics = () => {
   const [analytics, setAnalytics] = useState(null);
@@ -39,6 +44,10 @@ const Analytics = () => {
   const [loading, setLoading] = useState(true);
   const [period, setPeriod] = useState('month');
   const [metric, setMetric] = useState('mood');
+  const [customMetrics, setCustomMetrics] = useState([]);
+  const [assessmentType, setAssessmentType] = useState('phq-9');
+  const [assessmentTrend, setAssessmentTrend] = useState(null);
+  const [symptomStats, setSymptomStats] = useState(null);
 
   useEffect(() => {
     fetchAnalytics();
@@ -48,6 +57,38 @@ const Analytics = () => {
     fetchTrends();
   }, [metric, period]);
 
+  useEffect(() => {
+    const fetchSymptomStats = async () => {
+      try {
+        const response = await axios.get(`/api/analytics/symptoms?period=${period}`);
+        setSymptomStats(response.data);
+      } catch (error) {
+        console.error('Error fetching symptom analytics:', error);
+      }
+    };
+
+    fetchSymptomStats();
+  }, [period]);
+
+  useEffect(() => {
+    axios.get('/api/metrics')
+      .then(response => setCustomMetrics(response.data.metrics))
+      .catch(error => console.error('Error fetching custom metrics:', error));
+  }, []);
+
+  useEffect(() => {
+    const fetchAssessmentTrend = async () => {
+      try {
+        const response = await axios.get(`/api/analytics/assessments?type=${assessmentType}&period=${period}`);
+        setAssessmentTrend(response.data);
+      } catch (error) {
+        console.error('Error fetching assessment trend:', error);
+      }
+    };
+
+    fetchAssessmentTrend();
+  }, [assessmentType, period]);
+
   const fetchAnalytics = async () => {
     try {
       const response = await axios.get(`/api/analytics/overview?period=${period}`);
@@ -85,7 +126,7 @@ const Analytics = () => {
       case 'stress': return 'Stress';
       case 'anxiety': return 'Anxiety';
       case 'sleep': return 'Sleep Hours';
-      default: return 'Mood';
+      default: return customMetrics.find(item => item._id === metric)?.name || 'Mood';
     }
   };
 
@@ -96,10 +137,45 @@ const Analytics = () => {
       case 'stress': return <AlertTriangle className="h-5 w-5" />;
       case 'anxiety': return <Heart className="h-5 w-5" />;
       case 'sleep': return <Moon className="h-5 w-5" />;
-      default: return <Heart className="h-5 w-5" />;
+      default: return customMetrics.some(item => item._id === metric)
+        ? <SlidersHorizontal className="h-5 w-5" />
+        : <Heart className="h-5 w-5" />;
+    }
+  };
+
+  // Built-in metrics are on a 1-10 scale; custom metrics use their own range
+  const getTrendDomain = (trends) => {
+    switch (trends.customMetric?.type) {
+      case 'scale': return [trends.customMetric.min, trends.customMetric.max];
+      case 'boolean': return [0, 1];
+      case 'count': return [0, 'auto'];
+      default: return [0, 10];
     }
   };
 
+  // A boolean's daily value is the share of check-ins answered yes
+  const formatTrendValue = (trends, value) => {
+    if (value === null) return 'No check-ins';
+    if (trends.customMetric?.type === 'boolean') return `${Math.round(value * 100)}% yes`;
+    return trends.customMetric?.unit ? `${value.toFixed(1)} ${trends.customMetric.unit}` : value.toFixed(1);
+  };
+
+  const MEDICATION_EVENT_STYLES = {
+    start: { color: '#10B981', label: 'Started' },
+    stop: { color: '#EF4444', label: 'Stopped' },
+    'dose-change': { color: '#F59E0B', label: 'Dose changed' }
+  };
+
+  // Trend points plus an empty point on any day with a medication event, so
+  // every event has a place on the date axis
+  const getTrendChartData = (trends) => {
+    const dates = new Set(trends.data.map(point => point.date));
+    const eventPoints = (trends.events || [])
+      .filter(event => !dates.has(event.date))
+      .map(event => ({ date: event.date, value: null }));
+    return [...trends.data, ...eventPoints].sort((a, b) => a.date.localeCompare(b.date));
+  };
+
   const getTrendIcon = (trend) => {
     switch (trend) {
       case 'increasing': return <TrendingUp className="h-4 w-4 text-green-500" />;
@@ -222,17 +298,21 @@ const Analytics = () => {
                 <div>
                   <p className="text-sm font-medium text-gray-600">Sleep Hours</p>
                   <p className="text-2xl font-bold text-gray-900">
-                    {analytics.moodAnalytics.averageSleep.toFixed(1)}h
+                    {analytics.moodAnalytics.averageSleep !== null ? `${analytics.moodAnalytics.averageSleep.toFixed(1)}h` : '—'}
                   </p>
                 </div>
                 <Moon className="h-8 w-8 text-blue-500" />
               </div>
-              <div className="mt-2 flex items-center text-sm">
-                {getTrendIcon(analytics.moodAnalytics.averageSleep >= 7 ? 'increasing' : 'decreasing')}
-                <span className={`ml-1 ${analytics.moodAnalytics.averageSleep >= 7 ? 'text-green-600' : 'text-red-600'}`}>
-                  {analytics.moodAnalytics.averageSleep >= 7 ? 'Adequate' : 'Insufficient'}
-                </span>
-              </div>
+              {analytics.moodAnalytics.averageSleep !== null ? (
+                <div className="mt-2 flex items-center text-sm">
+                  {getTrendIcon(analytics.moodAnalytics.averageSleep >= 7 ? 'increasing' : 'decreasing')}
+                  <span className={`ml-1 ${analytics.moodAnalytics.averageSleep >= 7 ? 'text-green-600' : 'text-red-600'}`}>
+                    {analytics.moodAnalytics.averageSleep >= 7 ? 'Adequate' : 'Insufficient'}
+                  </span>
+                </div>
+              ) : (
+                <p className="mt-2 text-sm text-gray-500">No sleep logged</p>
+              )}
             </div>
           </div>
 
@@ -266,7 +346,7 @@ const Analytics = () => {
             </div>
 
             <div className="bg-white rounded-lg shadow-sm p-6">
-              <h3 className="text-lg font-semibold text-gray-900 mb-4">Activity Categories</h3>
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Activities Logged by Category</h3>
               <ResponsiveContainer width="100%" height={300}>
                 <BarChart data={Object.entries(analytics.activityAnalytics.categoryDistribution).map(([category, count]) => ({
                   name: category.charAt(0).toUpperCase() + category.slice(1),
@@ -291,44 +371,251 @@ const Analytics = () => {
                 <select
                   value={metric}
                   onChange={(e) => setMetric(e.target.value)}
-                  className="input w-32"
+                  className="input w-40"
                 >
                   <option value="mood">Mood</option>
                   <option value="energy">Energy</option>
                   <option value="stress">Stress</option>
                   <option value="anxiety">Anxiety</option>
                   <option value="sleep">Sleep</option>
+                  {customMetrics.length > 0 && (
+                    <optgroup label="Your metrics">
+                      {customMetrics.map(item => (
+                        <option key={item._id} value={item._id}>{item.name}</option>
+                      ))}
+                    </optgroup>
+                  )}
                 </select>
               </div>
             </div>
             
             {trends && trends.data.length > 0 ? (
-              <ResponsiveContainer width="100%" height={400}>
-                <LineChart data={trends.data}>
+              <>
+                <ResponsiveContainer width="100%" height={400}>
+                  <LineChart data={getTrendChartData(trends)}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis 
+                      dataKey="date" 
+                      tickFormatter={(value) => format(new Date(value), 'MMM d')}
+                    />
+                    <YAxis domain={getTrendDomain(trends)} />
+                    <Tooltip 
+                      labelFormatter={(value) => format(new Date(value), 'MMMM d, yyyy')}
+                      formatter={(value) => [formatTrendValue(trends, value), getMetricLabel(metric)]}
+                    />
+                    {(trends.events || []).map(event => (
+                      <ReferenceLine
+                        key={`${event.medication}-${event.type}-${event.date}`}
+                        x={event.date}
+                        stroke={MEDICATION_EVENT_STYLES[event.type].color}
+                        strokeDasharray="4 4"
+                        label={{ value: event.name, position: 'insideTopLeft', fontSize: 11, fill: MEDICATION_EVENT_STYLES[event.type].color }}
+                      />
+                    ))}
+                    <Line 
+                      type="monotone" 
+                      dataKey="value" 
+                      stroke="#3B82F6" 
+                      strokeWidth={2}
+                      dot={{ fill: '#3B82F6', strokeWidth: 2, r: 4 }}
+                      connectNulls
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+                {trends.events?.length > 0 && (
+                  <div className="mt-4 flex flex-wrap gap-x-6 gap-y-2 text-sm">
+                    {trends.events.map(event => (
+                      <span key={`${event.medication}-${event.type}-${event.date}`} className="flex items-center text-gray-700">
+                        <Pill className="h-4 w-4 mr-1" style={{ color: MEDICATION_EVENT_STYLES[event.type].color }} />
+                        {format(new Date(`${event.date}T12:00:00`), 'MMM d')}: {MEDICATION_EVENT_STYLES[event.type].label} {event.name} {event.dose}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </>
+            ) : (
+              <div className="text-center py-12">
+                <BarChart3 className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                <h3 className="text-lg font-medium text-gray-900 mb-2">No data available</h3>
+                <p className="text-gray-500">Start tracking your {getMetricLabel(metric).toLowerCase()} to see trends</p>
+              </div>
+            )}
+          </div>
+
+          {/* Emotions */}
+          {analytics.emotionAnalytics && analytics.emotionAnalytics.topEmotions.length > 0 && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Most Frequent Emotions</h3>
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart
+                    data={analytics.emotionAnalytics.topEmotions.map(emotion => ({ ...emotion, label: formatEmotion(emotion.name) }))}
+                    layout="vertical"
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" allowDecimals={false} />
+                    <YAxis type="category" dataKey="label" width={100} />
+                    <Tooltip
+                      formatter={(value, name, item) => [
+                        `${value} times, average intensity ${item.payload.averageIntensity.toFixed(1)}/5`,
+                        'Tagged'
+                      ]}
+                    />
+                    <Bar dataKey="count" fill="#8B5CF6" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Emotions on Low-Mood Days</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  How often each emotion falls on a day when your average mood was sad or lower
+                  ({analytics.emotionAnalytics.lowMoodDays} low-mood day{analytics.emotionAnalytics.lowMoodDays === 1 ? '' : 's'} in this period).
+                </p>
+                {analytics.emotionAnalytics.lowMoodEmotions.length > 0 ? (
+                  <div className="space-y-3">
+                    {analytics.emotionAnalytics.lowMoodEmotions.map(emotion => (
+                      <div key={emotion.name}>
+                        <div className="flex justify-between text-sm mb-1">
+                          <span className="font-medium text-gray-900">{formatEmotion(emotion.name)}</span>
+                          <span className="text-gray-600">
+                            {emotion.lowMoodDays} of {emotion.checkedInDays} days
+                          </span>
+                        </div>
+                        <div className="h-2 bg-gray-100 rounded-full">
+                          <div
+                            className="h-2 bg-red-400 rounded-full"
+                            style={{ width: `${Math.round(emotion.lowMoodRate * 100)}%` }}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500">None of your tagged emotions fell on a low-mood day in this period.</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Symptoms */}
+          {symptomStats && symptomStats.symptoms.length > 0 && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Symptom Frequency</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Share of the {symptomStats.checkedInDays} day{symptomStats.checkedInDays === 1 ? '' : 's'} you checked in on that each symptom came up.
+                </p>
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart
+                    data={symptomStats.symptoms.slice(0, 10).map(symptom => ({ ...symptom, percent: Math.round(symptom.frequency * 100) }))}
+                    layout="vertical"
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
+                    <YAxis type="category" dataKey="name" width={130} />
+                    <Tooltip
+                      formatter={(value, name, item) => [
+                        `${item.payload.days} days (${value}%), average severity ${item.payload.averageSeverity.toFixed(1)}/3`,
+                        'Reported'
+                      ]}
+                    />
+                    <Bar dataKey="percent" fill="#F59E0B" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Symptoms on Low-Mood Days</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  How often each symptom falls on a day when your average mood was sad or lower.
+                  {symptomStats.baselineLowMoodRate !== null && (
+                    ` Overall, ${Math.round(symptomStats.baselineLowMoodRate * 100)}% of your days were low-mood days.`
+                  )}
+                </p>
+                {symptomStats.lowMoodSymptoms.length > 0 ? (
+                  <div className="space-y-3">
+                    {symptomStats.lowMoodSymptoms.map(symptom => (
+                      <div key={symptom.symptom}>
+                        <div className="flex justify-between text-sm mb-1">
+                          <span className="font-medium text-gray-900">{symptom.name}</span>
+                          <span className="text-gray-600">
+                            {symptom.lowMoodDays} of {symptom.days} days
+                          </span>
+                        </div>
+                        <div className="h-2 bg-gray-100 rounded-full">
+                          <div
+                            className="h-2 bg-red-400 rounded-full"
+                            style={{ width: `${Math.round(symptom.lowMoodRate * 100)}%` }}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500">None of your symptoms fell on a low-mood day in this period.</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Questionnaire Scores */}
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                <ClipboardList className="h-5 w-5 text-primary-600 mr-2" />
+                Questionnaire Scores
+              </h3>
+              <select
+                value={assessmentType}
+                onChange={(e) => setAssessmentType(e.target.value)}
+                className="input w-32"
+              >
+                <option value="phq-9">PHQ-9</option>
+                <option value="gad-7">GAD-7</option>
+              </select>
+            </div>
+
+            {assessmentTrend && assessmentTrend.data.length > 0 ? (
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={assessmentTrend.data}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis 
-                    dataKey="date" 
+                  <XAxis
+                    dataKey="date"
                     tickFormatter={(value) => format(new Date(value), 'MMM d')}
                   />
-                  <YAxis domain={[0, 10]} />
-                  <Tooltip 
+                  <YAxis domain={[0, assessmentTrend.maxScore]} />
+                  {/* Lower edge of each severity band above minimal */}
+                  {assessmentTrend.bands.slice(1).map(band => (
+                    <ReferenceLine
+                      key={band.severity}
+                      y={band.min}
+                      stroke="#D1D5DB"
+                      strokeDasharray="4 4"
+                      label={{ value: band.label, position: 'insideTopRight', fontSize: 11, fill: '#6B7280' }}
+                    />
+                  ))}
+                  <Tooltip
                     labelFormatter={(value) => format(new Date(value), 'MMMM d, yyyy')}
-                    formatter={(value) => [value.toFixed(1), getMetricLabel(metric)]}
+                    formatter={(value, name, item) => [
+                      `${value} (${assessmentTrend.bands.find(band => band.severity === item.payload.severity)?.label})`,
+                      assessmentTrend.name
+                    ]}
                   />
-                  <Line 
-                    type="monotone" 
-                    dataKey="value" 
-                    stroke="#3B82F6" 
+                  <Line
+                    type="monotone"
+                    dataKey="score"
+                    stroke="#8B5CF6"
                     strokeWidth={2}
-                    dot={{ fill: '#3B82F6', strokeWidth: 2, r: 4 }}
+                    dot={{ fill: '#8B5CF6', strokeWidth: 2, r: 4 }}
                   />
                 </LineChart>
               </ResponsiveContainer>
             ) : (
               <div className="text-center py-12">
-                <BarChart3 className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-                <h3 className="text-lg font-medium text-gray-900 mb-2">No data available</h3>
-                <p className="text-gray-500">Start tracking your {getMetricLabel(metric).toLowerCase()} to see trends</p>
+                <ClipboardList className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                <h3 className="text-lg font-medium text-gray-900 mb-2">No results in this period</h3>
+                <p className="text-gray-500">Complete a questionnaire to start tracking your scores</p>
               </div>
             )}
           </div>
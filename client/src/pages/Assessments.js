@@ -0,0 +1,314 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { ClipboardList, Bell, BellOff, Trash2, X } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import CrisisSupport from '../components/CrisisSupport';
+
+export const SEVERITY_STYLES = {
+  minimal: 'bg-green-100 text-green-800',
+  mild: 'bg-yellow-100 text-yellow-800',
+  moderate: 'bg-orange-100 text-orange-800',
+  'moderately-severe': 'bg-red-100 text-red-800',
+  severe: 'bg-red-200 text-red-900'
+};
+
+const INTERVAL_CHOICES = [7, 14, 28, 30, 60, 90];
+
+const getBandLabel = (definition, severity) => {
+  return definition?.bands.find(band => band.severity === severity)?.label || severity;
+};
+
+const Assessments = () => {
+  const [definitions, setDefinitions] = useState([]);
+  const [schedule, setSchedule] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [active, setActive] = useState(null);
+  const [responses, setResponses] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [crisisSupport, setCrisisSupport] = useState(null);
+
+  useEffect(() => {
+    fetchAssessments();
+  }, []);
+
+  const fetchAssessments = async () => {
+    try {
+      const [definitionsResponse, scheduleResponse, historyResponse] = await Promise.all([
+        axios.get('/api/assessments/definitions'),
+        axios.get('/api/assessments/schedule'),
+        axios.get('/api/assessments?limit=20')
+      ]);
+      setDefinitions(definitionsResponse.data.definitions);
+      setSchedule(scheduleResponse.data.schedule);
+      setHistory(historyResponse.data.assessments);
+    } catch (error) {
+      console.error('Error fetching assessments:', error);
+      toast.error('Failed to load questionnaires');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const definitionFor = (type) => definitions.find(definition => definition.type === type);
+
+  const startAssessment = (definition) => {
+    setActive(definition);
+    setResponses(new Array(definition.items.length).fill(null));
+    setResult(null);
+  };
+
+  const answer = (index, value) => {
+    setResponses(prev => prev.map((current, i) => (i === index ? value : current)));
+  };
+
+  const submitAssessment = async () => {
+    setSubmitting(true);
+    try {
+      const response = await axios.post('/api/assessments', { type: active.type, responses });
+      setResult(response.data.assessment);
+      setHistory(prev => [response.data.assessment, ...prev]);
+      if (response.data.crisisSupport) {
+        setCrisisSupport(response.data.crisisSupport);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+      }
+      setActive(null);
+
+      const scheduleResponse = await axios.get('/api/assessments/schedule');
+      setSchedule(scheduleResponse.data.schedule);
+    } catch (error) {
+      console.error('Error saving assessment:', error);
+      toast.error(error.response?.data?.message || 'Failed to save questionnaire');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const updateSchedule = async (type, enabled, intervalDays) => {
+    try {
+      const response = await axios.put(`/api/assessments/schedule/${type}`, { enabled, intervalDays });
+      setSchedule(response.data.schedule);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error updating schedule:', error);
+      toast.error(error.response?.data?.message || 'Failed to update reminders');
+    }
+  };
+
+  const deleteAssessment = async (id) => {
+    if (!window.confirm('Delete this result? This cannot be undone.')) return;
+
+    try {
+      await axios.delete(`/api/assessments/${id}`);
+      setHistory(prev => prev.filter(assessment => assessment._id !== id));
+      toast.success('Result deleted');
+    } catch (error) {
+      console.error('Error deleting assessment:', error);
+      toast.error('Failed to delete result');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner size="lg" className="min-h-96" />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <ClipboardList className="h-6 w-6 text-primary-600 mr-3" />
+          Questionnaires
+        </h1>
+        <p className="text-gray-600 mt-1">
+          Standard screening questionnaires your clinician will recognise. They are not a diagnosis.
+        </p>
+      </div>
+
+      {crisisSupport && (
+        <CrisisSupport support={crisisSupport} onDismiss={() => setCrisisSupport(null)} />
+      )}
+
+      {/* Result of the questionnaire just completed */}
+      {result && (
+        <div className="bg-white rounded-lg shadow-sm p-6 flex items-center justify-between">
+          <div>
+            <p className="text-sm text-gray-600">{definitionFor(result.type)?.name} score</p>
+            <p className="text-3xl font-bold text-gray-900">
+              {result.totalScore}
+              <span className="text-base font-normal text-gray-500"> / {definitionFor(result.type)?.maxScore}</span>
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            <span className={`px-3 py-1 rounded-full text-sm font-medium ${SEVERITY_STYLES[result.severity]}`}>
+              {getBandLabel(definitionFor(result.type), result.severity)}
+            </span>
+            <button onClick={() => setResult(null)} className="btn btn-ghost btn-sm" title="Dismiss">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {active ? (
+        /* Questionnaire */
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex items-start justify-between mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">{active.name}</h2>
+              <p className="text-sm text-gray-600">{active.prompt}</p>
+            </div>
+            <button onClick={() => setActive(null)} className="btn btn-ghost btn-sm" title="Cancel">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+
+          <ol className="space-y-5">
+            {active.items.map((item, index) => (
+              <li key={item}>
+                <p className="text-sm font-medium text-gray-900 mb-2">{index + 1}. {item}</p>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                  {active.options.map(option => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      onClick={() => answer(index, option.value)}
+                      className={`p-2 rounded-lg border-2 text-sm transition-all ${
+                        responses[index] === option.value
+                          ? 'border-primary-500 bg-primary-50 text-primary-700'
+                          : 'border-gray-200 hover:border-gray-300 text-gray-700'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ol>
+
+          <div className="flex justify-end mt-6">
+            <button
+              onClick={submitAssessment}
+              disabled={submitting || responses.some(value => value === null)}
+              className="btn btn-primary btn-md"
+            >
+              {submitting ? <LoadingSpinner size="sm" /> : 'Submit'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        /* Available questionnaires */
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {definitions.map(definition => {
+            const status = schedule.find(item => item.type === definition.type);
+            const last = history.find(assessment => assessment.type === definition.type);
+
+            return (
+              <div key={definition.type} className="bg-white rounded-lg shadow-sm p-6 flex flex-col">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-900">{definition.name}</h2>
+                    <p className="text-sm text-gray-600">{definition.title}</p>
+                  </div>
+                  {status?.isDue && (
+                    <span className="px-2 py-1 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
+                      Due
+                    </span>
+                  )}
+                </div>
+
+                <p className="text-sm text-gray-600 mt-3">
+                  {last
+                    ? `Last score ${last.totalScore} (${getBandLabel(definition, last.severity)}) on ${format(new Date(last.completedAt), 'MMM d, yyyy')}`
+                    : 'Not taken yet'}
+                </p>
+
+                <div className="flex items-center gap-2 mt-4 text-sm">
+                  {status ? (
+                    <>
+                      <Bell className="h-4 w-4 text-primary-600" />
+                      <span className="text-gray-700">Every</span>
+                      <select
+                        value={status.intervalDays}
+                        onChange={(e) => updateSchedule(definition.type, true, parseInt(e.target.value, 10))}
+                        className="input w-24"
+                      >
+                        {INTERVAL_CHOICES.map(days => (
+                          <option key={days} value={days}>{days} days</option>
+                        ))}
+                      </select>
+                      <span className="text-gray-500">
+                        {status.isDue ? '' : `· next ${format(new Date(status.nextDueAt), 'MMM d')}`}
+                      </span>
+                      <button
+                        onClick={() => updateSchedule(definition.type, false)}
+                        className="btn btn-ghost btn-sm ml-auto"
+                        title="Turn off reminders"
+                      >
+                        <BellOff className="h-4 w-4" />
+                      </button>
+                    </>
+                  ) : (
+                    <button onClick={() => updateSchedule(definition.type, true, 14)} className="btn btn-ghost btn-sm">
+                      <Bell className="h-4 w-4 mr-2" />
+                      Remind me every two weeks
+                    </button>
+                  )}
+                </div>
+
+                <button onClick={() => startAssessment(definition)} className="btn btn-primary btn-md mt-4 self-start">
+                  Start {definition.name}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* History */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Recent results</h2>
+        {history.length === 0 ? (
+          <p className="text-sm text-gray-500">Completed questionnaires will appear here.</p>
+        ) : (
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {history.map(assessment => {
+              const definition = definitionFor(assessment.type);
+              return (
+                <div key={assessment._id} className="p-4 flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {definition?.name} · {assessment.totalScore}
+                      {definition && <span className="text-gray-500"> / {definition.maxScore}</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {format(new Date(assessment.completedAt), 'MMM d, yyyy h:mm a')}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${SEVERITY_STYLES[assessment.severity]}`}>
+                      {getBandLabel(definition, assessment.severity)}
+                    </span>
+                    <button
+                      onClick={() => deleteAssessment(assessment._id)}
+                      className="btn btn-ghost btn-sm text-red-600"
+                      title="Delete"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Assessments;
@@ -0,0 +1,295 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format, getDaysInMonth } from 'date-fns';
+import { CalendarDays, ChevronLeft, ChevronRight, BookOpen, Edit3 } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import MoodCalendar, { getMoodShade } from '../components/MoodCalendar';
+
+const MOOD_OPTIONS = {
+  'very-sad': { label: 'Very Sad', emoji: '😢' },
+  sad: { label: 'Sad', emoji: '😔' },
+  neutral: { label: 'Neutral', emoji: '😐' },
+  happy: { label: 'Happy', emoji: '😊' },
+  'very-happy': { label: 'Very Happy', emoji: '😄' }
+};
+
+const LEGEND = [
+  { score: 1, label: 'Very Sad' },
+  { score: 2, label: 'Sad' },
+  { score: 3, label: 'Neutral' },
+  { score: 4, label: 'Happy' },
+  { score: 5, label: 'Very Happy' }
+];
+
+const MONTHS = Array.from({ length: 12 }, (_, month) => month);
+
+// One row per day of the month, one column per month
+const YearInPixels = ({ year, days, selectedDate, todayKey, onSelect }) => (
+  <div className="overflow-x-auto">
+    <table className="mx-auto border-separate" style={{ borderSpacing: '3px' }}>
+      <thead>
+        <tr>
+          <th />
+          {MONTHS.map(month => (
+            <th key={month} className="text-xs font-medium text-gray-500 w-6">
+              {format(new Date(year, month, 1), 'MMMMM')}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {Array.from({ length: 31 }, (_, index) => index + 1).map(dayOfMonth => (
+          <tr key={dayOfMonth}>
+            <td className="text-xs text-gray-400 pr-1 text-right">{dayOfMonth}</td>
+            {MONTHS.map(month => {
+              if (dayOfMonth > getDaysInMonth(new Date(year, month, 1))) {
+                return <td key={month} />;
+              }
+
+              const dateKey = format(new Date(year, month, dayOfMonth), 'yyyy-MM-dd');
+              const summary = days[dateKey];
+              const isFuture = dateKey > todayKey;
+
+              return (
+                <td key={month}>
+                  <button
+                    type="button"
+                    onClick={() => onSelect(dateKey)}
+                    disabled={isFuture}
+                    title={summary?.checkIns
+                      ? `${format(new Date(year, month, dayOfMonth), 'MMM d')}: ${summary.checkIns} check-in${summary.checkIns === 1 ? '' : 's'}`
+                      : format(new Date(year, month, dayOfMonth), 'MMM d')}
+                    className={`block h-5 w-6 rounded-sm ${
+                      summary?.checkIns ? getMoodShade(summary.score) : 'bg-gray-100'
+                    } ${
+                      dateKey === selectedDate ? 'ring-2 ring-primary-500' : ''
+                    } ${
+                      isFuture ? 'opacity-40 cursor-not-allowed' : 'hover:opacity-80'
+                    }`}
+                  />
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const Calendar = () => {
+  const todayKey = format(new Date(), 'yyyy-MM-dd');
+  const [view, setView] = useState('year');
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [yearDays, setYearDays] = useState({});
+  const [loadingYear, setLoadingYear] = useState(true);
+  const [selectedDate, setSelectedDate] = useState(todayKey);
+  const [dayDetails, setDayDetails] = useState(null);
+  const [loadingDay, setLoadingDay] = useState(true);
+
+  useEffect(() => {
+    if (view !== 'year') return;
+
+    const fetchYear = async () => {
+      setLoadingYear(true);
+      try {
+        const response = await axios.get('/api/mood/calendar', {
+          params: { startDate: `${year}-01-01`, endDate: `${year}-12-31` }
+        });
+        setYearDays(Object.fromEntries(response.data.days.map(day => [day.date, day])));
+      } catch (error) {
+        console.error('Error fetching mood calendar:', error);
+        toast.error('Failed to load calendar');
+      } finally {
+        setLoadingYear(false);
+      }
+    };
+
+    fetchYear();
+  }, [view, year]);
+
+  useEffect(() => {
+    const fetchDay = async () => {
+      setLoadingDay(true);
+      try {
+        const [moodResponse, journalResponse] = await Promise.all([
+          axios.get(`/api/mood/day/${selectedDate}`),
+          axios.get(`/api/journal/day/${selectedDate}`)
+        ]);
+        setDayDetails({
+          moodEntries: moodResponse.data.moodEntries,
+          journalEntries: journalResponse.data.journalEntries
+        });
+      } catch (error) {
+        console.error('Error fetching day details:', error);
+        toast.error('Failed to load this day');
+      } finally {
+        setLoadingDay(false);
+      }
+    };
+
+    fetchDay();
+  }, [selectedDate]);
+
+  // Activities linked to any of the day's check-ins, without repeats
+  const dayActivities = dayDetails
+    ? [...new Map(dayDetails.moodEntries.flatMap(entry => entry.activities).map(activity => [activity._id, activity])).values()]
+    : [];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+              <CalendarDays className="h-6 w-6 text-primary-600 mr-3" />
+              Calendar
+            </h1>
+            <p className="text-gray-600 mt-1">Every day you've tracked, colored by your average mood.</p>
+          </div>
+          <div className="flex rounded-lg border border-gray-200 p-1">
+            {['month', 'year'].map(option => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                className={`btn btn-sm capitalize ${view === option ? 'btn-primary' : 'btn-ghost'}`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Calendar */}
+        <div className="bg-white rounded-lg shadow-sm p-6 lg:col-span-2">
+          {view === 'month' ? (
+            <MoodCalendar selectedDate={selectedDate} onSelect={setSelectedDate} />
+          ) : (
+            <>
+              <div className="flex items-center justify-between mb-4">
+                <button onClick={() => setYear(prev => prev - 1)} className="btn btn-ghost btn-sm" title="Previous year">
+                  <ChevronLeft className="h-4 w-4" />
+                </button>
+                <span className="text-sm font-medium text-gray-900">{year}</span>
+                <button
+                  onClick={() => setYear(prev => prev + 1)}
+                  disabled={year >= new Date().getFullYear()}
+                  className="btn btn-ghost btn-sm"
+                  title="Next year"
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </button>
+              </div>
+              {loadingYear ? (
+                <LoadingSpinner size="lg" className="min-h-96" />
+              ) : (
+                <YearInPixels
+                  year={year}
+                  days={yearDays}
+                  selectedDate={selectedDate}
+                  todayKey={todayKey}
+                  onSelect={setSelectedDate}
+                />
+              )}
+            </>
+          )}
+
+          <div className="flex flex-wrap items-center justify-center gap-3 mt-4 text-xs text-gray-600">
+            {LEGEND.map(item => (
+              <span key={item.score} className="flex items-center">
+                <span className={`inline-block h-3 w-3 rounded-sm mr-1 ${getMoodShade(item.score)}`} />
+                {item.label}
+              </span>
+            ))}
+            <span className="flex items-center">
+              <span className="inline-block h-3 w-3 rounded-sm mr-1 bg-gray-100" />
+              No check-ins
+            </span>
+          </div>
+        </div>
+
+        {/* Day details */}
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {format(new Date(`${selectedDate}T12:00:00`), 'EEEE, MMMM d, yyyy')}
+            </h2>
+            <Link to={`/mood?date=${selectedDate}`} className="btn btn-ghost btn-sm" title="Edit in Mood Tracker">
+              <Edit3 className="h-4 w-4" />
+            </Link>
+          </div>
+
+          {loadingDay ? (
+            <LoadingSpinner size="md" />
+          ) : (
+            <div className="space-y-6">
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 mb-2">Mood</h3>
+                {dayDetails?.moodEntries.length === 0 ? (
+                  <p className="text-sm text-gray-500">No check-ins on this day.</p>
+                ) : (
+                  <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                    {dayDetails?.moodEntries.map(entry => (
+                      <div key={entry._id} className="p-3">
+                        <p className="text-sm font-medium text-gray-900">
+                          <span className="mr-2">{MOOD_OPTIONS[entry.mood]?.emoji}</span>
+                          {MOOD_OPTIONS[entry.mood]?.label}
+                          <span className="ml-2 text-xs font-normal text-gray-500">
+                            {format(new Date(entry.date), 'h:mm a')}
+                          </span>
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          Energy {entry.energy}/10 · Stress {entry.stress}/10 · Anxiety {entry.anxiety}/10
+                        </p>
+                        {entry.notes && <p className="text-sm text-gray-700 mt-1">{entry.notes}</p>}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {dayActivities.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">Activities</h3>
+                  <div className="flex flex-wrap gap-2">
+                    {dayActivities.map(activity => (
+                      <span key={activity._id} className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-700">
+                        {activity.icon} {activity.name}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                  <BookOpen className="h-4 w-4 mr-1" />
+                  Journal
+                </h3>
+                {dayDetails?.journalEntries.length === 0 ? (
+                  <p className="text-sm text-gray-500">No journal entries on this day.</p>
+                ) : (
+                  <div className="space-y-3">
+                    {dayDetails?.journalEntries.map(entry => (
+                      <div key={entry._id} className="border border-gray-200 rounded-lg p-3">
+                        <p className="text-sm font-medium text-gray-900">{entry.title}</p>
+                        <p className="text-sm text-gray-600 line-clamp-3">{entry.content}</p>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Calendar;
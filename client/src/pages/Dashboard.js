@@ -10,16 +10,23 @@ import {
   Plus,
   Smile,
   Frown,
-  Meh
+  Meh,
+  Repeat,
+  CheckCircle2,
+  Circle
 } from 'lucide-react';
 import axios from 'axios';
+import toast from 'react-hot-toast';
 import { format, isToday } from 'date-fns';
 import LoadingSpinner from '../components/LoadingSpinner';
 
 const Dashboard = () => {
   const [todayMood, setTodayMood] = useState(null);
+  const [todayCheckIns, setTodayCheckIns] = useState(0);
   const [recentEntries, setRecentEntries] = useState([]);
   const [stats, setStats] = useState(null);
+  const [habits, setHabits] = useState([]);
+  const [habitDate, setHabitDate] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -28,15 +35,19 @@ const Dashboard = () => {
 
   const fetchDashboardData = async () => {
     try {
-      const [moodResponse, entriesResponse, statsResponse] = await Promise.all([
+      const [moodResponse, entriesResponse, statsResponse, habitsResponse] = await Promise.all([
         axios.get('/api/mood/today'),
         axios.get('/api/mood?limit=5'),
-        axios.get('/api/mood/stats?period=week')
+        axios.get('/api/mood/stats?period=week'),
+        axios.get('/api/habits')
       ]);
 
       setTodayMood(moodResponse.data.moodEntry);
+      setTodayCheckIns(moodResponse.data.moodEntries.length);
       setRecentEntries(entriesResponse.data.moodEntries);
       setStats(statsResponse.data.stats);
+      setHabits(habitsResponse.data.habits.filter(habit => habit.scheduled));
+      setHabitDate(habitsResponse.data.date);
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
     } finally {
@@ -44,6 +55,20 @@ const Dashboard = () => {
     }
   };
 
+  const toggleHabit = async (habit) => {
+    try {
+      const response = await axios.put(`/api/habits/${habit._id}/days/${habitDate}`, { completed: !habit.completed });
+      setHabits(habits.map(item => (
+        item._id === habit._id
+          ? { ...item, completed: response.data.completed, currentStreak: response.data.currentStreak }
+          : item
+      )));
+    } catch (error) {
+      console.error('Error updating habit:', error);
+      toast.error(error.response?.data?.message || 'Failed to update habit');
+    }
+  };
+
   const getMoodIcon = (mood) => {
     switch (mood) {
       case 'very-happy':
@@ -135,7 +160,8 @@ const Dashboard = () => {
                       {getMoodText(todayMood.mood)}
                     </p>
                     <p className="text-sm text-gray-500 mt-1">
-                      Last updated: {format(new Date(todayMood.updatedAt), 'h:mm a')}
+                      Latest check-in: {format(new Date(todayMood.date), 'h:mm a')}
+                      {todayCheckIns > 1 && ` · ${todayCheckIns} check-ins today`}
                     </p>
                   </div>
                 </div>
@@ -220,7 +246,7 @@ const Dashboard = () => {
                 <div className="flex justify-between">
                   <span className="text-sm text-gray-600">Avg Sleep</span>
                   <span className="text-sm font-medium text-gray-900">
-                    {stats.averageSleep.toFixed(1)}h
+                    {stats.averageSleep !== null ? `${stats.averageSleep.toFixed(1)}h` : '—'}
                   </span>
                 </div>
               </div>
@@ -229,6 +255,49 @@ const Dashboard = () => {
             )}
           </div>
 
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Today's Habits</h3>
+              <Link
+                to="/habits"
+                className="text-sm text-primary-600 hover:text-primary-500"
+              >
+                View all
+              </Link>
+            </div>
+            {habits.length > 0 ? (
+              <div className="space-y-2">
+                {habits.map(habit => (
+                  <button
+                    key={habit._id}
+                    type="button"
+                    onClick={() => toggleHabit(habit)}
+                    className="w-full flex items-center justify-between p-3 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    <span className="flex items-center text-sm font-medium">
+                      {habit.completed ? (
+                        <CheckCircle2 className="h-5 w-5 text-green-500 mr-3" />
+                      ) : (
+                        <Circle className="h-5 w-5 text-gray-300 mr-3" />
+                      )}
+                      <span className={habit.completed ? 'text-gray-500 line-through' : 'text-gray-900'}>
+                        {habit.icon} {habit.name}
+                      </span>
+                    </span>
+                    {habit.currentStreak > 0 && (
+                      <span className="text-xs text-orange-600">🔥 {habit.currentStreak}</span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <div className="text-center py-4">
+                <Repeat className="h-8 w-8 text-gray-400 mx-auto mb-2" />
+                <p className="text-sm text-gray-500">No habits scheduled today</p>
+              </div>
+            )}
+          </div>
+
           <div className="bg-white rounded-lg shadow-sm p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h3>
             <div className="space-y-2">
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { Heart, Mail } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const ForgotPassword = () => {
+  const [submitted, setSubmitted] = useState(false);
+  const { forgotPassword } = useAuth();
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting }
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    const result = await forgotPassword(data.email);
+    if (result.success) {
+      setSubmitted(true);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 bg-primary-600 rounded-full flex items-center justify-center">
+            <Heart className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Forgot your password?
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter your email and we'll send you a link to reset it
+          </p>
+        </div>
+
+        {submitted ? (
+          <div className="card p-6 text-center space-y-4">
+            <Mail className="h-10 w-10 text-primary-600 mx-auto" />
+            <p className="text-sm text-gray-700">
+              If an account exists for that email, a reset link is on its way.
+              The link expires soon and can only be used once.
+            </p>
+            <Link
+              to="/login"
+              className="font-medium text-primary-600 hover:text-primary-500 text-sm"
+            >
+              Back to sign in
+            </Link>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            {/* Email */}
+            <div>
+              <label htmlFor="email" className="label">
+                Email address
+              </label>
+              <input
+                {...register('email', {
+                  required: 'Email is required',
+                  pattern: {
+                    value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                    message: 'Invalid email address'
+                  }
+                })}
+                type="email"
+                autoComplete="email"
+                className={`input ${errors.email ? 'border-red-300 focus:ring-red-500' : ''}`}
+                placeholder="Enter your email"
+              />
+              {errors.email && (
+                <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+              )}
+            </div>
+
+            {/* Submit button */}
+            <div>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="btn btn-primary btn-lg w-full"
+              >
+                {isSubmitting ? (
+                  <LoadingSpinner size="sm" className="mr-2" />
+                ) : null}
+                {isSubmitting ? 'Sending...' : 'Send reset link'}
+              </button>
+            </div>
+
+            <div className="text-center">
+              <Link
+                to="/login"
+                className="font-medium text-primary-600 hover:text-primary-500 text-sm"
+              >
+                Back to sign in
+              </Link>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,414 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useForm } from 'react-hook-form';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Target, Plus, X, Trash2, Archive, ArchiveRestore, CheckCircle, Circle } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const GOAL_TYPES = [
+  { value: 'activity-count', label: 'Do an activity' },
+  { value: 'journal-count', label: 'Write journal entries' },
+  { value: 'sleep-average', label: 'Average sleep' },
+  { value: 'mood-average', label: 'Average a check-in metric' }
+];
+
+const METRICS = {
+  mood: { label: 'Mood', max: 5 },
+  energy: { label: 'Energy', max: 10 },
+  stress: { label: 'Stress', max: 10 },
+  anxiety: { label: 'Anxiety', max: 10 }
+};
+
+const CATEGORIES = [
+  'exercise', 'meditation', 'reading', 'music', 'art', 'cooking',
+  'social', 'nature', 'hobby', 'work', 'study', 'relaxation',
+  'sports', 'gaming', 'travel', 'volunteer', 'other'
+];
+
+const STATUS_STYLES = {
+  completed: { label: 'Completed', stroke: '#10B981', badge: 'bg-green-100 text-green-800' },
+  'on-track': { label: 'On track', stroke: '#3B82F6', badge: 'bg-blue-100 text-blue-800' },
+  'at-risk': { label: 'At risk', stroke: '#F97316', badge: 'bg-orange-100 text-orange-800' },
+  'no-data': { label: 'No data yet', stroke: '#D1D5DB', badge: 'bg-gray-100 text-gray-700' }
+};
+
+const DEFAULT_VALUES = {
+  title: '',
+  type: 'activity-count',
+  period: 'week',
+  target: '',
+  activity: '',
+  category: '',
+  metric: 'mood',
+  comparison: 'at-least'
+};
+
+const isCountGoal = (goal) => goal.type === 'activity-count' || goal.type === 'journal-count';
+
+const formatDateKey = (dateKey) => format(new Date(`${dateKey}T12:00:00`), 'MMM d');
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// The goal's target in words, e.g. "Meditation: at least 4 times a week"
+const describeTarget = (goal) => {
+  const bound = goal.comparison === 'at-most' ? 'At most' : 'At least';
+  switch (goal.type) {
+    case 'activity-count': {
+      const what = goal.activityDeleted
+        ? 'A deleted activity'
+        : goal.activity?.name || (goal.category ? `any ${goal.category} activity` : 'any activity');
+      return `${what}: ${bound.toLowerCase()} ${goal.target} times a ${goal.period}`;
+    }
+    case 'journal-count':
+      return `${bound} ${goal.target} journal entries a ${goal.period}`;
+    case 'sleep-average':
+      return `${bound} ${goal.target}h of sleep a night, on average over the ${goal.period}`;
+    case 'mood-average':
+      return `${METRICS[goal.metric].label} ${bound.toLowerCase()} ${goal.target}/${METRICS[goal.metric].max}, on average over the ${goal.period}`;
+    default:
+      return '';
+  }
+};
+
+const formatCurrent = (goal, current) => {
+  if (current === null) return '—';
+  if (isCountGoal(goal)) return `${current}/${goal.target}`;
+  if (goal.type === 'sleep-average') return `${current}h`;
+  return `${current}/${METRICS[goal.metric].max}`;
+};
+
+const ProgressRing = ({ percent, status, children }) => {
+  const radius = 36;
+  const circumference = 2 * Math.PI * radius;
+  return (
+    <div className="relative h-24 w-24 flex-shrink-0">
+      <svg className="h-24 w-24 -rotate-90" viewBox="0 0 88 88">
+        <circle cx="44" cy="44" r={radius} fill="none" stroke="#E5E7EB" strokeWidth="8" />
+        <circle
+          cx="44"
+          cy="44"
+          r={radius}
+          fill="none"
+          stroke={STATUS_STYLES[status].stroke}
+          strokeWidth="8"
+          strokeLinecap="round"
+          strokeDasharray={circumference}
+          strokeDashoffset={circumference * (1 - percent / 100)}
+        />
+      </svg>
+      <div className="absolute inset-0 flex items-center justify-center text-sm font-semibold text-gray-900">
+        {children}
+      </div>
+    </div>
+  );
+};
+
+const Goals = () => {
+  const [goals, setGoals] = useState([]);
+  const [activities, setActivities] = useState([]);
+  const [status, setStatus] = useState('active');
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    setValue,
+    formState: { errors, isSubmitting }
+  } = useForm({ defaultValues: DEFAULT_VALUES });
+
+  const type = watch('type');
+  const metric = watch('metric');
+
+  const fetchGoals = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/goals?status=${status}`);
+      setGoals(response.data.goals);
+    } catch (error) {
+      console.error('Error fetching goals:', error);
+      toast.error('Failed to load goals');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchGoals();
+  }, [fetchGoals]);
+
+  // Stress and anxiety goals are usually about keeping them down
+  useEffect(() => {
+    setValue('comparison', metric === 'stress' || metric === 'anxiety' ? 'at-most' : 'at-least');
+  }, [metric, setValue]);
+
+  useEffect(() => {
+    axios.get('/api/activities?isActive=true&limit=100')
+      .then(response => setActivities(response.data.activities))
+      .catch(error => console.error('Error fetching activities:', error));
+  }, []);
+
+  const closeForm = () => {
+    setShowForm(false);
+    reset(DEFAULT_VALUES);
+  };
+
+  const onSubmit = async (data) => {
+    const goal = {
+      title: data.title,
+      type: data.type,
+      period: data.period,
+      target: Number(data.target)
+    };
+    if (data.type === 'activity-count') {
+      goal.activity = data.activity || null;
+      goal.category = data.activity ? null : data.category || null;
+    }
+    if (data.type === 'mood-average') goal.metric = data.metric;
+    if (!isCountGoal(data)) goal.comparison = data.comparison;
+
+    try {
+      await axios.post('/api/goals', goal);
+      toast.success('Goal created');
+      closeForm();
+      fetchGoals();
+    } catch (error) {
+      console.error('Error creating goal:', error);
+      toast.error(error.response?.data?.message || 'Failed to create goal');
+    }
+  };
+
+  const setActive = async (goal, isActive) => {
+    try {
+      await axios.put(`/api/goals/${goal._id}`, { isActive });
+      toast.success(isActive ? 'Goal restored' : 'Goal archived');
+      fetchGoals();
+    } catch (error) {
+      console.error('Error updating goal:', error);
+      toast.error(error.response?.data?.message || 'Failed to update goal');
+    }
+  };
+
+  const deleteGoal = async (goal) => {
+    if (!window.confirm(`Delete the goal "${goal.title}"?`)) return;
+
+    try {
+      await axios.delete(`/api/goals/${goal._id}`);
+      setGoals(prev => prev.filter(item => item._id !== goal._id));
+      toast.success('Goal deleted');
+    } catch (error) {
+      console.error('Error deleting goal:', error);
+      toast.error('Failed to delete goal');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner size="lg" className="min-h-96" />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+              <Target className="h-6 w-6 text-primary-600 mr-3" />
+              Goals
+            </h1>
+            <p className="text-gray-600 mt-1">Set targets for each week, month or quarter. Progress updates from what you log.</p>
+          </div>
+          <div className="flex items-center gap-3">
+            <select value={status} onChange={(e) => setStatus(e.target.value)} className="input w-36">
+              <option value="active">Active</option>
+              <option value="archived">Archived</option>
+            </select>
+            <button onClick={() => setShowForm(true)} className="btn btn-primary btn-md">
+              <Plus className="h-4 w-4 mr-2" />
+              New goal
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* New goal form */}
+      {showForm && (
+        <form onSubmit={handleSubmit(onSubmit)} className="bg-white rounded-lg shadow-sm p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">New goal</h2>
+            <button type="button" onClick={closeForm} className="btn btn-ghost btn-sm" title="Cancel">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+
+          <div>
+            <label className="label">Title</label>
+            <input
+              {...register('title', { required: 'Title is required' })}
+              className="input"
+              placeholder="e.g. Meditate 4 times a week"
+            />
+            {errors.title && <p className="mt-1 text-sm text-red-600">{errors.title.message}</p>}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="label">Goal</label>
+              <select {...register('type')} className="input">
+                {GOAL_TYPES.map(goalType => (
+                  <option key={goalType.value} value={goalType.value}>{goalType.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Every</label>
+              <select {...register('period')} className="input">
+                <option value="week">Week</option>
+                <option value="month">Month</option>
+                <option value="quarter">Quarter</option>
+              </select>
+            </div>
+            <div>
+              <label className="label">
+                {isCountGoal({ type }) ? 'Times' : type === 'sleep-average' ? 'Hours a night' : `${METRICS[metric].label} (1–${METRICS[metric].max})`}
+              </label>
+              <input
+                {...register('target', { required: 'Target is required' })}
+                type="number"
+                min={isCountGoal({ type }) ? 1 : 0}
+                step={isCountGoal({ type }) ? 1 : 0.1}
+                className="input"
+                placeholder={isCountGoal({ type }) ? '4' : type === 'sleep-average' ? '7.5' : '4'}
+              />
+              {errors.target && <p className="mt-1 text-sm text-red-600">{errors.target.message}</p>}
+            </div>
+          </div>
+
+          {type === 'activity-count' && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Activity</label>
+                <select {...register('activity')} className="input">
+                  <option value="">Any activity</option>
+                  {activities.map(activity => (
+                    <option key={activity._id} value={activity._id}>{activity.icon} {activity.name}</option>
+                  ))}
+                </select>
+              </div>
+              {!watch('activity') && (
+                <div>
+                  <label className="label">Category</label>
+                  <select {...register('category')} className="input">
+                    <option value="">Any category</option>
+                    {CATEGORIES.map(category => (
+                      <option key={category} value={category}>{capitalize(category)}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+          )}
+
+          {!isCountGoal({ type }) && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {type === 'mood-average' && (
+                <div>
+                  <label className="label">Metric</label>
+                  <select {...register('metric')} className="input">
+                    {Object.entries(METRICS).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div>
+                <label className="label">Average should be</label>
+                <select {...register('comparison')} className="input">
+                  <option value="at-least">At least the target</option>
+                  <option value="at-most">At most the target</option>
+                </select>
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <button type="submit" disabled={isSubmitting} className="btn btn-primary btn-md">
+              {isSubmitting ? <LoadingSpinner size="sm" /> : 'Save goal'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Goals */}
+      {goals.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+          <Target className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            {status === 'active' ? 'No goals yet' : 'No archived goals'}
+          </h3>
+          {status === 'active' && (
+            <p className="text-gray-500">Set a goal like "meditate 4 times a week" or "average 7.5h of sleep this month".</p>
+          )}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {goals.map(goal => {
+            const { progress } = goal;
+            const style = STATUS_STYLES[progress.status];
+            return (
+              <div key={goal._id} className="bg-white rounded-lg shadow-sm p-6">
+                <div className="flex items-start gap-4">
+                  <ProgressRing percent={progress.percent} status={progress.status}>
+                    {formatCurrent(goal, progress.current)}
+                  </ProgressRing>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-start justify-between">
+                      <h3 className="font-semibold text-gray-900">{goal.title}</h3>
+                      <div className="flex items-center">
+                        <button
+                          onClick={() => setActive(goal, !goal.isActive)}
+                          className="btn btn-ghost btn-sm"
+                          title={goal.isActive ? 'Archive' : 'Restore'}
+                        >
+                          {goal.isActive ? <Archive className="h-4 w-4" /> : <ArchiveRestore className="h-4 w-4" />}
+                        </button>
+                        <button onClick={() => deleteGoal(goal)} className="btn btn-ghost btn-sm text-red-600" title="Delete">
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </div>
+                    <p className="text-sm text-gray-600">{describeTarget(goal)}</p>
+                    <div className="mt-2 flex items-center gap-2 text-sm">
+                      <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${style.badge}`}>
+                        {style.label}
+                      </span>
+                      <span className="text-gray-500">
+                        {formatDateKey(progress.start)} – {formatDateKey(progress.end)}
+                        {!isCountGoal(goal) && progress.days > 0 && ` · ${progress.days} days logged`}
+                      </span>
+                    </div>
+                    <div className="mt-3 flex items-center gap-1" title="Previous periods, most recent last">
+                      <span className="text-xs text-gray-500 mr-1">Before:</span>
+                      {[...goal.history].reverse().map(past => (
+                        <span key={past.start} title={`${formatDateKey(past.start)} – ${formatDateKey(past.end)}: ${formatCurrent(goal, past.current)}`}>
+                          {past.met ? (
+                            <CheckCircle className="h-4 w-4 text-green-500" />
+                          ) : (
+                            <Circle className="h-4 w-4 text-gray-300" />
+                          )}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Goals;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Repeat, Flame, Trophy, ChevronLeft, ChevronRight, CheckCircle2, Circle } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const formatDateKey = (dateKey, pattern = 'MMM d') => format(new Date(`${dateKey}T12:00:00`), pattern);
+
+// Date key `days` after `dateKey`, computed in UTC so DST never skips a day
+const shiftDateKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const getRateColor = (rate) => {
+  if (rate === null) return 'bg-gray-200';
+  if (rate >= 80) return 'bg-green-500';
+  if (rate >= 50) return 'bg-yellow-500';
+  return 'bg-red-500';
+};
+
+// Completion rate of each of the last weeks as small bars, oldest first
+const WeeklyRates = ({ weekly }) => (
+  <div className="flex items-end gap-1 h-10">
+    {weekly.map(week => (
+      <div
+        key={week.weekStart}
+        title={week.rate === null
+          ? `Week of ${formatDateKey(week.weekStart)}: not scheduled`
+          : `Week of ${formatDateKey(week.weekStart)}: ${week.completed}/${week.scheduled} (${week.rate}%)`}
+        className={`w-3 rounded-sm ${getRateColor(week.rate)}`}
+        style={{ height: `${week.rate === null ? 8 : Math.max(week.rate, 8)}%` }}
+      />
+    ))}
+  </div>
+);
+
+const Habits = () => {
+  const [weekStart, setWeekStart] = useState(null);
+  const [schedule, setSchedule] = useState(null);
+  const [habits, setHabits] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+
+  useEffect(() => {
+    const fetchHabits = async () => {
+      try {
+        const [habitsResponse, scheduleResponse] = await Promise.all([
+          axios.get('/api/habits'),
+          axios.get('/api/habits/schedule', { params: weekStart ? { startDate: weekStart } : {} })
+        ]);
+        setHabits(habitsResponse.data.habits);
+        setSchedule(scheduleResponse.data);
+      } catch (error) {
+        console.error('Error fetching habits:', error);
+        toast.error('Failed to load habits');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHabits();
+  }, [weekStart]);
+
+  const toggleDay = async (habitId, date, completed) => {
+    setSaving(`${habitId}-${date}`);
+    try {
+      const response = await axios.put(`/api/habits/${habitId}/days/${date}`, { completed });
+      const { currentStreak, longestStreak, weekly } = response.data;
+      setHabits(habits.map(habit => (
+        habit._id === habitId
+          ? { ...habit, currentStreak, longestStreak, weekly, completed: date === schedule.today ? completed : habit.completed }
+          : habit
+      )));
+      setSchedule({
+        ...schedule,
+        days: schedule.days.map(day => (
+          day.date === date
+            ? { ...day, habits: day.habits.map(entry => (entry.activity === habitId ? { ...entry, completed } : entry)) }
+            : day
+        ))
+      });
+    } catch (error) {
+      console.error('Error updating habit:', error);
+      toast.error(error.response?.data?.message || 'Failed to update habit');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner size="xl" className="min-h-96" />;
+  }
+
+  const isThisWeek = schedule.today >= schedule.startDate && schedule.today <= schedule.endDate;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <Repeat className="h-6 w-6 text-green-500 mr-3" />
+          Habits
+        </h1>
+        <p className="text-gray-600 mt-1">
+          Your <Link to="/activities" className="text-primary-600 hover:underline">recurring activities</Link>, day by day. Check one off when you've done it.
+        </p>
+      </div>
+
+      {habits.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+          <Repeat className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No habits yet</h3>
+          <p className="text-gray-500">Mark an activity as recurring and pick its days to build a habit.</p>
+        </div>
+      ) : (
+        <>
+          {/* Week grid */}
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">
+                {formatDateKey(schedule.startDate)} – {formatDateKey(schedule.endDate, 'MMM d, yyyy')}
+              </h2>
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => setWeekStart(shiftDateKey(schedule.startDate, -7))}
+                  className="btn btn-ghost btn-sm"
+                  title="Previous week"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setWeekStart(null)}
+                  disabled={isThisWeek}
+                  className="btn btn-outline btn-sm"
+                >
+                  This week
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setWeekStart(shiftDateKey(schedule.startDate, 7))}
+                  disabled={isThisWeek}
+                  className="btn btn-ghost btn-sm"
+                  title="Next week"
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-xs font-medium text-gray-500 uppercase">
+                    <th className="text-left p-2">Habit</th>
+                    {schedule.days.map(day => (
+                      <th key={day.date} className={`p-2 text-center ${day.date === schedule.today ? 'text-primary-600' : ''}`}>
+                        {formatDateKey(day.date, 'EEE')}
+                        <span className="block font-normal normal-case">{formatDateKey(day.date, 'd')}</span>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {schedule.habits.map(habit => (
+                    <tr key={habit._id}>
+                      <td className="p-2 font-medium text-gray-900 whitespace-nowrap">
+                        <span className="mr-2">{habit.icon}</span>
+                        {habit.name}
+                      </td>
+                      {schedule.days.map(day => {
+                        const entry = day.habits.find(item => item.activity === habit._id);
+                        if (!entry) {
+                          return <td key={day.date} className="p-2 text-center text-gray-300">–</td>;
+                        }
+                        const isFuture = day.date > schedule.today;
+                        return (
+                          <td key={day.date} className="p-2 text-center">
+                            <button
+                              type="button"
+                              onClick={() => toggleDay(habit._id, day.date, !entry.completed)}
+                              disabled={isFuture || saving === `${habit._id}-${day.date}`}
+                              title={entry.completed ? 'Done – click to undo' : isFuture ? 'Scheduled' : 'Mark as done'}
+                              className="disabled:opacity-40"
+                            >
+                              {entry.completed ? (
+                                <CheckCircle2 className="h-6 w-6 text-green-500" />
+                              ) : (
+                                <Circle className="h-6 w-6 text-gray-300 hover:text-green-400" />
+                              )}
+                            </button>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Streaks and weekly completion */}
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Streaks</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Only scheduled days count. Bars show how many scheduled days you did each of the last {habits[0].weekly.length} weeks.
+            </p>
+            <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {habits.map(habit => {
+                const thisWeek = habit.weekly[habit.weekly.length - 1];
+                return (
+                  <div key={habit._id} className="flex items-center justify-between p-4">
+                    <div className="flex items-center">
+                      <span className="text-2xl mr-3">{habit.icon}</span>
+                      <div>
+                        <p className="font-medium text-gray-900">{habit.name}</p>
+                        <p className="text-sm text-gray-500">
+                          {habit.recurringDays.length === 0
+                            ? 'Every day'
+                            : habit.recurringDays.map(day => day.charAt(0).toUpperCase() + day.slice(1, 3)).join(', ')}
+                          {thisWeek.rate !== null && ` · ${thisWeek.completed}/${thisWeek.scheduled} this week`}
+                        </p>
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-6">
+                      <div className="text-center" title="Current streak">
+                        <Flame className={`h-5 w-5 mx-auto ${habit.currentStreak > 0 ? 'text-orange-500' : 'text-gray-300'}`} />
+                        <p className="text-sm font-semibold text-gray-900">{habit.currentStreak}</p>
+                      </div>
+                      <div className="text-center" title="Longest streak">
+                        <Trophy className="h-5 w-5 mx-auto text-yellow-500" />
+                        <p className="text-sm font-semibold text-gray-900">{habit.longestStreak}</p>
+                      </div>
+                      <WeeklyRates weekly={habit.weekly} />
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Habits;
@@ -13,12 +13,14 @@ import {
   Eye,
   EyeOff,
   Save,
-  X
+  X,
+  Share2
 } from 'lucide-react';
 import axios from 'axios';
 import { format, isToday, parseISO } from 'date-fns';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/LoadingSpinner';
+import EmotionPicker, { formatEmotion } from '../components/EmotionPicker';
 
 const Journal = () => {
   const [entries, setEntries] = useState([]);
@@ -44,7 +46,9 @@ const Journal = () => {
       content: '',
       mood: 'neutral',
       tags: [],
-      isPrivate: true
+      emotions: [],
+      isPrivate: true,
+      isShareable: false
     }
   });
 
@@ -135,7 +139,9 @@ const Journal = () => {
     setValue('content', entry.content);
     setValue('mood', entry.mood);
     setValue('tags', entry.tags || []);
+    setValue('emotions', entry.emotions || []);
     setValue('isPrivate', entry.isPrivate);
+    setValue('isShareable', entry.isShareable || false);
     setShowForm(true);
   };
 
@@ -303,6 +309,12 @@ const Journal = () => {
                       Private
                     </span>
                   )}
+                  {entry.isShareable && (
+                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                      <Share2 className="h-3 w-3 mr-1" />
+                      Shared
+                    </span>
+                  )}
                 </div>
                 <div className="flex items-center text-sm text-gray-500 space-x-4">
                   <span className="flex items-center">
@@ -338,6 +350,12 @@ const Journal = () => {
               </p>
             </div>
 
+            {entry.emotions?.length > 0 && (
+              <p className="mt-3 text-xs text-gray-500">
+                {entry.emotions.map(emotion => `${formatEmotion(emotion.name)} ${emotion.intensity}/5`).join(' · ')}
+              </p>
+            )}
+
             {entry.tags && entry.tags.length > 0 && (
               <div className="mt-4 flex flex-wrap gap-2">
                 {entry.tags.map(tag => (
@@ -463,6 +481,14 @@ const Journal = () => {
                   </p>
                 </div>
 
+                <div>
+                  <label className="label">Emotions</label>
+                  <EmotionPicker
+                    value={watch('emotions')}
+                    onChange={(emotions) => setValue('emotions', emotions)}
+                  />
+                </div>
+
                 <div>
                   <label className="label">Tags (comma-separated)</label>
                   <input
@@ -493,6 +519,19 @@ const Journal = () => {
                   </label>
                 </div>
 
+                <div>
+                  <label className="flex items-center space-x-2">
+                    <input
+                      {...register('isShareable')}
+                      type="checkbox"
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span className="text-sm font-medium text-gray-700">
+                      Share with clinicians I've given journal access
+                    </span>
+                  </label>
+                </div>
+
                 <div className="flex justify-end space-x-3">
                   <button
                     type="button"
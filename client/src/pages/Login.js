@@ -1,13 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
-import { Eye, EyeOff, Heart } from 'lucide-react';
+import { Eye, EyeOff, Heart, ShieldCheck } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import LoadingSpinner from '../components/LoadingSpinner';
 
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
-  const { login, isAuthenticated, loading } = useAuth();
+  const [challengeToken, setChallengeToken] = useState(null);
+  const { login, completeTwoFactorLogin, isAuthenticated, loading } = useAuth();
   const navigate = useNavigate();
 
   const {
@@ -16,6 +17,8 @@ const Login = () => {
     formState: { errors, isSubmitting }
   } = useForm();
 
+  const codeForm = useForm({ defaultValues: { code: '' } });
+
   useEffect(() => {
     if (isAuthenticated) {
       navigate('/dashboard');
@@ -24,6 +27,15 @@ const Login = () => {
 
   const onSubmit = async (data) => {
     const result = await login(data.email, data.password);
+    if (result.success) {
+      navigate('/dashboard');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    }
+  };
+
+  const onCodeSubmit = async (data) => {
+    const result = await completeTwoFactorLogin(challengeToken, data.code);
     if (result.success) {
       navigate('/dashboard');
     }
@@ -49,96 +61,157 @@ const Login = () => {
           </p>
         </div>
 
-        {/* Form */}
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
-          <div className="space-y-4">
-            {/* Email */}
+        {/* Two-factor step */}
+        {challengeToken ? (
+          <form className="mt-8 space-y-6" onSubmit={codeForm.handleSubmit(onCodeSubmit)}>
+            <div className="card p-4 flex items-start space-x-3">
+              <ShieldCheck className="h-6 w-6 text-primary-600 flex-shrink-0" />
+              <p className="text-sm text-gray-700">
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </p>
+            </div>
+
             <div>
-              <label htmlFor="email" className="label">
-                Email address
+              <label htmlFor="code" className="label">
+                Authentication code
               </label>
               <input
-                {...register('email', {
-                  required: 'Email is required',
-                  pattern: {
-                    value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                    message: 'Invalid email address'
-                  }
-                })}
-                type="email"
-                autoComplete="email"
-                className={`input ${errors.email ? 'border-red-300 focus:ring-red-500' : ''}`}
-                placeholder="Enter your email"
+                {...codeForm.register('code', { required: 'Code is required' })}
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                autoFocus
+                className={`input ${codeForm.formState.errors.code ? 'border-red-300 focus:ring-red-500' : ''}`}
+                placeholder="123456"
               />
-              {errors.email && (
-                <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+              {codeForm.formState.errors.code && (
+                <p className="mt-1 text-sm text-red-600">{codeForm.formState.errors.code.message}</p>
               )}
             </div>
 
-            {/* Password */}
             <div>
-              <label htmlFor="password" className="label">
-                Password
-              </label>
-              <div className="relative">
+              <button
+                type="submit"
+                disabled={codeForm.formState.isSubmitting}
+                className="btn btn-primary btn-lg w-full"
+              >
+                {codeForm.formState.isSubmitting ? (
+                  <LoadingSpinner size="sm" className="mr-2" />
+                ) : null}
+                {codeForm.formState.isSubmitting ? 'Verifying...' : 'Verify'}
+              </button>
+            </div>
+
+            <div className="text-center">
+              <button
+                type="button"
+                onClick={() => setChallengeToken(null)}
+                className="text-sm font-medium text-primary-600 hover:text-primary-500"
+              >
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        ) : (
+          /* Form */
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            <div className="space-y-4">
+              {/* Email */}
+              <div>
+                <label htmlFor="email" className="label">
+                  Email address
+                </label>
                 <input
-                  {...register('password', {
-                    required: 'Password is required',
-                    minLength: {
-                      value: 6,
-                      message: 'Password must be at least 6 characters'
+                  {...register('email', {
+                    required: 'Email is required',
+                    pattern: {
+                      value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                      message: 'Invalid email address'
                     }
                   })}
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  className={`input pr-10 ${errors.password ? 'border-red-300 focus:ring-red-500' : ''}`}
-                  placeholder="Enter your password"
+                  type="email"
+                  autoComplete="email"
+                  className={`input ${errors.email ? 'border-red-300 focus:ring-red-500' : ''}`}
+                  placeholder="Enter your email"
                 />
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => setShowPassword(!showPassword)}
-                >
-                  {showPassword ? (
-                    <EyeOff className="h-4 w-4 text-gray-400" />
-                  ) : (
-                    <Eye className="h-4 w-4 text-gray-400" />
-                  )}
-                </button>
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+                )}
               </div>
-              {errors.password && (
-                <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
-              )}
-            </div>
-          </div>
 
-          {/* Submit button */}
-          <div>
-            <button
-              type="submit"
-              disabled={isSubmitting}
-              className="btn btn-primary btn-lg w-full"
-            >
-              {isSubmitting ? (
-                <LoadingSpinner size="sm" className="mr-2" />
-              ) : null}
-              {isSubmitting ? 'Signing in...' : 'Sign in'}
-            </button>
-          </div>
+              {/* Password */}
+              <div>
+                <label htmlFor="password" className="label">
+                  Password
+                </label>
+                <div className="relative">
+                  <input
+                    {...register('password', {
+                      required: 'Password is required',
+                      minLength: {
+                        value: 6,
+                        message: 'Password must be at least 6 characters'
+                      }
+                    })}
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="current-password"
+                    className={`input pr-10 ${errors.password ? 'border-red-300 focus:ring-red-500' : ''}`}
+                    placeholder="Enter your password"
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-4 w-4 text-gray-400" />
+                    ) : (
+                      <Eye className="h-4 w-4 text-gray-400" />
+                    )}
+                  </button>
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                )}
+                <div className="mt-2 text-right">
+                  <Link
+                    to="/forgot-password"
+                    className="text-sm font-medium text-primary-600 hover:text-primary-500"
+                  >
+                    Forgot password?
+                  </Link>
+                </div>
+              </div>
+            </div>
 
-          {/* Sign up link */}
-          <div className="text-center">
-            <p className="text-sm text-gray-600">
-              Don't have an account?{' '}
-              <Link
-                to="/register"
-                className="font-medium text-primary-600 hover:text-primary-500"
+            {/* Submit button */}
+            <div>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="btn btn-primary btn-lg w-full"
               >
-                Sign up here
-              </Link>
-            </p>
-          </div>
-        </form>
+                {isSubmitting ? (
+                  <LoadingSpinner size="sm" className="mr-2" />
+                ) : null}
+                {isSubmitting ? 'Signing in...' : 'Sign in'}
+              </button>
+            </div>
+
+            {/* Sign up link */}
+            <div className="text-center">
+              <p className="text-sm text-gray-600">
+                Don't have an account?{' '}
+                <Link
+                  to="/register"
+                  className="font-medium text-primary-600 hover:text-primary-500"
+                >
+                  Sign up here
+                </Link>
+              </p>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,342 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Pill, Plus, X, Trash2, Square, Edit3 } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const DOSE_STATUSES = [
+  { value: 'taken', label: 'Taken', active: 'bg-green-100 text-green-800 border-green-300' },
+  { value: 'late', label: 'Late', active: 'bg-yellow-100 text-yellow-800 border-yellow-300' },
+  { value: 'skipped', label: 'Skipped', active: 'bg-red-100 text-red-800 border-red-300' }
+];
+
+const formatDateKey = (dateKey) => format(new Date(`${dateKey}T12:00:00`), 'MMM d, yyyy');
+
+const getAdherenceColor = (adherence) => {
+  if (adherence >= 90) return 'text-green-600';
+  if (adherence >= 70) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+const Medications = () => {
+  const [medications, setMedications] = useState([]);
+  const [today, setToday] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [adherenceDays, setAdherenceDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [times, setTimes] = useState(['08:00']);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting }
+  } = useForm({ defaultValues: { name: '', dose: '', startDate: today, notes: '' } });
+
+  useEffect(() => {
+    fetchMedications();
+  }, []);
+
+  const fetchMedications = async () => {
+    try {
+      const response = await axios.get('/api/medications');
+      setMedications(response.data.medications);
+      setToday(response.data.today);
+      setAdherenceDays(response.data.adherenceDays);
+    } catch (error) {
+      console.error('Error fetching medications:', error);
+      toast.error('Failed to load medications');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setTimes(['08:00']);
+    reset({ name: '', dose: '', startDate: today, notes: '' });
+  };
+
+  const onSubmit = async (data) => {
+    try {
+      await axios.post('/api/medications', { ...data, times: times.filter(Boolean) });
+      toast.success('Medication added');
+      closeForm();
+      fetchMedications();
+    } catch (error) {
+      console.error('Error adding medication:', error);
+      toast.error(error.response?.data?.message || 'Failed to add medication');
+    }
+  };
+
+  const updateMedication = async (medication, changes, successMessage) => {
+    try {
+      await axios.put(`/api/medications/${medication._id}`, changes);
+      toast.success(successMessage);
+      fetchMedications();
+    } catch (error) {
+      console.error('Error updating medication:', error);
+      toast.error(error.response?.data?.message || 'Failed to update medication');
+    }
+  };
+
+  const changeDose = (medication) => {
+    const dose = window.prompt(`New dose for ${medication.name} (from today)`, medication.dose);
+    if (dose && dose.trim() && dose.trim() !== medication.dose) {
+      updateMedication(medication, { dose: dose.trim() }, 'Dose change recorded');
+    }
+  };
+
+  const deleteMedication = async (medication) => {
+    if (!window.confirm(`Delete ${medication.name} and its whole dose log? This cannot be undone.`)) return;
+
+    try {
+      await axios.delete(`/api/medications/${medication._id}`);
+      setMedications(prev => prev.filter(item => item._id !== medication._id));
+      toast.success('Medication deleted');
+    } catch (error) {
+      console.error('Error deleting medication:', error);
+      toast.error('Failed to delete medication');
+    }
+  };
+
+  const logDose = async (medication, status, scheduledTime = null) => {
+    try {
+      await axios.post(`/api/medications/${medication._id}/doses`, { status, scheduledTime });
+      fetchMedications();
+    } catch (error) {
+      console.error('Error logging dose:', error);
+      toast.error(error.response?.data?.message || 'Failed to log dose');
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner size="lg" className="min-h-96" />;
+  }
+
+  const active = medications.filter(medication => medication.isActive);
+  const stopped = medications.filter(medication => !medication.isActive);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+              <Pill className="h-6 w-6 text-primary-600 mr-3" />
+              Medications
+            </h1>
+            <p className="text-gray-600 mt-1">Log each dose and see how changes line up with your mood in Analytics.</p>
+          </div>
+          <button onClick={() => setShowForm(true)} className="btn btn-primary btn-md">
+            <Plus className="h-4 w-4 mr-2" />
+            Add medication
+          </button>
+        </div>
+      </div>
+
+      {/* Add form */}
+      {showForm && (
+        <form onSubmit={handleSubmit(onSubmit)} className="bg-white rounded-lg shadow-sm p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">New medication</h2>
+            <button type="button" onClick={closeForm} className="btn btn-ghost btn-sm" title="Cancel">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="label">Name</label>
+              <input
+                {...register('name', { required: 'Name is required' })}
+                className="input"
+                placeholder="e.g. Sertraline"
+              />
+              {errors.name && <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>}
+            </div>
+            <div>
+              <label className="label">Dose</label>
+              <input
+                {...register('dose', { required: 'Dose is required' })}
+                className="input"
+                placeholder="e.g. 50 mg"
+              />
+              {errors.dose && <p className="mt-1 text-sm text-red-600">{errors.dose.message}</p>}
+            </div>
+            <div>
+              <label className="label">Start date</label>
+              <input {...register('startDate')} type="date" max={today} className="input" />
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Dose times</label>
+            <div className="flex flex-wrap items-center gap-2">
+              {times.map((time, index) => (
+                <div key={index} className="flex items-center">
+                  <input
+                    type="time"
+                    value={time}
+                    onChange={(e) => setTimes(prev => prev.map((value, i) => (i === index ? e.target.value : value)))}
+                    className="input w-auto"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setTimes(prev => prev.filter((_, i) => i !== index))}
+                    className="btn btn-ghost btn-sm"
+                    title="Remove time"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              {times.length < 6 && (
+                <button type="button" onClick={() => setTimes(prev => [...prev, '20:00'])} className="btn btn-outline btn-sm">
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add time
+                </button>
+              )}
+            </div>
+            <p className="mt-1 text-sm text-gray-500">Leave empty for medications taken as needed</p>
+          </div>
+
+          <div>
+            <label className="label">Notes</label>
+            <textarea {...register('notes')} rows={2} className="input" placeholder="Prescriber, reason, side effects..." />
+          </div>
+
+          <div className="flex justify-end">
+            <button type="submit" disabled={isSubmitting} className="btn btn-primary btn-md">
+              {isSubmitting ? <LoadingSpinner size="sm" /> : 'Save medication'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Current medications */}
+      {active.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+          <Pill className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No current medications</h3>
+          <p className="text-gray-500">Add a medication to start logging doses.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {active.map(medication => {
+            const { adherence } = medication;
+            const doseFor = (time) => medication.todayDoses.find(dose => dose.scheduledTime === time);
+
+            return (
+              <div key={medication._id} className="bg-white rounded-lg shadow-sm p-6">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-900">{medication.name}</h2>
+                    <p className="text-sm text-gray-600">
+                      {medication.dose} · {medication.schedule.times.length > 0 ? medication.schedule.times.join(', ') : 'As needed'}
+                    </p>
+                    <p className="text-xs text-gray-500">Since {formatDateKey(medication.startDate)}</p>
+                  </div>
+                  <div className="flex">
+                    <button onClick={() => changeDose(medication)} className="btn btn-ghost btn-sm" title="Change dose">
+                      <Edit3 className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => updateMedication(medication, { stopDate: today }, `${medication.name} stopped`)}
+                      className="btn btn-ghost btn-sm"
+                      title="Stop taking"
+                    >
+                      <Square className="h-4 w-4" />
+                    </button>
+                    <button onClick={() => deleteMedication(medication)} className="btn btn-ghost btn-sm text-red-600" title="Delete">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {adherence.adherence !== null && (
+                  <div className="mt-4">
+                    <p className="text-sm text-gray-600">
+                      <span className={`text-2xl font-bold ${getAdherenceColor(adherence.adherence)}`}>{adherence.adherence}%</span>
+                      {' '}adherence, last {adherenceDays} days
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {adherence.taken} taken · {adherence.late} late · {adherence.skipped} skipped · {adherence.missed} not logged
+                    </p>
+                  </div>
+                )}
+
+                <div className="mt-4">
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">Today</h3>
+                  {medication.schedule.times.length > 0 ? (
+                    <div className="space-y-2">
+                      {medication.schedule.times.map(time => (
+                        <div key={time} className="flex items-center justify-between">
+                          <span className="text-sm text-gray-900">{time}</span>
+                          <div className="flex gap-2">
+                            {DOSE_STATUSES.map(status => (
+                              <button
+                                key={status.value}
+                                onClick={() => logDose(medication, status.value, time)}
+                                className={`px-3 py-1 rounded-full border text-xs font-medium ${
+                                  doseFor(time)?.status === status.value
+                                    ? status.active
+                                    : 'border-gray-200 text-gray-600 hover:border-gray-300'
+                                }`}
+                              >
+                                {status.label}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm text-gray-600">
+                        {medication.todayDoses.length} dose{medication.todayDoses.length === 1 ? '' : 's'} logged
+                      </span>
+                      <button onClick={() => logDose(medication, 'taken')} className="btn btn-outline btn-sm">
+                        <Plus className="h-4 w-4 mr-1" />
+                        Log a dose
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Past medications */}
+      {stopped.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Past medications</h2>
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {stopped.map(medication => (
+              <div key={medication._id} className="p-4 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{medication.name} · {medication.dose}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatDateKey(medication.startDate)} – {formatDateKey(medication.stopDate)}
+                  </p>
+                </div>
+                <div className="flex">
+                  <button onClick={() => deleteMedication(medication)} className="btn btn-ghost btn-sm text-red-600" title="Delete">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Medications;
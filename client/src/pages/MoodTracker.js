@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { 
   Heart, 
@@ -12,96 +13,248 @@ import {
   Wind,
   MapPin,
   Save,
-  Calendar
+  Calendar,
+  Clock,
+  Trash2,
+  Edit3,
+  X
 } from 'lucide-react';
 import axios from 'axios';
-import { format, isToday } from 'date-fns';
+import { useAuth } from '../contexts/AuthContext';
+import { format } from 'date-fns';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/LoadingSpinner';
+import MoodCalendar from '../components/MoodCalendar';
+import EmotionPicker, { formatEmotion } from '../components/EmotionPicker';
+import CustomMetricFields, { formatMetricValue } from '../components/CustomMetricFields';
+import SymptomChecklist, { formatSeverity } from '../components/SymptomChecklist';
+
+// Parts of an instant's calendar date and 24-hour clock time in `timeZone`
+const zonedParts = (date, timeZone) => Object.fromEntries(
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date)).map(({ type, value }) => [type, value])
+);
+
+// Days and check-in times are in the profile's timezone, which is where the
+// server places a check-in's `time`, not necessarily the browser's
+const todayKey = (timeZone) => {
+  const { year, month, day } = zonedParts(new Date(), timeZone);
+  return `${year}-${month}-${day}`;
+};
+
+const toClockTime = (date, timeZone) => {
+  const { hour, minute } = zonedParts(date, timeZone);
+  return `${hour}:${minute}`;
+};
+
+const formatClockTime = (date, timeZone) => (
+  new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: '2-digit' }).format(new Date(date))
+);
+
+// A check-in's custom metric values keyed by metric id, as the form holds
+// them. Booleans come back from the API as 1 or 0.
+const toMetricValues = (values, metrics) => Object.fromEntries(values.map(({ metric, value }) => {
+  const definition = metrics.find(item => item._id === metric);
+  return [metric, definition?.type === 'boolean' ? value === 1 : value];
+}));
+
+const SLEEP_FIELDS = ['hours', 'quality', 'bedtime', 'wakeTime', 'latencyMinutes', 'awakenings', 'napMinutes'];
+
+// A check-in's sleep as the form holds it, with blanks for anything not logged
+const toSleepFields = (sleep) => Object.fromEntries(SLEEP_FIELDS.map(field => [field, sleep?.[field] ?? '']));
+
+// Blank form fields are sent as null so they clear on edit
+const toSleepPayload = (sleep) => Object.fromEntries(SLEEP_FIELDS.map(field => {
+  const value = sleep[field];
+  if (value === '' || value === undefined) return [field, null];
+  return [field, ['quality', 'bedtime', 'wakeTime'].includes(field) ? value : Number(value)];
+}));
+
+// Hours asleep from bedtime to wake time less latency, as the server works
+// them out. A wake time at or before the bedtime is the next morning.
+const deriveSleepHours = ({ bedtime, wakeTime, latencyMinutes }) => {
+  if (!bedtime || !wakeTime) return null;
+  const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+  let minutesInBed = toMinutes(wakeTime) - toMinutes(bedtime);
+  if (minutesInBed <= 0) minutesInBed += 24 * 60;
+  return Math.round(Math.max(minutesInBed - (Number(latencyMinutes) || 0), 0) / 6) / 10;
+};
 
 const MoodTracker = () => {
-  const [todayMood, setTodayMood] = useState(null);
+  const { user } = useAuth();
+  const timeZone = user?.preferences?.timezone || 'UTC';
+  const [searchParams] = useSearchParams();
+  const [selectedDate, setSelectedDate] = useState(() => {
+    // Opened from the calendar with ?date=yyyy-MM-dd
+    const requested = searchParams.get('date');
+    const today = todayKey(timeZone);
+    return /^\d{4}-\d{2}-\d{2}$/.test(requested || '') && requested <= today ? requested : today;
+  });
+  const [checkIns, setCheckIns] = useState([]);
+  const [editing, setEditing] = useState(null);
   const [activities, setActivities] = useState([]);
+  const [customMetrics, setCustomMetrics] = useState([]);
+  const [symptoms, setSymptoms] = useState([]);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [calendarVersion, setCalendarVersion] = useState(0);
 
   const {
     register,
     handleSubmit,
-    setValue,
+    reset,
     watch,
+    setValue,
     formState: { errors }
   } = useForm({
     defaultValues: {
+      time: toClockTime(new Date(), timeZone),
       mood: 'neutral',
       energy: 5,
       stress: 5,
       anxiety: 5,
-      sleep: {
-        hours: 8,
-        quality: 'good'
-      },
+      sleep: toSleepFields(null),
       activities: [],
       notes: '',
       tags: [],
+      emotions: [],
+      symptoms: [],
+      customMetrics: {},
       weather: 'unknown',
       location: ''
     }
   });
 
   const watchedValues = watch();
+  const derivedSleepHours = deriveSleepHours(watchedValues.sleep || {});
+  const isTodaySelected = selectedDate === todayKey(timeZone);
+
+  // Fresh form for a new check-in. Sleep doesn't change between check-ins,
+  // so the latest answer carries over.
+  const resetForNextCheckIn = useCallback((latest, dateKey) => {
+    setEditing(null);
+    reset({
+      time: dateKey === todayKey(timeZone) ? toClockTime(new Date(), timeZone) : '12:00',
+      mood: 'neutral',
+      energy: 5,
+      stress: 5,
+      anxiety: 5,
+      sleep: toSleepFields(latest?.sleep),
+      activities: [],
+      notes: '',
+      tags: [],
+      emotions: [],
+      symptoms: [],
+      customMetrics: {},
+      weather: latest?.weather || 'unknown',
+      location: latest?.location || ''
+    });
+  }, [reset, timeZone]);
 
   useEffect(() => {
-    fetchData();
+    axios.get('/api/activities?isActive=true')
+      .then(response => setActivities(response.data.activities))
+      .catch(error => console.error('Error fetching activities:', error));
+    axios.get('/api/symptoms')
+      .then(response => setSymptoms(response.data.symptoms))
+      .catch(error => console.error('Error fetching symptoms:', error));
+    axios.get('/api/metrics')
+      .then(response => setCustomMetrics(response.data.metrics))
+      .catch(error => console.error('Error fetching custom metrics:', error));
   }, []);
 
-  const fetchData = async () => {
-    try {
-      const [moodResponse, activitiesResponse] = await Promise.all([
-        axios.get('/api/mood/today'),
-        axios.get('/api/activities?isActive=true')
-      ]);
-
-      setTodayMood(moodResponse.data.moodEntry);
-      setActivities(activitiesResponse.data.activities);
-
-      // If mood entry exists, populate form
-      if (moodResponse.data.moodEntry) {
-        const entry = moodResponse.data.moodEntry;
-        setValue('mood', entry.mood);
-        setValue('energy', entry.energy);
-        setValue('stress', entry.stress);
-        setValue('anxiety', entry.anxiety);
-        setValue('sleep.hours', entry.sleep.hours);
-        setValue('sleep.quality', entry.sleep.quality);
-        setValue('activities', entry.activities.map(a => a._id));
-        setValue('notes', entry.notes || '');
-        setValue('tags', entry.tags || []);
-        setValue('weather', entry.weather || 'unknown');
-        setValue('location', entry.location || '');
+  useEffect(() => {
+    const fetchDay = async () => {
+      try {
+        const response = await axios.get(`/api/mood/day/${selectedDate}`);
+        const dayCheckIns = response.data.moodEntries;
+        setCheckIns(dayCheckIns);
+        resetForNextCheckIn(dayCheckIns[dayCheckIns.length - 1], selectedDate);
+      } catch (error) {
+        console.error('Error fetching data:', error);
+        toast.error('Failed to load data');
+      } finally {
+        setLoading(false);
       }
-    } catch (error) {
-      console.error('Error fetching data:', error);
-      toast.error('Failed to load data');
-    } finally {
-      setLoading(false);
-    }
+    };
+
+    fetchDay();
+  }, [selectedDate, resetForNextCheckIn]);
+
+  const startEditing = (checkIn) => {
+    setEditing(checkIn);
+    reset({
+      time: toClockTime(checkIn.date, timeZone),
+      mood: checkIn.mood,
+      energy: checkIn.energy,
+      stress: checkIn.stress,
+      anxiety: checkIn.anxiety,
+      sleep: toSleepFields(checkIn.sleep),
+      activities: checkIn.activities.map(activity => activity._id),
+      notes: checkIn.notes || '',
+      tags: checkIn.tags || [],
+      emotions: checkIn.emotions || [],
+      symptoms: checkIn.symptoms || [],
+      customMetrics: toMetricValues(checkIn.customMetrics || [], customMetrics),
+      weather: checkIn.weather || 'unknown',
+      location: checkIn.location || ''
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
-  const onSubmit = async (data) => {
+  const onSubmit = async ({ time, customMetrics: metricValues, sleep, ...data }) => {
     setSaving(true);
     try {
-      const response = await axios.post('/api/mood', data);
-      setTodayMood(response.data.moodEntry);
-      toast.success(todayMood ? 'Mood updated successfully!' : 'Mood tracked successfully!');
+      const payload = {
+        ...data,
+        sleep: toSleepPayload(sleep),
+        customMetrics: Object.entries(metricValues)
+          .filter(([, value]) => value !== undefined)
+          .map(([metric, value]) => ({ metric, value })),
+        // The server places the time on the day in the profile's timezone
+        date: selectedDate,
+        time
+      };
+      const response = editing
+        ? await axios.put(`/api/mood/${editing._id}`, payload)
+        : await axios.post('/api/mood', payload);
+      const saved = response.data.moodEntry;
+
+      setCheckIns(prev => [...prev.filter(entry => entry._id !== saved._id), saved]
+        .sort((a, b) => new Date(a.date) - new Date(b.date)));
+      resetForNextCheckIn(saved, selectedDate);
+      setCalendarVersion(prev => prev + 1);
+      toast.success(editing ? 'Check-in updated!' : 'Check-in saved!');
     } catch (error) {
       console.error('Error saving mood:', error);
-      toast.error('Failed to save mood entry');
+      toast.error(error.response?.data?.message || 'Failed to save check-in');
     } finally {
       setSaving(false);
     }
   };
 
+  const deleteCheckIn = async (checkIn) => {
+    if (!window.confirm(`Delete your ${formatClockTime(checkIn.date, timeZone)} check-in?`)) return;
+
+    try {
+      await axios.delete(`/api/mood/${checkIn._id}`);
+      setCheckIns(prev => prev.filter(entry => entry._id !== checkIn._id));
+      if (editing?._id === checkIn._id) resetForNextCheckIn(null, selectedDate);
+      setCalendarVersion(prev => prev + 1);
+      toast.success('Check-in deleted');
+    } catch (error) {
+      console.error('Error deleting check-in:', error);
+      toast.error('Failed to delete check-in');
+    }
+  };
+
   const moodOptions = [
     { value: 'very-sad', label: 'Very Sad', emoji: '😢', color: 'text-red-600' },
     { value: 'sad', label: 'Sad', emoji: '😔', color: 'text-orange-600' },
@@ -120,12 +273,15 @@ const MoodTracker = () => {
   ];
 
   const sleepQualityOptions = [
+    { value: '', label: 'Not set' },
     { value: 'poor', label: 'Poor' },
     { value: 'fair', label: 'Fair' },
     { value: 'good', label: 'Good' },
     { value: 'excellent', label: 'Excellent' }
   ];
 
+  const getMoodOption = (mood) => moodOptions.find(option => option.value === mood);
+
   if (loading) {
     return <LoadingSpinner size="xl" className="min-h-96" />;
   }
@@ -141,20 +297,155 @@ const MoodTracker = () => {
               Mood Tracker
             </h1>
             <p className="text-gray-600 mt-1">
-              {isToday(new Date()) ? 'How are you feeling today?' : 'Track your mood and well-being'}
+              {isTodaySelected ? 'How are you feeling today?' : 'Fill in or edit a past day'}
             </p>
           </div>
-          <div className="text-sm text-gray-500">
-            <Calendar className="h-4 w-4 inline mr-1" />
-            {format(new Date(), 'MMMM d, yyyy')}
+          <div className="flex items-center text-sm text-gray-500">
+            <Calendar className="h-4 w-4 mr-2" />
+            <input
+              type="date"
+              value={selectedDate}
+              max={todayKey(timeZone)}
+              onChange={(e) => e.target.value && setSelectedDate(e.target.value)}
+              className="input w-auto"
+            />
           </div>
         </div>
       </div>
 
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+        {/* Calendar */}
+        <div className="bg-white rounded-lg shadow-sm p-6 lg:col-span-2">
+          <MoodCalendar
+            selectedDate={selectedDate}
+            onSelect={setSelectedDate}
+            refreshKey={calendarVersion}
+          />
+        </div>
+
+        {/* Check-ins for the selected day */}
+        <div className="bg-white rounded-lg shadow-sm p-6 lg:col-span-3">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <Clock className="h-5 w-5 text-gray-500 mr-2" />
+            {isTodaySelected ? "Today's Check-ins" : `Check-ins on ${format(new Date(`${selectedDate}T12:00:00`), 'MMMM d, yyyy')}`}
+          </h2>
+          {checkIns.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {isTodaySelected
+                ? 'No check-ins yet today. Log how you feel now, and check in again whenever it changes.'
+                : 'Nothing logged for this day. Use the form below to fill it in.'}
+            </p>
+          ) : (
+            <ol className="relative border-l border-gray-200 ml-3 space-y-4">
+              {checkIns.map((checkIn) => {
+                const option = getMoodOption(checkIn.mood);
+                return (
+                  <li key={checkIn._id} className="ml-6">
+                    <span className="absolute -left-4 flex items-center justify-center h-8 w-8 rounded-full bg-white border border-gray-200 text-lg">
+                      {option?.emoji}
+                    </span>
+                    <div className="flex items-start justify-between">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {formatClockTime(checkIn.date, timeZone)}
+                          <span className={`ml-2 ${option?.color}`}>{option?.label}</span>
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          Energy {checkIn.energy}/10 · Stress {checkIn.stress}/10 · Anxiety {checkIn.anxiety}/10
+                        </p>
+                        {checkIn.activities?.length > 0 && (
+                          <p className="text-xs text-gray-500">
+                            {checkIn.activities.map(activity => activity.name).join(', ')}
+                          </p>
+                        )}
+                        {checkIn.emotions?.length > 0 && (
+                          <p className="text-xs text-gray-500">
+                            {checkIn.emotions.map(emotion => `${formatEmotion(emotion.name)} ${emotion.intensity}/5`).join(' · ')}
+                          </p>
+                        )}
+                        {checkIn.symptoms?.length > 0 && (
+                          <p className="text-xs text-gray-500">
+                            {checkIn.symptoms
+                              .map(item => {
+                                const symptom = symptoms.find(entry => entry._id === item.symptom);
+                                return symptom && `${symptom.name} (${formatSeverity(item.severity).toLowerCase()})`;
+                              })
+                              .filter(Boolean)
+                              .join(' · ')}
+                          </p>
+                        )}
+                        {checkIn.customMetrics?.length > 0 && (
+                          <p className="text-xs text-gray-500">
+                            {checkIn.customMetrics
+                              .map(({ metric, value }) => {
+                                const definition = customMetrics.find(item => item._id === metric);
+                                return definition && `${definition.name} ${formatMetricValue(definition, value)}`;
+                              })
+                              .filter(Boolean)
+                              .join(' · ')}
+                          </p>
+                        )}
+                        {checkIn.notes && (
+                          <p className="text-sm text-gray-700 mt-1">{checkIn.notes}</p>
+                        )}
+                      </div>
+                      <div className="flex">
+                        <button
+                          type="button"
+                          onClick={() => startEditing(checkIn)}
+                          className="btn btn-ghost btn-sm text-gray-400 hover:text-primary-600"
+                          title="Edit check-in"
+                        >
+                          <Edit3 className="h-4 w-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => deleteCheckIn(checkIn)}
+                          className="btn btn-ghost btn-sm text-gray-400 hover:text-red-600"
+                          title="Delete check-in"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      </div>
+
       <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
         {/* Mood Selection */}
         <div className="bg-white rounded-lg shadow-sm p-6">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">How are you feeling?</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {editing
+                ? `Editing your ${formatClockTime(editing.date, timeZone)} check-in`
+                : isTodaySelected
+                  ? (checkIns.length > 0 ? 'How are you feeling now?' : 'How are you feeling?')
+                  : 'How were you feeling?'}
+            </h2>
+            <div className="flex items-center space-x-2">
+              <label className="text-sm text-gray-600">Time</label>
+              <input
+                {...register('time', { required: 'Time is required' })}
+                type="time"
+                className="input w-auto"
+              />
+              {editing && (
+                <button
+                  type="button"
+                  onClick={() => resetForNextCheckIn(editing, selectedDate)}
+                  className="btn btn-ghost btn-sm"
+                  title="Cancel editing"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          </div>
           <div className="grid grid-cols-5 gap-4">
             {moodOptions.map((option) => (
               <label
@@ -183,6 +474,16 @@ const MoodTracker = () => {
           )}
         </div>
 
+        {/* Emotions */}
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-1">What are you feeling?</h3>
+          <p className="text-sm text-gray-600 mb-4">Optional. Pick any specific emotions and how strong each one is.</p>
+          <EmotionPicker
+            value={watchedValues.emotions}
+            onChange={(emotions) => setValue('emotions', emotions)}
+          />
+        </div>
+
         {/* Energy, Stress, and Anxiety Levels */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <div className="bg-white rounded-lg shadow-sm p-6">
@@ -267,35 +568,67 @@ const MoodTracker = () => {
           </div>
         </div>
 
+        {/* Symptoms */}
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Symptoms</h2>
+          <p className="text-sm text-gray-600 mb-4">Optional. Tick anything you've noticed and how bad it is.</p>
+          <SymptomChecklist
+            symptoms={symptoms}
+            value={watchedValues.symptoms}
+            onChange={(selected) => setValue('symptoms', selected)}
+            onSymptomsChange={setSymptoms}
+          />
+        </div>
+
+        {/* Custom Metrics */}
+        {customMetrics.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Your Metrics</h2>
+            <p className="text-sm text-gray-600 mb-4">Optional. Add or change metrics under Profile → Custom Metrics.</p>
+            <CustomMetricFields
+              metrics={customMetrics}
+              value={watchedValues.customMetrics}
+              onChange={(values) => setValue('customMetrics', values)}
+            />
+          </div>
+        )}
+
         {/* Sleep Information */}
         <div className="bg-white rounded-lg shadow-sm p-6">
           <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
             <Moon className="h-5 w-5 text-blue-500 mr-2" />
-            Sleep Information
+            Last Night's Sleep
           </h2>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="label">Bedtime</label>
+              <input {...register('sleep.bedtime')} type="time" className="input" />
+            </div>
+            <div>
+              <label className="label">Wake Time</label>
+              <input {...register('sleep.wakeTime')} type="time" className="input" />
+            </div>
             <div>
               <label className="label">Hours of Sleep</label>
-              <input
-                {...register('sleep.hours', { 
-                  required: 'Sleep hours is required',
-                  min: 0,
-                  max: 24
-                })}
-                type="number"
-                min="0"
-                max="24"
-                step="0.5"
-                className="input"
-                placeholder="8"
-              />
+              {derivedSleepHours !== null ? (
+                <p className="py-2 text-sm text-gray-700">
+                  <span className="font-medium text-gray-900">{derivedSleepHours}h</span> from your bedtime and wake time
+                </p>
+              ) : (
+                <input
+                  {...register('sleep.hours', { min: 0, max: 24 })}
+                  type="number"
+                  min="0"
+                  max="24"
+                  step="0.5"
+                  className="input"
+                  placeholder="Or enter bedtime and wake time"
+                />
+              )}
             </div>
             <div>
               <label className="label">Sleep Quality</label>
-              <select
-                {...register('sleep.quality', { required: 'Sleep quality is required' })}
-                className="input"
-              >
+              <select {...register('sleep.quality')} className="input">
                 {sleepQualityOptions.map((option) => (
                   <option key={option.value} value={option.value}>
                     {option.label}
@@ -303,6 +636,41 @@ const MoodTracker = () => {
                 ))}
               </select>
             </div>
+            <div>
+              <label className="label">Minutes to Fall Asleep</label>
+              <input
+                {...register('sleep.latencyMinutes', { min: 0, max: 300 })}
+                type="number"
+                min="0"
+                max="300"
+                step="5"
+                className="input"
+                placeholder="15"
+              />
+            </div>
+            <div>
+              <label className="label">Times Woken Up</label>
+              <input
+                {...register('sleep.awakenings', { min: 0, max: 30 })}
+                type="number"
+                min="0"
+                max="30"
+                className="input"
+                placeholder="0"
+              />
+            </div>
+            <div>
+              <label className="label">Nap Minutes</label>
+              <input
+                {...register('sleep.napMinutes', { min: 0, max: 600 })}
+                type="number"
+                min="0"
+                max="600"
+                step="5"
+                className="input"
+                placeholder="0"
+              />
+            </div>
           </div>
         </div>
 
@@ -405,7 +773,7 @@ const MoodTracker = () => {
             ) : (
               <Save className="h-5 w-5 mr-2" />
             )}
-            {saving ? 'Saving...' : todayMood ? 'Update Mood' : 'Save Mood'}
+            {saving ? 'Saving...' : editing ? 'Update Check-in' : 'Save Check-in'}
           </button>
         </div>
       </form>
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { useForm } from 'react-hook-form';
 import { 
   User, 
@@ -10,20 +10,32 @@ import {
   EyeOff, 
   Save,
   Key,
-  Settings
+  Settings,
+  Monitor,
+  AlertTriangle,
+  Trash2,
+  Terminal,
+  SlidersHorizontal
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ActiveSessions from '../components/ActiveSessions';
+import LoginHistory from '../components/LoginHistory';
+import PersonalAccessTokens from '../components/PersonalAccessTokens';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import DataExport from '../components/DataExport';
+import CustomMetrics from '../components/CustomMetrics';
 
 const Profile = () => {
-  const { user, updateProfile, changePassword } = useAuth();
+  const { user, updateProfile, changePassword, deleteAccount, cancelAccountDeletion } = useAuth();
   const { theme, toggleTheme } = useTheme();
   const [activeTab, setActiveTab] = useState('profile');
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
   const [showNewPassword, setShowNewPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
+  const [showDeleteForm, setShowDeleteForm] = useState(false);
 
   const profileForm = useForm({
     defaultValues: {
@@ -34,11 +46,18 @@ const Profile = () => {
           email: user?.preferences?.notifications?.email ?? true,
           push: user?.preferences?.notifications?.push ?? true
         },
-        privacy: user?.preferences?.privacy || 'private'
+        privacy: user?.preferences?.privacy || 'private',
+        timezone: user?.preferences?.timezone || 'UTC'
       }
     }
   });
 
+  const deviceTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const timeZones = useMemo(() => {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return [...new Set(['UTC', deviceTimeZone, user?.preferences?.timezone, ...zones].filter(Boolean))];
+  }, [deviceTimeZone, user?.preferences?.timezone]);
+
   const passwordForm = useForm({
     defaultValues: {
       currentPassword: '',
@@ -47,6 +66,13 @@ const Profile = () => {
     }
   });
 
+  const deleteForm = useForm({
+    defaultValues: {
+      password: '',
+      code: ''
+    }
+  });
+
   const onProfileSubmit = async (data) => {
     const result = await updateProfile(data);
     if (result.success) {
@@ -66,10 +92,26 @@ const Profile = () => {
     }
   };
 
+  const onDeleteSubmit = async (data) => {
+    if (!window.confirm('This will permanently delete your account and all of your mood, activity and journal data. Continue?')) {
+      return;
+    }
+
+    const result = await deleteAccount(data.password, data.code);
+    if (result.success) {
+      deleteForm.reset();
+      setShowDeleteForm(false);
+    }
+  };
+
   const tabs = [
     { id: 'profile', name: 'Profile', icon: User },
     { id: 'password', name: 'Password', icon: Key },
-    { id: 'preferences', name: 'Preferences', icon: Settings }
+    { id: 'security', name: 'Security', icon: Shield },
+    { id: 'preferences', name: 'Preferences', icon: Settings },
+    { id: 'metrics', name: 'Custom Metrics', icon: SlidersHorizontal },
+    { id: 'devices', name: 'Devices & Logins', icon: Monitor },
+    { id: 'tokens', name: 'API Tokens', icon: Terminal }
   ];
 
   return (
@@ -328,7 +370,11 @@ const Profile = () => {
                   <div className="flex items-center justify-between">
                     <div>
                       <label className="text-sm font-medium text-gray-700">Email Notifications</label>
-                      <p className="text-sm text-gray-500">Receive updates via email</p>
+                      <p className="text-sm text-gray-500">
+                        {user?.emailVerified
+                          ? 'Receive updates via email'
+                          : 'Verify your email address to receive updates via email'}
+                      </p>
                     </div>
                     <label className="relative inline-flex items-center cursor-pointer">
                       <input
@@ -357,6 +403,36 @@ const Profile = () => {
                 </div>
               </div>
 
+              <div>
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Date & Time</h3>
+                <div>
+                  <label className="label">Timezone</label>
+                  <select
+                    {...profileForm.register('preferences.timezone')}
+                    className="input"
+                  >
+                    {timeZones.map(zone => (
+                      <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                    ))}
+                  </select>
+                  <p className="mt-1 text-sm text-gray-500">
+                    Decides which day your check-ins and journal entries count toward, and when your streaks reset.
+                    {profileForm.watch('preferences.timezone') !== deviceTimeZone && (
+                      <>
+                        {' '}
+                        <button
+                          type="button"
+                          onClick={() => profileForm.setValue('preferences.timezone', deviceTimeZone, { shouldDirty: true })}
+                          className="font-medium text-primary-600 hover:text-primary-500"
+                        >
+                          Use this device's timezone ({deviceTimeZone.replace(/_/g, ' ')})
+                        </button>
+                      </>
+                    )}
+                  </p>
+                </div>
+              </div>
+
               <div>
                 <h3 className="text-lg font-medium text-gray-900 mb-4">Privacy</h3>
                 <div className="space-y-4">
@@ -393,6 +469,23 @@ const Profile = () => {
               </div>
             </div>
           )}
+
+          {/* Custom Metrics Tab */}
+          {activeTab === 'metrics' && <CustomMetrics />}
+
+          {/* Security Tab */}
+          {activeTab === 'security' && <TwoFactorSettings />}
+
+          {/* Devices Tab */}
+          {activeTab === 'devices' && (
+            <div className="space-y-8">
+              <ActiveSessions />
+              <LoginHistory />
+            </div>
+          )}
+
+          {/* API Tokens Tab */}
+          {activeTab === 'tokens' && <PersonalAccessTokens />}
         </div>
       </div>
 
@@ -405,7 +498,11 @@ const Profile = () => {
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div>
             <p className="text-sm font-medium text-gray-700">Account Status</p>
-            <p className="text-sm text-green-600">Active</p>
+            {user?.deletionScheduledFor ? (
+              <p className="text-sm text-red-600">Scheduled for deletion</p>
+            ) : (
+              <p className="text-sm text-green-600">Active</p>
+            )}
           </div>
           <div>
             <p className="text-sm font-medium text-gray-700">Last Updated</p>
@@ -414,6 +511,100 @@ const Profile = () => {
             </p>
           </div>
         </div>
+        <div className="mt-6 pt-6 border-t border-gray-200">
+          <DataExport />
+        </div>
+      </div>
+
+      {/* Danger Zone */}
+      <div className="bg-white rounded-lg shadow-sm p-6 border border-red-200">
+        <h3 className="text-lg font-medium text-red-700 mb-4 flex items-center">
+          <AlertTriangle className="h-5 w-5 mr-2" />
+          Danger Zone
+        </h3>
+
+        {user?.deletionScheduledFor ? (
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between space-y-4 md:space-y-0">
+            <p className="text-sm text-gray-700">
+              Your account and all of its data will be permanently deleted on{' '}
+              <strong>{new Date(user.deletionScheduledFor).toLocaleString()}</strong>.
+            </p>
+            <button onClick={cancelAccountDeletion} className="btn btn-primary btn-md">
+              Cancel deletion
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between space-y-4 md:space-y-0">
+              <div>
+                <p className="text-sm font-medium text-gray-900">Delete account</p>
+                <p className="text-sm text-gray-500">
+                  Permanently erase your profile, mood entries, activities and journal entries.
+                </p>
+              </div>
+              {!showDeleteForm && (
+                <button onClick={() => setShowDeleteForm(true)} className="btn btn-outline btn-md text-red-600">
+                  <Trash2 className="h-4 w-4 mr-2" />
+                  Delete account
+                </button>
+              )}
+            </div>
+
+            {showDeleteForm && (
+              <form onSubmit={deleteForm.handleSubmit(onDeleteSubmit)} className="space-y-4 max-w-md">
+                <div>
+                  <label className="label">Confirm your password</label>
+                  <input
+                    {...deleteForm.register('password', { required: 'Password is required' })}
+                    type="password"
+                    autoComplete="current-password"
+                    className="input"
+                  />
+                  {deleteForm.formState.errors.password && (
+                    <p className="mt-1 text-sm text-red-600">
+                      {deleteForm.formState.errors.password.message}
+                    </p>
+                  )}
+                </div>
+
+                {user?.twoFactorEnabled && (
+                  <div>
+                    <label className="label">Authentication code</label>
+                    <input
+                      {...deleteForm.register('code', { required: 'Code is required' })}
+                      type="text"
+                      autoComplete="one-time-code"
+                      className="input"
+                      placeholder="Authenticator or recovery code"
+                    />
+                    {deleteForm.formState.errors.code && (
+                      <p className="mt-1 text-sm text-red-600">
+                        {deleteForm.formState.errors.code.message}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                <div className="flex space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => setShowDeleteForm(false)}
+                    className="btn btn-outline btn-md"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={deleteForm.formState.isSubmitting}
+                    className="btn btn-md bg-red-600 text-white hover:bg-red-700"
+                  >
+                    {deleteForm.formState.isSubmitting ? 'Deleting...' : 'Delete my account'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
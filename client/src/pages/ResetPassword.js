@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { Eye, EyeOff, Heart } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const ResetPassword = () => {
+  const [showPassword, setShowPassword] = useState(false);
+  const [searchParams] = useSearchParams();
+  const { resetPassword } = useAuth();
+  const navigate = useNavigate();
+  const resetToken = searchParams.get('token');
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors, isSubmitting }
+  } = useForm();
+
+  const password = watch('password');
+
+  const onSubmit = async (data) => {
+    const result = await resetPassword(resetToken, data.password);
+    if (result.success) {
+      navigate('/login');
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 bg-primary-600 rounded-full flex items-center justify-center">
+            <Heart className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Choose a new password
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            You'll be signed out of all devices once it's changed
+          </p>
+        </div>
+
+        {!resetToken ? (
+          <div className="card p-6 text-center space-y-4">
+            <p className="text-sm text-gray-700">
+              This reset link is missing its token. Please request a new one.
+            </p>
+            <Link
+              to="/forgot-password"
+              className="font-medium text-primary-600 hover:text-primary-500 text-sm"
+            >
+              Request a new link
+            </Link>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            <div className="space-y-4">
+              {/* Password */}
+              <div>
+                <label htmlFor="password" className="label">
+                  New password
+                </label>
+                <div className="relative">
+                  <input
+                    {...register('password', {
+                      required: 'Password is required',
+                      minLength: {
+                        value: 6,
+                        message: 'Password must be at least 6 characters'
+                      }
+                    })}
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="new-password"
+                    className={`input pr-10 ${errors.password ? 'border-red-300 focus:ring-red-500' : ''}`}
+                    placeholder="Enter a new password"
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-4 w-4 text-gray-400" />
+                    ) : (
+                      <Eye className="h-4 w-4 text-gray-400" />
+                    )}
+                  </button>
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                )}
+              </div>
+
+              {/* Confirm Password */}
+              <div>
+                <label htmlFor="confirmPassword" className="label">
+                  Confirm new password
+                </label>
+                <input
+                  {...register('confirmPassword', {
+                    required: 'Please confirm your password',
+                    validate: value => value === password || 'Passwords do not match'
+                  })}
+                  type={showPassword ? 'text' : 'password'}
+                  autoComplete="new-password"
+                  className={`input ${errors.confirmPassword ? 'border-red-300 focus:ring-red-500' : ''}`}
+                  placeholder="Confirm your new password"
+                />
+                {errors.confirmPassword && (
+                  <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>
+                )}
+              </div>
+            </div>
+
+            {/* Submit button */}
+            <div>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="btn btn-primary btn-lg w-full"
+              >
+                {isSubmitting ? (
+                  <LoadingSpinner size="sm" className="mr-2" />
+                ) : null}
+                {isSubmitting ? 'Resetting...' : 'Reset password'}
+              </button>
+            </div>
+
+            <div className="text-center">
+              <Link
+                to="/login"
+                className="font-medium text-primary-600 hover:text-primary-500 text-sm"
+              >
+                Back to sign in
+              </Link>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
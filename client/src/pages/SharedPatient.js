@@ -0,0 +1,234 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { ArrowLeft, Heart, Zap, AlertTriangle, Moon, Activity, BookOpen, Eye } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const MOOD_OPTIONS = {
+  'very-sad': { label: 'Very Sad', emoji: '😢' },
+  sad: { label: 'Sad', emoji: '😔' },
+  neutral: { label: 'Neutral', emoji: '😐' },
+  happy: { label: 'Happy', emoji: '😊' },
+  'very-happy': { label: 'Very Happy', emoji: '😄' }
+};
+
+const StatCard = ({ icon: Icon, label, value, color }) => (
+  <div className="bg-white rounded-lg shadow-sm p-6">
+    <div className="flex items-center">
+      <Icon className={`h-8 w-8 ${color}`} />
+      <div className="ml-4">
+        <p className="text-sm font-medium text-gray-600">{label}</p>
+        <p className="text-2xl font-bold text-gray-900">{value}</p>
+      </div>
+    </div>
+  </div>
+);
+
+const SharedPatient = () => {
+  const { grantId } = useParams();
+  const [overview, setOverview] = useState(null);
+  const [moodEntries, setMoodEntries] = useState([]);
+  const [activities, setActivities] = useState([]);
+  const [journalEntries, setJournalEntries] = useState([]);
+  const [period, setPeriod] = useState('month');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchOverview = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/sharing/patients/${grantId}/overview?period=${period}`);
+      setOverview(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load shared data');
+    } finally {
+      setLoading(false);
+    }
+  }, [grantId, period]);
+
+  const fetchSharedRecords = useCallback(async (sharedData) => {
+    try {
+      const requests = [];
+      if (sharedData.includes('mood')) {
+        requests.push(axios.get(`/api/sharing/patients/${grantId}/mood?limit=30`)
+          .then(response => setMoodEntries(response.data.moodEntries)));
+      }
+      if (sharedData.includes('activities')) {
+        requests.push(axios.get(`/api/sharing/patients/${grantId}/activities`)
+          .then(response => setActivities(response.data.activities)));
+      }
+      if (sharedData.includes('journal')) {
+        requests.push(axios.get(`/api/sharing/patients/${grantId}/journal?limit=20`)
+          .then(response => setJournalEntries(response.data.journalEntries)));
+      }
+      await Promise.all(requests);
+    } catch (err) {
+      console.error('Error fetching shared records:', err);
+      toast.error('Failed to load some shared data');
+    }
+  }, [grantId]);
+
+  useEffect(() => {
+    fetchOverview();
+  }, [fetchOverview]);
+
+  // Record lists don't depend on the period, so only load them once per grant
+  const sharedDataKey = overview ? overview.patient.sharedData.join(',') : null;
+
+  useEffect(() => {
+    if (sharedDataKey !== null) fetchSharedRecords(sharedDataKey.split(','));
+  }, [fetchSharedRecords, sharedDataKey]);
+
+  if (loading) {
+    return <LoadingSpinner size="xl" className="min-h-96" />;
+  }
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6 space-y-4">
+        <p className="text-gray-700">{error}</p>
+        <Link to="/sharing" className="font-medium text-primary-600 hover:text-primary-500 text-sm">
+          Back to sharing
+        </Link>
+      </div>
+    );
+  }
+
+  const { patient, moodAnalytics, activityAnalytics, journalAnalytics } = overview;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <Link to="/sharing" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-3">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Sharing
+        </Link>
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{patient.patientName}</h1>
+            <p className="text-gray-600 flex items-center text-sm">
+              <Eye className="h-4 w-4 mr-1" />
+              Read-only access until {format(new Date(patient.expiresAt), 'MMM d, yyyy')}.
+              {' '}{patient.patientName} can see when you view their data.
+            </p>
+          </div>
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="input w-auto"
+          >
+            <option value="week">Last week</option>
+            <option value="month">Last month</option>
+            <option value="quarter">Last quarter</option>
+            <option value="year">Last year</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Overview */}
+      {moodAnalytics && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+          <StatCard icon={Heart} color="text-red-500" label="Average Mood" value={`${moodAnalytics.averageMood.toFixed(1)}/5`} />
+          <StatCard icon={Zap} color="text-yellow-500" label="Average Energy" value={`${moodAnalytics.averageEnergy.toFixed(1)}/10`} />
+          <StatCard icon={AlertTriangle} color="text-orange-500" label="Average Stress" value={`${moodAnalytics.averageStress.toFixed(1)}/10`} />
+          <StatCard icon={Moon} color="text-blue-500" label="Average Sleep" value={moodAnalytics.averageSleep !== null ? `${moodAnalytics.averageSleep.toFixed(1)}h` : '—'} />
+        </div>
+      )}
+
+      {(activityAnalytics || journalAnalytics) && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {activityAnalytics && (
+            <StatCard icon={Activity} color="text-green-500" label="Activities Logged" value={activityAnalytics.totalLogs} />
+          )}
+          {journalAnalytics && (
+            <StatCard icon={BookOpen} color="text-purple-500" label="Shared Journal Entries" value={journalAnalytics.totalEntries} />
+          )}
+        </div>
+      )}
+
+      {/* Mood history */}
+      {patient.sharedData.includes('mood') && (
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Mood history</h2>
+          {moodEntries.length === 0 ? (
+            <p className="text-sm text-gray-500">No mood entries yet.</p>
+          ) : (
+            <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {moodEntries.map(entry => (
+                <div key={entry._id} className="p-4">
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm font-medium text-gray-900">
+                      <span className="mr-2">{MOOD_OPTIONS[entry.mood]?.emoji}</span>
+                      {MOOD_OPTIONS[entry.mood]?.label || entry.mood}
+                    </p>
+                    <p className="text-xs text-gray-500">{format(new Date(entry.date), 'EEE, MMM d, yyyy')}</p>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Energy {entry.energy}/10 · Stress {entry.stress}/10 · Anxiety {entry.anxiety}/10
+                    {entry.sleep?.hours != null && ` · Sleep ${entry.sleep.hours}h`}
+                  </p>
+                  {entry.activities?.length > 0 && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      {entry.activities.map(activity => activity.name).join(', ')}
+                    </p>
+                  )}
+                  {entry.notes && <p className="text-sm text-gray-700 mt-2">{entry.notes}</p>}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Activities */}
+      {patient.sharedData.includes('activities') && (
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Activities</h2>
+          {activities.length === 0 ? (
+            <p className="text-sm text-gray-500">No activities yet.</p>
+          ) : (
+            <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {activities.map(activity => (
+                <div key={activity._id} className="flex items-center justify-between p-4">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{activity.name}</p>
+                    <p className="text-xs text-gray-500 capitalize">{activity.category}</p>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    Mood impact {activity.moodImpact > 0 ? '+' : ''}{activity.moodImpact}
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Journal */}
+      {patient.sharedData.includes('journal') && (
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Shared journal entries</h2>
+          {journalEntries.length === 0 ? (
+            <p className="text-sm text-gray-500">No journal entries have been marked shareable.</p>
+          ) : (
+            <div className="space-y-4">
+              {journalEntries.map(entry => (
+                <div key={entry._id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-sm font-semibold text-gray-900">{entry.title}</h3>
+                    <p className="text-xs text-gray-500">{format(new Date(entry.date), 'MMM d, yyyy')}</p>
+                  </div>
+                  <p className="text-sm text-gray-700 whitespace-pre-wrap">{entry.content}</p>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SharedPatient;
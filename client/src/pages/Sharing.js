@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Share2, UserPlus, Eye, Stethoscope, ArrowRight } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  active: 'bg-green-100 text-green-800',
+  expired: 'bg-gray-100 text-gray-800',
+  declined: 'bg-gray-100 text-gray-800',
+  revoked: 'bg-red-100 text-red-800'
+};
+
+const RESOURCE_LABELS = {
+  overview: 'Analytics overview',
+  mood: 'Mood history',
+  activities: 'Activities',
+  journal: 'Shared journal entries'
+};
+
+const Sharing = () => {
+  const { user } = useAuth();
+  const [options, setOptions] = useState(null);
+  const [grants, setGrants] = useState([]);
+  const [accessLog, setAccessLog] = useState([]);
+  const [patients, setPatients] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting }
+  } = useForm({ defaultValues: { clinicianEmail: '', sharedData: ['mood'], durationDays: '90' } });
+
+  useEffect(() => {
+    fetchSharing();
+  }, []);
+
+  const fetchSharing = async () => {
+    try {
+      const [optionsResponse, grantsResponse, logResponse, patientsResponse] = await Promise.all([
+        axios.get('/api/sharing/options'),
+        axios.get('/api/sharing/grants'),
+        axios.get('/api/sharing/access-log'),
+        axios.get('/api/sharing/patients')
+      ]);
+      setOptions(optionsResponse.data);
+      setGrants(grantsResponse.data.grants);
+      setAccessLog(logResponse.data.accessLog);
+      setPatients(patientsResponse.data.patients);
+    } catch (error) {
+      console.error('Error fetching sharing data:', error);
+      toast.error('Failed to load sharing settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onInvite = async (data) => {
+    try {
+      const response = await axios.post('/api/sharing/grants', {
+        clinicianEmail: data.clinicianEmail,
+        sharedData: data.sharedData,
+        durationDays: parseInt(data.durationDays, 10)
+      });
+      toast.success(response.data.message);
+      setGrants(prev => [response.data.grant, ...prev]);
+      reset();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send invitation');
+    }
+  };
+
+  const revokeGrant = async (grant) => {
+    if (!window.confirm(`Stop sharing your data with ${grant.clinicianEmail}?`)) return;
+
+    try {
+      const response = await axios.delete(`/api/sharing/grants/${grant.id}`);
+      toast.success(response.data.message);
+      setGrants(prev => prev.map(g => (g.id === grant.id ? response.data.grant : g)));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke access');
+    }
+  };
+
+  const describeSharedData = (sharedData) => {
+    return sharedData
+      .map(type => options?.sharedData.find(option => option.value === type)?.label || type)
+      .join(', ');
+  };
+
+  if (loading) {
+    return <LoadingSpinner size="xl" className="min-h-96" />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+          <Share2 className="h-6 w-6 text-primary-600 mr-2" />
+          Sharing
+        </h1>
+        <p className="text-gray-600">
+          Give a therapist or other clinician read-only access to the data you choose, for as long as you choose.
+          You can revoke access at any time and see every time they look.
+        </p>
+      </div>
+
+      {/* Invite */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <UserPlus className="h-5 w-5 text-gray-500 mr-2" />
+          Invite a clinician
+        </h2>
+
+        {!user?.emailVerified ? (
+          <p className="text-sm text-gray-600">Please verify your email address before sharing your data.</p>
+        ) : (
+          <form onSubmit={handleSubmit(onInvite)} className="space-y-4 max-w-2xl">
+            <div>
+              <label className="label">Clinician's email</label>
+              <input
+                {...register('clinicianEmail', {
+                  required: 'Email is required',
+                  pattern: {
+                    value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                    message: 'Invalid email address'
+                  }
+                })}
+                type="email"
+                className="input"
+                placeholder="therapist@example.com"
+              />
+              {errors.clinicianEmail && (
+                <p className="mt-1 text-sm text-red-600">{errors.clinicianEmail.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="label">What they can see</label>
+              <div className="space-y-2">
+                {options?.sharedData.map(option => (
+                  <label key={option.value} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      {...register('sharedData', { validate: value => value.length > 0 || 'Choose at least one' })}
+                      type="checkbox"
+                      value={option.value}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span className="capitalize">{option.label}</span>
+                  </label>
+                ))}
+              </div>
+              {errors.sharedData && (
+                <p className="mt-1 text-sm text-red-600">{errors.sharedData.message}</p>
+              )}
+              <p className="mt-1 text-sm text-gray-500">
+                Mark journal entries as shareable from the Journal page.
+              </p>
+            </div>
+
+            <div className="max-w-xs">
+              <label className="label">Access lasts</label>
+              <select {...register('durationDays')} className="input">
+                {options?.durationOptionsDays.map(days => (
+                  <option key={days} value={days}>{days} days</option>
+                ))}
+              </select>
+            </div>
+
+            <button type="submit" disabled={isSubmitting} className="btn btn-primary btn-md">
+              {isSubmitting ? 'Sending...' : 'Send invitation'}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Grants */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">People with access</h2>
+        {grants.length === 0 ? (
+          <p className="text-sm text-gray-500">You haven't shared your data with anyone.</p>
+        ) : (
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {grants.map(grant => (
+              <div key={grant.id} className="flex items-center justify-between p-4">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {grant.clinicianName ? `${grant.clinicianName} (${grant.clinicianEmail})` : grant.clinicianEmail}
+                    <span className={`ml-2 px-2 py-0.5 text-xs rounded-full capitalize ${STATUS_STYLES[grant.status]}`}>
+                      {grant.status}
+                    </span>
+                  </p>
+                  <p className="text-xs text-gray-500 capitalize">{describeSharedData(grant.sharedData)}</p>
+                  <p className="text-xs text-gray-500">
+                    Until {format(new Date(grant.expiresAt), 'MMM d, yyyy')}
+                  </p>
+                </div>
+                {(grant.status === 'pending' || grant.status === 'active') && (
+                  <button onClick={() => revokeGrant(grant)} className="btn btn-ghost btn-sm text-red-600">
+                    Revoke
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Access log */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <Eye className="h-5 w-5 text-gray-500 mr-2" />
+          Who looked
+        </h2>
+        {accessLog.length === 0 ? (
+          <p className="text-sm text-gray-500">No one has viewed your shared data yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {accessLog.map(entry => (
+              <div key={entry.id} className="p-3 text-sm">
+                <p className="text-gray-900">
+                  <span className="font-medium">{entry.clinicianName || entry.clinicianEmail}</span>
+                  {' viewed '}
+                  {RESOURCE_LABELS[entry.resource] || entry.resource}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {format(new Date(entry.createdAt), 'MMM d, yyyy h:mm a')} · {entry.ip || 'Unknown IP'}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Shared with me */}
+      {patients.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <Stethoscope className="h-5 w-5 text-gray-500 mr-2" />
+            Shared with me
+          </h2>
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {patients.map(patient => (
+              <Link
+                key={patient.grantId}
+                to={`/sharing/patients/${patient.grantId}`}
+                className="flex items-center justify-between p-4 hover:bg-gray-50"
+              >
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{patient.patientName}</p>
+                  <p className="text-xs text-gray-500 capitalize">{describeSharedData(patient.sharedData)}</p>
+                  <p className="text-xs text-gray-500">
+                    Until {format(new Date(patient.expiresAt), 'MMM d, yyyy')}
+                  </p>
+                </div>
+                <ArrowRight className="h-4 w-4 text-gray-400" />
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Sharing;
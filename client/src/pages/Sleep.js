@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Moon, Clock, AlarmClock, TrendingDown } from 'lucide-react';
+import {
+  BarChart,
+  Bar,
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const formatDateKey = (dateKey, pattern = 'MMM d') => format(new Date(`${dateKey}T12:00:00`), pattern);
+
+const formatAverage = (value, suffix = '') => (value === null ? '—' : `${value.toFixed(1)}${suffix}`);
+
+// How strongly two things move together, in words
+const describeCorrelation = (value) => {
+  if (value === null) return 'Not enough nights yet';
+  const strength = Math.abs(value) >= 0.5 ? 'Strong' : Math.abs(value) >= 0.3 ? 'Moderate' : 'Weak';
+  if (strength === 'Weak') return `Little link (${value})`;
+  return `${strength} ${value > 0 ? 'positive' : 'negative'} link (${value})`;
+};
+
+const getConsistencyColor = (deviationMinutes) => {
+  if (deviationMinutes <= 30) return 'text-green-600';
+  if (deviationMinutes <= 60) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+const NextDayTable = ({ title, rows }) => (
+  <div>
+    <h3 className="text-sm font-medium text-gray-700 mb-2">{title}</h3>
+    <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+      <div className="grid grid-cols-4 gap-2 p-2 text-xs font-medium text-gray-500 uppercase">
+        <span>Night</span>
+        <span className="text-right">Nights</span>
+        <span className="text-right">Mood</span>
+        <span className="text-right">Energy</span>
+      </div>
+      {rows.map(row => (
+        <div key={row.label} className={`grid grid-cols-4 gap-2 p-2 text-sm ${row.nights === 0 ? 'text-gray-400' : 'text-gray-900'}`}>
+          <span>{row.label}</span>
+          <span className="text-right">{row.nights}</span>
+          <span className="text-right">{formatAverage(row.averageMood, '/5')}</span>
+          <span className="text-right">{formatAverage(row.averageEnergy, '/10')}</span>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+const Sleep = () => {
+  const [period, setPeriod] = useState('month');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        const response = await axios.get(`/api/analytics/sleep?period=${period}`);
+        setReport(response.data);
+      } catch (error) {
+        console.error('Error fetching sleep report:', error);
+        toast.error('Failed to load sleep data');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReport();
+  }, [period]);
+
+  if (loading) {
+    return <LoadingSpinner size="xl" className="min-h-96" />;
+  }
+
+  const { summary, consistency, nextDay } = report;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+              <Moon className="h-6 w-6 text-blue-500 mr-3" />
+              Sleep
+            </h1>
+            <p className="text-gray-600 mt-1">
+              Log last night's sleep with each <Link to="/mood" className="text-primary-600 hover:underline">check-in</Link>.
+            </p>
+          </div>
+          <select value={period} onChange={(e) => setPeriod(e.target.value)} className="input w-40">
+            <option value="week">Last 7 days</option>
+            <option value="month">Last 30 days</option>
+            <option value="quarter">Last 3 months</option>
+            <option value="year">Last year</option>
+          </select>
+        </div>
+      </div>
+
+      {summary.nightsLogged === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+          <Moon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No sleep logged</h3>
+          <p className="text-gray-500">Add your bedtime and wake time to a check-in to see your sleep here.</p>
+        </div>
+      ) : (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Average Sleep</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatAverage(summary.averageHours, 'h')}</p>
+                </div>
+                <Moon className="h-8 w-8 text-blue-500" />
+              </div>
+              <p className="mt-2 text-sm text-gray-500">Over {summary.nightsLogged} nights</p>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Average Bedtime</p>
+                  <p className="text-2xl font-bold text-gray-900">{consistency.bedtime.average || '—'}</p>
+                </div>
+                <Clock className="h-8 w-8 text-purple-500" />
+              </div>
+              {consistency.bedtime.deviationMinutes !== null && (
+                <p className={`mt-2 text-sm ${getConsistencyColor(consistency.bedtime.deviationMinutes)}`}>
+                  Varies by ±{consistency.bedtime.deviationMinutes} min
+                </p>
+              )}
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Average Wake Time</p>
+                  <p className="text-2xl font-bold text-gray-900">{consistency.wakeTime.average || '—'}</p>
+                </div>
+                <AlarmClock className="h-8 w-8 text-yellow-500" />
+              </div>
+              {consistency.wakeTime.deviationMinutes !== null && (
+                <p className={`mt-2 text-sm ${getConsistencyColor(consistency.wakeTime.deviationMinutes)}`}>
+                  Varies by ±{consistency.wakeTime.deviationMinutes} min
+                </p>
+              )}
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Sleep Debt</p>
+                  <p className="text-2xl font-bold text-gray-900">{summary.currentDebtHours.toFixed(1)}h</p>
+                </div>
+                <TrendingDown className="h-8 w-8 text-red-500" />
+              </div>
+              <p className="mt-2 text-sm text-gray-500">
+                Short of {report.needHours}h a night over the last {report.debtWindowDays} days
+              </p>
+            </div>
+          </div>
+
+          {/* Nightly sleep */}
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Nightly Sleep</h2>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={report.nights}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" tickFormatter={(value) => formatDateKey(value)} />
+                <YAxis domain={[0, 'auto']} />
+                <Tooltip
+                  labelFormatter={(value) => formatDateKey(value, 'MMMM d, yyyy')}
+                  formatter={(value, name) => [`${value}h`, name === 'hours' ? 'Night' : 'Including naps']}
+                />
+                <ReferenceLine y={report.needHours} stroke="#10B981" strokeDasharray="4 4" />
+                <Bar dataKey="hours" fill="#3B82F6" />
+                <Bar dataKey="totalHours" fill="#93C5FD" />
+              </BarChart>
+            </ResponsiveContainer>
+            {summary.averageLatencyMinutes !== null && (
+              <p className="mt-4 text-sm text-gray-600">
+                On average you took {Math.round(summary.averageLatencyMinutes)} min to fall asleep
+                {summary.averageAwakenings !== null && ` and woke ${summary.averageAwakenings.toFixed(1)} times a night`}.
+              </p>
+            )}
+          </div>
+
+          {/* Sleep debt */}
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Sleep Debt</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Hours short of {report.needHours}h a night over the {report.debtWindowDays} days up to each day. Nights you didn't log are skipped.
+            </p>
+            <ResponsiveContainer width="100%" height={250}>
+              <AreaChart data={report.debt}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" tickFormatter={(value) => formatDateKey(value)} />
+                <YAxis domain={[0, 'auto']} />
+                <Tooltip
+                  labelFormatter={(value) => formatDateKey(value, 'MMMM d, yyyy')}
+                  formatter={(value) => [`${value}h`, 'Sleep debt']}
+                />
+                <Area type="monotone" dataKey="hours" stroke="#EF4444" fill="#FEE2E2" />
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Next-day mood and energy */}
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">The Day After</h2>
+            <p className="text-sm text-gray-500 mb-4">Average mood and energy on the day after each kind of night</p>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <NextDayTable title="By bedtime" rows={nextDay.byBedtime} />
+              <NextDayTable title="By hours slept" rows={nextDay.byDuration} />
+            </div>
+            <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+              <p className="text-gray-700">
+                <span className="font-medium">Later bedtime and mood:</span> {describeCorrelation(nextDay.correlations.bedtimeMood)}
+              </p>
+              <p className="text-gray-700">
+                <span className="font-medium">Later bedtime and energy:</span> {describeCorrelation(nextDay.correlations.bedtimeEnergy)}
+              </p>
+              <p className="text-gray-700">
+                <span className="font-medium">More sleep and mood:</span> {describeCorrelation(nextDay.correlations.hoursMood)}
+              </p>
+              <p className="text-gray-700">
+                <span className="font-medium">More sleep and energy:</span> {describeCorrelation(nextDay.correlations.hoursEnergy)}
+              </p>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Sleep;
@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { CheckCircle, XCircle, Heart } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const { verifyEmail, isAuthenticated } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so make sure the request is only sent once
+    if (requested.current) return;
+    requested.current = true;
+
+    const verificationToken = searchParams.get('token');
+    if (!verificationToken) {
+      setStatus('error');
+      setMessage('This verification link is missing its token.');
+      return;
+    }
+
+    verifyEmail(verificationToken).then((result) => {
+      setStatus(result.success ? 'success' : 'error');
+      setMessage(result.success ? result.message : result.error);
+    });
+  }, [searchParams, verifyEmail]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 bg-primary-600 rounded-full flex items-center justify-center">
+            <Heart className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Email verification
+          </h2>
+        </div>
+
+        <div className="card p-6 text-center space-y-4">
+          {status === 'verifying' && (
+            <>
+              <LoadingSpinner size="lg" />
+              <p className="text-sm text-gray-600">Confirming your email address...</p>
+            </>
+          )}
+          {status === 'success' && (
+            <>
+              <CheckCircle className="h-10 w-10 text-green-600 mx-auto" />
+              <p className="text-sm text-gray-700">{message}</p>
+            </>
+          )}
+          {status === 'error' && (
+            <>
+              <XCircle className="h-10 w-10 text-red-600 mx-auto" />
+              <p className="text-sm text-gray-700">{message}</p>
+              <p className="text-sm text-gray-500">
+                You can request a new link from the banner after signing in.
+              </p>
+            </>
+          )}
+          {status !== 'verifying' && (
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="font-medium text-primary-600 hover:text-primary-500 text-sm"
+            >
+              {isAuthenticated ? 'Go to dashboard' : 'Go to sign in'}
+            </Link>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
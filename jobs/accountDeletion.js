@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ClinicianGrant = require('../models/ClinicianGrant');
+
+// How often to look for accounts whose grace period has ended
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Every collection whose documents belong to a user through a `user` field.
+// Discovered from the registered models so new collections are erased too.
+const ownedModels = () => {
+  return mongoose.modelNames()
+    .map(name => mongoose.model(name))
+    .filter(model => model.schema.path('user')?.options?.ref === 'User');
+};
+
+// Permanently delete a user and everything they own
+const eraseUser = async (userId) => {
+  for (const model of ownedModels()) {
+    await model.deleteMany({ user: userId });
+  }
+
+  // Access the user had to other people's data as a clinician ends too
+  await ClinicianGrant.updateMany(
+    { clinician: userId, status: { $in: ['pending', 'active'] } },
+    { status: 'revoked', revokedAt: new Date() }
+  );
+
+  await User.deleteOne({ _id: userId });
+};
+
+// Erase every account whose scheduled deletion date has passed
+const purgeScheduledDeletions = async () => {
+  const users = await User.find({
+    deletionScheduledFor: { $ne: null, $lte: new Date() }
+  }).select('_id');
+
+  for (const user of users) {
+    await eraseUser(user._id);
+  }
+
+  return users.length;
+};
+
+const startAccountDeletionJob = () => {
+  const run = () => purgeScheduledDeletions()
+    .then(count => {
+      if (count > 0) console.log(`Erased ${count} account(s) scheduled for deletion`);
+    })
+    .catch(error => console.error('Account deletion job error:', error));
+
+  run();
+  return setInterval(run, PURGE_INTERVAL);
+};
+
+module.exports = { eraseUser, purgeScheduledDeletions, startAccountDeletionJob };
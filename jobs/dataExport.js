@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const { writeUserExport } = require('../utils/dataExport');
+const { sendNotificationMail, clientUrl } = require('../utils/mailer');
+const templates = require('../utils/mailer/templates');
+
+const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || 'exports');
+const RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS, 10) || 48;
+
+// How often to pick up queued exports and remove expired archives
+const EXPORT_INTERVAL = 10 * 60 * 1000;
+
+const notifyExportReady = async (dataExport) => {
+  const user = await User.findById(dataExport.user);
+  if (!user) return;
+
+  await sendNotificationMail(user, templates.dataExportReady({
+    name: user.name,
+    profileUrl: clientUrl('/profile'),
+    expiresAt: dataExport.expiresAt.toUTCString()
+  }));
+};
+
+// Build the archive for a queued export. Safe to call more than once: only
+// the first caller claims the export.
+const processExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { status: 'processing' },
+    { new: true }
+  );
+  if (!dataExport) return;
+
+  const filePath = path.join(EXPORT_DIR, `${dataExport._id}.zip`);
+
+  try {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const recordCount = await writeUserExport(dataExport.user, fs.createWriteStream(filePath));
+    const { size } = await fs.promises.stat(filePath);
+
+    dataExport.status = 'ready';
+    dataExport.filePath = filePath;
+    dataExport.fileSize = size;
+    dataExport.recordCount = recordCount;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000);
+    await dataExport.save();
+  } catch (error) {
+    console.error('Data export error:', error);
+    await fs.promises.rm(filePath, { force: true });
+    dataExport.status = 'failed';
+    dataExport.error = 'The export could not be created';
+    await dataExport.save();
+    return;
+  }
+
+  try {
+    await notifyExportReady(dataExport);
+  } catch (error) {
+    console.error('Data export email error:', error);
+  }
+};
+
+// Start processing in the background without blocking the request
+const queueExport = (exportId) => {
+  setImmediate(() => {
+    processExport(exportId).catch(error => console.error('Data export error:', error));
+  });
+};
+
+const runDataExportJob = async () => {
+  // Archives past their retention period are deleted with their records
+  await DataExport.deleteMany({ expiresAt: { $ne: null, $lte: new Date() } });
+
+  const pending = await DataExport.find({ status: 'pending' }).select('_id');
+  for (const dataExport of pending) {
+    await processExport(dataExport._id);
+  }
+};
+
+const startDataExportJob = () => {
+  const run = () => runDataExportJob()
+    .catch(error => console.error('Data export job error:', error));
+
+  // Exports interrupted by a restart are queued again
+  DataExport.updateMany({ status: 'processing' }, { status: 'pending' })
+    .catch(error => console.error('Data export job error:', error))
+    .then(run);
+
+  return setInterval(run, EXPORT_INTERVAL);
+};
+
+module.exports = { processExport, queueExport, startDataExportJob };
@@ -1,46 +1,116 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { PERSONAL_ACCESS_TOKEN_PREFIX, hashToken } = require('../utils/tokens');
 
-const auth = async (req, res, next) => {
+// Don't write lastUsedAt on every request made with a personal access token
+const TOKEN_USAGE_UPDATE_INTERVAL = 60 * 1000;
+
+// Resolve the user behind an access token, or null if it is not usable
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+
+  // Access tokens are only valid while their session has not been revoked
+  const session = decoded.sid && await Session.findById(decoded.sid);
+  if (!session || !session.isValid || !session.user.equals(decoded.id)) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  return user ? { user, sessionId: session._id } : null;
+};
+
+// Resolve the user behind a personal access token, or null if it is not usable
+const authenticatePersonalAccessToken = async (token, ip) => {
+  const accessToken = await PersonalAccessToken.findOne({ tokenHash: hashToken(token) });
+  if (!accessToken || !accessToken.isValid) {
+    return null;
+  }
+
+  const user = await User.findById(accessToken.user).select('-password');
+  if (!user) {
+    return null;
+  }
+
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt > TOKEN_USAGE_UPDATE_INTERVAL) {
+    accessToken.lastUsedAt = new Date();
+    accessToken.lastUsedIp = ip;
+    await accessToken.save();
+  }
+
+  return { user, accessToken };
+};
+
+// Build the authentication middleware. Browser sessions (JWTs) are accepted
+// everywhere; personal access tokens only on routes that name a scope, and
+// only if the token was granted it.
+const authenticate = (scope) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user) {
+    let result;
+    if (token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)) {
+      if (!scope) {
+        return res.status(403).json({ message: 'Personal access tokens cannot be used for this endpoint' });
+      }
+
+      result = await authenticatePersonalAccessToken(token, req.ip);
+
+      if (result && !result.accessToken.scopes.includes(scope)) {
+        return res.status(403).json({
+          message: `Token is missing the required scope: ${scope}`,
+          requiredScope: scope
+        });
+      }
+    } else {
+      result = await authenticateToken(token);
+    }
+
+    if (!result) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
-    if (!user.isActive) {
+    if (!result.user.isActive) {
       return res.status(401).json({ message: 'Account is deactivated' });
     }
 
-    req.user = user;
+    req.user = result.user;
+    req.sessionId = result.sessionId || null;
+    req.accessToken = result.accessToken || null;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token has expired', code: 'TOKEN_EXPIRED' });
+    }
     console.error('Auth middleware error:', error);
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
+// Signed-in browser sessions only
+const auth = authenticate();
+
+// Browser sessions, or personal access tokens granted the given scope
+const scopedAuth = (scope) => authenticate(scope);
+
 const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
+      const result = await authenticateToken(token);
+
+      if (result && result.user.isActive) {
+        req.user = result.user;
+        req.sessionId = result.sessionId;
       }
     }
-    
+
     next();
   } catch (error) {
     // Continue without authentication for optional auth
@@ -48,4 +118,8 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, optionalAuth };
+// Whether the request may read data covered by another scope. Browser
+// sessions can read everything; personal access tokens need the scope.
+const hasScope = (req, scope) => !req.accessToken || req.accessToken.scopes.includes(scope);
+
+module.exports = { auth, scopedAuth, optionalAuth, hasScope };
@@ -63,6 +63,12 @@ const activitySchema = new mongoose.Schema({
   icon: {
     type: String,
     default: '📝'
+  },
+  // Library item the activity was copied from, if any
+  libraryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LibraryActivity',
+    default: null
   }
 }, {
   timestamps: true
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One time the user actually did an activity
+const activityLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  duration: {
+    type: Number, // in minutes
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [1440, 'Duration cannot exceed 24 hours'],
+    default: null
+  },
+  // Mood just before and after, on the same 1-5 scale as a check-in's mood
+  moodBefore: {
+    type: Number,
+    min: 1,
+    max: 5,
+    default: null
+  },
+  moodAfter: {
+    type: Number,
+    min: 1,
+    max: 5,
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  // 'habit' for logs created by checking a habit off, which unchecking removes
+  source: {
+    type: String,
+    enum: ['manual', 'habit'],
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+activityLogSchema.index({ user: 1, date: -1 });
+activityLogSchema.index({ activity: 1, date: -1 });
+
+module.exports = mongoose.model('ActivityLog', activityLogSchema);
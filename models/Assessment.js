@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { ASSESSMENT_TYPES, SEVERITIES } = require('../utils/assessments');
+
+const assessmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ASSESSMENT_TYPES,
+    required: [true, 'Assessment type is required']
+  },
+  // Version of the definition the answers were scored against
+  version: {
+    type: Number,
+    required: true
+  },
+  // One answer per item, in the definition's order
+  responses: {
+    type: [Number],
+    required: true
+  },
+  totalScore: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    required: true
+  },
+  // Set when an item that starts the crisis-support flow was endorsed
+  crisisFlag: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+assessmentSchema.index({ user: 1, type: 1, completedAt: -1 });
+
+module.exports = mongoose.model('Assessment', assessmentSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One record per time a clinician views a patient's shared data
+const clinicianAccessLogSchema = new mongoose.Schema({
+  // The patient whose data was viewed
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  grant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicianGrant',
+    required: true
+  },
+  clinician: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied so the log stays readable if the clinician's account is deleted
+  clinicianName: {
+    type: String,
+    default: ''
+  },
+  clinicianEmail: {
+    type: String,
+    default: ''
+  },
+  resource: {
+    type: String,
+    enum: ['overview', 'mood', 'activities', 'journal'],
+    required: true
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for efficient queries
+clinicianAccessLogSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ClinicianAccessLog', clinicianAccessLogSchema);
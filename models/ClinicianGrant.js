@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { SHARED_DATA_TYPES } = require('../utils/sharing');
+
+const clinicianGrantSchema = new mongoose.Schema({
+  // The patient sharing their data
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  clinicianEmail: {
+    type: String,
+    required: [true, 'Clinician email is required'],
+    lowercase: true,
+    trim: true
+  },
+  // Set once the clinician accepts the invitation
+  clinician: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sharedData: {
+    type: [{
+      type: String,
+      enum: SHARED_DATA_TYPES
+    }],
+    validate: [types => types.length > 0, 'Choose at least one kind of data to share']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  // Hash of the emailed invitation token
+  inviteTokenHash: {
+    type: String,
+    select: false
+  },
+  inviteExpiresAt: {
+    type: Date,
+    required: true
+  },
+  // Access ends at this date even if the grant is never revoked
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+clinicianGrantSchema.index({ user: 1, createdAt: -1 });
+clinicianGrantSchema.index({ clinician: 1, status: 1 });
+clinicianGrantSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+
+// Virtual for whether the clinician can currently see the data
+clinicianGrantSchema.virtual('isUsable').get(function() {
+  return this.status === 'active' && this.expiresAt > new Date();
+});
+
+// Status shown to users, with expiry taken into account
+clinicianGrantSchema.virtual('displayStatus').get(function() {
+  if (this.status === 'active' && this.expiresAt <= new Date()) return 'expired';
+  if (this.status === 'pending' && this.inviteExpiresAt <= new Date()) return 'expired';
+  return this.status;
+});
+
+module.exports = mongoose.model('ClinicianGrant', clinicianGrantSchema);
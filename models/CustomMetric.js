@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { METRIC_TYPES } = require('../utils/customMetrics');
+
+// Something a user tracks at each check-in besides the built-in mood, energy,
+// stress, anxiety and sleep fields
+const customMetricSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Metric name is required'],
+    trim: true,
+    maxlength: [40, 'Metric name cannot be more than 40 characters']
+  },
+  type: {
+    type: String,
+    enum: METRIC_TYPES,
+    required: true
+  },
+  // Range of a scale, or 0 and an optional upper limit for a count. Both are
+  // null for booleans.
+  min: {
+    type: Number,
+    default: null
+  },
+  max: {
+    type: Number,
+    default: null
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot be more than 20 characters']
+  }
+}, {
+  timestamps: true
+});
+
+customMetricSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('CustomMetric', customMetricSchema);
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  filePath: {
+    type: String,
+    default: null
+  },
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  recordCount: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  downloadedAt: {
+    type: Date,
+    default: null
+  },
+  // Archives are deleted after this date
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1 });
+dataExportSchema.index({ expiresAt: 1 });
+
+// Remove archive files along with their records (e.g. on account deletion)
+dataExportSchema.pre('deleteMany', async function() {
+  const exports = await this.model.find(this.getFilter()).select('filePath');
+  await Promise.all(exports
+    .filter(dataExport => dataExport.filePath)
+    .map(dataExport => fs.promises.rm(dataExport.filePath, { force: true })));
+});
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Activity = require('./Activity');
+const { GOAL_TYPES, GOAL_PERIODS, GOAL_COMPARISONS, GOAL_METRICS } = require('../utils/goals');
+
+// A measurable target, checked against the user's own data each week, month
+// or quarter
+const goalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Goal title is required'],
+    trim: true,
+    maxlength: [100, 'Goal title cannot be more than 100 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Goal type is required'],
+    enum: GOAL_TYPES
+  },
+  // activity-count goals count logs of one activity, of one category, or of
+  // any activity when both are null
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity',
+    default: null
+  },
+  category: {
+    type: String,
+    enum: [...Activity.schema.path('category').enumValues, null],
+    default: null
+  },
+  // Check-in metric a mood-average goal averages
+  metric: {
+    type: String,
+    enum: [...Object.keys(GOAL_METRICS), null],
+    default: null
+  },
+  comparison: {
+    type: String,
+    enum: GOAL_COMPARISONS,
+    default: 'at-least'
+  },
+  target: {
+    type: Number,
+    required: [true, 'Target is required']
+  },
+  period: {
+    type: String,
+    required: [true, 'Period is required'],
+    enum: GOAL_PERIODS
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Day ('YYYY-MM-DD') of the last completion the user was notified about
+  completionNotifiedOn: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+goalSchema.index({ user: 1, isActive: 1 });
+
+module.exports = mongoose.model('Goal', goalSchema);
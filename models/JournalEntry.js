@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { EMOTIONS, MIN_INTENSITY, MAX_INTENSITY } = require('../utils/emotions');
 
 const journalEntrySchema = new mongoose.Schema({
   user: {
@@ -27,6 +28,21 @@ const journalEntrySchema = new mongoose.Schema({
     enum: ['very-sad', 'sad', 'neutral', 'happy', 'very-happy'],
     default: 'neutral'
   },
+  // Specific feelings from the emotion wheel, each rated 1-5
+  emotions: [{
+    _id: false,
+    name: {
+      type: String,
+      enum: EMOTIONS,
+      required: true
+    },
+    intensity: {
+      type: Number,
+      min: MIN_INTENSITY,
+      max: MAX_INTENSITY,
+      required: true
+    }
+  }],
   tags: [{
     type: String,
     trim: true,
@@ -36,6 +52,11 @@ const journalEntrySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Visible to clinicians the user has granted journal access
+  isShareable: {
+    type: Boolean,
+    default: false
+  },
   attachments: [{
     type: {
       type: String,
@@ -72,6 +93,7 @@ journalEntrySchema.index({ user: 1, date: -1 });
 journalEntrySchema.index({ user: 1, mood: 1 });
 journalEntrySchema.index({ user: 1, tags: 1 });
 journalEntrySchema.index({ user: 1, isPrivate: 1 });
+journalEntrySchema.index({ user: 1, isShareable: 1, date: -1 });
 
 // Calculate word count and reading time before saving
 journalEntrySchema.pre('save', function(next) {
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Activity = require('./Activity');
+const { DEFAULT_LIBRARY } = require('../utils/activityLibrary');
+
+// An item in the shared activity library. Built-in items are seeded at
+// startup; admins can add more. Users copy items into their own activities.
+const libraryActivitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Activity name is required'],
+    trim: true,
+    maxlength: [100, 'Activity name cannot be more than 100 characters']
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    enum: Activity.schema.path('category').enumValues
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Suggested duration in minutes
+  duration: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [1440, 'Duration cannot exceed 24 hours']
+  },
+  // Suggested expected impact, copied into the user's activity
+  moodImpact: {
+    type: Number,
+    min: -5,
+    max: 5,
+    default: 0
+  },
+  energyImpact: {
+    type: Number,
+    min: -5,
+    max: 5,
+    default: 0
+  },
+  color: {
+    type: String,
+    default: '#3B82F6',
+    match: [/^#[0-9A-F]{6}$/i, 'Color must be a valid hex color']
+  },
+  icon: {
+    type: String,
+    default: '📝',
+    maxlength: [10, 'Icon cannot be more than 10 characters']
+  },
+  isBuiltIn: {
+    type: Boolean,
+    default: false
+  },
+  // Hidden items aren't offered to users; activities copied from them stay
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+libraryActivitySchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+libraryActivitySchema.index({ isActive: 1, category: 1 });
+
+// Add any built-in items missing from the library. Existing ones keep the
+// edits admins made to them.
+libraryActivitySchema.statics.seedDefaults = function() {
+  return this.bulkWrite(DEFAULT_LIBRARY.map(({ name, ...item }) => ({
+    updateOne: {
+      filter: { name },
+      update: { $setOnInsert: { ...item, isBuiltIn: true } },
+      upsert: true
+    }
+  })));
+};
+
+module.exports = mongoose.model('LibraryActivity', libraryActivitySchema);
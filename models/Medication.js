@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { DATE_KEY_PATTERN, TIME_PATTERN } = require('../utils/timezone');
+const { MAX_DOSES_PER_DAY } = require('../utils/medications');
+
+const dateKey = {
+  type: String,
+  match: [DATE_KEY_PATTERN, 'Dates must be formatted as YYYY-MM-DD']
+};
+
+const medicationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Medication name is required'],
+    trim: true,
+    maxlength: [100, 'Medication name cannot be more than 100 characters']
+  },
+  // Current dose, e.g. "50 mg"
+  dose: {
+    type: String,
+    required: [true, 'Dose is required'],
+    trim: true,
+    maxlength: [50, 'Dose cannot be more than 50 characters']
+  },
+  schedule: {
+    // Times of day ('HH:mm') a dose is due. Empty for as-needed medications.
+    times: {
+      type: [{
+        type: String,
+        match: [TIME_PATTERN, 'Times must be formatted as HH:mm']
+      }],
+      validate: [times => times.length <= MAX_DOSES_PER_DAY, `At most ${MAX_DOSES_PER_DAY} doses a day`]
+    }
+  },
+  // Calendar days in the user's timezone
+  startDate: {
+    ...dateKey,
+    required: [true, 'Start date is required']
+  },
+  stopDate: {
+    ...dateKey,
+    default: null
+  },
+  // Every dose the medication has been taken at, starting with the first
+  doseHistory: [{
+    _id: false,
+    dose: {
+      type: String,
+      required: true
+    },
+    date: {
+      ...dateKey,
+      required: true
+    }
+  }],
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+medicationSchema.index({ user: 1, stopDate: 1 });
+
+module.exports = mongoose.model('Medication', medicationSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { DATE_KEY_PATTERN, TIME_PATTERN } = require('../utils/timezone');
+const { DOSE_STATUSES } = require('../utils/medications');
+
+// One logged dose: whether a scheduled (or as-needed) dose was taken
+const medicationDoseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  medication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication',
+    required: true
+  },
+  // Calendar day in the user's timezone
+  date: {
+    type: String,
+    required: true,
+    match: [DATE_KEY_PATTERN, 'Dates must be formatted as YYYY-MM-DD']
+  },
+  // Scheduled time this dose was for; null for as-needed doses
+  scheduledTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Times must be formatted as HH:mm'],
+    default: null
+  },
+  status: {
+    type: String,
+    enum: DOSE_STATUSES,
+    required: [true, 'Status is required']
+  },
+  dose: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Dose cannot be more than 50 characters']
+  },
+  takenAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+medicationDoseSchema.index({ user: 1, medication: 1, date: -1 });
+medicationDoseSchema.index({ medication: 1, date: 1, scheduledTime: 1 });
+
+module.exports = mongoose.model('MedicationDose', medicationDoseSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { EMOTIONS, MIN_INTENSITY, MAX_INTENSITY } = require('../utils/emotions');
+const { MIN_SEVERITY, MAX_SEVERITY } = require('../utils/symptoms');
+const { SLEEP_QUALITIES } = require('../utils/sleep');
+const { TIME_PATTERN } = require('../utils/timezone');
 
 const moodEntrySchema = new mongoose.Schema({
   user: {
@@ -38,17 +42,47 @@ const moodEntrySchema = new mongoose.Schema({
     max: 10,
     default: 5
   },
+  // The night before the check-in. Hours are derived from bedtime, wake
+  // time and latency when both times are given; null means not logged.
   sleep: {
     hours: {
       type: Number,
       min: 0,
       max: 24,
-      default: 8
+      default: null
     },
     quality: {
       type: String,
-      enum: ['poor', 'fair', 'good', 'excellent'],
-      default: 'good'
+      enum: [...SLEEP_QUALITIES, null],
+      default: null
+    },
+    bedtime: {
+      type: String,
+      match: [TIME_PATTERN, 'Bedtime must be formatted as HH:mm'],
+      default: null
+    },
+    wakeTime: {
+      type: String,
+      match: [TIME_PATTERN, 'Wake time must be formatted as HH:mm'],
+      default: null
+    },
+    latencyMinutes: {
+      type: Number,
+      min: 0,
+      max: 300,
+      default: null
+    },
+    awakenings: {
+      type: Number,
+      min: 0,
+      max: 30,
+      default: null
+    },
+    napMinutes: {
+      type: Number,
+      min: 0,
+      max: 600,
+      default: null
     }
   },
   activities: [{
@@ -59,6 +93,49 @@ const moodEntrySchema = new mongoose.Schema({
     type: String,
     maxlength: [1000, 'Notes cannot be more than 1000 characters']
   },
+  // Specific feelings from the emotion wheel, each rated 1-5
+  emotions: [{
+    _id: false,
+    name: {
+      type: String,
+      enum: EMOTIONS,
+      required: true
+    },
+    intensity: {
+      type: Number,
+      min: MIN_INTENSITY,
+      max: MAX_INTENSITY,
+      required: true
+    }
+  }],
+  // Symptoms from the checklist, each rated 1 (mild) to 3 (severe)
+  symptoms: [{
+    _id: false,
+    symptom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Symptom',
+      required: true
+    },
+    severity: {
+      type: Number,
+      min: MIN_SEVERITY,
+      max: MAX_SEVERITY,
+      required: true
+    }
+  }],
+  // Values for the user's own metrics. Booleans are stored as 1 or 0.
+  customMetrics: [{
+    _id: false,
+    metric: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CustomMetric',
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true
+    }
+  }],
   tags: [{
     type: String,
     trim: true,
@@ -95,7 +172,4 @@ moodEntrySchema.virtual('moodScore').get(function() {
   return moodMap[this.mood];
 });
 
-// Ensure only one entry per user per day
-moodEntrySchema.index({ user: 1, date: 1 }, { unique: true });
-
 module.exports = mongoose.model('MoodEntry', moodEntrySchema);
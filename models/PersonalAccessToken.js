@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { SCOPES } = require('../utils/scopes');
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot be more than 100 characters']
+  },
+  // Only a hash of the token is stored; it is shown to the user once
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Start of the token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: Object.keys(SCOPES)
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  // Null for tokens that never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+personalAccessTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB remove tokens once they have expired
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the token can still be used
+personalAccessTokenSchema.virtual('isValid').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
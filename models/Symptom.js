@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { SYMPTOM_CATEGORIES, DEFAULT_SYMPTOMS } = require('../utils/symptoms');
+
+// An item on the symptom checklist. Built-in symptoms have no user; the ones
+// a user adds belong to them.
+const symptomSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Symptom name is required'],
+    trim: true,
+    maxlength: [40, 'Symptom name cannot be more than 40 characters']
+  },
+  category: {
+    type: String,
+    enum: SYMPTOM_CATEGORIES,
+    default: 'emotional'
+  }
+}, {
+  timestamps: true
+});
+
+symptomSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Add any built-in symptoms missing from the catalog. Existing ones keep
+// their ids so check-ins that reference them stay valid.
+symptomSchema.statics.seedDefaults = function() {
+  return this.bulkWrite(DEFAULT_SYMPTOMS.map(symptom => ({
+    updateOne: {
+      filter: { user: null, name: symptom.name },
+      update: { $setOnInsert: { category: symptom.category } },
+      upsert: true
+    }
+  })));
+};
+
+module.exports = mongoose.model('Symptom', symptomSchema);
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
+const {
+  ASSESSMENT_TYPES,
+  DEFAULT_INTERVAL_DAYS,
+  MIN_INTERVAL_DAYS,
+  MAX_INTERVAL_DAYS
+} = require('../utils/assessments');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -44,16 +51,132 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['private', 'friends', 'public'],
       default: 'private'
+    },
+    // IANA zone used to decide which calendar day entries fall on
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Invalid timezone'
+      }
     }
   },
+  // Questionnaires the user wants to be reminded to repeat
+  assessmentSchedules: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ASSESSMENT_TYPES,
+      required: true
+    },
+    intervalDays: {
+      type: Number,
+      default: DEFAULT_INTERVAL_DAYS,
+      min: MIN_INTERVAL_DAYS,
+      max: MAX_INTERVAL_DAYS
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Built-in symptoms the user has taken off their checklist
+  hiddenSymptoms: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Symptom'
+  }],
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set when an admin deactivates the account
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the user asks to delete their account; all data is erased once
+  // this date passes unless the request is cancelled
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret waiting for its first code to be confirmed during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashed single-use recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Failed sign-in tracking for brute-force protection
+  loginProtection: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null
+    },
+    blockedUntil: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true
 });
 
+// Indexes for looking up emailed links
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+
+// Index for the account deletion job
+userSchema.index({ deletionScheduledFor: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -72,10 +195,23 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Reminders and other notification emails only go to verified addresses
+userSchema.methods.canReceiveEmailNotifications = function() {
+  return this.emailVerified && this.preferences.notifications.email;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.loginProtection;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = { enabled: userObject.twoFactor.enabled };
+  }
   return userObject;
 };
 
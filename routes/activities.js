@@ -1,14 +1,38 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, param, validationResult, query } = require('express-validator');
 const Activity = require('../models/Activity');
-const { auth } = require('../middleware/auth');
+const ActivityLog = require('../models/ActivityLog');
+const LibraryActivity = require('../models/LibraryActivity');
+const Goal = require('../models/Goal');
+const { scopedAuth } = require('../middleware/auth');
+const { summarizeActivityLogs } = require('../utils/analytics');
 
 const router = express.Router();
 
+// Allowance for clocks that run slightly ahead of the server
+const FUTURE_TOLERANCE = 60 * 1000;
+
+// Fields of one logged occurrence. Updates may send any subset of them.
+const activityLogRules = () => [
+  body('date').optional().isISO8601().withMessage('Invalid date format'),
+  body('duration').optional({ nullable: true }).isInt({ min: 1, max: 1440 })
+    .withMessage('Duration must be between 1 and 1440 minutes')
+    .toInt(),
+  body('moodBefore').optional({ nullable: true }).isInt({ min: 1, max: 5 })
+    .withMessage('Mood before must be between 1 and 5')
+    .toInt(),
+  body('moodAfter').optional({ nullable: true }).isInt({ min: 1, max: 5 })
+    .withMessage('Mood after must be between 1 and 5')
+    .toInt(),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+const isInFuture = (date) => date.getTime() > Date.now() + FUTURE_TOLERANCE;
+
 // @route   POST /api/activities
 // @desc    Create a new activity
 // @access  Private
-router.post('/', auth, [
+router.post('/', scopedAuth('activities:write'), [
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Activity name must be between 1 and 100 characters'),
   body('category').isIn([
     'exercise', 'meditation', 'reading', 'music', 'art', 'cooking',
@@ -75,7 +99,7 @@ router.post('/', auth, [
 // @route   GET /api/activities
 // @desc    Get user's activities with optional filtering
 // @access  Private
-router.get('/', auth, [
+router.get('/', scopedAuth('activities:read'), [
   query('category').optional().isIn([
     'exercise', 'meditation', 'reading', 'music', 'art', 'cooking',
     'social', 'nature', 'hobby', 'work', 'study', 'relaxation',
@@ -122,8 +146,19 @@ router.get('/', auth, [
     // Get total count for pagination
     const totalActivities = await Activity.countDocuments(query);
 
+    // How often and how recently each one was actually done
+    const logStats = await ActivityLog.aggregate([
+      { $match: { user: req.user._id, activity: { $in: activities.map(activity => activity._id) } } },
+      { $group: { _id: '$activity', logCount: { $sum: 1 }, lastLoggedAt: { $max: '$date' } } }
+    ]);
+    const statsById = new Map(logStats.map(stats => [stats._id.toString(), stats]));
+
     res.json({
-      activities,
+      activities: activities.map(activity => ({
+        ...activity.toObject(),
+        logCount: statsById.get(activity._id.toString())?.logCount || 0,
+        lastLoggedAt: statsById.get(activity._id.toString())?.lastLoggedAt || null
+      })),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(totalActivities / parseInt(limit)),
@@ -141,7 +176,7 @@ router.get('/', auth, [
 // @route   GET /api/activities/categories
 // @desc    Get activity categories with counts
 // @access  Private
-router.get('/categories', auth, async (req, res) => {
+router.get('/categories', scopedAuth('activities:read'), async (req, res) => {
   try {
     const categories = await Activity.aggregate([
       { $match: { user: req.user._id, isActive: true } },
@@ -156,10 +191,142 @@ router.get('/categories', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/activities/library
+// @desc    Browse the activity library, optionally by category. Each item
+//          says whether the user has already added it.
+// @access  Private
+router.get('/library', scopedAuth('activities:read'), [
+  query('category').optional().isIn(Activity.schema.path('category').enumValues).withMessage('Invalid category filter')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { isActive: true };
+    if (req.query.category) filter.category = req.query.category;
+
+    const [items, categories, adopted] = await Promise.all([
+      LibraryActivity.find(filter)
+        .select('-isActive -createdBy')
+        .sort({ category: 1, name: 1 }),
+      LibraryActivity.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]),
+      Activity.distinct('libraryItem', { user: req.user._id, libraryItem: { $ne: null } })
+    ]);
+    const adoptedIds = new Set(adopted.map(id => id.toString()));
+
+    res.json({
+      items: items.map(item => ({
+        ...item.toObject(),
+        adopted: adoptedIds.has(item._id.toString())
+      })),
+      categories: categories.map(category => ({ category: category._id, count: category.count }))
+    });
+  } catch (error) {
+    console.error('Get activity library error:', error);
+    res.status(500).json({ message: 'Server error while fetching activity library' });
+  }
+});
+
+// @route   POST /api/activities/library/:id/adopt
+// @desc    Copy a library item into the user's activities
+// @access  Private
+router.post('/library/:id/adopt', scopedAuth('activities:write'), [
+  param('id').isMongoId().withMessage('Invalid library item id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await LibraryActivity.findOne({ _id: req.params.id, isActive: true });
+    if (!item) {
+      return res.status(404).json({ message: 'Library item not found' });
+    }
+
+    if (await Activity.exists({ user: req.user._id, libraryItem: item._id })) {
+      return res.status(400).json({ message: `${item.name} is already in your activities` });
+    }
+
+    const activity = new Activity({
+      user: req.user._id,
+      name: item.name,
+      category: item.category,
+      description: item.description,
+      duration: item.duration,
+      moodImpact: item.moodImpact,
+      energyImpact: item.energyImpact,
+      color: item.color,
+      icon: item.icon,
+      libraryItem: item._id
+    });
+
+    await activity.save();
+
+    res.status(201).json({
+      message: `${item.name} added to your activities`,
+      activity
+    });
+  } catch (error) {
+    console.error('Adopt library activity error:', error);
+    res.status(500).json({ message: 'Server error while adding library activity' });
+  }
+});
+
+// @route   GET /api/activities/logs
+// @desc    Get logged occurrences across all activities, newest first
+// @access  Private
+router.get('/logs', scopedAuth('activities:read'), [
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate, limit = 20 } = req.query;
+
+    const filter = { user: req.user._id };
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const logs = await ActivityLog.find(filter)
+      .populate('activity', 'name category color icon')
+      .sort({ date: -1 })
+      .limit(parseInt(limit));
+
+    res.json({ logs });
+  } catch (error) {
+    console.error('Get activity logs error:', error);
+    res.status(500).json({ message: 'Server error while fetching activity logs' });
+  }
+});
+
 // @route   GET /api/activities/:id
 // @desc    Get single activity
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', scopedAuth('activities:read'), async (req, res) => {
   try {
     const activity = await Activity.findOne({
       _id: req.params.id,
@@ -180,7 +347,7 @@ router.get('/:id', auth, async (req, res) => {
 // @route   PUT /api/activities/:id
 // @desc    Update activity
 // @access  Private
-router.put('/:id', auth, [
+router.put('/:id', scopedAuth('activities:write'), [
   body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Activity name must be between 1 and 100 characters'),
   body('category').optional().isIn([
     'exercise', 'meditation', 'reading', 'music', 'art', 'cooking',
@@ -230,9 +397,9 @@ router.put('/:id', auth, [
 });
 
 // @route   DELETE /api/activities/:id
-// @desc    Delete activity
+// @desc    Delete activity and its log
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', scopedAuth('activities:write'), async (req, res) => {
   try {
     const activity = await Activity.findOne({
       _id: req.params.id,
@@ -244,6 +411,9 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     await Activity.findByIdAndDelete(req.params.id);
+    await ActivityLog.deleteMany({ activity: activity._id });
+    // Goals on the activity can no longer be measured
+    await Goal.deleteMany({ user: req.user._id, activity: activity._id });
     res.json({ message: 'Activity deleted successfully' });
   } catch (error) {
     console.error('Delete activity error:', error);
@@ -254,7 +424,7 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   POST /api/activities/:id/toggle
 // @desc    Toggle activity active status
 // @access  Private
-router.post('/:id/toggle', auth, async (req, res) => {
+router.post('/:id/toggle', scopedAuth('activities:write'), async (req, res) => {
   try {
     const activity = await Activity.findOne({
       _id: req.params.id,
@@ -278,4 +448,192 @@ router.post('/:id/toggle', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/activities/:id/log
+// @desc    Log a time the activity was done. `date` defaults to now and
+//          `duration` to the activity's usual duration.
+// @access  Private
+router.post('/:id/log', scopedAuth('activities:write'), [
+  param('id').isMongoId().withMessage('Invalid activity id'),
+  ...activityLogRules()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const activity = await Activity.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!activity) {
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+
+    const date = req.body.date ? new Date(req.body.date) : new Date();
+    if (isInFuture(date)) {
+      return res.status(400).json({ message: 'Activities cannot be logged in the future' });
+    }
+
+    const { duration = activity.duration ?? null, moodBefore = null, moodAfter = null, notes } = req.body;
+
+    const activityLog = new ActivityLog({
+      user: req.user._id,
+      activity: activity._id,
+      date,
+      duration,
+      moodBefore,
+      moodAfter,
+      notes
+    });
+    await activityLog.save();
+
+    res.status(201).json({
+      message: 'Activity logged successfully',
+      log: activityLog
+    });
+  } catch (error) {
+    console.error('Log activity error:', error);
+    res.status(500).json({ message: 'Server error while logging activity' });
+  }
+});
+
+// @route   GET /api/activities/:id/log
+// @desc    Get the times the activity was done, newest first, with totals
+// @access  Private
+router.get('/:id/log', scopedAuth('activities:read'), [
+  param('id').isMongoId().withMessage('Invalid activity id'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const activity = await Activity.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!activity) {
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+
+    const { startDate, endDate, limit = 50 } = req.query;
+
+    const filter = { activity: activity._id };
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const [logs, allLogs] = await Promise.all([
+      ActivityLog.find(filter).sort({ date: -1 }).limit(parseInt(limit)),
+      ActivityLog.find(filter).select('duration moodBefore moodAfter')
+    ]);
+
+    res.json({
+      logs,
+      summary: summarizeActivityLogs(allLogs)
+    });
+  } catch (error) {
+    console.error('Get activity log error:', error);
+    res.status(500).json({ message: 'Server error while fetching activity log' });
+  }
+});
+
+// @route   PUT /api/activities/:id/log/:logId
+// @desc    Edit a logged occurrence
+// @access  Private
+router.put('/:id/log/:logId', scopedAuth('activities:write'), [
+  param('id').isMongoId().withMessage('Invalid activity id'),
+  param('logId').isMongoId().withMessage('Invalid log id'),
+  ...activityLogRules()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const activityLog = await ActivityLog.findOne({
+      _id: req.params.logId,
+      activity: req.params.id,
+      user: req.user._id
+    });
+
+    if (!activityLog) {
+      return res.status(404).json({ message: 'Activity log not found' });
+    }
+
+    if (req.body.date) {
+      const date = new Date(req.body.date);
+      if (isInFuture(date)) {
+        return res.status(400).json({ message: 'Activities cannot be logged in the future' });
+      }
+      activityLog.date = date;
+    }
+
+    ['duration', 'moodBefore', 'moodAfter', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) activityLog[field] = req.body[field];
+    });
+    await activityLog.save();
+
+    res.json({
+      message: 'Activity log updated successfully',
+      log: activityLog
+    });
+  } catch (error) {
+    console.error('Update activity log error:', error);
+    res.status(500).json({ message: 'Server error while updating activity log' });
+  }
+});
+
+// @route   DELETE /api/activities/:id/log/:logId
+// @desc    Delete a logged occurrence
+// @access  Private
+router.delete('/:id/log/:logId', scopedAuth('activities:write'), [
+  param('id').isMongoId().withMessage('Invalid activity id'),
+  param('logId').isMongoId().withMessage('Invalid log id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const activityLog = await ActivityLog.findOneAndDelete({
+      _id: req.params.logId,
+      activity: req.params.id,
+      user: req.user._id
+    });
+
+    if (!activityLog) {
+      return res.status(404).json({ message: 'Activity log not found' });
+    }
+
+    res.json({ message: 'Activity log deleted successfully' });
+  } catch (error) {
+    console.error('Delete activity log error:', error);
+    res.status(500).json({ message: 'Server error while deleting activity log' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,487 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const DataExport = require('../models/DataExport');
+const MoodEntry = require('../models/MoodEntry');
+const Activity = require('../models/Activity');
+const JournalEntry = require('../models/JournalEntry');
+const LibraryActivity = require('../models/LibraryActivity');
+const { auth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Every admin route needs a signed-in admin session
+router.use(auth, requireRole('admin'));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Library item names are unique regardless of case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const LIBRARY_FIELDS = ['name', 'category', 'description', 'duration', 'moodImpact', 'energyImpact', 'color', 'icon', 'isActive'];
+
+const libraryItemRules = (isUpdate = false) => {
+  const field = (path) => (isUpdate ? body(path).optional() : body(path));
+
+  return [
+    param('id').optional().isMongoId().withMessage('Invalid library item id'),
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Activity name must be between 1 and 100 characters'),
+    field('category').isIn(Activity.schema.path('category').enumValues).withMessage('Invalid category'),
+    field('description').trim().isLength({ min: 1, max: 500 }).withMessage('Description must be between 1 and 500 characters'),
+    field('duration').isInt({ min: 1, max: 1440 }).withMessage('Duration must be between 1 and 1440 minutes').toInt(),
+    body('moodImpact').optional().isInt({ min: -5, max: 5 }).withMessage('Mood impact must be between -5 and 5').toInt(),
+    body('energyImpact').optional().isInt({ min: -5, max: 5 }).withMessage('Energy impact must be between -5 and 5').toInt(),
+    body('color').optional().matches(/^#[0-9A-F]{6}$/i).withMessage('Color must be a valid hex color'),
+    body('icon').optional().isLength({ min: 1, max: 10 }).withMessage('Icon must be between 1 and 10 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+  ];
+};
+
+// Escape user input for use in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Account fields admins can see. Never includes journal, mood or other content.
+const adminUserResponse = (user, lastActiveAt = null) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  deactivatedAt: user.deactivatedAt,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactor?.enabled || false,
+  deletionScheduledFor: user.deletionScheduledFor,
+  lockedUntil: user.loginProtection?.blockedUntil > new Date() ? user.loginProtection.blockedUntil : null,
+  lastActiveAt,
+  createdAt: user.createdAt
+});
+
+// Most recent session activity for each of the given users
+const getLastActive = async (userIds) => {
+  const results = await Session.aggregate([
+    { $match: { user: { $in: userIds } } },
+    { $group: { _id: '$user', lastActiveAt: { $max: '$lastUsedAt' } } }
+  ]);
+  return new Map(results.map(result => [result._id.toString(), result.lastActiveAt]));
+};
+
+const findUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+// @route   GET /api/admin/users
+// @desc    List and search users
+// @access  Admin
+router.get('/users', [
+  query('search').optional().isString().trim().isLength({ max: 100 }).withMessage('Search is too long'),
+  query('status').optional().isIn(['active', 'deactivated']).withMessage('Invalid status filter'),
+  query('role').optional().isIn(['user', 'admin']).withMessage('Invalid role filter'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { search, status, role, limit = 25, page = 1 } = req.query;
+
+    // Build query
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (status) filter.isActive = status === 'active';
+    if (role) filter.role = role;
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const users = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const totalUsers = await User.countDocuments(filter);
+    const lastActive = await getLastActive(users.map(user => user._id));
+
+    res.json({
+      users: users.map(user => adminUserResponse(user, lastActive.get(user._id.toString()) || null)),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalUsers / parseInt(limit)),
+        totalUsers,
+        hasNextPage: skip + users.length < totalUsers,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ message: 'Server error while fetching users' });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user's account details and record counts
+// @access  Admin
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const [lastActive, moodEntries, activities, journalEntries, activeSessions, lastLogin] = await Promise.all([
+      getLastActive([user._id]),
+      MoodEntry.countDocuments({ user: user._id }),
+      Activity.countDocuments({ user: user._id }),
+      JournalEntry.countDocuments({ user: user._id }),
+      Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+      LoginAttempt.findOne({ user: user._id, success: true }).sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      user: {
+        ...adminUserResponse(user, lastActive.get(user._id.toString()) || null),
+        lastLoginAt: lastLogin ? lastLogin.createdAt : null,
+        activeSessions,
+        recordCounts: { moodEntries, activities, journalEntries }
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ message: 'Server error while fetching user' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/deactivate
+// @desc    Deactivate an account and sign it out everywhere
+// @access  Admin
+router.post('/users/:id/deactivate', async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'Account is already deactivated' });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+
+    // Deactivated accounts lose every session and token immediately
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    await PersonalAccessToken.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({
+      message: 'Account deactivated',
+      user: adminUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Admin deactivate user error:', error);
+    res.status(500).json({ message: 'Server error while deactivating user' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/reactivate
+// @desc    Reactivate a deactivated account
+// @access  Admin
+router.post('/users/:id/reactivate', async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    if (user.isActive) {
+      return res.status(400).json({ message: 'Account is already active' });
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = null;
+    await user.save();
+
+    res.json({
+      message: 'Account reactivated',
+      user: adminUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({ message: 'Server error while reactivating user' });
+  }
+});
+
+// @route   GET /api/admin/metrics
+// @desc    Aggregate usage metrics and system health (counts only, no content)
+// @access  Admin
+router.get('/metrics', async (req, res) => {
+  try {
+    const now = new Date();
+    const dayAgo = new Date(now - DAY);
+    const weekAgo = new Date(now - 7 * DAY);
+    const monthAgo = new Date(now - 30 * DAY);
+
+    const [
+      totalUsers,
+      activeUsers,
+      verifiedUsers,
+      twoFactorUsers,
+      admins,
+      pendingDeletions,
+      newUsersWeek,
+      newUsersMonth,
+      activeUsersDay,
+      activeUsersWeek,
+      activeUsersMonth,
+      moodEntries,
+      moodEntriesWeek,
+      journalEntries,
+      journalEntriesWeek,
+      activities,
+      activeSessions,
+      activeAccessTokens,
+      failedLoginsDay,
+      lockedAccounts,
+      queuedExports,
+      signupsByDay
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ isActive: true }),
+      User.countDocuments({ emailVerified: true }),
+      User.countDocuments({ 'twoFactor.enabled': true }),
+      User.countDocuments({ role: 'admin' }),
+      User.countDocuments({ deletionScheduledFor: { $ne: null } }),
+      User.countDocuments({ createdAt: { $gte: weekAgo } }),
+      User.countDocuments({ createdAt: { $gte: monthAgo } }),
+      Session.distinct('user', { lastUsedAt: { $gte: dayAgo } }),
+      Session.distinct('user', { lastUsedAt: { $gte: weekAgo } }),
+      Session.distinct('user', { lastUsedAt: { $gte: monthAgo } }),
+      MoodEntry.countDocuments(),
+      MoodEntry.countDocuments({ createdAt: { $gte: weekAgo } }),
+      JournalEntry.countDocuments(),
+      JournalEntry.countDocuments({ createdAt: { $gte: weekAgo } }),
+      Activity.countDocuments(),
+      Session.countDocuments({ revokedAt: null, expiresAt: { $gt: now } }),
+      PersonalAccessToken.countDocuments({
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      }),
+      LoginAttempt.countDocuments({ success: false, reason: { $ne: 'blocked' }, createdAt: { $gte: dayAgo } }),
+      User.countDocuments({ 'loginProtection.blockedUntil': { $gt: now } }),
+      DataExport.countDocuments({ status: { $in: ['pending', 'processing'] } }),
+      User.aggregate([
+        { $match: { createdAt: { $gte: monthAgo } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    res.json({
+      users: {
+        total: totalUsers,
+        active: activeUsers,
+        deactivated: totalUsers - activeUsers,
+        verified: verifiedUsers,
+        twoFactorEnabled: twoFactorUsers,
+        admins,
+        pendingDeletions,
+        newThisWeek: newUsersWeek,
+        newThisMonth: newUsersMonth,
+        activeLastDay: activeUsersDay.length,
+        activeLastWeek: activeUsersWeek.length,
+        activeLastMonth: activeUsersMonth.length
+      },
+      records: {
+        moodEntries,
+        moodEntriesThisWeek: moodEntriesWeek,
+        journalEntries,
+        journalEntriesThisWeek: journalEntriesWeek,
+        activities
+      },
+      security: {
+        activeSessions,
+        activeAccessTokens,
+        failedLoginsLastDay: failedLoginsDay,
+        lockedAccounts
+      },
+      signupsByDay: signupsByDay.map(day => ({ date: day._id, count: day.count })),
+      system: {
+        status: mongoose.connection.readyState === 1 ? 'healthy' : 'degraded',
+        database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+        uptimeSeconds: Math.round(process.uptime()),
+        memoryMb: Math.round(process.memoryUsage().rss / 1024 / 1024),
+        nodeVersion: process.version,
+        queuedExports
+      }
+    });
+  } catch (error) {
+    console.error('Admin metrics error:', error);
+    res.status(500).json({ message: 'Server error while fetching metrics' });
+  }
+});
+
+// @route   GET /api/admin/library
+// @desc    List every activity library item, including hidden ones
+// @access  Admin
+router.get('/library', async (req, res) => {
+  try {
+    const items = await LibraryActivity.find().sort({ category: 1, name: 1 });
+    const adoptions = await Activity.aggregate([
+      { $match: { libraryItem: { $ne: null } } },
+      { $group: { _id: '$libraryItem', count: { $sum: 1 } } }
+    ]);
+    const adoptionsById = new Map(adoptions.map(adoption => [adoption._id.toString(), adoption.count]));
+
+    res.json({
+      items: items.map(item => ({
+        ...item.toObject(),
+        adoptions: adoptionsById.get(item._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Admin list library error:', error);
+    res.status(500).json({ message: 'Server error while fetching activity library' });
+  }
+});
+
+// @route   POST /api/admin/library
+// @desc    Add an item to the activity library
+// @access  Admin
+router.post('/library', libraryItemRules(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const clash = await LibraryActivity.exists({ name: req.body.name }).collation(NAME_COLLATION);
+    if (clash) {
+      return res.status(400).json({ message: 'The library already has an activity with that name' });
+    }
+
+    const item = new LibraryActivity({ createdBy: req.user._id });
+    LIBRARY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) item[field] = req.body[field];
+    });
+    await item.save();
+
+    res.status(201).json({
+      message: 'Library activity added',
+      item
+    });
+  } catch (error) {
+    console.error('Admin add library item error:', error);
+    res.status(500).json({ message: 'Server error while adding library activity' });
+  }
+});
+
+// @route   PUT /api/admin/library/:id
+// @desc    Update a library item; `isActive: false` hides it from users.
+//          Activities already copied from it are not changed.
+// @access  Admin
+router.put('/library/:id', libraryItemRules(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await LibraryActivity.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Library item not found' });
+    }
+
+    if (req.body.name !== undefined && req.body.name !== item.name) {
+      // Built-in items are seeded by name
+      if (item.isBuiltIn) {
+        return res.status(400).json({ message: 'Built-in library activities cannot be renamed' });
+      }
+      const clash = await LibraryActivity.exists({ _id: { $ne: item._id }, name: req.body.name }).collation(NAME_COLLATION);
+      if (clash) {
+        return res.status(400).json({ message: 'The library already has an activity with that name' });
+      }
+    }
+
+    LIBRARY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) item[field] = req.body[field];
+    });
+    await item.save();
+
+    res.json({
+      message: 'Library activity updated',
+      item
+    });
+  } catch (error) {
+    console.error('Admin update library item error:', error);
+    res.status(500).json({ message: 'Server error while updating library activity' });
+  }
+});
+
+// @route   DELETE /api/admin/library/:id
+// @desc    Delete a library item added by an admin. Built-in items would be
+//          seeded again, so they can only be hidden.
+// @access  Admin
+router.delete('/library/:id', [
+  param('id').isMongoId().withMessage('Invalid library item id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await LibraryActivity.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Library item not found' });
+    }
+
+    if (item.isBuiltIn) {
+      return res.status(400).json({ message: 'Built-in library activities can be hidden but not deleted' });
+    }
+
+    await item.deleteOne();
+
+    res.json({ message: 'Library activity deleted' });
+  } catch (error) {
+    console.error('Admin delete library item error:', error);
+    res.status(500).json({ message: 'Server error while deleting library activity' });
+  }
+});
+
+module.exports = router;
@@ -1,290 +1,71 @@
 const express = require('express');
 const { query, validationResult } = require('express-validator');
 const MoodEntry = require('../models/MoodEntry');
+const Assessment = require('../models/Assessment');
+const Medication = require('../models/Medication');
+const CustomMetric = require('../models/CustomMetric');
+const Symptom = require('../models/Symptom');
 const Activity = require('../models/Activity');
-const JournalEntry = require('../models/JournalEntry');
-const { auth } = require('../middleware/auth');
+const ActivityLog = require('../models/ActivityLog');
+const { scopedAuth, hasScope } = require('../middleware/auth');
+const {
+  MOOD_METRICS,
+  rollUpMoodByDay,
+  rollUpCustomMetricByDay,
+  buildSymptomStats,
+  buildActivityImpacts,
+  buildAnalyticsOverview
+} = require('../utils/analytics');
+const { getUserTimeZone, toDateKey, shiftDateKey, startOfDateKey } = require('../utils/timezone');
+const { ASSESSMENT_TYPES, getDefinition, describeDefinition } = require('../utils/assessments');
+const { buildMedicationEvents } = require('../utils/medications');
+const { DEBT_WINDOW_DAYS, buildNights, buildSleepReport } = require('../utils/sleep');
 
 const router = express.Router();
 
+// Start of a reporting period ending at `endDate`
+const getPeriodStart = (period, endDate) => {
+  const startDate = new Date(endDate);
+
+  switch (period) {
+    case 'week':
+      startDate.setDate(endDate.getDate() - 7);
+      break;
+    case 'month':
+      startDate.setMonth(endDate.getMonth() - 1);
+      break;
+    case 'quarter':
+      startDate.setMonth(endDate.getMonth() - 3);
+      break;
+    case 'year':
+      startDate.setFullYear(endDate.getFullYear() - 1);
+      break;
+  }
+
+  return startDate;
+};
+
 // @route   GET /api/analytics/overview
 // @desc    Get comprehensive analytics overview
 // @access  Private
-router.get('/overview', auth, [
+router.get('/overview', scopedAuth('analytics:read'), [
   query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Invalid period')
 ], async (req, res) => {
   try {
     const { period = 'month' } = req.query;
-    
-    // Calculate date range based on period
-    const endDate = new Date();
-    const startDate = new Date();
-    
-    switch (period) {
-      case 'week':
-        startDate.setDate(endDate.getDate() - 7);
-        break;
-      case 'month':
-        startDate.setMonth(endDate.getMonth() - 1);
-        break;
-      case 'quarter':
-        startDate.setMonth(endDate.getMonth() - 3);
-        break;
-      case 'year':
-        startDate.setFullYear(endDate.getFullYear() - 1);
-        break;
-    }
-
-    // Get data for the period
-    const [moodEntries, activities, journalEntries] = await Promise.all([
-      MoodEntry.find({
-        user: req.user._id,
-        date: { $gte: startDate, $lte: endDate }
-      }).sort({ date: 1 }),
-      Activity.find({
-        user: req.user._id,
-        isActive: true
-      }),
-      JournalEntry.find({
-        user: req.user._id,
-        date: { $gte: startDate, $lte: endDate }
-      }).sort({ date: 1 })
-    ]);
-
-    // Calculate mood analytics
-    const moodAnalytics = {
-      totalEntries: moodEntries.length,
-      averageMood: 0,
-      averageEnergy: 0,
-      averageStress: 0,
-      averageAnxiety: 0,
-      averageSleep: 0,
-      moodDistribution: {
-        'very-sad': 0,
-        'sad': 0,
-        'neutral': 0,
-        'happy': 0,
-        'very-happy': 0
-      },
-      trends: {
-        mood: [],
-        energy: [],
-        stress: [],
-        anxiety: [],
-        sleep: []
-      }
-    };
-
-    if (moodEntries.length > 0) {
-      const moodScores = moodEntries.map(entry => entry.moodScore);
-      const energies = moodEntries.map(entry => entry.energy);
-      const stresses = moodEntries.map(entry => entry.stress);
-      const anxieties = moodEntries.map(entry => entry.anxiety);
-      const sleeps = moodEntries.map(entry => entry.sleep.hours);
-
-      moodAnalytics.averageMood = moodScores.reduce((a, b) => a + b, 0) / moodScores.length;
-      moodAnalytics.averageEnergy = energies.reduce((a, b) => a + b, 0) / energies.length;
-      moodAnalytics.averageStress = stresses.reduce((a, b) => a + b, 0) / stresses.length;
-      moodAnalytics.averageAnxiety = anxieties.reduce((a, b) => a + b, 0) / anxieties.length;
-      moodAnalytics.averageSleep = sleeps.reduce((a, b) => a + b, 0) / sleeps.length;
-
-      // Calculate mood distribution
-      moodEntries.forEach(entry => {
-        moodAnalytics.moodDistribution[entry.mood]++;
-      });
-
-      // Calculate daily trends
-      const dailyStats = {};
-      moodEntries.forEach(entry => {
-        const dateKey = entry.date.toISOString().split('T')[0];
-        if (!dailyStats[dateKey]) {
-          dailyStats[dateKey] = {
-            mood: [],
-            energy: [],
-            stress: [],
-            anxiety: [],
-            sleep: []
-          };
-        }
-        dailyStats[dateKey].mood.push(entry.moodScore);
-        dailyStats[dateKey].energy.push(entry.energy);
-        dailyStats[dateKey].stress.push(entry.stress);
-        dailyStats[dateKey].anxiety.push(entry.anxiety);
-        dailyStats[dateKey].sleep.push(entry.sleep.hours);
-      });
-
-      Object.keys(dailyStats).sort().forEach(date => {
-        const dayStats = dailyStats[date];
-        moodAnalytics.trends.mood.push({
-          date,
-          value: dayStats.mood.reduce((a, b) => a + b, 0) / dayStats.mood.length
-        });
-        moodAnalytics.trends.energy.push({
-          date,
-          value: dayStats.energy.reduce((a, b) => a + b, 0) / dayStats.energy.length
-        });
-        moodAnalytics.trends.stress.push({
-          date,
-          value: dayStats.stress.reduce((a, b) => a + b, 0) / dayStats.stress.length
-        });
-        moodAnalytics.trends.anxiety.push({
-          date,
-          value: dayStats.anxiety.reduce((a, b) => a + b, 0) / dayStats.anxiety.length
-        });
-        moodAnalytics.trends.sleep.push({
-          date,
-          value: dayStats.sleep.reduce((a, b) => a + b, 0) / dayStats.sleep.length
-        });
-      });
-    }
-
-    // Calculate activity analytics
-    const activityAnalytics = {
-      totalActivities: activities.length,
-      categoryDistribution: {},
-      averageMoodImpact: 0,
-      averageEnergyImpact: 0,
-      recurringActivities: activities.filter(a => a.isRecurring).length,
-      topActivities: []
-    };
-
-    if (activities.length > 0) {
-      // Category distribution
-      activities.forEach(activity => {
-        activityAnalytics.categoryDistribution[activity.category] = 
-          (activityAnalytics.categoryDistribution[activity.category] || 0) + 1;
-      });
-
-      // Average impacts
-      const moodImpacts = activities.map(a => a.moodImpact);
-      const energyImpacts = activities.map(a => a.energyImpact);
-      
-      activityAnalytics.averageMoodImpact = moodImpacts.reduce((a, b) => a + b, 0) / moodImpacts.length;
-      activityAnalytics.averageEnergyImpact = energyImpacts.reduce((a, b) => a + b, 0) / energyImpacts.length;
-
-      // Top activities by positive impact
-      activityAnalytics.topActivities = activities
-        .filter(a => a.moodImpact > 0 || a.energyImpact > 0)
-        .sort((a, b) => (b.moodImpact + b.energyImpact) - (a.moodImpact + a.energyImpact))
-        .slice(0, 10)
-        .map(a => ({
-          name: a.name,
-          category: a.category,
-          moodImpact: a.moodImpact,
-          energyImpact: a.energyImpact,
-          totalImpact: a.moodImpact + a.energyImpact
-        }));
-    }
-
-    // Calculate journal analytics
-    const journalAnalytics = {
-      totalEntries: journalEntries.length,
-      totalWords: journalEntries.reduce((sum, entry) => sum + entry.wordCount, 0),
-      averageWordsPerEntry: 0,
-      averageReadingTime: 0,
-      moodDistribution: {
-        'very-sad': 0,
-        'sad': 0,
-        'neutral': 0,
-        'happy': 0,
-        'very-happy': 0
-      },
-      mostUsedTags: [],
-      writingStreak: 0
-    };
-
-    if (journalEntries.length > 0) {
-      journalAnalytics.averageWordsPerEntry = journalAnalytics.totalWords / journalEntries.length;
-      journalAnalytics.averageReadingTime = journalEntries.reduce((sum, entry) => sum + entry.readingTime, 0) / journalEntries.length;
-
-      // Mood distribution
-      journalEntries.forEach(entry => {
-        journalAnalytics.moodDistribution[entry.mood]++;
-      });
-
-      // Most used tags
-      const tagCounts = {};
-      journalEntries.forEach(entry => {
-        entry.tags.forEach(tag => {
-          tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-        });
-      });
-      journalAnalytics.mostUsedTags = Object.entries(tagCounts)
-        .sort(([,a], [,b]) => b - a)
-        .slice(0, 10)
-        .map(([tag, count]) => ({ tag, count }));
-
-      // Writing streak
-      const sortedEntries = journalEntries
-        .sort((a, b) => new Date(b.date) - new Date(a.date));
-      
-      let streak = 0;
-      let currentDate = new Date();
-      currentDate.setHours(0, 0, 0, 0);
-
-      for (const entry of sortedEntries) {
-        const entryDate = new Date(entry.date);
-        entryDate.setHours(0, 0, 0, 0);
-        
-        const diffTime = currentDate - entryDate;
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        
-        if (diffDays === streak + 1 || (streak === 0 && diffDays <= 1)) {
-          streak++;
-          currentDate = entryDate;
-        } else {
-          break;
-        }
-      }
-      journalAnalytics.writingStreak = streak;
-    }
-
-    // Calculate insights and recommendations
-    const insights = [];
-    const recommendations = [];
-
-    // Mood insights
-    if (moodAnalytics.averageMood < 3) {
-      insights.push("Your mood has been lower than average recently.");
-      recommendations.push("Consider engaging in activities that typically boost your mood, or reach out to a mental health professional.");
-    } else if (moodAnalytics.averageMood > 4) {
-      insights.push("You've been in a great mood lately! Keep up the positive energy.");
-    }
-
-    // Sleep insights
-    if (moodAnalytics.averageSleep < 7) {
-      insights.push("Your sleep duration is below the recommended 7-9 hours.");
-      recommendations.push("Try to establish a consistent sleep schedule and create a relaxing bedtime routine.");
-    }
 
-    // Stress insights
-    if (moodAnalytics.averageStress > 7) {
-      insights.push("Your stress levels have been high recently.");
-      recommendations.push("Consider stress-reduction techniques like meditation, deep breathing, or physical exercise.");
-    }
-
-    // Activity insights
-    if (activityAnalytics.topActivities.length > 0) {
-      const topActivity = activityAnalytics.topActivities[0];
-      insights.push(`Your most positive activity is ${topActivity.name} (${topActivity.category}).`);
-      recommendations.push(`Try to incorporate more ${topActivity.name} into your daily routine.`);
-    }
-
-    // Journal insights
-    if (journalAnalytics.writingStreak > 7) {
-      insights.push(`Amazing! You have a ${journalAnalytics.writingStreak}-day writing streak.`);
-    } else if (journalAnalytics.writingStreak === 0 && journalAnalytics.totalEntries > 0) {
-      recommendations.push("Try to write in your journal daily to build a consistent habit.");
-    }
+    // Mood analytics come with analytics:read; activity and journal data are
+    // left out for tokens that can't read them directly
+    const include = ['mood'];
+    if (hasScope(req, 'activities:read')) include.push('activities');
+    if (hasScope(req, 'journal:read')) include.push('journal');
 
-    res.json({
-      period,
-      moodAnalytics,
-      activityAnalytics,
-      journalAnalytics,
-      insights,
-      recommendations
+    const overview = await buildAnalyticsOverview(req.user._id, period, {
+      include,
+      timeZone: getUserTimeZone(req.user)
     });
+
+    res.json(overview);
   } catch (error) {
     console.error('Get analytics overview error:', error);
     res.status(500).json({ message: 'Server error while fetching analytics overview' });
@@ -292,43 +73,56 @@ router.get('/overview', auth, [
 });
 
 // @route   GET /api/analytics/trends
-// @desc    Get detailed trend analysis
+// @desc    Get detailed trend analysis of a built-in metric or a custom metric (by id)
 // @access  Private
-router.get('/trends', auth, [
-  query('metric').optional().isIn(['mood', 'energy', 'stress', 'anxiety', 'sleep']).withMessage('Invalid metric'),
+router.get('/trends', scopedAuth('analytics:read'), [
+  query('metric').optional()
+    .custom(value => MOOD_METRICS.includes(value) || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('Invalid metric'),
   query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Invalid period')
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { metric = 'mood', period = 'month' } = req.query;
+
+    const customMetric = MOOD_METRICS.includes(metric)
+      ? null
+      : await CustomMetric.findOne({ _id: metric, user: req.user._id });
+    if (!MOOD_METRICS.includes(metric) && !customMetric) {
+      return res.status(404).json({ message: 'Custom metric not found' });
+    }
     
     // Calculate date range
     const endDate = new Date();
-    const startDate = new Date();
-    
-    switch (period) {
-      case 'week':
-        startDate.setDate(endDate.getDate() - 7);
-        break;
-      case 'month':
-        startDate.setMonth(endDate.getMonth() - 1);
-        break;
-      case 'quarter':
-        startDate.setMonth(endDate.getMonth() - 3);
-        break;
-      case 'year':
-        startDate.setFullYear(endDate.getFullYear() - 1);
-        break;
-    }
+    const startDate = getPeriodStart(period, endDate);
 
     const moodEntries = await MoodEntry.find({
       user: req.user._id,
-      date: { $gte: startDate, $lte: endDate }
+      date: { $gte: startDate, $lte: endDate },
+      ...(customMetric && { 'customMetrics.metric': customMetric._id })
     }).sort({ date: 1 });
 
     const trends = {
       metric,
       period,
+      // Name, type, range and unit when `metric` is a custom metric
+      customMetric: customMetric && {
+        name: customMetric.name,
+        type: customMetric.type,
+        min: customMetric.min,
+        max: customMetric.max,
+        unit: customMetric.unit
+      },
       data: [],
+      // Medication starts, stops and dose changes in the period
+      events: [],
       statistics: {
         min: 0,
         max: 0,
@@ -338,36 +132,31 @@ router.get('/trends', auth, [
       }
     };
 
-    if (moodEntries.length > 0) {
-      // Extract data based on metric
-      let values = [];
-      switch (metric) {
-        case 'mood':
-          values = moodEntries.map(entry => entry.moodScore);
-          break;
-        case 'energy':
-          values = moodEntries.map(entry => entry.energy);
-          break;
-        case 'stress':
-          values = moodEntries.map(entry => entry.stress);
-          break;
-        case 'anxiety':
-          values = moodEntries.map(entry => entry.anxiety);
-          break;
-        case 'sleep':
-          values = moodEntries.map(entry => entry.sleep.hours);
-          break;
-      }
-
-      // Create data points
-      trends.data = moodEntries.map((entry, index) => ({
-        date: entry.date.toISOString().split('T')[0],
-        value: values[index]
+    // One point per day: the mean of that day's check-ins (the total for
+    // counts), with its range. Days that didn't record the metric are left out.
+    const timeZone = getUserTimeZone(req.user);
+    const daily = customMetric
+      ? rollUpCustomMetricByDay(moodEntries, customMetric, timeZone)
+      : rollUpMoodByDay(moodEntries, timeZone)
+        .filter(day => day[metric] !== null)
+        .map(day => ({ date: day.date, checkIns: day.checkIns, ...day[metric] }));
+
+    if (daily.length > 0) {
+      const values = daily.map(day => day.mean);
+
+      trends.data = daily.map(day => ({
+        date: day.date,
+        value: day.mean,
+        min: day.min,
+        max: day.max,
+        checkIns: day.checkIns
       }));
 
-      // Calculate statistics
-      trends.statistics.min = Math.min(...values);
-      trends.statistics.max = Math.max(...values);
+      // Calculate statistics. A count's daily value is a total, so its range
+      // is taken over days rather than single check-ins.
+      const countTotals = customMetric?.type === 'count';
+      trends.statistics.min = Math.min(...daily.map(day => (countTotals ? day.mean : day.min)));
+      trends.statistics.max = Math.max(...daily.map(day => (countTotals ? day.mean : day.max)));
       trends.statistics.average = values.reduce((a, b) => a + b, 0) / values.length;
 
       // Calculate trend direction
@@ -378,7 +167,11 @@ router.get('/trends', auth, [
         const firstAvg = firstHalf.reduce((a, b) => a + b, 0) / firstHalf.length;
         const secondAvg = secondHalf.reduce((a, b) => a + b, 0) / secondHalf.length;
         
-        const change = ((secondAvg - firstAvg) / firstAvg) * 100;
+        // Custom metrics can average 0, so compare against the first half
+        // only when it's non-zero
+        const change = firstAvg !== 0
+          ? ((secondAvg - firstAvg) / firstAvg) * 100
+          : Math.sign(secondAvg) * 100;
         
         if (change > 5) trends.statistics.trend = 'increasing';
         else if (change < -5) trends.statistics.trend = 'decreasing';
@@ -390,6 +183,18 @@ router.get('/trends', auth, [
       trends.statistics.volatility = Math.sqrt(variance);
     }
 
+    if (hasScope(req, 'medications:read')) {
+      const timeZone = getUserTimeZone(req.user);
+      const fromKey = toDateKey(startDate, timeZone);
+      const toKey = toDateKey(endDate, timeZone);
+      const medications = await Medication.find({
+        user: req.user._id,
+        startDate: { $lte: toKey },
+        $or: [{ stopDate: null }, { stopDate: { $gte: fromKey } }]
+      });
+      trends.events = buildMedicationEvents(medications, fromKey, toKey);
+    }
+
     res.json(trends);
   } catch (error) {
     console.error('Get trends error:', error);
@@ -397,4 +202,185 @@ router.get('/trends', auth, [
   }
 });
 
+// @route   GET /api/analytics/symptoms
+// @desc    How often each symptom was reported over a period, and the symptoms
+//          most associated with low-mood days
+// @access  Private
+router.get('/symptoms', scopedAuth('analytics:read'), [
+  query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Invalid period')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { period = 'month' } = req.query;
+    const endDate = new Date();
+
+    const [moodEntries, symptoms] = await Promise.all([
+      MoodEntry.find({
+        user: req.user._id,
+        date: { $gte: getPeriodStart(period, endDate), $lte: endDate }
+      })
+        .select('date mood energy stress anxiety sleep symptoms')
+        .sort({ date: 1 }),
+      Symptom.find({ user: { $in: [null, req.user._id] } }).select('name category')
+    ]);
+
+    res.json({
+      period,
+      ...buildSymptomStats(moodEntries, symptoms, getUserTimeZone(req.user))
+    });
+  } catch (error) {
+    console.error('Get symptom analytics error:', error);
+    res.status(500).json({ message: 'Server error while fetching symptom analytics' });
+  }
+});
+
+// @route   GET /api/analytics/activities
+// @desc    Get each activity's observed effect on mood, energy and stress,
+//          from days it was done against days it wasn't
+// @access  Private
+router.get('/activities', scopedAuth('analytics:read'), [
+  query('period').optional().isIn(['month', 'quarter', 'year']).withMessage('Invalid period')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { period = 'quarter' } = req.query;
+    const endDate = new Date();
+    const startDate = getPeriodStart(period, endDate);
+
+    const [moodEntries, activities, activityLogs] = await Promise.all([
+      MoodEntry.find({
+        user: req.user._id,
+        date: { $gte: startDate, $lte: endDate }
+      })
+        .select('date mood energy stress anxiety sleep activities')
+        .sort({ date: 1 }),
+      Activity.find({ user: req.user._id }).select('name category moodImpact energyImpact'),
+      ActivityLog.find({
+        user: req.user._id,
+        date: { $gte: startDate, $lte: endDate }
+      }).select('activity date')
+    ]);
+
+    res.json({
+      period,
+      impacts: buildActivityImpacts(moodEntries, activities, getUserTimeZone(req.user), activityLogs)
+    });
+  } catch (error) {
+    console.error('Get activity impact error:', error);
+    res.status(500).json({ message: 'Server error while fetching activity impact' });
+  }
+});
+
+// @route   GET /api/analytics/sleep
+// @desc    Get nightly sleep with bedtime consistency, rolling sleep debt and
+//          next-day mood and energy by bedtime and duration
+// @access  Private
+router.get('/sleep', scopedAuth('analytics:read'), [
+  query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Invalid period')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { period = 'month' } = req.query;
+    const endDate = new Date();
+    const timeZone = getUserTimeZone(req.user);
+    const fromKey = toDateKey(getPeriodStart(period, endDate), timeZone);
+    const toKey = toDateKey(endDate, timeZone);
+
+    // Reach back a full debt window so the first day's debt is complete
+    const moodEntries = await MoodEntry.find({
+      user: req.user._id,
+      date: { $gte: startOfDateKey(shiftDateKey(fromKey, -(DEBT_WINDOW_DAYS - 1)), timeZone), $lte: endDate }
+    })
+      .select('date mood energy stress anxiety sleep')
+      .sort({ date: 1 });
+
+    res.json({
+      period,
+      ...buildSleepReport(
+        buildNights(moodEntries, timeZone),
+        rollUpMoodByDay(moodEntries, timeZone),
+        fromKey,
+        toKey
+      )
+    });
+  } catch (error) {
+    console.error('Get sleep analytics error:', error);
+    res.status(500).json({ message: 'Server error while fetching sleep analytics' });
+  }
+});
+
+// @route   GET /api/analytics/assessments
+// @desc    Get questionnaire scores over time with the current severity bands
+// @access  Private
+router.get('/assessments', scopedAuth('analytics:read'), [
+  query('type').optional().isIn(ASSESSMENT_TYPES).withMessage('Invalid assessment type'),
+  query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Invalid period')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Scores are as sensitive as the questionnaires themselves
+    if (!hasScope(req, 'assessments:read')) {
+      return res.status(403).json({
+        message: 'Token is missing the required scope: assessments:read',
+        requiredScope: 'assessments:read'
+      });
+    }
+
+    const { type = 'phq-9', period = 'quarter' } = req.query;
+    const endDate = new Date();
+    const { name, maxScore, bands } = describeDefinition(type, getDefinition(type));
+
+    const assessments = await Assessment.find({
+      user: req.user._id,
+      type,
+      completedAt: { $gte: getPeriodStart(period, endDate), $lte: endDate }
+    }).sort({ completedAt: 1 });
+
+    res.json({
+      type,
+      period,
+      name,
+      maxScore,
+      bands,
+      data: assessments.map(assessment => ({
+        date: assessment.completedAt,
+        score: assessment.totalScore,
+        severity: assessment.severity,
+        crisisFlag: assessment.crisisFlag
+      }))
+    });
+  } catch (error) {
+    console.error('Get assessment trends error:', error);
+    res.status(500).json({ message: 'Server error while fetching assessment trends' });
+  }
+});
+
 module.exports = router;
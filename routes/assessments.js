@@ -0,0 +1,230 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Assessment = require('../models/Assessment');
+const User = require('../models/User');
+const { scopedAuth } = require('../middleware/auth');
+const {
+  ASSESSMENT_TYPES,
+  DEFAULT_INTERVAL_DAYS,
+  MIN_INTERVAL_DAYS,
+  MAX_INTERVAL_DAYS,
+  CRISIS_SUPPORT,
+  getDefinition,
+  describeDefinition,
+  scoreAssessment,
+  getScheduleStatus
+} = require('../utils/assessments');
+
+const router = express.Router();
+
+// Most recent completion of each questionnaire type
+const findLastCompletions = async (userId) => {
+  const latest = await Assessment.aggregate([
+    { $match: { user: userId } },
+    { $group: { _id: '$type', completedAt: { $max: '$completedAt' } } }
+  ]);
+  return Object.fromEntries(latest.map(({ _id, completedAt }) => [_id, completedAt]));
+};
+
+const buildSchedule = async (user) => {
+  const lastCompletions = await findLastCompletions(user._id);
+  return (user.assessmentSchedules || []).map(schedule => {
+    return getScheduleStatus(schedule, lastCompletions[schedule.type]);
+  });
+};
+
+// @route   GET /api/assessments/definitions
+// @desc    Get the current version of every questionnaire
+// @access  Private
+router.get('/definitions', scopedAuth('assessments:read'), (req, res) => {
+  res.json({
+    definitions: ASSESSMENT_TYPES.map(type => describeDefinition(type, getDefinition(type)))
+  });
+});
+
+// @route   GET /api/assessments/schedule
+// @desc    Get scheduled questionnaires and when each is next due
+// @access  Private
+router.get('/schedule', scopedAuth('assessments:read'), async (req, res) => {
+  try {
+    res.json({
+      schedule: await buildSchedule(req.user),
+      intervalOptions: { default: DEFAULT_INTERVAL_DAYS, min: MIN_INTERVAL_DAYS, max: MAX_INTERVAL_DAYS }
+    });
+  } catch (error) {
+    console.error('Get assessment schedule error:', error);
+    res.status(500).json({ message: 'Server error while fetching assessment schedule' });
+  }
+});
+
+// @route   PUT /api/assessments/schedule/:type
+// @desc    Turn a questionnaire's reminders on or off, or change how often it repeats
+// @access  Private
+router.put('/schedule/:type', scopedAuth('assessments:write'), [
+  param('type').isIn(ASSESSMENT_TYPES).withMessage('Invalid assessment type'),
+  body('enabled').isBoolean().withMessage('enabled must be a boolean'),
+  body('intervalDays').optional().isInt({ min: MIN_INTERVAL_DAYS, max: MAX_INTERVAL_DAYS })
+    .withMessage(`Interval must be between ${MIN_INTERVAL_DAYS} and ${MAX_INTERVAL_DAYS} days`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type } = req.params;
+    const { enabled, intervalDays = DEFAULT_INTERVAL_DAYS } = req.body;
+
+    const user = await User.findById(req.user._id);
+    const existing = user.assessmentSchedules.find(schedule => schedule.type === type);
+
+    if (!enabled) {
+      user.assessmentSchedules = user.assessmentSchedules.filter(schedule => schedule.type !== type);
+    } else if (existing) {
+      existing.intervalDays = intervalDays;
+    } else {
+      user.assessmentSchedules.push({ type, intervalDays });
+    }
+
+    await user.save();
+
+    res.json({
+      message: enabled ? 'Reminder schedule saved' : 'Reminders turned off',
+      schedule: await buildSchedule(user)
+    });
+  } catch (error) {
+    console.error('Update assessment schedule error:', error);
+    res.status(500).json({ message: 'Server error while updating assessment schedule' });
+  }
+});
+
+// @route   POST /api/assessments
+// @desc    Submit answers to a questionnaire and score them
+// @access  Private
+router.post('/', scopedAuth('assessments:write'), [
+  body('type').isIn(ASSESSMENT_TYPES).withMessage('Invalid assessment type'),
+  body('responses').isArray().withMessage('Responses must be an array'),
+  body('responses.*').isInt().withMessage('Each response must be a whole number').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, responses } = req.body;
+    const definition = getDefinition(type);
+    const result = scoreAssessment(definition, responses);
+
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    const assessment = new Assessment({
+      user: req.user._id,
+      type,
+      version: definition.version,
+      responses,
+      totalScore: result.totalScore,
+      severity: result.severity,
+      crisisFlag: result.crisisFlag
+    });
+
+    await assessment.save();
+
+    res.status(201).json({
+      message: `${definition.name} saved`,
+      assessment,
+      ...(assessment.crisisFlag && { crisisSupport: CRISIS_SUPPORT })
+    });
+  } catch (error) {
+    console.error('Create assessment error:', error);
+    res.status(500).json({ message: 'Server error while saving assessment' });
+  }
+});
+
+// @route   GET /api/assessments
+// @desc    Get completed questionnaires, newest first
+// @access  Private
+router.get('/', scopedAuth('assessments:read'), [
+  query('type').optional().isIn(ASSESSMENT_TYPES).withMessage('Invalid assessment type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, limit = 20, page = 1 } = req.query;
+
+    const filter = { user: req.user._id };
+    if (type) filter.type = type;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const assessments = await Assessment.find(filter)
+      .sort({ completedAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const totalEntries = await Assessment.countDocuments(filter);
+
+    res.json({
+      assessments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalEntries / parseInt(limit)),
+        totalEntries,
+        hasNextPage: skip + assessments.length < totalEntries,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get assessments error:', error);
+    res.status(500).json({ message: 'Server error while fetching assessments' });
+  }
+});
+
+// @route   DELETE /api/assessments/:id
+// @desc    Delete a completed questionnaire
+// @access  Private
+router.delete('/:id', scopedAuth('assessments:write'), [
+  param('id').isMongoId().withMessage('Invalid assessment id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const assessment = await Assessment.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!assessment) {
+      return res.status(404).json({ message: 'Assessment not found' });
+    }
+
+    res.json({ message: 'Assessment deleted successfully' });
+  } catch (error) {
+    console.error('Delete assessment error:', error);
+    res.status(500).json({ message: 'Server error while deleting assessment' });
+  }
+});
+
+module.exports = router;
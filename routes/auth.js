@@ -1,15 +1,130 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
 const { auth } = require('../middleware/auth');
+const QRCode = require('qrcode');
+const {
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateRandomToken,
+  hashToken
+} = require('../utils/tokens');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { sendMail, clientUrl } = require('../utils/mailer');
+const templates = require('../utils/mailer/templates');
+const { eraseUser } = require('../jobs/accountDeletion');
+const { isValidTimeZone } = require('../utils/timezone');
+const {
+  getRetryDelay,
+  recordLoginAttempt,
+  registerFailedLogin,
+  clearFailedLogins,
+  sendRetryLater
+} = require('../utils/loginProtection');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'fallback-secret', {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+
+const REFRESH_TOKEN_TTL = (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Requests racing each other (e.g. two open tabs) may replay the token that was
+// just rotated out; only treat a replay as theft once this window has passed
+const REFRESH_REUSE_GRACE = 10 * 1000;
+
+// Start a new device session and issue its first token pair
+const createSession = async (user, req) => {
+  const secret = generateRandomToken();
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: (req.get('User-Agent') || '').substring(0, 500),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+  });
+
+  await session.save();
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Days an account deletion can still be undone; 0 deletes immediately
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? '7', 10);
+
+// Fields of the user returned to the client
+const userResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactor?.enabled || false,
+  deletionScheduledFor: user.deletionScheduledFor,
+  preferences: user.preferences,
+  createdAt: user.createdAt
+});
+
+// Two-factor secrets are deselected by default
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Recovery codes are shown to the user once; only their hashes are stored
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = generateRandomToken(5);
+    return `${code.substring(0, 5)}-${code.substring(5)}`;
+  });
+};
+
+const hashRecoveryCode = (code) => {
+  return hashToken(String(code).replace(/[\s-]/g, '').toLowerCase());
+};
+
+// Check an authenticator app code or a recovery code. Returns 'totp',
+// 'recovery' or null. Used codes are consumed on the user document, which the
+// caller is responsible for saving.
+const checkSecondFactor = (user, code) => {
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step !== null) {
+    if (user.twoFactor.lastUsedStep != null && step <= user.twoFactor.lastUsedStep) {
+      return null;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const index = (user.twoFactor.recoveryCodes || []).indexOf(hashRecoveryCode(code));
+  if (index === -1) {
+    return null;
+  }
+  user.twoFactor.recoveryCodes.splice(index, 1);
+  return 'recovery';
+};
+
+// Issue a new email verification link, replacing any earlier one
+const sendVerificationEmail = async (user) => {
+  const verificationToken = generateRandomToken();
+  user.emailVerificationToken = hashToken(verificationToken);
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    ...templates.verifyEmail({
+      name: user.name,
+      verifyUrl: clientUrl(`/verify-email?token=${verificationToken}`),
+      expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+    })
   });
 };
 
@@ -19,7 +134,8 @@ const generateToken = (id) => {
 router.post('/register', [
   body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Invalid timezone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -30,7 +146,7 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, password, timezone } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -42,23 +158,27 @@ router.post('/register', [
     const user = new User({
       name,
       email,
-      password
+      password,
+      ...(timezone && { preferences: { timezone } })
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A failed email shouldn't fail the registration; the link can be resent
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        preferences: user.preferences
-      }
+      refreshToken,
+      user: userResponse(user)
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -86,33 +206,54 @@ router.post('/login', [
 
     // Find user by email
     const user = await User.findOne({ email });
+
+    // Throttled accounts and addresses don't get to try the password at all
+    const retryDelay = await getRetryDelay(user, req.ip);
+    if (retryDelay > 0) {
+      await recordLoginAttempt(req, { user, email, success: false, reason: 'blocked' });
+      return sendRetryLater(res, retryDelay);
+    }
+
     if (!user) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'invalid-credentials' });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
     // Check if account is active
     if (!user.isActive) {
+      await recordLoginAttempt(req, { user, success: false, reason: 'deactivated' });
       return res.status(400).json({ message: 'Account is deactivated' });
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await registerFailedLogin(user, req);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // With two-factor enabled the password alone only earns a short-lived
+    // challenge token, exchanged for a session at /login/2fa
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    clearFailedLogins(user);
+    await user.save();
+    await recordLoginAttempt(req, { user, success: true, reason: 'success' });
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        preferences: user.preferences
-      }
+      refreshToken,
+      user: userResponse(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -120,19 +261,324 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-step login with an authenticator or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = verifyChallengeToken(req.body.challengeToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'Login challenge has expired, please sign in again' });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Login challenge has expired, please sign in again' });
+    }
+
+    // Wrong codes count towards the same limits as wrong passwords
+    const retryDelay = await getRetryDelay(user, req.ip);
+    if (retryDelay > 0) {
+      await recordLoginAttempt(req, { user, success: false, reason: 'blocked' });
+      return sendRetryLater(res, retryDelay);
+    }
+
+    const method = checkSecondFactor(user, req.body.code);
+    if (!method) {
+      await registerFailedLogin(user, req, 'invalid-code');
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    clearFailedLogins(user);
+    await user.save();
+    await recordLoginAttempt(req, { user, success: true, reason: 'success' });
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: userResponse(user),
+      ...(method === 'recovery' && {
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+      })
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const [sessionId, secret] = req.body.refreshToken.split('.');
+    if (!mongoose.isValidObjectId(sessionId) || !secret) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    // Nothing about the session or its account is revealed until the caller
+    // proves it holds the secret. The previous hash is accepted here so that
+    // a replayed token still reaches the reuse handling below.
+    const presentedHash = hashToken(secret);
+    const session = await Session.findById(sessionId);
+    if (!session || ![session.refreshTokenHash, session.previousTokenHash].includes(presentedHash)) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    if (!session.isValid) {
+      return res.status(401).json({ message: 'Session has expired or was revoked' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    // Rotate the refresh token only if the presented one is still current, so
+    // of two concurrent refreshes with the same token only one succeeds
+    const newSecret = generateRandomToken();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        previousTokenHash: presentedHash,
+        refreshTokenHash: hashToken(newSecret),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+        ip: req.ip
+      }
+    );
+
+    if (!rotated) {
+      // An old token replayed after the grace period means it has leaked, so
+      // end the session. Within the grace period it's a client that lost the
+      // race with its own concurrent refresh.
+      await Session.updateOne(
+        {
+          _id: session._id,
+          previousTokenHash: presentedHash,
+          lastUsedAt: { $lt: new Date(Date.now() - REFRESH_REUSE_GRACE) }
+        },
+        { revokedAt: new Date() }
+      );
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    res.json({
+      token: generateAccessToken(user._id, session._id),
+      refreshToken: `${session._id}.${newSecret}`
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await Session.findByIdAndUpdate(req.sessionId, { revokedAt: new Date() });
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // The response is the same whether or not the account exists, so this
+    // endpoint can't be used to find out who is registered
+    const message = 'If an account exists for that email, a password reset link has been sent';
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive) {
+      return res.json({ message });
+    }
+
+    const resetToken = generateRandomToken();
+    user.passwordResetToken = hashToken(resetToken);
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    await sendMail({
+      to: user.email,
+      ...templates.passwordReset({
+        name: user.name,
+        resetUrl: clientUrl(`/reset-password?token=${resetToken}`),
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+      })
+    });
+
+    res.json({ message });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Password reset link is invalid or has expired' });
+    }
+
+    // Reset tokens are single-use. Following the emailed link also proves the
+    // address belongs to the user.
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.emailVerified = true;
+    clearFailedLogins(user);
+    await user.save();
+
+    // Whoever had access before the reset should not keep it
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    await PersonalAccessToken.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({ message: 'Password has been reset. You can now sign in.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using a verification token
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const user = await User.findById(req.user._id).select('+emailVerificationExpires');
+
+    // Allow one email per minute
+    const issuedAt = user.emailVerificationExpires &&
+      user.emailVerificationExpires.getTime() - EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000;
+    if (issuedAt && Date.now() - issuedAt < 60 * 1000) {
+      return res.status(429).json({ message: 'Please wait a minute before requesting another email' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
     res.json({
-      user: {
-        id: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        preferences: req.user.preferences,
-        createdAt: req.user.createdAt
-      }
+      user: userResponse(req.user)
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -146,7 +592,8 @@ router.get('/me', auth, async (req, res) => {
 router.put('/profile', auth, [
   body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
   body('preferences.theme').optional().isIn(['light', 'dark']).withMessage('Theme must be light or dark'),
-  body('preferences.privacy').optional().isIn(['private', 'friends', 'public']).withMessage('Invalid privacy setting')
+  body('preferences.privacy').optional().isIn(['private', 'friends', 'public']).withMessage('Invalid privacy setting'),
+  body('preferences.timezone').optional().custom(isValidTimeZone).withMessage('Invalid timezone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -173,12 +620,7 @@ router.put('/profile', auth, [
 
     res.json({
       message: 'Profile updated successfully',
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        preferences: user.preferences
-      }
+      user: userResponse(user)
     });
   } catch (error) {
     console.error('Profile update error:', error);
@@ -217,6 +659,12 @@ router.post('/change-password', auth, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await Session.updateMany(
+      { user: user._id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Change password error:', error);
@@ -224,4 +672,357 @@ router.post('/change-password', auth, [
   }
 });
 
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get the authenticator QR code
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await User.findByIdAndUpdate(req.user._id, { 'twoFactor.pendingSecret': secret });
+
+    const otpauthUri = buildOtpauthUri(secret, req.user.email);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    res.json({ secret, otpauthUri, qrCode });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error during two-factor setup' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app
+// @access  Private
+router.post('/2fa/enable', auth, [
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error while enabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', auth, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (!checkSecondFactor(user, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes with a new set
+// @access  Private
+router.post('/2fa/recovery-codes', auth, [
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (checkSecondFactor(user, req.body.code) !== 'totp') {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error while regenerating recovery codes' });
+  }
+});
+
+// @route   DELETE /api/auth/account
+// @desc    Delete the account and all of its data, after an optional grace period
+// @access  Private
+router.delete('/account', auth, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (user.twoFactor.enabled && !checkSecondFactor(user, req.body.code || '')) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    if (DELETION_GRACE_DAYS <= 0) {
+      await eraseUser(user._id);
+      return res.json({ message: 'Account and all data deleted', deleted: true });
+    }
+
+    user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save();
+
+    // Only this device stays signed in, so the deletion can be undone from
+    // here. Scripts lose their tokens along with the other devices.
+    await Session.updateMany(
+      { user: user._id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    await PersonalAccessToken.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    try {
+      await sendMail({
+        to: user.email,
+        ...templates.accountDeletionScheduled({
+          name: user.name,
+          deletionDate: user.deletionScheduledFor.toUTCString(),
+          profileUrl: clientUrl('/profile')
+        })
+      });
+    } catch (mailError) {
+      console.error('Account deletion email error:', mailError);
+    }
+
+    res.json({
+      message: `Account scheduled for deletion in ${DELETION_GRACE_DAYS} days`,
+      deleted: false,
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Server error during account deletion' });
+  }
+});
+
+// @route   POST /api/auth/account/restore
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.post('/account/restore', auth, async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      return res.status(400).json({ message: 'Account is not scheduled for deletion' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { deletionScheduledFor: null },
+      { new: true }
+    );
+
+    res.json({
+      message: 'Account deletion cancelled',
+      user: userResponse(user)
+    });
+  } catch (error) {
+    console.error('Restore account error:', error);
+    res.status(500).json({ message: 'Server error while cancelling account deletion' });
+  }
+});
+
+// @route   GET /api/auth/login-history
+// @desc    Recent sign-in attempts on the account
+// @access  Private
+router.get('/login-history', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const attempts = await LoginAttempt.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      attempts: attempts.map(attempt => ({
+        id: attempt._id,
+        success: attempt.success,
+        reason: attempt.reason,
+        ip: attempt.ip,
+        userAgent: attempt.userAgent,
+        createdAt: attempt.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({ message: 'Server error while fetching login history' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices currently signed in to the account
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error while fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke every session except the current one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      { user: req.user._id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({
+      message: 'Other sessions revoked successfully',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error while revoking sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session (sign out a device)
+// @access  Private
+router.delete('/sessions/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid session id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    session.revokedAt = new Date();
+    await session.save();
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+});
+
 module.exports = router;
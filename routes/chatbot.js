@@ -2,8 +2,16 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const MoodEntry = require('../models/MoodEntry');
 const Activity = require('../models/Activity');
+const ActivityLog = require('../models/ActivityLog');
 const JournalEntry = require('../models/JournalEntry');
+const DataExport = require('../models/DataExport');
+const Assessment = require('../models/Assessment');
+const Goal = require('../models/Goal');
 const { auth } = require('../middleware/auth');
+const { getUserTimeZone, getDayRange, shiftDateKey, startOfDateKey } = require('../utils/timezone');
+const { CRISIS_SUPPORT, getDefinition, getScheduleStatus } = require('../utils/assessments');
+const { isScheduledOn } = require('../utils/habits');
+const { buildGoalsProgress } = require('../utils/goals');
 
 const router = express.Router();
 
@@ -32,6 +40,18 @@ const analyzeMoodTrends = (moodEntries) => {
   };
 };
 
+// Activities the user actually did since `since`, oldest first, one per
+// logged occurrence
+const getDoneActivities = async (userId, since) => {
+  const logs = await ActivityLog.find({
+    user: userId,
+    date: { $gte: since }
+  })
+    .populate('activity', 'name category')
+    .sort({ date: 1 });
+  return logs.filter(log => log.activity).map(log => log.activity);
+};
+
 // Helper function to analyze sleep patterns
 const analyzeSleepPatterns = (moodEntries) => {
   const recentEntries = moodEntries.slice(-7);
@@ -160,10 +180,7 @@ router.post('/analyze', auth, async (req, res) => {
         user: req.user._id,
         date: { $gte: thirtyDaysAgo }
       }).sort({ date: 1 }),
-      Activity.find({
-        user: req.user._id,
-        isActive: true
-      }),
+      getDoneActivities(req.user._id, thirtyDaysAgo),
       JournalEntry.find({
         user: req.user._id,
         date: { $gte: thirtyDaysAgo }
@@ -238,10 +255,7 @@ router.post('/chat', auth, [
         user: req.user._id,
         date: { $gte: sevenDaysAgo }
       }).sort({ date: -1 }).limit(5),
-      Activity.find({
-        user: req.user._id,
-        isActive: true
-      }).limit(5)
+      getDoneActivities(req.user._id, sevenDaysAgo)
     ]);
     
     let response = '';
@@ -275,7 +289,7 @@ router.post('/chat', auth, [
       }
     } else if (lowercaseMessage.includes('sleep') || lowercaseMessage.includes('tired')) {
       if (recentMoodEntries.length > 0) {
-        const sleepData = recentMoodEntries.filter(entry => entry.sleep);
+        const sleepData = recentMoodEntries.filter(entry => entry.sleep && entry.sleep.hours);
         if (sleepData.length > 0) {
           const avgSleep = sleepData.reduce((sum, entry) => sum + entry.sleep.hours, 0) / sleepData.length;
           response = `Based on your recent entries, you've been averaging about ${avgSleep.toFixed(1)} hours of sleep per night. `;
@@ -297,7 +311,7 @@ router.post('/chat', auth, [
     } else if (lowercaseMessage.includes('activity') || lowercaseMessage.includes('exercise')) {
       if (recentActivities.length > 0) {
         const exerciseActivities = recentActivities.filter(activity => activity.category === 'exercise');
-        response = `I can see you have ${recentActivities.length} activities logged. `;
+        response = `I can see you've logged ${recentActivities.length} activities this week. `;
         
         if (exerciseActivities.length > 0) {
           response += "Great job staying active! Regular exercise can really help with mood and stress management.";
@@ -306,7 +320,7 @@ router.post('/chat', auth, [
           suggestions.push("Even a 10-minute walk can boost your mood and energy levels.");
         }
       } else {
-        response = "I don't see any activities logged yet. Adding activities to your routine can help improve your overall wellbeing!";
+        response = "I don't see any activities logged this week. Adding activities to your routine can help improve your overall wellbeing!";
         suggestions.push("Try logging activities like walking, reading, or any hobbies you enjoy.");
       }
     } else if (lowercaseMessage.includes('stress') || lowercaseMessage.includes('anxiety')) {
@@ -382,8 +396,8 @@ router.get('/notifications', auth, async (req, res) => {
     const notifications = [];
     
     // Check for missing mood entries (remind to log mood)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const timeZone = getUserTimeZone(req.user);
+    const { dateKey: todayKey, start: today } = getDayRange(new Date(), timeZone);
     
     const todayMoodEntry = await MoodEntry.findOne({
       user: req.user._id,
@@ -391,8 +405,7 @@ router.get('/notifications', auth, async (req, res) => {
     });
     
     if (!todayMoodEntry) {
-      const yesterday = new Date(today);
-      yesterday.setDate(yesterday.getDate() - 1);
+      const yesterday = startOfDateKey(shiftDateKey(todayKey, -1), timeZone);
       
       const yesterdayEntry = await MoodEntry.findOne({
         user: req.user._id,
@@ -461,12 +474,12 @@ router.get('/notifications', auth, async (req, res) => {
     }
     
     // Check for low activity levels
-    const recentActivities = await Activity.find({
+    const recentActivityLog = await ActivityLog.exists({
       user: req.user._id,
-      createdAt: { $gte: sevenDaysAgo }
+      date: { $gte: sevenDaysAgo }
     });
     
-    if (recentActivities.length === 0) {
+    if (!recentActivityLog) {
       notifications.push({
         type: 'activity-reminder',
         title: 'Stay Active',
@@ -475,6 +488,125 @@ router.get('/notifications', auth, async (req, res) => {
         action: 'activities'
       });
     }
+
+    // Remind the user about habits they were scheduled to do yesterday but didn't
+    const yesterdayKey = shiftDateKey(todayKey, -1);
+    const yesterdayHabits = (await Activity.find({
+      user: req.user._id,
+      isRecurring: true,
+      isActive: true,
+      createdAt: { $lt: today }
+    }).select('name recurringDays')).filter(habit => isScheduledOn(habit, yesterdayKey));
+
+    if (yesterdayHabits.length > 0) {
+      const doneYesterday = await ActivityLog.distinct('activity', {
+        user: req.user._id,
+        activity: { $in: yesterdayHabits.map(habit => habit._id) },
+        date: { $gte: startOfDateKey(yesterdayKey, timeZone), $lt: today }
+      });
+      const done = new Set(doneYesterday.map(id => id.toString()));
+      const missedHabits = yesterdayHabits.filter(habit => !done.has(habit._id.toString()));
+
+      if (missedHabits.length > 0) {
+        notifications.push({
+          type: 'habit-missed',
+          title: 'Missed Habit',
+          message: missedHabits.length === 1
+            ? `You didn't check off ${missedHabits[0].name} yesterday. Pick it back up today to keep your routine going.`
+            : `You didn't check off ${missedHabits.length} habits yesterday. Pick them back up today to keep your routine going.`,
+          priority: 'low',
+          action: 'habits'
+        });
+      }
+    }
+
+    // Celebrate goals reached since yesterday and flag the ones falling behind
+    const activeGoals = await Goal.find({ user: req.user._id, isActive: true });
+    if (activeGoals.length > 0) {
+      const goals = await buildGoalsProgress(req.user._id, activeGoals, timeZone);
+      const notifiedGoals = [];
+      goals.forEach(goal => {
+        // An average goal is completed when its period ends, so look at the last one too
+        const completedOn = goal.progress.completedOn || goal.history[0]?.completedOn;
+
+        // Each completion is only celebrated once
+        if (completedOn && completedOn >= yesterdayKey && completedOn !== goal.completionNotifiedOn) {
+          notifiedGoals.push({ _id: goal._id, completedOn });
+          notifications.push({
+            type: 'goal-completed',
+            title: 'Goal Reached',
+            message: `You reached your goal "${goal.title}". Well done!`,
+            priority: 'medium',
+            action: 'goals'
+          });
+        } else if (goal.progress.status === 'at-risk') {
+          notifications.push({
+            type: 'goal-at-risk',
+            title: 'Goal at Risk',
+            message: `You're behind on "${goal.title}" this ${goal.period}. There's still time to catch up.`,
+            priority: 'medium',
+            action: 'goals'
+          });
+        }
+      });
+
+      await Promise.all(notifiedGoals.map(({ _id, completedOn }) => (
+        Goal.updateOne({ _id }, { completionNotifiedOn: completedOn })
+      )));
+    }
+
+    // Keep crisis support in view for a day after a questionnaire flags it
+    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const flaggedAssessment = await Assessment.findOne({
+      user: req.user._id,
+      crisisFlag: true,
+      completedAt: { $gte: oneDayAgo }
+    });
+    
+    if (flaggedAssessment) {
+      notifications.push({
+        type: 'crisis-support',
+        title: 'Support Is Available',
+        message: CRISIS_SUPPORT.message,
+        priority: 'high',
+        action: 'chat-support'
+      });
+    }
+    
+    // Remind the user about scheduled questionnaires that are due
+    for (const schedule of req.user.assessmentSchedules || []) {
+      const lastAssessment = await Assessment.findOne({
+        user: req.user._id,
+        type: schedule.type
+      }).sort({ completedAt: -1 });
+      
+      if (getScheduleStatus(schedule, lastAssessment?.completedAt).isDue) {
+        notifications.push({
+          type: 'assessment-due',
+          title: `${getDefinition(schedule.type).name} Check-in Due`,
+          message: 'A regular questionnaire helps you and your clinician see how things are changing.',
+          priority: 'medium',
+          action: 'assessments'
+        });
+      }
+    }
+    
+    // Let the user know a background data export can be downloaded
+    const readyExport = await DataExport.findOne({
+      user: req.user._id,
+      status: 'ready',
+      downloadedAt: null
+    }).sort({ completedAt: -1 });
+    
+    if (readyExport) {
+      notifications.push({
+        type: 'data-export-ready',
+        title: 'Data Export Ready',
+        message: 'Your data export has finished. Download it from your profile.',
+        priority: 'medium',
+        action: 'profile'
+      });
+    }
     
     res.json({
       success: true,
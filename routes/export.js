@@ -0,0 +1,119 @@
+const express = require('express');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const DataExport = require('../models/DataExport');
+const { auth } = require('../middleware/auth');
+const { countUserRecords, writeUserExport } = require('../utils/dataExport');
+const { queueExport } = require('../jobs/dataExport');
+
+const router = express.Router();
+
+// Accounts with more records than this are exported in the background
+const SYNC_MAX_RECORDS = parseInt(process.env.EXPORT_SYNC_MAX_RECORDS, 10) || 2000;
+
+const exportFilename = (date = new Date()) => {
+  return `mental-health-tracker-export-${date.toISOString().split('T')[0]}.zip`;
+};
+
+const exportResponse = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  fileSize: dataExport.fileSize,
+  recordCount: dataExport.recordCount,
+  error: dataExport.error,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  downloadedAt: dataExport.downloadedAt,
+  expiresAt: dataExport.expiresAt
+});
+
+// @route   GET /api/auth/export
+// @desc    Download a ZIP of all the user's data, or queue a background export
+//          for large accounts
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const recordCount = await countUserRecords(req.user._id);
+
+    if (recordCount <= SYNC_MAX_RECORDS) {
+      res.attachment(exportFilename());
+      res.type('application/zip');
+      await writeUserExport(req.user._id, res);
+      return;
+    }
+
+    // Reuse an export that is already queued or running
+    let dataExport = await DataExport.findOne({
+      user: req.user._id,
+      status: { $in: ['pending', 'processing'] }
+    });
+
+    if (!dataExport) {
+      dataExport = await DataExport.create({ user: req.user._id });
+      queueExport(dataExport._id);
+    }
+
+    res.status(202).json({
+      message: "Your export is being prepared. We'll let you know when it's ready to download.",
+      export: exportResponse(dataExport)
+    });
+  } catch (error) {
+    console.error('Data export error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({ message: 'Server error while exporting data' });
+  }
+});
+
+// @route   GET /api/auth/export/jobs
+// @desc    List the user's background exports
+// @access  Private
+router.get('/jobs', auth, async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json({ exports: exports.map(exportResponse) });
+  } catch (error) {
+    console.error('Get data exports error:', error);
+    res.status(500).json({ message: 'Server error while fetching exports' });
+  }
+});
+
+// @route   GET /api/auth/export/jobs/:id/download
+// @desc    Download a finished background export
+// @access  Private
+router.get('/jobs/:id/download', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user._id });
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    if (dataExport.status !== 'ready' || !dataExport.filePath || !fs.existsSync(dataExport.filePath)) {
+      return res.status(409).json({ message: 'This export is not available for download' });
+    }
+
+    dataExport.downloadedAt = new Date();
+    await dataExport.save();
+
+    res.download(dataExport.filePath, exportFilename(dataExport.completedAt), (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download data export error:', error);
+        res.status(500).json({ message: 'Server error while downloading export' });
+      }
+    });
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({ message: 'Server error while downloading export' });
+  }
+});
+
+module.exports = router;
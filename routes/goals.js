@@ -0,0 +1,197 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Goal = require('../models/Goal');
+const Activity = require('../models/Activity');
+const { scopedAuth } = require('../middleware/auth');
+const { getUserTimeZone } = require('../utils/timezone');
+const {
+  GOAL_TYPES,
+  GOAL_PERIODS,
+  GOAL_COMPARISONS,
+  GOAL_METRICS,
+  validateGoal,
+  buildGoalsProgress
+} = require('../utils/goals');
+
+const router = express.Router();
+
+// Metrics where lower is better default to an at-most target
+const LOWER_IS_BETTER = ['stress', 'anxiety'];
+
+const goalRules = (isUpdate = false) => {
+  const field = (path) => (isUpdate ? body(path).optional() : body(path));
+
+  return [
+    field('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
+    field('type').isIn(GOAL_TYPES).withMessage('Invalid goal type'),
+    field('target').isFloat().withMessage('Target must be a number').toFloat(),
+    field('period').isIn(GOAL_PERIODS).withMessage('Period must be week, month or quarter'),
+    body('activity').optional({ nullable: true }).isMongoId().withMessage('Invalid activity id'),
+    body('category').optional({ nullable: true }).isIn(Activity.schema.path('category').enumValues).withMessage('Invalid category'),
+    body('metric').optional({ nullable: true }).isIn(Object.keys(GOAL_METRICS)).withMessage('Invalid metric'),
+    body('comparison').optional().isIn(GOAL_COMPARISONS).withMessage('Comparison must be at-least or at-most'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// Copy submitted fields onto a goal and clear the ones its type doesn't use.
+// Returns an error message or null.
+const applyGoalFields = async (goal, fields, user) => {
+  ['title', 'type', 'target', 'period', 'activity', 'category', 'metric', 'comparison', 'isActive'].forEach(field => {
+    if (fields[field] !== undefined) goal[field] = fields[field];
+  });
+
+  if (goal.type !== 'activity-count') {
+    goal.activity = null;
+    goal.category = null;
+  }
+  if (goal.type !== 'mood-average') goal.metric = null;
+  if (goal.type === 'activity-count' || goal.type === 'journal-count') {
+    goal.comparison = 'at-least';
+  } else if (fields.comparison === undefined && (fields.type !== undefined || fields.metric !== undefined)) {
+    goal.comparison = LOWER_IS_BETTER.includes(goal.metric) ? 'at-most' : 'at-least';
+  }
+
+  if (goal.activity && !(await Activity.exists({ _id: goal.activity, user: user._id }))) {
+    return 'Activity not found';
+  }
+  return validateGoal(goal);
+};
+
+// @route   GET /api/goals
+// @desc    Get goals with their progress this period and in previous ones
+// @access  Private
+router.get('/', scopedAuth('goals:read'), [
+  query('status').optional().isIn(['active', 'archived', 'all']).withMessage('Invalid status filter')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'active' } = req.query;
+    const filter = { user: req.user._id };
+    if (status !== 'all') filter.isActive = status === 'active';
+
+    const goals = await Goal.find(filter).sort({ isActive: -1, createdAt: 1 });
+
+    res.json({
+      goals: await buildGoalsProgress(req.user._id, goals, getUserTimeZone(req.user))
+    });
+  } catch (error) {
+    console.error('Get goals error:', error);
+    res.status(500).json({ message: 'Server error while fetching goals' });
+  }
+});
+
+// @route   POST /api/goals
+// @desc    Set a goal
+// @access  Private
+router.post('/', scopedAuth('goals:write'), goalRules(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const goal = new Goal({ user: req.user._id });
+    const error = await applyGoalFields(goal, req.body, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await goal.save();
+    const [withProgress] = await buildGoalsProgress(req.user._id, [goal], getUserTimeZone(req.user));
+
+    res.status(201).json({
+      message: 'Goal created successfully',
+      goal: withProgress
+    });
+  } catch (error) {
+    console.error('Create goal error:', error);
+    res.status(500).json({ message: 'Server error while creating goal' });
+  }
+});
+
+// @route   PUT /api/goals/:id
+// @desc    Update a goal; `isActive: false` archives it
+// @access  Private
+router.put('/:id', scopedAuth('goals:write'), [
+  param('id').isMongoId().withMessage('Invalid goal id'),
+  ...goalRules(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const error = await applyGoalFields(goal, req.body, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await goal.save();
+    const [withProgress] = await buildGoalsProgress(req.user._id, [goal], getUserTimeZone(req.user));
+
+    res.json({
+      message: 'Goal updated successfully',
+      goal: withProgress
+    });
+  } catch (error) {
+    console.error('Update goal error:', error);
+    res.status(500).json({ message: 'Server error while updating goal' });
+  }
+});
+
+// @route   DELETE /api/goals/:id
+// @desc    Delete a goal
+// @access  Private
+router.delete('/:id', scopedAuth('goals:write'), [
+  param('id').isMongoId().withMessage('Invalid goal id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const goal = await Goal.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    res.json({ message: 'Goal deleted successfully' });
+  } catch (error) {
+    console.error('Delete goal error:', error);
+    res.status(500).json({ message: 'Server error while deleting goal' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Activity = require('../models/Activity');
+const ActivityLog = require('../models/ActivityLog');
+const { scopedAuth } = require('../middleware/auth');
+const {
+  DATE_KEY_PATTERN,
+  getUserTimeZone,
+  getDateKeyRange,
+  toDateKey,
+  atTimeOnDateKey,
+  startOfDateKey,
+  shiftDateKey,
+  daysBetween
+} = require('../utils/timezone');
+const {
+  HISTORY_DAYS,
+  isScheduledOn,
+  weekStartOf,
+  groupCompletions,
+  buildHabitStats
+} = require('../utils/habits');
+
+const router = express.Router();
+
+// Longest date range the schedule can be expanded over
+const MAX_SCHEDULE_DAYS = 42;
+
+// Habits are the user's active recurring activities
+const habitFilter = (user) => ({ user: user._id, isRecurring: true, isActive: true });
+
+const HABIT_FIELDS = 'name category color icon duration recurringDays createdAt';
+
+// @route   GET /api/habits
+// @desc    Get habits with whether each is scheduled and done on `date`
+//          (default today), current and longest streaks and weekly completion
+// @access  Private
+router.get('/', scopedAuth('activities:read'), [
+  query('date').optional().matches(DATE_KEY_PATTERN).withMessage('Date must be formatted as YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const timeZone = getUserTimeZone(req.user);
+    const today = toDateKey(new Date(), timeZone);
+    const date = req.query.date || today;
+
+    const habits = await Activity.find(habitFilter(req.user)).select(HABIT_FIELDS).sort({ name: 1 });
+    const logs = await ActivityLog.find({
+      user: req.user._id,
+      activity: { $in: habits.map(habit => habit._id) },
+      date: { $gte: startOfDateKey(shiftDateKey(today, -(HISTORY_DAYS - 1)), timeZone) }
+    }).select('activity date');
+    const completions = groupCompletions(logs, timeZone);
+
+    res.json({
+      today,
+      date,
+      habits: habits.map(habit => {
+        const completed = completions.get(habit._id.toString()) || new Set();
+        return {
+          ...habit.toObject(),
+          scheduled: isScheduledOn(habit, date),
+          completed: completed.has(date),
+          ...buildHabitStats(habit, completed, today, timeZone)
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get habits error:', error);
+    res.status(500).json({ message: 'Server error while fetching habits' });
+  }
+});
+
+// @route   GET /api/habits/schedule
+// @desc    Expand habits into each day's schedule from `startDate` to
+//          `endDate` (default this week, Monday to Sunday)
+// @access  Private
+router.get('/schedule', scopedAuth('activities:read'), [
+  query('startDate').optional().matches(DATE_KEY_PATTERN).withMessage('Start date must be formatted as YYYY-MM-DD'),
+  query('endDate').optional().matches(DATE_KEY_PATTERN).withMessage('End date must be formatted as YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const timeZone = getUserTimeZone(req.user);
+    const today = toDateKey(new Date(), timeZone);
+    const startDate = req.query.startDate || weekStartOf(today);
+    const endDate = req.query.endDate || shiftDateKey(startDate, 6);
+
+    if (startDate > endDate) {
+      return res.status(400).json({ message: 'Start date must be on or before end date' });
+    }
+    if (daysBetween(startDate, endDate) >= MAX_SCHEDULE_DAYS) {
+      return res.status(400).json({ message: `Date range cannot exceed ${MAX_SCHEDULE_DAYS} days` });
+    }
+
+    const habits = await Activity.find(habitFilter(req.user)).select(HABIT_FIELDS).sort({ name: 1 });
+    const logs = await ActivityLog.find({
+      user: req.user._id,
+      activity: { $in: habits.map(habit => habit._id) },
+      date: { $gte: startOfDateKey(startDate, timeZone), $lt: getDateKeyRange(endDate, timeZone).end }
+    }).select('activity date');
+    const completions = groupCompletions(logs, timeZone);
+
+    const days = [];
+    for (let dateKey = startDate; dateKey <= endDate; dateKey = shiftDateKey(dateKey, 1)) {
+      days.push({
+        date: dateKey,
+        habits: habits
+          .filter(habit => isScheduledOn(habit, dateKey))
+          .map(habit => ({
+            activity: habit._id,
+            completed: completions.get(habit._id.toString())?.has(dateKey) || false
+          }))
+      });
+    }
+
+    res.json({
+      today,
+      startDate,
+      endDate,
+      habits: habits.map(habit => habit.toObject()),
+      days
+    });
+  } catch (error) {
+    console.error('Get habit schedule error:', error);
+    res.status(500).json({ message: 'Server error while fetching habit schedule' });
+  }
+});
+
+// @route   PUT /api/habits/:id/days/:date
+// @desc    Check a habit off for a day, or uncheck it. Checking off logs the
+//          activity; unchecking deletes that log. Days with logs the user
+//          entered themselves can't be unchecked here.
+// @access  Private
+router.put('/:id/days/:date', scopedAuth('activities:write'), [
+  param('id').isMongoId().withMessage('Invalid habit id'),
+  param('date').matches(DATE_KEY_PATTERN).withMessage('Date must be formatted as YYYY-MM-DD'),
+  body('completed').isBoolean().withMessage('completed must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const habit = await Activity.findOne({ _id: req.params.id, ...habitFilter(req.user) }).select(HABIT_FIELDS);
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    const timeZone = getUserTimeZone(req.user);
+    const today = toDateKey(new Date(), timeZone);
+    const { date } = req.params;
+
+    if (date > today) {
+      return res.status(400).json({ message: 'Habits cannot be checked off in the future' });
+    }
+    if (daysBetween(date, today) >= HISTORY_DAYS) {
+      return res.status(400).json({ message: `Habits can only be checked off for the last ${HISTORY_DAYS} days` });
+    }
+
+    const { start, end } = getDateKeyRange(date, timeZone);
+    const dayFilter = { user: req.user._id, activity: habit._id, date: { $gte: start, $lt: end } };
+
+    if (req.body.completed) {
+      const alreadyDone = await ActivityLog.exists(dayFilter);
+      if (!alreadyDone) {
+        // Past days are logged at midday so they stay on that calendar day
+        await ActivityLog.create({
+          user: req.user._id,
+          activity: habit._id,
+          date: date === today ? new Date() : atTimeOnDateKey(date, '12:00', timeZone),
+          duration: habit.duration ?? null,
+          source: 'habit'
+        });
+      }
+    } else {
+      // Logs entered through the activity log keep their details, so they
+      // have to be deleted there
+      if (await ActivityLog.exists({ ...dayFilter, source: { $ne: 'habit' } })) {
+        return res.status(409).json({ message: 'This day has activity logs you entered; delete them from the activity log instead' });
+      }
+      await ActivityLog.deleteMany({ ...dayFilter, source: 'habit' });
+    }
+
+    const logs = await ActivityLog.find({
+      user: req.user._id,
+      activity: habit._id,
+      date: { $gte: startOfDateKey(shiftDateKey(today, -(HISTORY_DAYS - 1)), timeZone) }
+    }).select('activity date');
+    const completed = groupCompletions(logs, timeZone).get(habit._id.toString()) || new Set();
+
+    res.json({
+      message: req.body.completed ? 'Habit checked off' : 'Habit unchecked',
+      date,
+      completed: req.body.completed,
+      ...buildHabitStats(habit, completed, today, timeZone)
+    });
+  } catch (error) {
+    console.error('Update habit error:', error);
+    res.status(500).json({ message: 'Server error while updating habit' });
+  }
+});
+
+module.exports = router;
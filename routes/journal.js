@@ -1,19 +1,29 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, param, validationResult, query } = require('express-validator');
 const JournalEntry = require('../models/JournalEntry');
-const { auth } = require('../middleware/auth');
+const { scopedAuth } = require('../middleware/auth');
+const { emotionRules } = require('../utils/emotions');
+const {
+  DATE_KEY_PATTERN,
+  getUserTimeZone,
+  getDateKeyRange,
+  toDateKey,
+  calculateStreak
+} = require('../utils/timezone');
 
 const router = express.Router();
 
 // @route   POST /api/journal
 // @desc    Create a new journal entry
 // @access  Private
-router.post('/', auth, [
+router.post('/', scopedAuth('journal:write'), [
   body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
   body('content').isLength({ min: 1, max: 10000 }).withMessage('Content must be between 1 and 10000 characters'),
   body('mood').optional().isIn(['very-sad', 'sad', 'neutral', 'happy', 'very-happy']).withMessage('Invalid mood value'),
   body('tags').optional().isArray().withMessage('Tags must be an array'),
-  body('isPrivate').optional().isBoolean().withMessage('isPrivate must be a boolean')
+  body('isPrivate').optional().isBoolean().withMessage('isPrivate must be a boolean'),
+  body('isShareable').optional().isBoolean().withMessage('isShareable must be a boolean'),
+  ...emotionRules()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -29,7 +39,9 @@ router.post('/', auth, [
       content,
       mood = 'neutral',
       tags = [],
-      isPrivate = true
+      emotions = [],
+      isPrivate = true,
+      isShareable = false
     } = req.body;
 
     const journalEntry = new JournalEntry({
@@ -38,7 +50,9 @@ router.post('/', auth, [
       content,
       mood,
       tags,
-      isPrivate
+      emotions,
+      isPrivate,
+      isShareable
     });
 
     await journalEntry.save();
@@ -56,7 +70,7 @@ router.post('/', auth, [
 // @route   GET /api/journal
 // @desc    Get journal entries with optional filtering
 // @access  Private
-router.get('/', auth, [
+router.get('/', scopedAuth('journal:read'), [
   query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
   query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
   query('mood').optional().isIn(['very-sad', 'sad', 'neutral', 'happy', 'very-happy']).withMessage('Invalid mood filter'),
@@ -135,36 +149,11 @@ router.get('/', auth, [
   }
 });
 
-// @route   GET /api/journal/:id
-// @desc    Get single journal entry
-// @access  Private
-router.get('/:id', auth, async (req, res) => {
-  try {
-    const journalEntry = await JournalEntry.findOne({
-      _id: req.params.id,
-      user: req.user._id
-    });
-
-    if (!journalEntry) {
-      return res.status(404).json({ message: 'Journal entry not found' });
-    }
-
-    res.json({ journalEntry });
-  } catch (error) {
-    console.error('Get journal entry error:', error);
-    res.status(500).json({ message: 'Server error while fetching journal entry' });
-  }
-});
-
-// @route   PUT /api/journal/:id
-// @desc    Update journal entry
+// @route   GET /api/journal/day/:date
+// @desc    Get the journal entries written on a given day (YYYY-MM-DD)
 // @access  Private
-router.put('/:id', auth, [
-  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
-  body('content').optional().isLength({ min: 1, max: 10000 }).withMessage('Content must be between 1 and 10000 characters'),
-  body('mood').optional().isIn(['very-sad', 'sad', 'neutral', 'happy', 'very-happy']).withMessage('Invalid mood value'),
-  body('tags').optional().isArray().withMessage('Tags must be an array'),
-  body('isPrivate').optional().isBoolean().withMessage('isPrivate must be a boolean')
+router.get('/day/:date', scopedAuth('journal:read'), [
+  param('date').matches(DATE_KEY_PATTERN).withMessage('Date must be in YYYY-MM-DD format')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -175,59 +164,29 @@ router.put('/:id', auth, [
       });
     }
 
-    const journalEntry = await JournalEntry.findOne({
-      _id: req.params.id,
-      user: req.user._id
-    });
-
-    if (!journalEntry) {
-      return res.status(404).json({ message: 'Journal entry not found' });
-    }
-
-    // Update journal entry
-    Object.assign(journalEntry, req.body);
-    await journalEntry.save();
+    const { start, end } = getDateKeyRange(req.params.date, getUserTimeZone(req.user));
 
-    res.json({
-      message: 'Journal entry updated successfully',
-      journalEntry
-    });
-  } catch (error) {
-    console.error('Update journal entry error:', error);
-    res.status(500).json({ message: 'Server error during journal entry update' });
-  }
-});
-
-// @route   DELETE /api/journal/:id
-// @desc    Delete journal entry
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    const journalEntry = await JournalEntry.findOne({
-      _id: req.params.id,
-      user: req.user._id
-    });
-
-    if (!journalEntry) {
-      return res.status(404).json({ message: 'Journal entry not found' });
-    }
+    const journalEntries = await JournalEntry.find({
+      user: req.user._id,
+      date: { $gte: start, $lt: end }
+    }).sort({ date: 1 });
 
-    await JournalEntry.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Journal entry deleted successfully' });
+    res.json({ date: req.params.date, journalEntries });
   } catch (error) {
-    console.error('Delete journal entry error:', error);
-    res.status(500).json({ message: 'Server error while deleting journal entry' });
+    console.error('Get day journal entries error:', error);
+    res.status(500).json({ message: 'Server error while fetching journal entries' });
   }
 });
 
 // @route   GET /api/journal/stats
 // @desc    Get journal statistics
 // @access  Private
-router.get('/stats', auth, [
+router.get('/stats', scopedAuth('journal:read'), [
   query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Invalid period')
 ], async (req, res) => {
   try {
     const { period = 'month' } = req.query;
+    const timeZone = getUserTimeZone(req.user);
     
     // Calculate date range based on period
     const endDate = new Date();
@@ -295,33 +254,12 @@ router.get('/stats', auth, [
 
       // Calculate entries by month
       journalEntries.forEach(entry => {
-        const month = entry.date.toISOString().substring(0, 7);
+        const month = toDateKey(entry.date, timeZone).substring(0, 7);
         stats.entriesByMonth[month] = (stats.entriesByMonth[month] || 0) + 1;
       });
 
       // Calculate writing streak
-      const sortedEntries = journalEntries
-        .sort((a, b) => new Date(b.date) - new Date(a.date));
-      
-      let streak = 0;
-      let currentDate = new Date();
-      currentDate.setHours(0, 0, 0, 0);
-
-      for (const entry of sortedEntries) {
-        const entryDate = new Date(entry.date);
-        entryDate.setHours(0, 0, 0, 0);
-        
-        const diffTime = currentDate - entryDate;
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        
-        if (diffDays === streak + 1 || (streak === 0 && diffDays <= 1)) {
-          streak++;
-          currentDate = entryDate;
-        } else {
-          break;
-        }
-      }
-      stats.writingStreak = streak;
+      stats.writingStreak = calculateStreak(journalEntries.map(entry => entry.date), timeZone);
     }
 
     res.json({ stats, period });
@@ -334,7 +272,7 @@ router.get('/stats', auth, [
 // @route   GET /api/journal/tags
 // @desc    Get all unique tags
 // @access  Private
-router.get('/tags', auth, async (req, res) => {
+router.get('/tags', scopedAuth('journal:read'), async (req, res) => {
   try {
     const tags = await JournalEntry.distinct('tags', { user: req.user._id });
     res.json({ tags: tags.sort() });
@@ -344,4 +282,91 @@ router.get('/tags', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/journal/:id
+// @desc    Get single journal entry
+// @access  Private
+router.get('/:id', scopedAuth('journal:read'), async (req, res) => {
+  try {
+    const journalEntry = await JournalEntry.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!journalEntry) {
+      return res.status(404).json({ message: 'Journal entry not found' });
+    }
+
+    res.json({ journalEntry });
+  } catch (error) {
+    console.error('Get journal entry error:', error);
+    res.status(500).json({ message: 'Server error while fetching journal entry' });
+  }
+});
+
+// @route   PUT /api/journal/:id
+// @desc    Update journal entry
+// @access  Private
+router.put('/:id', scopedAuth('journal:write'), [
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('content').optional().isLength({ min: 1, max: 10000 }).withMessage('Content must be between 1 and 10000 characters'),
+  body('mood').optional().isIn(['very-sad', 'sad', 'neutral', 'happy', 'very-happy']).withMessage('Invalid mood value'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('isPrivate').optional().isBoolean().withMessage('isPrivate must be a boolean'),
+  body('isShareable').optional().isBoolean().withMessage('isShareable must be a boolean'),
+  ...emotionRules()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const journalEntry = await JournalEntry.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!journalEntry) {
+      return res.status(404).json({ message: 'Journal entry not found' });
+    }
+
+    // Update journal entry
+    Object.assign(journalEntry, req.body);
+    await journalEntry.save();
+
+    res.json({
+      message: 'Journal entry updated successfully',
+      journalEntry
+    });
+  } catch (error) {
+    console.error('Update journal entry error:', error);
+    res.status(500).json({ message: 'Server error during journal entry update' });
+  }
+});
+
+// @route   DELETE /api/journal/:id
+// @desc    Delete journal entry
+// @access  Private
+router.delete('/:id', scopedAuth('journal:write'), async (req, res) => {
+  try {
+    const journalEntry = await JournalEntry.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!journalEntry) {
+      return res.status(404).json({ message: 'Journal entry not found' });
+    }
+
+    await JournalEntry.findByIdAndDelete(req.params.id);
+    res.json({ message: 'Journal entry deleted successfully' });
+  } catch (error) {
+    console.error('Delete journal entry error:', error);
+    res.status(500).json({ message: 'Server error while deleting journal entry' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,395 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Medication = require('../models/Medication');
+const MedicationDose = require('../models/MedicationDose');
+const { scopedAuth } = require('../middleware/auth');
+const { DATE_KEY_PATTERN, TIME_PATTERN, getUserTimeZone, toDateKey } = require('../utils/timezone');
+const {
+  DOSE_STATUSES,
+  MAX_DOSES_PER_DAY,
+  getActiveRange,
+  buildAdherence,
+  windowStart
+} = require('../utils/medications');
+
+const router = express.Router();
+
+// Days of history the adherence summary covers by default
+const DEFAULT_ADHERENCE_DAYS = 30;
+
+const medicationRules = (isUpdate = false) => {
+  const field = (path) => (isUpdate ? body(path).optional() : body(path));
+
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Medication name must be between 1 and 100 characters'),
+    field('dose').trim().isLength({ min: 1, max: 50 }).withMessage('Dose must be between 1 and 50 characters'),
+    body('times').optional().isArray({ max: MAX_DOSES_PER_DAY }).withMessage(`Times must be an array of at most ${MAX_DOSES_PER_DAY}`),
+    body('times.*').matches(TIME_PATTERN).withMessage('Times must be formatted as HH:mm'),
+    body('startDate').optional().matches(DATE_KEY_PATTERN).withMessage('Start date must be formatted as YYYY-MM-DD'),
+    body('stopDate').optional({ nullable: true }).matches(DATE_KEY_PATTERN).withMessage('Stop date must be formatted as YYYY-MM-DD'),
+    body('doseChangeDate').optional().matches(DATE_KEY_PATTERN).withMessage('Dose change date must be formatted as YYYY-MM-DD'),
+    body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  ];
+};
+
+// Sorted, de-duplicated dose times
+const normalizeTimes = (times) => [...new Set(times)].sort();
+
+// @route   GET /api/medications
+// @desc    Get medications with adherence over the last `days` days and today's logged doses
+// @access  Private
+router.get('/', scopedAuth('medications:read'), [
+  query('status').optional().isIn(['active', 'stopped', 'all']).withMessage('Invalid status filter'),
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'all', days = DEFAULT_ADHERENCE_DAYS } = req.query;
+    const today = toDateKey(new Date(), getUserTimeZone(req.user));
+    const fromKey = windowStart(today, parseInt(days));
+
+    const filter = { user: req.user._id };
+    if (status === 'active') filter.$or = [{ stopDate: null }, { stopDate: { $gt: today } }];
+    if (status === 'stopped') filter.stopDate = { $lte: today };
+
+    const medications = await Medication.find(filter).sort({ stopDate: 1, name: 1 });
+    const doses = await MedicationDose.find({
+      user: req.user._id,
+      medication: { $in: medications.map(medication => medication._id) },
+      date: { $gte: fromKey, $lte: today }
+    }).sort({ date: 1, scheduledTime: 1 });
+
+    res.json({
+      today,
+      adherenceDays: parseInt(days),
+      medications: medications.map(medication => {
+        const medicationDoses = doses.filter(dose => dose.medication.equals(medication._id));
+        return {
+          ...medication.toObject(),
+          // The stop date is the last day it was taken
+          isActive: !medication.stopDate || medication.stopDate > today,
+          adherence: buildAdherence(medication, medicationDoses, fromKey, today),
+          todayDoses: medicationDoses.filter(dose => dose.date === today)
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get medications error:', error);
+    res.status(500).json({ message: 'Server error while fetching medications' });
+  }
+});
+
+// @route   POST /api/medications
+// @desc    Add a medication
+// @access  Private
+router.post('/', scopedAuth('medications:write'), medicationRules(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, dose, times = [], notes } = req.body;
+    const startDate = req.body.startDate || toDateKey(new Date(), getUserTimeZone(req.user));
+    const stopDate = req.body.stopDate || null;
+
+    if (stopDate && stopDate < startDate) {
+      return res.status(400).json({ message: 'Stop date cannot be before the start date' });
+    }
+
+    const medication = new Medication({
+      user: req.user._id,
+      name,
+      dose,
+      schedule: { times: normalizeTimes(times) },
+      startDate,
+      stopDate,
+      doseHistory: [{ dose, date: startDate }],
+      notes
+    });
+
+    await medication.save();
+
+    res.status(201).json({
+      message: 'Medication added successfully',
+      medication
+    });
+  } catch (error) {
+    console.error('Create medication error:', error);
+    res.status(500).json({ message: 'Server error while adding medication' });
+  }
+});
+
+// @route   PUT /api/medications/:id
+// @desc    Update a medication. A new `dose` is recorded as a dose change on
+//          `doseChangeDate` (default today); `stopDate: null` restarts it.
+// @access  Private
+router.put('/:id', scopedAuth('medications:write'), [
+  param('id').isMongoId().withMessage('Invalid medication id'),
+  ...medicationRules(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const medication = await Medication.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!medication) {
+      return res.status(404).json({ message: 'Medication not found' });
+    }
+
+    const { name, dose, times, startDate, stopDate, notes } = req.body;
+
+    if (name !== undefined) medication.name = name;
+    if (notes !== undefined) medication.notes = notes;
+    if (times !== undefined) medication.schedule.times = normalizeTimes(times);
+    if (startDate !== undefined) {
+      if (medication.doseHistory.slice(1).some(change => change.date <= startDate)) {
+        return res.status(400).json({ message: 'Start date must be before the first dose change' });
+      }
+      medication.startDate = startDate;
+      medication.doseHistory[0].date = startDate;
+    }
+    if (stopDate !== undefined) medication.stopDate = stopDate;
+
+    if (dose !== undefined && dose !== medication.dose) {
+      const changeDate = req.body.doseChangeDate || toDateKey(new Date(), getUserTimeZone(req.user));
+      if (changeDate < medication.startDate) {
+        return res.status(400).json({ message: 'A dose change cannot be before the start date' });
+      }
+      medication.dose = dose;
+      medication.doseHistory = [
+        ...medication.doseHistory.filter(change => change.date !== changeDate),
+        { dose, date: changeDate }
+      ].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    if (medication.stopDate && medication.stopDate < medication.startDate) {
+      return res.status(400).json({ message: 'Stop date cannot be before the start date' });
+    }
+
+    await medication.save();
+
+    res.json({
+      message: 'Medication updated successfully',
+      medication
+    });
+  } catch (error) {
+    console.error('Update medication error:', error);
+    res.status(500).json({ message: 'Server error while updating medication' });
+  }
+});
+
+// @route   DELETE /api/medications/:id
+// @desc    Delete a medication and its dose log
+// @access  Private
+router.delete('/:id', scopedAuth('medications:write'), [
+  param('id').isMongoId().withMessage('Invalid medication id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const medication = await Medication.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!medication) {
+      return res.status(404).json({ message: 'Medication not found' });
+    }
+
+    await MedicationDose.deleteMany({ medication: medication._id });
+
+    res.json({ message: 'Medication deleted successfully' });
+  } catch (error) {
+    console.error('Delete medication error:', error);
+    res.status(500).json({ message: 'Server error while deleting medication' });
+  }
+});
+
+// @route   POST /api/medications/:id/doses
+// @desc    Log a dose as taken, late or skipped. Logging a scheduled time again
+//          replaces the earlier log for that day.
+// @access  Private
+router.post('/:id/doses', scopedAuth('medications:write'), [
+  param('id').isMongoId().withMessage('Invalid medication id'),
+  body('status').isIn(DOSE_STATUSES).withMessage('Status must be taken, late or skipped'),
+  body('date').optional().matches(DATE_KEY_PATTERN).withMessage('Date must be formatted as YYYY-MM-DD'),
+  body('scheduledTime').optional({ nullable: true }).matches(TIME_PATTERN).withMessage('Scheduled time must be formatted as HH:mm'),
+  body('takenAt').optional({ nullable: true }).isISO8601().withMessage('Invalid takenAt format'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const medication = await Medication.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!medication) {
+      return res.status(404).json({ message: 'Medication not found' });
+    }
+
+    const today = toDateKey(new Date(), getUserTimeZone(req.user));
+    const { status, scheduledTime = null, takenAt, notes } = req.body;
+    const date = req.body.date || today;
+
+    if (date > today) {
+      return res.status(400).json({ message: 'Doses cannot be logged in the future' });
+    }
+    if (!getActiveRange(medication, date, date)) {
+      return res.status(400).json({ message: `${medication.name} was not being taken on ${date}` });
+    }
+    if (scheduledTime && !medication.schedule.times.includes(scheduledTime)) {
+      return res.status(400).json({ message: `${medication.name} is not scheduled at ${scheduledTime}` });
+    }
+
+    // Dose in effect on that day
+    const dose = [...medication.doseHistory].reverse().find(change => change.date <= date)?.dose || medication.dose;
+    const fields = {
+      status,
+      dose,
+      takenAt: status === 'skipped' ? null : (takenAt ? new Date(takenAt) : new Date()),
+      notes
+    };
+
+    let medicationDose = scheduledTime
+      ? await MedicationDose.findOne({ medication: medication._id, date, scheduledTime })
+      : null;
+    const isNew = !medicationDose;
+
+    if (medicationDose) {
+      Object.assign(medicationDose, fields);
+    } else {
+      medicationDose = new MedicationDose({
+        user: req.user._id,
+        medication: medication._id,
+        date,
+        scheduledTime,
+        ...fields
+      });
+    }
+
+    await medicationDose.save();
+
+    res.status(isNew ? 201 : 200).json({
+      message: 'Dose logged successfully',
+      dose: medicationDose
+    });
+  } catch (error) {
+    console.error('Log dose error:', error);
+    res.status(500).json({ message: 'Server error while logging dose' });
+  }
+});
+
+// @route   GET /api/medications/:id/doses
+// @desc    Get the dose log and adherence for a date range (default the last 30 days)
+// @access  Private
+router.get('/:id/doses', scopedAuth('medications:read'), [
+  param('id').isMongoId().withMessage('Invalid medication id'),
+  query('startDate').optional().matches(DATE_KEY_PATTERN).withMessage('Start date must be formatted as YYYY-MM-DD'),
+  query('endDate').optional().matches(DATE_KEY_PATTERN).withMessage('End date must be formatted as YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const medication = await Medication.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!medication) {
+      return res.status(404).json({ message: 'Medication not found' });
+    }
+
+    const endDate = req.query.endDate || toDateKey(new Date(), getUserTimeZone(req.user));
+    const startDate = req.query.startDate || windowStart(endDate, DEFAULT_ADHERENCE_DAYS);
+
+    const doses = await MedicationDose.find({
+      medication: medication._id,
+      date: { $gte: startDate, $lte: endDate }
+    }).sort({ date: -1, scheduledTime: -1 });
+
+    res.json({
+      startDate,
+      endDate,
+      adherence: buildAdherence(medication, doses, startDate, endDate),
+      doses
+    });
+  } catch (error) {
+    console.error('Get doses error:', error);
+    res.status(500).json({ message: 'Server error while fetching doses' });
+  }
+});
+
+// @route   DELETE /api/medications/:id/doses/:doseId
+// @desc    Delete a logged dose
+// @access  Private
+router.delete('/:id/doses/:doseId', scopedAuth('medications:write'), [
+  param('id').isMongoId().withMessage('Invalid medication id'),
+  param('doseId').isMongoId().withMessage('Invalid dose id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dose = await MedicationDose.findOneAndDelete({
+      _id: req.params.doseId,
+      medication: req.params.id,
+      user: req.user._id
+    });
+
+    if (!dose) {
+      return res.status(404).json({ message: 'Dose not found' });
+    }
+
+    res.json({ message: 'Dose deleted successfully' });
+  } catch (error) {
+    console.error('Delete dose error:', error);
+    res.status(500).json({ message: 'Server error while deleting dose' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const CustomMetric = require('../models/CustomMetric');
+const MoodEntry = require('../models/MoodEntry');
+const { scopedAuth } = require('../middleware/auth');
+const {
+  METRIC_TYPES,
+  MAX_CUSTOM_METRICS,
+  customMetricRules,
+  resolveRange
+} = require('../utils/customMetrics');
+
+const router = express.Router();
+
+// Names are unique per user regardless of case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const findNameClash = (user, name, excludeId = null) => {
+  return CustomMetric.exists({
+    user: user._id,
+    name,
+    ...(excludeId && { _id: { $ne: excludeId } })
+  }).collation(NAME_COLLATION);
+};
+
+// @route   GET /api/metrics
+// @desc    Get the user's custom metrics
+// @access  Private
+router.get('/', scopedAuth('mood:read'), async (req, res) => {
+  try {
+    const metrics = await CustomMetric.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+    res.json({ metrics, types: METRIC_TYPES, limit: MAX_CUSTOM_METRICS });
+  } catch (error) {
+    console.error('Get custom metrics error:', error);
+    res.status(500).json({ message: 'Server error while fetching custom metrics' });
+  }
+});
+
+// @route   POST /api/metrics
+// @desc    Define a custom metric (scale, boolean or count) to record at check-ins
+// @access  Private
+router.post('/', scopedAuth('mood:write'), customMetricRules(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, unit } = req.body;
+
+    const range = resolveRange(type, req.body);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const count = await CustomMetric.countDocuments({ user: req.user._id });
+    if (count >= MAX_CUSTOM_METRICS) {
+      return res.status(400).json({ message: `You can define at most ${MAX_CUSTOM_METRICS} custom metrics` });
+    }
+
+    if (await findNameClash(req.user, name)) {
+      return res.status(400).json({ message: 'You already have a metric with that name' });
+    }
+
+    const metric = new CustomMetric({
+      user: req.user._id,
+      name,
+      type,
+      min: range.min,
+      max: range.max,
+      unit
+    });
+    await metric.save();
+
+    res.status(201).json({
+      message: 'Custom metric created successfully',
+      metric
+    });
+  } catch (error) {
+    console.error('Create custom metric error:', error);
+    res.status(500).json({ message: 'Server error while creating custom metric' });
+  }
+});
+
+// @route   PUT /api/metrics/:id
+// @desc    Rename a custom metric or change its range or unit. The type can't
+//          be changed; values already recorded are kept as they are.
+// @access  Private
+router.put('/:id', scopedAuth('mood:write'), [
+  param('id').isMongoId().withMessage('Invalid metric id'),
+  ...customMetricRules(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const metric = await CustomMetric.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!metric) {
+      return res.status(404).json({ message: 'Custom metric not found' });
+    }
+
+    const { name, unit } = req.body;
+
+    if (name !== undefined && await findNameClash(req.user, name, metric._id)) {
+      return res.status(400).json({ message: 'You already have a metric with that name' });
+    }
+
+    const range = resolveRange(metric.type, {
+      min: req.body.min !== undefined ? req.body.min : metric.min,
+      max: req.body.max !== undefined ? req.body.max : metric.max
+    });
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    if (name !== undefined) metric.name = name;
+    if (unit !== undefined) metric.unit = unit;
+    metric.min = range.min;
+    metric.max = range.max;
+    await metric.save();
+
+    res.json({
+      message: 'Custom metric updated successfully',
+      metric
+    });
+  } catch (error) {
+    console.error('Update custom metric error:', error);
+    res.status(500).json({ message: 'Server error while updating custom metric' });
+  }
+});
+
+// @route   DELETE /api/metrics/:id
+// @desc    Delete a custom metric and the values recorded for it
+// @access  Private
+router.delete('/:id', scopedAuth('mood:write'), [
+  param('id').isMongoId().withMessage('Invalid metric id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const metric = await CustomMetric.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!metric) {
+      return res.status(404).json({ message: 'Custom metric not found' });
+    }
+
+    await MoodEntry.updateMany(
+      { user: req.user._id, 'customMetrics.metric': metric._id },
+      { $pull: { customMetrics: { metric: metric._id } } }
+    );
+
+    res.json({ message: 'Custom metric deleted successfully' });
+  } catch (error) {
+    console.error('Delete custom metric error:', error);
+    res.status(500).json({ message: 'Server error while deleting custom metric' });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,116 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, param, validationResult, query } = require('express-validator');
 const MoodEntry = require('../models/MoodEntry');
 const Activity = require('../models/Activity');
-const { auth } = require('../middleware/auth');
+const JournalEntry = require('../models/JournalEntry');
+const CustomMetric = require('../models/CustomMetric');
+const Symptom = require('../models/Symptom');
+const { scopedAuth, hasScope } = require('../middleware/auth');
+const { buildMoodStats, rollUpMoodByDay } = require('../utils/analytics');
+const { EMOTION_WHEEL, MIN_INTENSITY, MAX_INTENSITY, emotionRules } = require('../utils/emotions');
+const { customMetricValueRules, resolveCustomMetricValues } = require('../utils/customMetrics');
+const { symptomRules } = require('../utils/symptoms');
+const { sleepRules, resolveSleep } = require('../utils/sleep');
+const {
+  DATE_KEY_PATTERN,
+  TIME_PATTERN,
+  getUserTimeZone,
+  getDateKeyRange,
+  getDayRange,
+  toDateKey,
+  startOfDateKey,
+  atTimeOnDateKey,
+  shiftDateKey,
+  daysBetween
+} = require('../utils/timezone');
 
 const router = express.Router();
 
+const MOODS = ['very-sad', 'sad', 'neutral', 'happy', 'very-happy'];
+
+// Allowance for clocks that run slightly ahead of the server
+const FUTURE_TOLERANCE = 60 * 1000;
+
+// Check-in fields. Updates may send any subset of them.
+const moodEntryRules = (isUpdate = false) => {
+  const field = (path) => (isUpdate ? body(path).optional() : body(path));
+
+  return [
+    field('mood').isIn(MOODS).withMessage('Invalid mood value'),
+    field('energy').isInt({ min: 1, max: 10 }).withMessage('Energy must be between 1 and 10'),
+    field('stress').isInt({ min: 1, max: 10 }).withMessage('Stress must be between 1 and 10'),
+    field('anxiety').isInt({ min: 1, max: 10 }).withMessage('Anxiety must be between 1 and 10'),
+    body('date').optional().isISO8601().withMessage('Invalid date format'),
+    body('time').optional()
+      .matches(TIME_PATTERN).withMessage('Time must be formatted as HH:mm')
+      .custom((time, { req }) => DATE_KEY_PATTERN.test(req.body.date || '')).withMessage('Time needs a YYYY-MM-DD date'),
+    body('activities').optional().isArray().withMessage('Activities must be an array'),
+    body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+    body('tags').optional().isArray().withMessage('Tags must be an array'),
+    body('weather').optional().isIn(['sunny', 'cloudy', 'rainy', 'snowy', 'windy', 'unknown']).withMessage('Invalid weather value'),
+    ...sleepRules(),
+    ...emotionRules(),
+    ...symptomRules(),
+    ...customMetricValueRules()
+  ];
+};
+
+// A bare 'YYYY-MM-DD' is placed at `time` ('HH:mm') in the user's timezone.
+// Without a time, today means now and an earlier day means midday, so it
+// stays on that calendar day. Full timestamps are used as given.
+const resolveEntryDate = (value, timeZone, time) => {
+  if (DATE_KEY_PATTERN.test(value)) {
+    if (time) return atTimeOnDateKey(value, time, timeZone);
+    return value === toDateKey(new Date(), timeZone) ? new Date() : atTimeOnDateKey(value, '12:00', timeZone);
+  }
+  return new Date(value);
+};
+
+// Reject check-ins in the future or at the same minute as another check-in
+const validateEntryDate = async (userId, date, excludeId = null) => {
+  if (date.getTime() > Date.now() + FUTURE_TOLERANCE) {
+    return 'Mood entries cannot be in the future';
+  }
+
+  const minuteStart = new Date(Math.floor(date.getTime() / 60000) * 60000);
+  const duplicate = await MoodEntry.exists({
+    user: userId,
+    date: { $gte: minuteStart, $lt: new Date(minuteStart.getTime() + 60000) },
+    ...(excludeId && { _id: { $ne: excludeId } })
+  });
+  if (duplicate) {
+    return 'You already have a check-in at that date and time';
+  }
+
+  return null;
+};
+
+// Check that every reported symptom is built in or one the user added
+const checkSymptoms = async (userId, symptoms = []) => {
+  if (symptoms.length === 0) return null;
+
+  const known = await Symptom.countDocuments({
+    _id: { $in: symptoms.map(item => item.symptom) },
+    user: { $in: [null, userId] }
+  });
+  return known === symptoms.length ? null : 'Symptom not found';
+};
+
+// Check custom metric values against the user's own metric definitions
+const checkCustomMetrics = async (userId, submitted = []) => {
+  if (submitted.length === 0) return { values: [] };
+
+  const metrics = await CustomMetric.find({
+    user: userId,
+    _id: { $in: submitted.map(value => value.metric) }
+  });
+  return resolveCustomMetricValues(metrics, submitted);
+};
+
 // @route   POST /api/mood
-// @desc    Create or update mood entry
+// @desc    Record a mood check-in, now or for a past date (several can be logged per day)
 // @access  Private
-router.post('/', auth, [
-  body('mood').isIn(['very-sad', 'sad', 'neutral', 'happy', 'very-happy']).withMessage('Invalid mood value'),
-  body('energy').isInt({ min: 1, max: 10 }).withMessage('Energy must be between 1 and 10'),
-  body('stress').isInt({ min: 1, max: 10 }).withMessage('Stress must be between 1 and 10'),
-  body('anxiety').isInt({ min: 1, max: 10 }).withMessage('Anxiety must be between 1 and 10'),
-  body('sleep.hours').optional().isInt({ min: 0, max: 24 }).withMessage('Sleep hours must be between 0 and 24'),
-  body('sleep.quality').optional().isIn(['poor', 'fair', 'good', 'excellent']).withMessage('Invalid sleep quality'),
-  body('activities').optional().isArray().withMessage('Activities must be an array'),
-  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
-  body('tags').optional().isArray().withMessage('Tags must be an array'),
-  body('weather').optional().isIn(['sunny', 'cloudy', 'rainy', 'snowy', 'windy', 'unknown']).withMessage('Invalid weather value')
-], async (req, res) => {
+router.post('/', scopedAuth('mood:write'), moodEntryRules(), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -39,54 +129,58 @@ router.post('/', auth, [
       activities,
       notes,
       tags,
+      emotions,
+      symptoms,
+      customMetrics,
       weather,
       location
     } = req.body;
 
-    // Get today's date (start of day)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const date = req.body.date ? resolveEntryDate(req.body.date, getUserTimeZone(req.user), req.body.time) : new Date();
+    const dateError = await validateEntryDate(req.user._id, date);
+    if (dateError) {
+      return res.status(400).json({ message: dateError });
+    }
 
-    // Check if entry already exists for today
-    let moodEntry = await MoodEntry.findOne({
-      user: req.user._id,
-      date: {
-        $gte: today,
-        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
-      }
-    });
+    const resolvedSleep = resolveSleep(sleep || {});
+    if (resolvedSleep.error) {
+      return res.status(400).json({ message: resolvedSleep.error });
+    }
+
+    const symptomError = await checkSymptoms(req.user._id, symptoms);
+    if (symptomError) {
+      return res.status(400).json({ message: symptomError });
+    }
+
+    const customMetricValues = await checkCustomMetrics(req.user._id, customMetrics);
+    if (customMetricValues.error) {
+      return res.status(400).json({ message: customMetricValues.error });
+    }
 
-    const moodData = {
+    const moodEntry = new MoodEntry({
       user: req.user._id,
+      date,
       mood,
       energy,
       stress,
       anxiety,
-      sleep: sleep || { hours: 8, quality: 'good' },
+      sleep: resolvedSleep.sleep,
       activities: activities || [],
       notes,
       tags: tags || [],
+      emotions: emotions || [],
+      symptoms: symptoms || [],
+      customMetrics: customMetricValues.values,
       weather: weather || 'unknown',
       location
-    };
+    });
+    await moodEntry.save();
+    await moodEntry.populate('activities', 'name category color icon');
 
-    if (moodEntry) {
-      // Update existing entry
-      Object.assign(moodEntry, moodData);
-      await moodEntry.save();
-      res.json({
-        message: 'Mood entry updated successfully',
-        moodEntry
-      });
-    } else {
-      // Create new entry
-      moodEntry = new MoodEntry(moodData);
-      await moodEntry.save();
-      res.status(201).json({
-        message: 'Mood entry created successfully',
-        moodEntry
-      });
-    }
+    res.status(201).json({
+      message: 'Mood check-in saved successfully',
+      moodEntry
+    });
   } catch (error) {
     console.error('Mood entry error:', error);
     res.status(500).json({ message: 'Server error during mood entry' });
@@ -96,10 +190,10 @@ router.post('/', auth, [
 // @route   GET /api/mood
 // @desc    Get mood entries with optional filtering
 // @access  Private
-router.get('/', auth, [
+router.get('/', scopedAuth('mood:read'), [
   query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
   query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
-  query('mood').optional().isIn(['very-sad', 'sad', 'neutral', 'happy', 'very-happy']).withMessage('Invalid mood filter'),
+  query('mood').optional().isIn(MOODS).withMessage('Invalid mood filter'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer')
 ], async (req, res) => {
@@ -160,33 +254,143 @@ router.get('/', auth, [
   }
 });
 
+// @route   GET /api/mood/emotions
+// @desc    Get the emotion wheel entries can be tagged from
+// @access  Private
+router.get('/emotions', scopedAuth('mood:read'), (req, res) => {
+  res.json({
+    wheel: EMOTION_WHEEL,
+    intensity: { min: MIN_INTENSITY, max: MAX_INTENSITY }
+  });
+});
+
+// Check-ins within a day range, in order
+const findDayEntries = (user, { start, end }) => {
+  return MoodEntry.find({
+    user: user._id,
+    date: { $gte: start, $lt: end }
+  })
+    .populate('activities', 'name category color icon')
+    .sort({ date: 1 });
+};
+
 // @route   GET /api/mood/today
-// @desc    Get today's mood entry
+// @desc    Get today's check-ins in order, plus the latest one
 // @access  Private
-router.get('/today', auth, async (req, res) => {
+router.get('/today', scopedAuth('mood:read'), async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const moodEntry = await MoodEntry.findOne({
-      user: req.user._id,
-      date: {
-        $gte: today,
-        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
-      }
-    }).populate('activities', 'name category color icon');
+    const moodEntries = await findDayEntries(req.user, getDayRange(new Date(), getUserTimeZone(req.user)));
 
-    res.json({ moodEntry });
+    res.json({
+      moodEntries,
+      moodEntry: moodEntries.length > 0 ? moodEntries[moodEntries.length - 1] : null
+    });
   } catch (error) {
     console.error('Get today mood error:', error);
     res.status(500).json({ message: 'Server error while fetching today\'s mood' });
   }
 });
 
+// @route   GET /api/mood/day/:date
+// @desc    Get the check-ins on a given day (YYYY-MM-DD)
+// @access  Private
+router.get('/day/:date', scopedAuth('mood:read'), [
+  param('date').matches(DATE_KEY_PATTERN).withMessage('Date must be in YYYY-MM-DD format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const range = getDateKeyRange(req.params.date, getUserTimeZone(req.user));
+    const moodEntries = await findDayEntries(req.user, range);
+
+    res.json({ date: req.params.date, moodEntries });
+  } catch (error) {
+    console.error('Get day mood error:', error);
+    res.status(500).json({ message: 'Server error while fetching mood entries' });
+  }
+});
+
+// @route   GET /api/mood/calendar
+// @desc    Compact per-day summaries between two dates (YYYY-MM-DD, inclusive, up to a year)
+// @access  Private
+router.get('/calendar', scopedAuth('mood:read'), [
+  query('startDate').matches(DATE_KEY_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  query('endDate').matches(DATE_KEY_PATTERN).withMessage('End date must be in YYYY-MM-DD format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { startDate, endDate } = req.query;
+    const span = daysBetween(startDate, endDate);
+    if (span < 0 || span > 366) {
+      return res.status(400).json({ message: 'Date range must be between 1 and 367 days' });
+    }
+
+    const timeZone = getUserTimeZone(req.user);
+    const dateRange = {
+      $gte: startOfDateKey(startDate, timeZone),
+      $lt: startOfDateKey(shiftDateKey(endDate, 1), timeZone)
+    };
+
+    // Journal counts are left out for tokens that can't read the journal
+    const includeJournal = hasScope(req, 'journal:read');
+
+    const [moodEntries, journalEntries] = await Promise.all([
+      MoodEntry.find({ user: req.user._id, date: dateRange })
+        .select('date mood energy stress anxiety sleep')
+        .sort({ date: 1 }),
+      includeJournal
+        ? JournalEntry.find({ user: req.user._id, date: dateRange }).select('date')
+        : []
+    ]);
+
+    const journalCounts = {};
+    journalEntries.forEach(entry => {
+      const dateKey = toDateKey(entry.date, timeZone);
+      journalCounts[dateKey] = (journalCounts[dateKey] || 0) + 1;
+    });
+
+    const days = new Map(rollUpMoodByDay(moodEntries, timeZone).map(day => [day.date, {
+      date: day.date,
+      score: Math.round(day.mood.mean * 100) / 100,
+      checkIns: day.checkIns,
+      ...(includeJournal && { journalEntries: 0 })
+    }]));
+
+    // Days with only journal entries still appear
+    Object.entries(journalCounts).forEach(([date, count]) => {
+      if (!days.has(date)) days.set(date, { date, score: null, checkIns: 0, journalEntries: 0 });
+      days.get(date).journalEntries = count;
+    });
+
+    res.json({
+      startDate,
+      endDate,
+      today: toDateKey(new Date(), timeZone),
+      days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date))
+    });
+  } catch (error) {
+    console.error('Get mood calendar error:', error);
+    res.status(500).json({ message: 'Server error while fetching mood calendar' });
+  }
+});
+
 // @route   GET /api/mood/stats
 // @desc    Get mood statistics
 // @access  Private
-router.get('/stats', auth, [
+router.get('/stats', scopedAuth('mood:read'), [
   query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Invalid period')
 ], async (req, res) => {
   try {
@@ -217,98 +421,95 @@ router.get('/stats', auth, [
       date: { $gte: startDate, $lte: endDate }
     }).sort({ date: 1 });
 
-    // Calculate statistics
-    const stats = {
-      totalEntries: moodEntries.length,
-      averageMood: 0,
-      averageEnergy: 0,
-      averageStress: 0,
-      averageAnxiety: 0,
-      averageSleep: 0,
-      moodDistribution: {
-        'very-sad': 0,
-        'sad': 0,
-        'neutral': 0,
-        'happy': 0,
-        'very-happy': 0
-      },
-      trends: {
-        mood: [],
-        energy: [],
-        stress: [],
-        anxiety: []
-      }
-    };
+    // Check-ins are rolled up per day
+    const stats = buildMoodStats(moodEntries, getUserTimeZone(req.user));
 
-    if (moodEntries.length > 0) {
-      // Calculate averages
-      const moodScores = moodEntries.map(entry => entry.moodScore);
-      const energies = moodEntries.map(entry => entry.energy);
-      const stresses = moodEntries.map(entry => entry.stress);
-      const anxieties = moodEntries.map(entry => entry.anxiety);
-      const sleeps = moodEntries.map(entry => entry.sleep.hours);
-
-      stats.averageMood = moodScores.reduce((a, b) => a + b, 0) / moodScores.length;
-      stats.averageEnergy = energies.reduce((a, b) => a + b, 0) / energies.length;
-      stats.averageStress = stresses.reduce((a, b) => a + b, 0) / stresses.length;
-      stats.averageAnxiety = anxieties.reduce((a, b) => a + b, 0) / anxieties.length;
-      stats.averageSleep = sleeps.reduce((a, b) => a + b, 0) / sleeps.length;
-
-      // Calculate mood distribution
-      moodEntries.forEach(entry => {
-        stats.moodDistribution[entry.mood]++;
-      });
+    res.json({ stats, period });
+  } catch (error) {
+    console.error('Get mood stats error:', error);
+    res.status(500).json({ message: 'Server error while fetching mood statistics' });
+  }
+});
 
-      // Calculate trends (daily averages)
-      const dailyStats = {};
-      moodEntries.forEach(entry => {
-        const dateKey = entry.date.toISOString().split('T')[0];
-        if (!dailyStats[dateKey]) {
-          dailyStats[dateKey] = {
-            mood: [],
-            energy: [],
-            stress: [],
-            anxiety: []
-          };
-        }
-        dailyStats[dateKey].mood.push(entry.moodScore);
-        dailyStats[dateKey].energy.push(entry.energy);
-        dailyStats[dateKey].stress.push(entry.stress);
-        dailyStats[dateKey].anxiety.push(entry.anxiety);
+// @route   PUT /api/mood/:id
+// @desc    Edit a check-in, including moving it to another date or time
+// @access  Private
+router.put('/:id', scopedAuth('mood:write'), [
+  param('id').isMongoId().withMessage('Invalid mood entry id'),
+  ...moodEntryRules(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
       });
+    }
 
-      Object.keys(dailyStats).sort().forEach(date => {
-        const dayStats = dailyStats[date];
-        stats.trends.mood.push({
-          date,
-          value: dayStats.mood.reduce((a, b) => a + b, 0) / dayStats.mood.length
-        });
-        stats.trends.energy.push({
-          date,
-          value: dayStats.energy.reduce((a, b) => a + b, 0) / dayStats.energy.length
-        });
-        stats.trends.stress.push({
-          date,
-          value: dayStats.stress.reduce((a, b) => a + b, 0) / dayStats.stress.length
-        });
-        stats.trends.anxiety.push({
-          date,
-          value: dayStats.anxiety.reduce((a, b) => a + b, 0) / dayStats.anxiety.length
-        });
-      });
+    const moodEntry = await MoodEntry.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!moodEntry) {
+      return res.status(404).json({ message: 'Mood entry not found' });
     }
 
-    res.json({ stats, period });
+    if (req.body.date) {
+      const date = resolveEntryDate(req.body.date, getUserTimeZone(req.user), req.body.time);
+      const dateError = await validateEntryDate(req.user._id, date, moodEntry._id);
+      if (dateError) {
+        return res.status(400).json({ message: dateError });
+      }
+      moodEntry.date = date;
+    }
+
+    if (req.body.sleep) {
+      const resolvedSleep = resolveSleep(req.body.sleep, moodEntry.sleep.toObject());
+      if (resolvedSleep.error) {
+        return res.status(400).json({ message: resolvedSleep.error });
+      }
+      moodEntry.sleep = resolvedSleep.sleep;
+    }
+
+    if (req.body.symptoms !== undefined) {
+      const symptomError = await checkSymptoms(req.user._id, req.body.symptoms);
+      if (symptomError) {
+        return res.status(400).json({ message: symptomError });
+      }
+    }
+
+    if (req.body.customMetrics !== undefined) {
+      const customMetricValues = await checkCustomMetrics(req.user._id, req.body.customMetrics);
+      if (customMetricValues.error) {
+        return res.status(400).json({ message: customMetricValues.error });
+      }
+      moodEntry.customMetrics = customMetricValues.values;
+    }
+
+    const fields = ['mood', 'energy', 'stress', 'anxiety', 'activities', 'notes', 'tags', 'emotions', 'symptoms', 'weather', 'location'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) moodEntry[field] = req.body[field];
+    });
+
+    await moodEntry.save();
+    await moodEntry.populate('activities', 'name category color icon');
+
+    res.json({
+      message: 'Mood entry updated successfully',
+      moodEntry
+    });
   } catch (error) {
-    console.error('Get mood stats error:', error);
-    res.status(500).json({ message: 'Server error while fetching mood statistics' });
+    console.error('Update mood entry error:', error);
+    res.status(500).json({ message: 'Server error while updating mood entry' });
   }
 });
 
 // @route   DELETE /api/mood/:id
 // @desc    Delete mood entry
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', scopedAuth('mood:write'), async (req, res) => {
   try {
     const moodEntry = await MoodEntry.findOne({
       _id: req.params.id,
@@ -0,0 +1,516 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const ClinicianGrant = require('../models/ClinicianGrant');
+const ClinicianAccessLog = require('../models/ClinicianAccessLog');
+const MoodEntry = require('../models/MoodEntry');
+const Activity = require('../models/Activity');
+const JournalEntry = require('../models/JournalEntry');
+const { auth } = require('../middleware/auth');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { sendMail, clientUrl } = require('../utils/mailer');
+const templates = require('../utils/mailer/templates');
+const { buildAnalyticsOverview } = require('../utils/analytics');
+const { getUserTimeZone } = require('../utils/timezone');
+const {
+  SHARED_DATA_TYPES,
+  GRANT_DURATION_OPTIONS_DAYS,
+  INVITE_TTL_DAYS
+} = require('../utils/sharing');
+
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SHARED_DATA_LABELS = {
+  mood: 'mood entries',
+  activities: 'activities',
+  journal: 'journal entries marked shareable'
+};
+
+const describeSharedData = (sharedData) => {
+  return sharedData.map(type => SHARED_DATA_LABELS[type]).join(', ');
+};
+
+// Grant as seen by the patient
+const grantResponse = (grant) => ({
+  id: grant._id,
+  clinicianEmail: grant.clinicianEmail,
+  clinicianName: grant.clinician?.name || null,
+  sharedData: grant.sharedData,
+  status: grant.displayStatus,
+  expiresAt: grant.expiresAt,
+  acceptedAt: grant.acceptedAt,
+  revokedAt: grant.revokedAt,
+  createdAt: grant.createdAt
+});
+
+// Grant as seen by the clinician
+const patientResponse = (grant) => ({
+  grantId: grant._id,
+  patientName: grant.user.name,
+  patientEmail: grant.user.email,
+  sharedData: grant.sharedData,
+  expiresAt: grant.expiresAt,
+  acceptedAt: grant.acceptedAt
+});
+
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Find a pending invitation addressed to the signed-in user
+const findInvite = async (req, res) => {
+  const grant = await ClinicianGrant.findOne({
+    inviteTokenHash: hashToken(req.params.token),
+    status: 'pending',
+    inviteExpiresAt: { $gt: new Date() }
+  }).populate('user', 'name');
+
+  if (!grant) {
+    res.status(404).json({ message: 'This invitation is invalid or has expired' });
+    return null;
+  }
+
+  if (grant.clinicianEmail !== req.user.email) {
+    res.status(403).json({
+      message: `This invitation was sent to ${grant.clinicianEmail}. Sign in with that address to accept it.`
+    });
+    return null;
+  }
+
+  return grant;
+};
+
+// Validate the request, load a grant the signed-in clinician can currently
+// use (optionally requiring access to a kind of data) and log the access for
+// the patient
+const loadPatientGrant = (resource, dataType) => async (req, res, next) => {
+  try {
+    if (!validate(req, res)) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.grantId)) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const grant = await ClinicianGrant.findOne({
+      _id: req.params.grantId,
+      clinician: req.user._id,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    }).populate('user', 'name email isActive preferences.timezone');
+
+    if (!grant || !grant.user || !grant.user.isActive) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    if (dataType && !grant.sharedData.includes(dataType)) {
+      return res.status(403).json({ message: `This patient has not shared their ${SHARED_DATA_LABELS[dataType]}` });
+    }
+
+    await ClinicianAccessLog.create({
+      user: grant.user._id,
+      grant: grant._id,
+      clinician: req.user._id,
+      clinicianName: req.user.name,
+      clinicianEmail: req.user.email,
+      resource,
+      ip: req.ip
+    });
+
+    req.grant = grant;
+    next();
+  } catch (error) {
+    console.error('Load shared patient error:', error);
+    res.status(500).json({ message: 'Server error while loading shared data' });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Patient: granting and reviewing access
+// ---------------------------------------------------------------------------
+
+// @route   GET /api/sharing/options
+// @desc    Kinds of data and durations a grant can use
+// @access  Private
+router.get('/options', auth, (req, res) => {
+  res.json({
+    sharedData: SHARED_DATA_TYPES.map(type => ({ value: type, label: SHARED_DATA_LABELS[type] })),
+    durationOptionsDays: GRANT_DURATION_OPTIONS_DAYS
+  });
+});
+
+// @route   GET /api/sharing/grants
+// @desc    List the clinicians the user has invited
+// @access  Private
+router.get('/grants', auth, async (req, res) => {
+  try {
+    const grants = await ClinicianGrant.find({ user: req.user._id })
+      .populate('clinician', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({ grants: grants.map(grantResponse) });
+  } catch (error) {
+    console.error('Get sharing grants error:', error);
+    res.status(500).json({ message: 'Server error while fetching shared access' });
+  }
+});
+
+// @route   POST /api/sharing/grants
+// @desc    Invite a clinician by email to view selected data
+// @access  Private
+router.post('/grants', auth, [
+  body('clinicianEmail').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('sharedData').isArray({ min: 1 }).withMessage('Choose at least one kind of data to share'),
+  body('sharedData.*').isIn(SHARED_DATA_TYPES).withMessage('Invalid data type'),
+  body('durationDays').isIn(GRANT_DURATION_OPTIONS_DAYS).withMessage('Invalid duration')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const { clinicianEmail, sharedData } = req.body;
+    const durationDays = parseInt(req.body.durationDays, 10);
+
+    // Invitations email third parties, so the sender's address must be real
+    if (!req.user.emailVerified) {
+      return res.status(403).json({ message: 'Please verify your email address before sharing your data' });
+    }
+
+    if (clinicianEmail === req.user.email) {
+      return res.status(400).json({ message: 'You cannot share your data with yourself' });
+    }
+
+    const existing = await ClinicianGrant.findOne({
+      user: req.user._id,
+      clinicianEmail,
+      $or: [
+        { status: 'pending', inviteExpiresAt: { $gt: new Date() } },
+        { status: 'active', expiresAt: { $gt: new Date() } }
+      ]
+    });
+    if (existing) {
+      return res.status(400).json({ message: 'This clinician already has access or a pending invitation' });
+    }
+
+    const inviteToken = generateRandomToken();
+    const grant = await ClinicianGrant.create({
+      user: req.user._id,
+      clinicianEmail,
+      sharedData: [...new Set(sharedData)],
+      inviteTokenHash: hashToken(inviteToken),
+      inviteExpiresAt: new Date(Date.now() + INVITE_TTL_DAYS * DAY),
+      expiresAt: new Date(Date.now() + durationDays * DAY)
+    });
+
+    await sendMail({
+      to: clinicianEmail,
+      ...templates.clinicianInvite({
+        patientName: req.user.name,
+        sharedData: describeSharedData(grant.sharedData),
+        acceptUrl: clientUrl(`/sharing/accept?token=${inviteToken}`),
+        expiresAt: grant.expiresAt.toUTCString(),
+        inviteExpiresInDays: INVITE_TTL_DAYS
+      })
+    });
+
+    res.status(201).json({
+      message: `Invitation sent to ${clinicianEmail}`,
+      grant: grantResponse(grant)
+    });
+  } catch (error) {
+    console.error('Create sharing grant error:', error);
+    res.status(500).json({ message: 'Server error while sharing data' });
+  }
+});
+
+// @route   DELETE /api/sharing/grants/:id
+// @desc    Revoke a clinician's access or cancel an invitation
+// @access  Private
+router.delete('/grants/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Shared access not found' });
+    }
+
+    const grant = await ClinicianGrant.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, status: { $in: ['pending', 'active'] } },
+      { status: 'revoked', revokedAt: new Date(), inviteTokenHash: null },
+      { new: true }
+    );
+
+    if (!grant) {
+      return res.status(404).json({ message: 'Shared access not found' });
+    }
+
+    res.json({
+      message: 'Access revoked',
+      grant: grantResponse(grant)
+    });
+  } catch (error) {
+    console.error('Revoke sharing grant error:', error);
+    res.status(500).json({ message: 'Server error while revoking access' });
+  }
+});
+
+// @route   GET /api/sharing/access-log
+// @desc    Who viewed the user's shared data, and when
+// @access  Private
+router.get('/access-log', auth, [
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const logs = await ClinicianAccessLog.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50);
+
+    res.json({
+      accessLog: logs.map(log => ({
+        id: log._id,
+        grantId: log.grant,
+        clinicianName: log.clinicianName,
+        clinicianEmail: log.clinicianEmail,
+        resource: log.resource,
+        ip: log.ip,
+        createdAt: log.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get sharing access log error:', error);
+    res.status(500).json({ message: 'Server error while fetching access log' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Clinician: invitations
+// ---------------------------------------------------------------------------
+
+// @route   GET /api/sharing/invites/:token
+// @desc    Preview an invitation before accepting it
+// @access  Private
+router.get('/invites/:token', auth, async (req, res) => {
+  try {
+    const grant = await findInvite(req, res);
+    if (!grant) return;
+
+    res.json({
+      invite: {
+        patientName: grant.user.name,
+        sharedData: grant.sharedData,
+        expiresAt: grant.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get sharing invite error:', error);
+    res.status(500).json({ message: 'Server error while fetching invitation' });
+  }
+});
+
+// @route   POST /api/sharing/invites/:token/accept
+// @desc    Accept an invitation to view a patient's data
+// @access  Private
+router.post('/invites/:token/accept', auth, async (req, res) => {
+  try {
+    const grant = await findInvite(req, res);
+    if (!grant) return;
+
+    grant.status = 'active';
+    grant.clinician = req.user._id;
+    grant.acceptedAt = new Date();
+    grant.inviteTokenHash = null;
+    await grant.save();
+
+    res.json({
+      message: `You can now view ${grant.user.name}'s shared data`,
+      grantId: grant._id
+    });
+  } catch (error) {
+    console.error('Accept sharing invite error:', error);
+    res.status(500).json({ message: 'Server error while accepting invitation' });
+  }
+});
+
+// @route   POST /api/sharing/invites/:token/decline
+// @desc    Decline an invitation
+// @access  Private
+router.post('/invites/:token/decline', auth, async (req, res) => {
+  try {
+    const grant = await findInvite(req, res);
+    if (!grant) return;
+
+    grant.status = 'declined';
+    grant.inviteTokenHash = null;
+    await grant.save();
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Decline sharing invite error:', error);
+    res.status(500).json({ message: 'Server error while declining invitation' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Clinician: read-only patient views
+// ---------------------------------------------------------------------------
+
+// @route   GET /api/sharing/patients
+// @desc    List patients currently sharing data with the user
+// @access  Private
+router.get('/patients', auth, async (req, res) => {
+  try {
+    const grants = await ClinicianGrant.find({
+      clinician: req.user._id,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('user', 'name email isActive')
+      .sort({ acceptedAt: -1 });
+
+    res.json({
+      patients: grants
+        .filter(grant => grant.user && grant.user.isActive)
+        .map(patientResponse)
+    });
+  } catch (error) {
+    console.error('Get shared patients error:', error);
+    res.status(500).json({ message: 'Server error while fetching patients' });
+  }
+});
+
+// @route   GET /api/sharing/patients/:grantId/overview
+// @desc    Analytics overview limited to the data the patient shared
+// @access  Private (clinician with an active grant)
+router.get('/patients/:grantId/overview', auth, [
+  query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Invalid period')
+], loadPatientGrant('overview'), async (req, res) => {
+  try {
+    const overview = await buildAnalyticsOverview(req.grant.user._id, req.query.period || 'month', {
+      include: req.grant.sharedData,
+      journalFilter: { isShareable: true },
+      timeZone: getUserTimeZone(req.grant.user)
+    });
+
+    res.json({
+      patient: patientResponse(req.grant),
+      ...overview
+    });
+  } catch (error) {
+    console.error('Get shared overview error:', error);
+    res.status(500).json({ message: 'Server error while fetching shared overview' });
+  }
+});
+
+// @route   GET /api/sharing/patients/:grantId/mood
+// @desc    Patient's mood history
+// @access  Private (clinician with mood access)
+router.get('/patients/:grantId/mood', auth, [
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer')
+], loadPatientGrant('mood', 'mood'), async (req, res) => {
+  try {
+    const { startDate, endDate, limit = 30, page = 1 } = req.query;
+
+    const filter = { user: req.grant.user._id };
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    let entriesQuery = MoodEntry.find(filter)
+      .sort({ date: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    // Activity names are only visible with activity access
+    entriesQuery = req.grant.sharedData.includes('activities')
+      ? entriesQuery.populate('activities', 'name category color icon')
+      : entriesQuery.select('-activities');
+
+    const [moodEntries, totalEntries] = await Promise.all([
+      entriesQuery,
+      MoodEntry.countDocuments(filter)
+    ]);
+
+    res.json({
+      moodEntries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalEntries / parseInt(limit)),
+        totalEntries,
+        hasNextPage: skip + moodEntries.length < totalEntries,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get shared mood entries error:', error);
+    res.status(500).json({ message: 'Server error while fetching shared mood entries' });
+  }
+});
+
+// @route   GET /api/sharing/patients/:grantId/activities
+// @desc    Patient's activities
+// @access  Private (clinician with activity access)
+router.get('/patients/:grantId/activities', auth, loadPatientGrant('activities', 'activities'), async (req, res) => {
+  try {
+    const activities = await Activity.find({ user: req.grant.user._id, isActive: true })
+      .sort({ createdAt: -1 });
+
+    res.json({ activities });
+  } catch (error) {
+    console.error('Get shared activities error:', error);
+    res.status(500).json({ message: 'Server error while fetching shared activities' });
+  }
+});
+
+// @route   GET /api/sharing/patients/:grantId/journal
+// @desc    Journal entries the patient marked shareable
+// @access  Private (clinician with journal access)
+router.get('/patients/:grantId/journal', auth, [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer')
+], loadPatientGrant('journal', 'journal'), async (req, res) => {
+  try {
+    const { limit = 20, page = 1 } = req.query;
+    const filter = { user: req.grant.user._id, isShareable: true };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [journalEntries, totalEntries] = await Promise.all([
+      JournalEntry.find(filter)
+        .select('date title content mood tags wordCount createdAt')
+        .sort({ date: -1 })
+        .limit(parseInt(limit))
+        .skip(skip),
+      JournalEntry.countDocuments(filter)
+    ]);
+
+    res.json({
+      journalEntries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalEntries / parseInt(limit)),
+        totalEntries,
+        hasNextPage: skip + journalEntries.length < totalEntries,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get shared journal entries error:', error);
+    res.status(500).json({ message: 'Server error while fetching shared journal entries' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Symptom = require('../models/Symptom');
+const MoodEntry = require('../models/MoodEntry');
+const User = require('../models/User');
+const { scopedAuth } = require('../middleware/auth');
+const {
+  SYMPTOM_CATEGORIES,
+  SEVERITIES,
+  MAX_CUSTOM_SYMPTOMS
+} = require('../utils/symptoms');
+
+const router = express.Router();
+
+// Built-in symptoms plus the ones the user added
+const catalogFilter = (user) => ({ user: { $in: [null, user._id] } });
+
+// Names are unique across the user's checklist regardless of case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// @route   GET /api/symptoms
+// @desc    Get the user's symptom checklist: built-in symptoms and their own,
+//          each marked `hidden` if taken off the checklist
+// @access  Private
+router.get('/', scopedAuth('mood:read'), async (req, res) => {
+  try {
+    const symptoms = await Symptom.find(catalogFilter(req.user)).sort({ category: 1, name: 1 }).lean();
+    const hidden = new Set((req.user.hiddenSymptoms || []).map(id => id.toString()));
+
+    res.json({
+      symptoms: symptoms.map(symptom => ({
+        ...symptom,
+        isDefault: symptom.user === null,
+        hidden: hidden.has(symptom._id.toString())
+      })),
+      categories: SYMPTOM_CATEGORIES,
+      severities: SEVERITIES
+    });
+  } catch (error) {
+    console.error('Get symptoms error:', error);
+    res.status(500).json({ message: 'Server error while fetching symptoms' });
+  }
+});
+
+// @route   POST /api/symptoms
+// @desc    Add a symptom to the user's checklist
+// @access  Private
+router.post('/', scopedAuth('mood:write'), [
+  body('name').trim().isLength({ min: 1, max: 40 }).withMessage('Symptom name must be between 1 and 40 characters'),
+  body('category').optional().isIn(SYMPTOM_CATEGORIES).withMessage('Invalid symptom category')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, category } = req.body;
+
+    const count = await Symptom.countDocuments({ user: req.user._id });
+    if (count >= MAX_CUSTOM_SYMPTOMS) {
+      return res.status(400).json({ message: `You can add at most ${MAX_CUSTOM_SYMPTOMS} symptoms` });
+    }
+
+    const clash = await Symptom.exists({ ...catalogFilter(req.user), name }).collation(NAME_COLLATION);
+    if (clash) {
+      return res.status(400).json({ message: 'That symptom is already on your checklist' });
+    }
+
+    const symptom = new Symptom({ user: req.user._id, name, category });
+    await symptom.save();
+
+    res.status(201).json({
+      message: 'Symptom added successfully',
+      symptom: { ...symptom.toObject(), isDefault: false, hidden: false }
+    });
+  } catch (error) {
+    console.error('Create symptom error:', error);
+    res.status(500).json({ message: 'Server error while adding symptom' });
+  }
+});
+
+// @route   PUT /api/symptoms/:id/visibility
+// @desc    Take a symptom off the checklist or put it back. Past reports are kept.
+// @access  Private
+router.put('/:id/visibility', scopedAuth('mood:write'), [
+  param('id').isMongoId().withMessage('Invalid symptom id'),
+  body('hidden').isBoolean().withMessage('hidden must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const symptom = await Symptom.findOne({ _id: req.params.id, ...catalogFilter(req.user) });
+    if (!symptom) {
+      return res.status(404).json({ message: 'Symptom not found' });
+    }
+
+    const { hidden } = req.body;
+    await User.updateOne(
+      { _id: req.user._id },
+      hidden ? { $addToSet: { hiddenSymptoms: symptom._id } } : { $pull: { hiddenSymptoms: symptom._id } }
+    );
+
+    res.json({ message: hidden ? 'Symptom hidden' : 'Symptom shown' });
+  } catch (error) {
+    console.error('Update symptom visibility error:', error);
+    res.status(500).json({ message: 'Server error while updating symptom' });
+  }
+});
+
+// @route   DELETE /api/symptoms/:id
+// @desc    Delete a symptom the user added, and every report of it
+// @access  Private
+router.delete('/:id', scopedAuth('mood:write'), [
+  param('id').isMongoId().withMessage('Invalid symptom id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const symptom = await Symptom.findOne({ _id: req.params.id, ...catalogFilter(req.user) });
+    if (!symptom) {
+      return res.status(404).json({ message: 'Symptom not found' });
+    }
+    if (symptom.user === null) {
+      return res.status(400).json({ message: 'Built-in symptoms can be hidden but not deleted' });
+    }
+
+    await Symptom.deleteOne({ _id: symptom._id });
+    await Promise.all([
+      MoodEntry.updateMany(
+        { user: req.user._id, 'symptoms.symptom': symptom._id },
+        { $pull: { symptoms: { symptom: symptom._id } } }
+      ),
+      User.updateOne({ _id: req.user._id }, { $pull: { hiddenSymptoms: symptom._id } })
+    ]);
+
+    res.json({ message: 'Symptom deleted successfully' });
+  } catch (error) {
+    console.error('Delete symptom error:', error);
+    res.status(500).json({ message: 'Server error while deleting symptom' });
+  }
+});
+
+module.exports = router;
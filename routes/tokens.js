@@ -0,0 +1,131 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { auth } = require('../middleware/auth');
+const { generatePersonalAccessToken, hashToken } = require('../utils/tokens');
+const { SCOPES } = require('../utils/scopes');
+
+const router = express.Router();
+
+const MAX_TOKENS_PER_USER = 20;
+const EXPIRY_OPTIONS_DAYS = [7, 30, 90, 365];
+
+const tokenResponse = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  tokenPrefix: accessToken.tokenPrefix,
+  scopes: accessToken.scopes,
+  lastUsedAt: accessToken.lastUsedAt,
+  lastUsedIp: accessToken.lastUsedIp,
+  expiresAt: accessToken.expiresAt,
+  createdAt: accessToken.createdAt
+});
+
+const activeTokensQuery = (userId) => ({
+  user: userId,
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+// @route   GET /api/auth/tokens/scopes
+// @desc    List the scopes a personal access token can be granted
+// @access  Private
+router.get('/scopes', auth, (req, res) => {
+  res.json({
+    scopes: Object.entries(SCOPES).map(([name, description]) => ({ name, description })),
+    expiryOptionsDays: EXPIRY_OPTIONS_DAYS
+  });
+});
+
+// @route   GET /api/auth/tokens
+// @desc    List the user's personal access tokens
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find(activeTokensQuery(req.user._id))
+      .sort({ createdAt: -1 });
+
+    res.json({ tokens: tokens.map(tokenResponse) });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({ message: 'Server error while fetching access tokens' });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal access token. The token is only returned once.
+// @access  Private
+router.post('/', auth, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('Select at least one scope'),
+  body('scopes.*').isIn(Object.keys(SCOPES)).withMessage('Invalid scope'),
+  body('expiresInDays').optional({ nullable: true }).isIn(EXPIRY_OPTIONS_DAYS).withMessage('Invalid expiry')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tokenCount = await PersonalAccessToken.countDocuments(activeTokensQuery(req.user._id));
+    if (tokenCount >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        message: `You can have at most ${MAX_TOKENS_PER_USER} access tokens. Revoke one you no longer use first.`
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+    const token = generatePersonalAccessToken();
+
+    const accessToken = await PersonalAccessToken.create({
+      user: req.user._id,
+      name,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.substring(0, 12),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null
+    });
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now - it will not be shown again.',
+      token,
+      accessToken: tokenResponse(accessToken)
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({ message: 'Server error while creating access token' });
+  }
+});
+
+// @route   DELETE /api/auth/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Access token not found' });
+    }
+
+    const accessToken = await PersonalAccessToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!accessToken) {
+      return res.status(404).json({ message: 'Access token not found' });
+    }
+
+    res.json({ message: 'Access token revoked' });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({ message: 'Server error while revoking access token' });
+  }
+});
+
+module.exports = router;
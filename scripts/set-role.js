@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+// Grant or remove the admin role from the command line:
+//   npm run set-role -- user@example.com admin
+//   npm run set-role -- user@example.com user
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const ROLES = ['user', 'admin'];
+
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mental-health-tracker');
+
+  try {
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { role },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`❌ No user found with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ ${user.email} now has the "${user.role}" role`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to set role:', error.message);
+  process.exit(1);
+});
@@ -6,11 +6,26 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const exportRoutes = require('./routes/export');
+const tokenRoutes = require('./routes/tokens');
 const moodRoutes = require('./routes/mood');
+const metricRoutes = require('./routes/metrics');
+const symptomRoutes = require('./routes/symptoms');
 const activityRoutes = require('./routes/activities');
+const habitRoutes = require('./routes/habits');
+const goalRoutes = require('./routes/goals');
 const journalRoutes = require('./routes/journal');
+const assessmentRoutes = require('./routes/assessments');
+const medicationRoutes = require('./routes/medications');
 const analyticsRoutes = require('./routes/analytics');
 const chatbotRoutes = require('./routes/chatbot');
+const adminRoutes = require('./routes/admin');
+const sharingRoutes = require('./routes/sharing');
+const MoodEntry = require('./models/MoodEntry');
+const Symptom = require('./models/Symptom');
+const LibraryActivity = require('./models/LibraryActivity');
+const { startAccountDeletionJob } = require('./jobs/accountDeletion');
+const { startDataExportJob } = require('./jobs/dataExport');
 
 const app = express();
 
@@ -41,16 +56,45 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mental-he
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+
+  // Databases created before multiple check-ins per day still carry the old
+  // unique { user, date } index on mood entries; syncing drops it
+  MoodEntry.syncIndexes()
+    .catch(err => console.error('Mood entry index sync error:', err));
+
+  // Built-in symptom checklist
+  Symptom.seedDefaults()
+    .catch(err => console.error('Symptom seeding error:', err));
+
+  // Built-in activity library
+  LibraryActivity.seedDefaults()
+    .catch(err => console.error('Activity library seeding error:', err));
+
+  // Background jobs
+  startAccountDeletionJob();
+  startDataExportJob();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
+app.use('/api/auth/export', exportRoutes);
+app.use('/api/auth/tokens', tokenRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/mood', moodRoutes);
+app.use('/api/metrics', metricRoutes);
+app.use('/api/symptoms', symptomRoutes);
 app.use('/api/activities', activityRoutes);
+app.use('/api/habits', habitRoutes);
+app.use('/api/goals', goalRoutes);
 app.use('/api/journal', journalRoutes);
+app.use('/api/assessments', assessmentRoutes);
+app.use('/api/medications', medicationRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/chatbot', chatbotRoutes);
+app.use('/api/sharing', sharingRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -14,7 +14,8 @@ if (!fs.existsSync(envPath)) {
 PORT=5000
 MONGODB_URI=mongodb://localhost:27017/mental-health-tracker
 JWT_SECRET=your-super-secret-jwt-key-here-${Math.random().toString(36).substring(2, 15)}
-JWT_EXPIRE=7d`;
+JWT_EXPIRE=15m
+REFRESH_TOKEN_EXPIRE_DAYS=30`;
   
   fs.writeFileSync(envPath, envContent);
   console.log('✅ .env file created with random JWT secret');
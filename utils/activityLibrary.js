@@ -0,0 +1,207 @@
+// Built-in library of wellbeing activities users can copy into their own,
+// seeded into the catalog at startup. Impacts are suggested starting points
+// on the same -5 to 5 scale as an activity's expected impact.
+const DEFAULT_LIBRARY = [
+  {
+    name: 'Brisk walk',
+    category: 'exercise',
+    duration: 20,
+    icon: '🚶',
+    color: '#10B981',
+    moodImpact: 2,
+    energyImpact: 2,
+    description: 'Walk fast enough that talking takes a little effort. Regular moderate exercise is one of the best-supported ways to lift low mood.'
+  },
+  {
+    name: 'Stretching break',
+    category: 'exercise',
+    duration: 10,
+    icon: '🤸',
+    color: '#10B981',
+    moodImpact: 1,
+    energyImpact: 1,
+    description: 'Stand up and stretch your neck, shoulders, back and legs. Breaking up long sitting eases muscle tension.'
+  },
+  {
+    name: 'Box breathing',
+    category: 'meditation',
+    duration: 5,
+    icon: '🌬️',
+    color: '#8B5CF6',
+    moodImpact: 1,
+    energyImpact: 0,
+    description: 'Breathe in for 4 counts, hold for 4, out for 4 and hold for 4. Slow, paced breathing calms the body\'s stress response.'
+  },
+  {
+    name: 'Mindfulness meditation',
+    category: 'meditation',
+    duration: 10,
+    icon: '🧘',
+    color: '#8B5CF6',
+    moodImpact: 2,
+    energyImpact: 0,
+    description: 'Sit comfortably and rest your attention on your breath. When your mind wanders, notice it and gently come back.'
+  },
+  {
+    name: 'Body scan',
+    category: 'relaxation',
+    duration: 15,
+    icon: '😌',
+    color: '#6366F1',
+    moodImpact: 1,
+    energyImpact: -1,
+    description: 'Lie down and move your attention slowly from your toes to your head, noticing each area without trying to change it. Helpful before sleep.'
+  },
+  {
+    name: 'Progressive muscle relaxation',
+    category: 'relaxation',
+    duration: 15,
+    icon: '💆',
+    color: '#6366F1',
+    moodImpact: 1,
+    energyImpact: -1,
+    description: 'Tense each muscle group for a few seconds, then let it go, working from your feet up. Reduces physical tension and anxiety.'
+  },
+  {
+    name: 'Call or message a friend',
+    category: 'social',
+    duration: 15,
+    icon: '📞',
+    color: '#F59E0B',
+    moodImpact: 2,
+    energyImpact: 1,
+    description: 'Reach out to someone you haven\'t spoken to in a while. Social contact protects against low mood, even in small doses.'
+  },
+  {
+    name: 'Share a meal',
+    category: 'social',
+    duration: 60,
+    icon: '🍽️',
+    color: '#F59E0B',
+    moodImpact: 2,
+    energyImpact: 1,
+    description: 'Eat with family, friends or colleagues instead of alone.'
+  },
+  {
+    name: 'Time in nature',
+    category: 'nature',
+    duration: 30,
+    icon: '🌳',
+    color: '#22C55E',
+    moodImpact: 2,
+    energyImpact: 1,
+    description: 'Spend time in a park, garden or by water. Green and blue spaces are linked to lower stress and better mood.'
+  },
+  {
+    name: 'Morning daylight',
+    category: 'nature',
+    duration: 15,
+    icon: '🌅',
+    color: '#22C55E',
+    moodImpact: 1,
+    energyImpact: 2,
+    description: 'Get outside within an hour of waking. Morning light helps set your body clock, which supports sleep and energy.'
+  },
+  {
+    name: 'Read for pleasure',
+    category: 'reading',
+    duration: 20,
+    icon: '📚',
+    color: '#3B82F6',
+    moodImpact: 1,
+    energyImpact: 0,
+    description: 'Read something you enjoy, not for work or study.'
+  },
+  {
+    name: 'Listen to uplifting music',
+    category: 'music',
+    duration: 15,
+    icon: '🎵',
+    color: '#EC4899',
+    moodImpact: 2,
+    energyImpact: 1,
+    description: 'Put on music you love and give it your full attention, or move along to it.'
+  },
+  {
+    name: 'Draw or doodle',
+    category: 'art',
+    duration: 20,
+    icon: '🎨',
+    color: '#EC4899',
+    moodImpact: 1,
+    energyImpact: 0,
+    description: 'Sketch, colour or doodle without aiming for a good result. Creative absorption gives a break from worry.'
+  },
+  {
+    name: 'Cook a simple meal',
+    category: 'cooking',
+    duration: 30,
+    icon: '🍳',
+    color: '#EF4444',
+    moodImpact: 1,
+    energyImpact: 1,
+    description: 'Make something nourishing from scratch. A small, achievable task with a concrete result.'
+  },
+  {
+    name: 'Do one postponed task',
+    category: 'work',
+    duration: 15,
+    icon: '✅',
+    color: '#64748B',
+    moodImpact: 1,
+    energyImpact: 0,
+    description: 'Pick one small task you\'ve been putting off and finish it. Behavioral activation builds momentum through small accomplishments.'
+  },
+  {
+    name: 'Plan a pleasant activity',
+    category: 'hobby',
+    duration: 10,
+    icon: '🗓️',
+    color: '#0EA5E9',
+    moodImpact: 1,
+    energyImpact: 0,
+    description: 'Schedule something you enjoy for later this week. Planning rewarding activities in advance is a core step of behavioral activation.'
+  },
+  {
+    name: 'Gratitude list',
+    category: 'other',
+    duration: 5,
+    icon: '🙏',
+    color: '#14B8A6',
+    moodImpact: 1,
+    energyImpact: 0,
+    description: 'Write down three things that went well today and why.'
+  },
+  {
+    name: 'Help someone out',
+    category: 'volunteer',
+    duration: 30,
+    icon: '🤝',
+    color: '#F97316',
+    moodImpact: 2,
+    energyImpact: 1,
+    description: 'Do something kind for someone, or volunteer your time. Helping others is reliably linked to better wellbeing.'
+  },
+  {
+    name: 'Learn something new',
+    category: 'study',
+    duration: 20,
+    icon: '🧠',
+    color: '#3B82F6',
+    moodImpact: 1,
+    energyImpact: 0,
+    description: 'Spend a little time on a new skill, language or topic that interests you.'
+  },
+  {
+    name: 'Play a sport',
+    category: 'sports',
+    duration: 45,
+    icon: '⚽',
+    color: '#10B981',
+    moodImpact: 2,
+    energyImpact: 2,
+    description: 'Join a game or class. Combines exercise with social contact.'
+  }
+];
+
+module.exports = { DEFAULT_LIBRARY };
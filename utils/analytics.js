@@ -0,0 +1,526 @@
+const MoodEntry = require('../models/MoodEntry');
+const Activity = require('../models/Activity');
+const ActivityLog = require('../models/ActivityLog');
+const JournalEntry = require('../models/JournalEntry');
+const { DEFAULT_TIMEZONE, toDateKey, calculateStreak } = require('./timezone');
+const { EMOTION_FAMILIES } = require('./emotions');
+
+const DATASETS = ['mood', 'activities', 'journal'];
+
+const MOOD_METRICS = ['mood', 'energy', 'stress', 'anxiety', 'sleep'];
+
+// Days whose mean mood score is below this count as low-mood days (sad or worse)
+const LOW_MOOD_SCORE = 2.5;
+
+// Metrics an activity's observed impact is measured on
+const IMPACT_METRICS = ['mood', 'energy', 'stress'];
+
+// Days needed both with and without an activity before its impact is
+// reported, and before the estimate counts as medium or high confidence
+const MIN_IMPACT_DAYS = 3;
+const MEDIUM_CONFIDENCE_DAYS = 7;
+const HIGH_CONFIDENCE_DAYS = 20;
+
+const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const metricValue = (entry, metric) => {
+  if (metric === 'mood') return entry.moodScore;
+  if (metric === 'sleep') return entry.sleep?.hours ?? null;
+  return entry[metric];
+};
+
+// Roll check-ins up into one summary per day in the user's timezone, with the
+// min, max and mean of each metric. A metric none of the day's check-ins
+// recorded (sleep is optional) is null. Entries must be sorted by date.
+const rollUpMoodByDay = (moodEntries, timeZone = DEFAULT_TIMEZONE) => {
+  const days = new Map();
+  moodEntries.forEach(entry => {
+    const dateKey = toDateKey(entry.date, timeZone);
+    if (!days.has(dateKey)) days.set(dateKey, []);
+    days.get(dateKey).push(entry);
+  });
+
+  return [...days.entries()].map(([date, entries]) => {
+    const day = { date, checkIns: entries.length };
+    MOOD_METRICS.forEach(metric => {
+      const values = entries.map(entry => metricValue(entry, metric)).filter(value => value !== null);
+      day[metric] = values.length === 0 ? null : {
+        min: Math.min(...values),
+        max: Math.max(...values),
+        mean: average(values)
+      };
+    });
+    return day;
+  });
+};
+
+// Roll one custom metric up into a value per day, in the same shape as
+// rollUpMoodByDay's metrics. Counts are added up over the day, booleans give
+// the share of check-ins answered yes and scales are averaged. Only
+// check-ins that recorded the metric are counted.
+const rollUpCustomMetricByDay = (moodEntries, metric, timeZone = DEFAULT_TIMEZONE) => {
+  const days = new Map();
+  moodEntries.forEach(entry => {
+    const recorded = (entry.customMetrics || []).find(item => item.metric.toString() === metric._id.toString());
+    if (!recorded) return;
+
+    const dateKey = toDateKey(entry.date, timeZone);
+    if (!days.has(dateKey)) days.set(dateKey, []);
+    days.get(dateKey).push(recorded.value);
+  });
+
+  return [...days.entries()].map(([date, values]) => ({
+    date,
+    checkIns: values.length,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: metric.type === 'count' ? values.reduce((a, b) => a + b, 0) : average(values)
+  }));
+};
+
+// Totals for a set of logged activity occurrences. The mood change is the
+// average of moodAfter - moodBefore over logs that rated both.
+const summarizeActivityLogs = (logs) => {
+  const rated = logs.filter(log => log.moodBefore !== null && log.moodAfter !== null);
+  return {
+    count: logs.length,
+    totalMinutes: logs.reduce((sum, log) => sum + (log.duration || 0), 0),
+    ratedCount: rated.length,
+    averageMoodChange: rated.length > 0 ? average(rated.map(log => log.moodAfter - log.moodBefore)) : null
+  };
+};
+
+// Mood statistics for a set of check-ins. Averages and trends are taken over
+// daily means so a day with many check-ins counts the same as a day with one.
+const buildMoodStats = (moodEntries, timeZone = DEFAULT_TIMEZONE) => {
+  const daily = rollUpMoodByDay(moodEntries, timeZone);
+
+  const stats = {
+    totalEntries: moodEntries.length,
+    daysTracked: daily.length,
+    averageMood: 0,
+    averageEnergy: 0,
+    averageStress: 0,
+    averageAnxiety: 0,
+    // Null when no sleep was logged
+    averageSleep: null,
+    moodDistribution: {
+      'very-sad': 0,
+      'sad': 0,
+      'neutral': 0,
+      'happy': 0,
+      'very-happy': 0
+    },
+    trends: {
+      mood: [],
+      energy: [],
+      stress: [],
+      anxiety: [],
+      sleep: []
+    },
+    daily
+  };
+
+  if (daily.length > 0) {
+    stats.averageMood = average(daily.map(day => day.mood.mean));
+    stats.averageEnergy = average(daily.map(day => day.energy.mean));
+    stats.averageStress = average(daily.map(day => day.stress.mean));
+    stats.averageAnxiety = average(daily.map(day => day.anxiety.mean));
+    const sleepDays = daily.filter(day => day.sleep !== null);
+    stats.averageSleep = sleepDays.length > 0 ? average(sleepDays.map(day => day.sleep.mean)) : null;
+
+    // Calculate mood distribution
+    moodEntries.forEach(entry => {
+      stats.moodDistribution[entry.mood]++;
+    });
+
+    // Daily trends, with the day's range alongside its mean
+    MOOD_METRICS.forEach(metric => {
+      stats.trends[metric] = daily.filter(day => day[metric] !== null).map(day => ({
+        date: day.date,
+        value: day[metric].mean,
+        min: day[metric].min,
+        max: day[metric].max
+      }));
+    });
+  }
+
+  return stats;
+};
+
+// Most frequent emotion tags across mood and journal entries, and how often
+// each one falls on a low-mood day. Only days with a mood check-in can be
+// judged low or not, so `lowMoodRate` is taken over those days.
+const buildEmotionStats = (moodEntries, journalEntries, timeZone = DEFAULT_TIMEZONE) => {
+  const lowMoodDays = new Set();
+  const checkedInDays = new Set();
+  rollUpMoodByDay(moodEntries, timeZone).forEach(day => {
+    checkedInDays.add(day.date);
+    if (day.mood.mean < LOW_MOOD_SCORE) lowMoodDays.add(day.date);
+  });
+
+  const emotions = new Map();
+  [...moodEntries, ...journalEntries].forEach(entry => {
+    const dateKey = toDateKey(entry.date, timeZone);
+    (entry.emotions || []).forEach(({ name, intensity }) => {
+      if (!emotions.has(name)) emotions.set(name, { count: 0, intensities: [], days: new Set() });
+      const stats = emotions.get(name);
+      stats.count++;
+      stats.intensities.push(intensity);
+      stats.days.add(dateKey);
+    });
+  });
+
+  const summaries = [...emotions.entries()].map(([name, { count, intensities, days }]) => {
+    const checkedIn = [...days].filter(day => checkedInDays.has(day));
+    const low = checkedIn.filter(day => lowMoodDays.has(day));
+    return {
+      name,
+      family: EMOTION_FAMILIES[name],
+      count,
+      averageIntensity: average(intensities),
+      days: days.size,
+      checkedInDays: checkedIn.length,
+      lowMoodDays: low.length,
+      lowMoodRate: checkedIn.length > 0 ? low.length / checkedIn.length : null
+    };
+  });
+
+  return {
+    taggedEntries: [...moodEntries, ...journalEntries].filter(entry => entry.emotions?.length > 0).length,
+    lowMoodDays: lowMoodDays.size,
+    topEmotions: [...summaries]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10),
+    // Emotions that show up on low-mood days, most strongly associated first
+    lowMoodEmotions: summaries
+      .filter(summary => summary.lowMoodDays > 0)
+      .sort((a, b) => b.lowMoodRate - a.lowMoodRate || b.lowMoodDays - a.lowMoodDays)
+      .slice(0, 10)
+  };
+};
+
+// How often each symptom was reported and how often it falls on a low-mood
+// day. `frequency` is the share of checked-in days the symptom was reported
+// on; `baselineLowMoodRate` is the share of all checked-in days that were low,
+// to compare each symptom's `lowMoodRate` against. `symptoms` is the catalog
+// used to name each one.
+const buildSymptomStats = (moodEntries, symptoms, timeZone = DEFAULT_TIMEZONE) => {
+  const lowMoodDays = new Set();
+  const daily = rollUpMoodByDay(moodEntries, timeZone);
+  daily.forEach(day => {
+    if (day.mood.mean < LOW_MOOD_SCORE) lowMoodDays.add(day.date);
+  });
+
+  const reported = new Map();
+  moodEntries.forEach(entry => {
+    const dateKey = toDateKey(entry.date, timeZone);
+    (entry.symptoms || []).forEach(({ symptom, severity }) => {
+      const id = symptom.toString();
+      if (!reported.has(id)) reported.set(id, { count: 0, severities: [], days: new Set() });
+      const stats = reported.get(id);
+      stats.count++;
+      stats.severities.push(severity);
+      stats.days.add(dateKey);
+    });
+  });
+
+  const names = new Map(symptoms.map(symptom => [symptom._id.toString(), symptom]));
+  const summaries = [...reported.entries()]
+    .filter(([id]) => names.has(id))
+    .map(([id, { count, severities, days }]) => {
+      const low = [...days].filter(day => lowMoodDays.has(day));
+      return {
+        symptom: id,
+        name: names.get(id).name,
+        category: names.get(id).category,
+        count,
+        days: days.size,
+        frequency: days.size / daily.length,
+        averageSeverity: average(severities),
+        severeCount: severities.filter(severity => severity === 3).length,
+        lowMoodDays: low.length,
+        lowMoodRate: low.length / days.size
+      };
+    });
+
+  return {
+    checkedInDays: daily.length,
+    daysWithSymptoms: new Set([...reported.values()].flatMap(stats => [...stats.days])).size,
+    lowMoodDays: lowMoodDays.size,
+    baselineLowMoodRate: daily.length > 0 ? lowMoodDays.size / daily.length : null,
+    symptoms: [...summaries].sort((a, b) => b.days - a.days || b.count - a.count),
+    // Symptoms that show up on low-mood days, most strongly associated first
+    lowMoodSymptoms: summaries
+      .filter(summary => summary.lowMoodDays > 0)
+      .sort((a, b) => b.lowMoodRate - a.lowMoodRate || b.lowMoodDays - a.lowMoodDays)
+      .slice(0, 10)
+  };
+};
+
+const variance = (values) => {
+  const mean = average(values);
+  return values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+};
+
+// Difference in a metric's daily mean between days with and without an
+// activity, and the effect size (Cohen's d, the difference over the pooled
+// standard deviation). d is null when neither group varies.
+const compareDays = (withValues, withoutValues) => {
+  const difference = average(withValues) - average(withoutValues);
+  const pooledVariance = ((withValues.length - 1) * variance(withValues) + (withoutValues.length - 1) * variance(withoutValues)) /
+    (withValues.length + withoutValues.length - 2);
+  return {
+    withMean: Math.round(average(withValues) * 100) / 100,
+    withoutMean: Math.round(average(withoutValues) * 100) / 100,
+    difference: Math.round(difference * 100) / 100,
+    effectSize: pooledVariance > 0 ? Math.round((difference / Math.sqrt(pooledVariance)) * 100) / 100 : null
+  };
+};
+
+// Observed impact of each activity: mood, energy and stress on days it was
+// linked to a check-in or logged (`activityLogs`) compared with checked-in
+// days it wasn't. Only days with a check-in are compared. Each has
+// `daysWith` and `daysWithout` sample counts and a `confidence` of 'low',
+// 'medium' or 'high' from the smaller of the two. With fewer than
+// MIN_IMPACT_DAYS of either, the metrics are null. `expected` holds the
+// user's own moodImpact and energyImpact guesses for comparison.
+const buildActivityImpacts = (moodEntries, activities, timeZone = DEFAULT_TIMEZONE, activityLogs = []) => {
+  const linked = new Map();
+  const link = (date, activity) => {
+    const dateKey = toDateKey(date, timeZone);
+    if (!linked.has(dateKey)) linked.set(dateKey, new Set());
+    if (activity) linked.get(dateKey).add((activity._id || activity).toString());
+  };
+  moodEntries.forEach(entry => {
+    link(entry.date, null);
+    (entry.activities || []).forEach(activity => link(entry.date, activity));
+  });
+  activityLogs.forEach(log => link(log.date, log.activity));
+  const daily = rollUpMoodByDay(moodEntries, timeZone);
+
+  return activities.map(activity => {
+    const id = activity._id.toString();
+    const withDays = daily.filter(day => linked.get(day.date).has(id));
+    const withoutDays = daily.filter(day => !linked.get(day.date).has(id));
+    const samples = Math.min(withDays.length, withoutDays.length);
+    const enough = samples >= MIN_IMPACT_DAYS;
+
+    const impact = {
+      activity: id,
+      name: activity.name,
+      category: activity.category,
+      daysWith: withDays.length,
+      daysWithout: withoutDays.length,
+      confidence: samples >= HIGH_CONFIDENCE_DAYS ? 'high' : samples >= MEDIUM_CONFIDENCE_DAYS ? 'medium' : 'low',
+      expected: { moodImpact: activity.moodImpact, energyImpact: activity.energyImpact }
+    };
+    IMPACT_METRICS.forEach(metric => {
+      impact[metric] = enough
+        ? compareDays(withDays.map(day => day[metric].mean), withoutDays.map(day => day[metric].mean))
+        : null;
+    });
+    return impact;
+  });
+};
+
+// Build the analytics overview for a user over the given period. `include`
+// limits which datasets are read (the others are returned as null),
+// `journalFilter` narrows the journal entries, e.g. to shareable ones, and
+// `timeZone` is the user's zone for daily buckets and streaks.
+const buildAnalyticsOverview = async (userId, period = 'month', {
+  include = DATASETS,
+  journalFilter = {},
+  timeZone = DEFAULT_TIMEZONE
+} = {}) => {
+  // Calculate date range based on period
+  const endDate = new Date();
+  const startDate = new Date();
+  
+  switch (period) {
+    case 'week':
+      startDate.setDate(endDate.getDate() - 7);
+      break;
+    case 'month':
+      startDate.setMonth(endDate.getMonth() - 1);
+      break;
+    case 'quarter':
+      startDate.setMonth(endDate.getMonth() - 3);
+      break;
+    case 'year':
+      startDate.setFullYear(endDate.getFullYear() - 1);
+      break;
+  }
+
+  // Get data for the period
+  const [moodEntries, activities, activityLogs, journalEntries] = await Promise.all([
+    include.includes('mood') ? MoodEntry.find({
+      user: userId,
+      date: { $gte: startDate, $lte: endDate }
+    }).sort({ date: 1 }) : [],
+    include.includes('activities') ? Activity.find({
+      user: userId,
+      isActive: true
+    }) : [],
+    include.includes('activities') ? ActivityLog.find({
+      user: userId,
+      date: { $gte: startDate, $lte: endDate }
+    }).populate('activity', 'name category') : [],
+    include.includes('journal') ? JournalEntry.find({
+      ...journalFilter,
+      user: userId,
+      date: { $gte: startDate, $lte: endDate }
+    }).sort({ date: 1 }) : []
+  ]);
+
+  // Calculate mood analytics
+  const moodAnalytics = buildMoodStats(moodEntries, timeZone);
+
+  // Calculate activity analytics. Counts and categories come from the times
+  // activities were actually logged in the period.
+  const logSummary = summarizeActivityLogs(activityLogs);
+  const activityAnalytics = {
+    totalActivities: activities.length,
+    totalLogs: logSummary.count,
+    totalMinutes: logSummary.totalMinutes,
+    averageMoodChange: logSummary.averageMoodChange,
+    categoryDistribution: {},
+    averageMoodImpact: 0,
+    averageEnergyImpact: 0,
+    recurringActivities: activities.filter(a => a.isRecurring).length,
+    topActivities: []
+  };
+
+  // Category distribution
+  activityLogs.filter(log => log.activity).forEach(log => {
+    activityAnalytics.categoryDistribution[log.activity.category] =
+      (activityAnalytics.categoryDistribution[log.activity.category] || 0) + 1;
+  });
+
+  if (activities.length > 0) {
+    // Average impacts
+    const moodImpacts = activities.map(a => a.moodImpact);
+    const energyImpacts = activities.map(a => a.energyImpact);
+    
+    activityAnalytics.averageMoodImpact = moodImpacts.reduce((a, b) => a + b, 0) / moodImpacts.length;
+    activityAnalytics.averageEnergyImpact = energyImpacts.reduce((a, b) => a + b, 0) / energyImpacts.length;
+
+    // Activities whose days had the clearest lift in mood, by observed
+    // effect size rather than the user's own guesses
+    activityAnalytics.topActivities = buildActivityImpacts(moodEntries, activities, timeZone, activityLogs)
+      .filter(impact => impact.mood && impact.mood.difference > 0)
+      .sort((a, b) => (b.mood.effectSize ?? 0) - (a.mood.effectSize ?? 0) || b.mood.difference - a.mood.difference)
+      .slice(0, 10);
+  }
+
+  // Calculate journal analytics
+  const journalAnalytics = {
+    totalEntries: journalEntries.length,
+    totalWords: journalEntries.reduce((sum, entry) => sum + entry.wordCount, 0),
+    averageWordsPerEntry: 0,
+    averageReadingTime: 0,
+    moodDistribution: {
+      'very-sad': 0,
+      'sad': 0,
+      'neutral': 0,
+      'happy': 0,
+      'very-happy': 0
+    },
+    mostUsedTags: [],
+    writingStreak: 0
+  };
+
+  if (journalEntries.length > 0) {
+    journalAnalytics.averageWordsPerEntry = journalAnalytics.totalWords / journalEntries.length;
+    journalAnalytics.averageReadingTime = journalEntries.reduce((sum, entry) => sum + entry.readingTime, 0) / journalEntries.length;
+
+    // Mood distribution
+    journalEntries.forEach(entry => {
+      journalAnalytics.moodDistribution[entry.mood]++;
+    });
+
+    // Most used tags
+    const tagCounts = {};
+    journalEntries.forEach(entry => {
+      entry.tags.forEach(tag => {
+        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+      });
+    });
+    journalAnalytics.mostUsedTags = Object.entries(tagCounts)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, 10)
+      .map(([tag, count]) => ({ tag, count }));
+
+    // Writing streak
+    journalAnalytics.writingStreak = calculateStreak(journalEntries.map(entry => entry.date), timeZone);
+  }
+
+  // Calculate emotion analytics
+  const emotionAnalytics = buildEmotionStats(moodEntries, journalEntries, timeZone);
+
+  // Calculate insights and recommendations
+  const insights = [];
+  const recommendations = [];
+
+  // Mood insights
+  if (include.includes('mood') && moodAnalytics.averageMood < 3) {
+    insights.push("Your mood has been lower than average recently.");
+    recommendations.push("Consider engaging in activities that typically boost your mood, or reach out to a mental health professional.");
+  } else if (moodAnalytics.averageMood > 4) {
+    insights.push("You've been in a great mood lately! Keep up the positive energy.");
+  }
+
+  // Sleep insights
+  if (include.includes('mood') && moodAnalytics.averageSleep !== null && moodAnalytics.averageSleep < 7) {
+    insights.push("Your sleep duration is below the recommended 7-9 hours.");
+    recommendations.push("Try to establish a consistent sleep schedule and create a relaxing bedtime routine.");
+  }
+
+  // Stress insights
+  if (moodAnalytics.averageStress > 7) {
+    insights.push("Your stress levels have been high recently.");
+    recommendations.push("Consider stress-reduction techniques like meditation, deep breathing, or physical exercise.");
+  }
+
+  // Activity insights
+  const topActivity = activityAnalytics.topActivities.find(impact => impact.confidence !== 'low');
+  if (topActivity) {
+    insights.push(`Your mood is usually higher on days you do ${topActivity.name} (+${topActivity.mood.difference.toFixed(1)} on average).`);
+    recommendations.push(`Try to incorporate more ${topActivity.name} into your daily routine.`);
+  }
+
+  // Emotion insights
+  const lowMoodEmotion = emotionAnalytics.lowMoodEmotions[0];
+  if (include.includes('mood') && lowMoodEmotion && lowMoodEmotion.lowMoodDays >= 3) {
+    insights.push(`Feeling ${lowMoodEmotion.name.replace('-', ' ')} often comes with your low-mood days.`);
+  }
+
+  // Journal insights
+  if (journalAnalytics.writingStreak > 7) {
+    insights.push(`Amazing! You have a ${journalAnalytics.writingStreak}-day writing streak.`);
+  } else if (journalAnalytics.writingStreak === 0 && journalAnalytics.totalEntries > 0) {
+    recommendations.push("Try to write in your journal daily to build a consistent habit.");
+  }
+
+  return {
+    period,
+    moodAnalytics: include.includes('mood') ? moodAnalytics : null,
+    activityAnalytics: include.includes('activities') ? activityAnalytics : null,
+    journalAnalytics: include.includes('journal') ? journalAnalytics : null,
+    emotionAnalytics: include.includes('mood') || include.includes('journal') ? emotionAnalytics : null,
+    insights,
+    recommendations
+  };
+};
+
+module.exports = {
+  MOOD_METRICS,
+  rollUpMoodByDay,
+  summarizeActivityLogs,
+  buildActivityImpacts,
+  rollUpCustomMetricByDay,
+  buildMoodStats,
+  buildEmotionStats,
+  buildSymptomStats,
+  buildAnalyticsOverview
+};
@@ -0,0 +1,164 @@
+// Validated self-report questionnaires. Definitions are versioned so stored
+// results keep the items and bands they were scored against; new versions and
+// instruments (e.g. WHO-5, PSS-10) are added here without touching the routes.
+
+const FREQUENCY_OPTIONS = [
+  { value: 0, label: 'Not at all' },
+  { value: 1, label: 'Several days' },
+  { value: 2, label: 'More than half the days' },
+  { value: 3, label: 'Nearly every day' }
+];
+
+const TWO_WEEK_PROMPT = 'Over the last 2 weeks, how often have you been bothered by any of the following problems?';
+
+// Every version ever published, oldest first. Items marked `crisis` start the
+// crisis-support flow when answered with anything above 0.
+const DEFINITIONS = {
+  'phq-9': [
+    {
+      version: 1,
+      name: 'PHQ-9',
+      title: 'Patient Health Questionnaire (depression)',
+      prompt: TWO_WEEK_PROMPT,
+      options: FREQUENCY_OPTIONS,
+      items: [
+        { text: 'Little interest or pleasure in doing things' },
+        { text: 'Feeling down, depressed, or hopeless' },
+        { text: 'Trouble falling or staying asleep, or sleeping too much' },
+        { text: 'Feeling tired or having little energy' },
+        { text: 'Poor appetite or overeating' },
+        { text: 'Feeling bad about yourself - or that you are a failure or have let yourself or your family down' },
+        { text: 'Trouble concentrating on things, such as reading the newspaper or watching television' },
+        { text: 'Moving or speaking so slowly that other people could have noticed? Or the opposite - being so fidgety or restless that you have been moving around a lot more than usual' },
+        { text: 'Thoughts that you would be better off dead or of hurting yourself in some way', crisis: true }
+      ],
+      bands: [
+        { min: 0, max: 4, severity: 'minimal', label: 'Minimal' },
+        { min: 5, max: 9, severity: 'mild', label: 'Mild' },
+        { min: 10, max: 14, severity: 'moderate', label: 'Moderate' },
+        { min: 15, max: 19, severity: 'moderately-severe', label: 'Moderately severe' },
+        { min: 20, max: 27, severity: 'severe', label: 'Severe' }
+      ]
+    }
+  ],
+  'gad-7': [
+    {
+      version: 1,
+      name: 'GAD-7',
+      title: 'Generalized Anxiety Disorder scale',
+      prompt: TWO_WEEK_PROMPT,
+      options: FREQUENCY_OPTIONS,
+      items: [
+        { text: 'Feeling nervous, anxious, or on edge' },
+        { text: 'Not being able to stop or control worrying' },
+        { text: 'Worrying too much about different things' },
+        { text: 'Trouble relaxing' },
+        { text: 'Being so restless that it is hard to sit still' },
+        { text: 'Becoming easily annoyed or irritable' },
+        { text: 'Feeling afraid, as if something awful might happen' }
+      ],
+      bands: [
+        { min: 0, max: 4, severity: 'minimal', label: 'Minimal' },
+        { min: 5, max: 9, severity: 'mild', label: 'Mild' },
+        { min: 10, max: 14, severity: 'moderate', label: 'Moderate' },
+        { min: 15, max: 21, severity: 'severe', label: 'Severe' }
+      ]
+    }
+  ]
+};
+
+const ASSESSMENT_TYPES = Object.keys(DEFINITIONS);
+
+const SEVERITIES = [...new Set(
+  Object.values(DEFINITIONS).flat().flatMap(definition => definition.bands.map(band => band.severity))
+)];
+
+// Default and allowed spacing between scheduled questionnaires, in days
+const DEFAULT_INTERVAL_DAYS = 14;
+const MIN_INTERVAL_DAYS = 7;
+const MAX_INTERVAL_DAYS = 90;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Shown whenever a crisis item is endorsed; matches the chatbot's emergency reply
+const CRISIS_SUPPORT = {
+  message: "It sounds like you're going through a lot. Please reach out to a professional immediately. You can contact a crisis hotline for free, confidential support: 1-800-273-8255.",
+  hotline: '1-800-273-8255'
+};
+
+// A specific version of a questionnaire, or the latest when none is given
+const getDefinition = (type, version) => {
+  const versions = DEFINITIONS[type];
+  if (!versions) return null;
+  if (version === undefined) return versions[versions.length - 1];
+  return versions.find(definition => definition.version === version) || null;
+};
+
+const getMaxScore = (definition) => {
+  const maxOption = Math.max(...definition.options.map(option => option.value));
+  return definition.items.length * maxOption;
+};
+
+// Public shape of a definition, as sent to clients
+const describeDefinition = (type, definition) => ({
+  type,
+  version: definition.version,
+  name: definition.name,
+  title: definition.title,
+  prompt: definition.prompt,
+  options: definition.options,
+  items: definition.items.map(item => item.text),
+  maxScore: getMaxScore(definition),
+  bands: definition.bands
+});
+
+// Total score, severity band and crisis flag for a set of answers. Returns
+// an `error` message instead when the answers don't fit the definition.
+const scoreAssessment = (definition, responses) => {
+  if (!Array.isArray(responses) || responses.length !== definition.items.length) {
+    return { error: `Answer all ${definition.items.length} questions` };
+  }
+
+  const allowed = new Set(definition.options.map(option => option.value));
+  if (!responses.every(value => allowed.has(value))) {
+    return { error: 'Every answer must be one of the listed options' };
+  }
+
+  const totalScore = responses.reduce((sum, value) => sum + value, 0);
+  const band = definition.bands.find(({ min, max }) => totalScore >= min && totalScore <= max);
+
+  return {
+    totalScore,
+    severity: band.severity,
+    crisisFlag: definition.items.some((item, index) => item.crisis && responses[index] > 0)
+  };
+};
+
+// When a scheduled questionnaire is next due. Never-completed ones are due now.
+const getScheduleStatus = (schedule, lastCompletedAt) => {
+  const nextDueAt = lastCompletedAt
+    ? new Date(new Date(lastCompletedAt).getTime() + schedule.intervalDays * DAY)
+    : new Date(schedule.startedAt || Date.now());
+
+  return {
+    type: schedule.type,
+    intervalDays: schedule.intervalDays,
+    lastCompletedAt: lastCompletedAt || null,
+    nextDueAt,
+    isDue: nextDueAt <= new Date()
+  };
+};
+
+module.exports = {
+  ASSESSMENT_TYPES,
+  SEVERITIES,
+  DEFAULT_INTERVAL_DAYS,
+  MIN_INTERVAL_DAYS,
+  MAX_INTERVAL_DAYS,
+  CRISIS_SUPPORT,
+  getDefinition,
+  getMaxScore,
+  describeDefinition,
+  scoreAssessment,
+  getScheduleStatus
+};
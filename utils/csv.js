@@ -0,0 +1,32 @@
+// Minimal CSV writer (RFC 4180 quoting)
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(formatValue).join('; ');
+  // ObjectIds are written as their bare hex string
+  if (typeof value.toHexString === 'function' || value._bsontype) return String(value);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const escapeCell = (value) => {
+  const text = formatValue(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Read a dotted path such as 'sleep.hours' from an object
+const getPath = (object, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), object);
+};
+
+// Convert rows to CSV using the given column paths as the header
+const toCsv = (rows, columns) => {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(getPath(row, column))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = { toCsv };
@@ -0,0 +1,99 @@
+const { body } = require('express-validator');
+
+// Scale: a rating between min and max, averaged per day.
+// Boolean: yes or no, stored as 1 or 0; a day's value is the share of yes answers.
+// Count: a whole number from 0 up, added up per day.
+const METRIC_TYPES = ['scale', 'boolean', 'count'];
+
+const MAX_CUSTOM_METRICS = 20;
+
+// Limits for the range of a scale or the upper bound of a count
+const MIN_BOUND = 0;
+const MAX_BOUND = 1000;
+
+const DEFAULT_SCALE = { min: 1, max: 10 };
+
+// Validation for a metric definition. The type can only be set on creation.
+const customMetricRules = (isUpdate = false) => {
+  const field = (path) => (isUpdate ? body(path).optional() : body(path));
+
+  return [
+    field('name').trim().isLength({ min: 1, max: 40 }).withMessage('Metric name must be between 1 and 40 characters'),
+    ...(isUpdate ? [] : [body('type').isIn(METRIC_TYPES).withMessage('Invalid metric type')]),
+    body('min').optional({ nullable: true }).isInt({ min: MIN_BOUND, max: MAX_BOUND })
+      .withMessage(`Minimum must be between ${MIN_BOUND} and ${MAX_BOUND}`)
+      .toInt(),
+    body('max').optional({ nullable: true }).isInt({ min: MIN_BOUND, max: MAX_BOUND })
+      .withMessage(`Maximum must be between ${MIN_BOUND} and ${MAX_BOUND}`)
+      .toInt(),
+    body('unit').optional().trim().isLength({ max: 20 }).withMessage('Unit cannot exceed 20 characters')
+  ];
+};
+
+// Range a metric of the given type ends up with, or an error message. Scales
+// need both ends; counts always start at 0 and may have an upper limit;
+// booleans have no range.
+const resolveRange = (type, { min, max }) => {
+  if (type === 'boolean') return { min: null, max: null };
+
+  if (type === 'count') {
+    if (max !== null && max !== undefined && max < 1) return { error: 'A count\'s maximum must be at least 1' };
+    return { min: 0, max: max ?? null };
+  }
+
+  const range = { min: min ?? DEFAULT_SCALE.min, max: max ?? DEFAULT_SCALE.max };
+  if (range.min >= range.max) return { error: 'A scale\'s minimum must be below its maximum' };
+  return range;
+};
+
+// Validation for the shape of an optional `customMetrics: [{ metric, value }]`
+// request field. Values are checked against each metric's definition by
+// resolveCustomMetricValues.
+const customMetricValueRules = () => [
+  body('customMetrics').optional().isArray({ max: MAX_CUSTOM_METRICS })
+    .withMessage(`Custom metrics must be an array of at most ${MAX_CUSTOM_METRICS}`)
+    .custom(values => new Set(values.map(value => String(value?.metric))).size === values.length)
+    .withMessage('Each custom metric can only be recorded once per check-in'),
+  body('customMetrics.*.metric').isMongoId().withMessage('Invalid custom metric id')
+];
+
+// Check each submitted value against the user's metric definitions. Returns
+// { values } ready to store, or { error } naming the first bad value.
+const resolveCustomMetricValues = (metrics, submitted) => {
+  const byId = new Map(metrics.map(metric => [metric._id.toString(), metric]));
+  const values = [];
+
+  for (const { metric: metricId, value } of submitted) {
+    const metric = byId.get(String(metricId));
+    if (!metric) return { error: 'Custom metric not found' };
+
+    if (metric.type === 'boolean') {
+      if (typeof value !== 'boolean') return { error: `${metric.name} must be true or false` };
+      values.push({ metric: metric._id, value: value ? 1 : 0 });
+      continue;
+    }
+
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    const max = metric.max ?? Infinity;
+    if (!Number.isInteger(number) || number < metric.min || number > max) {
+      return {
+        error: metric.max === null
+          ? `${metric.name} must be a whole number of at least ${metric.min}`
+          : `${metric.name} must be a whole number between ${metric.min} and ${metric.max}`
+      };
+    }
+    values.push({ metric: metric._id, value: number });
+  }
+
+  return { values };
+};
+
+module.exports = {
+  METRIC_TYPES,
+  MAX_CUSTOM_METRICS,
+  DEFAULT_SCALE,
+  customMetricRules,
+  resolveRange,
+  customMetricValueRules,
+  resolveCustomMetricValues
+};
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const User = require('../models/User');
+const MoodEntry = require('../models/MoodEntry');
+const CustomMetric = require('../models/CustomMetric');
+const Symptom = require('../models/Symptom');
+const Activity = require('../models/Activity');
+const ActivityLog = require('../models/ActivityLog');
+const JournalEntry = require('../models/JournalEntry');
+const Assessment = require('../models/Assessment');
+const Medication = require('../models/Medication');
+const MedicationDose = require('../models/MedicationDose');
+const Goal = require('../models/Goal');
+const { toCsv } = require('./csv');
+
+// Directory journal attachment URLs starting with /uploads/ are served from
+const UPLOADS_DIR = path.resolve(process.env.UPLOADS_DIR || 'uploads');
+
+// Datasets included in every export. Each is written as <name>.json and
+// <name>.csv and described in the archive's README. `filter` widens the
+// default { user } query for datasets that include shared records.
+const DATASETS = [
+  {
+    name: 'mood-entries',
+    model: MoodEntry,
+    description: 'One row per mood check-in.',
+    columns: [
+      '_id', 'date', 'mood', 'energy', 'stress', 'anxiety', 'sleep.hours', 'sleep.quality', 'sleep.bedtime',
+      'sleep.wakeTime', 'sleep.latencyMinutes', 'sleep.awakenings', 'sleep.napMinutes',
+      'activities', 'notes', 'tags', 'emotions', 'symptoms', 'customMetrics', 'weather', 'location',
+      'createdAt', 'updatedAt'
+    ]
+  },
+  {
+    name: 'symptoms',
+    model: Symptom,
+    filter: (userId) => ({ user: { $in: [null, userId] } }),
+    description: 'The symptom checklist: built-in symptoms (no `user`) and the ones you added. mood-entries.symptoms lists ids from here with a severity from 1 (mild) to 3 (severe).',
+    columns: ['_id', 'user', 'name', 'category', 'createdAt', 'updatedAt']
+  },
+  {
+    name: 'custom-metrics',
+    model: CustomMetric,
+    description: 'Metrics you defined for check-ins. Values are in the `customMetrics` column of mood-entries; booleans are stored as 1 (yes) or 0 (no).',
+    columns: ['_id', 'name', 'type', 'min', 'max', 'unit', 'createdAt', 'updatedAt']
+  },
+  {
+    name: 'activities',
+    model: Activity,
+    description: 'Activities you defined, with their expected mood and energy impact (-5 to 5). `libraryItem` is set on activities copied from the activity library.',
+    columns: [
+      '_id', 'name', 'category', 'description', 'duration', 'moodImpact', 'energyImpact',
+      'isRecurring', 'recurringDays', 'isActive', 'color', 'icon', 'libraryItem', 'createdAt', 'updatedAt'
+    ]
+  },
+  {
+    name: 'activity-logs',
+    model: ActivityLog,
+    description: 'Each time you did an activity, with its duration in minutes and your mood before and after (1 to 5). `source` is `habit` for logs created by checking a habit off.',
+    columns: [
+      '_id', 'activity', 'date', 'duration', 'moodBefore', 'moodAfter', 'notes', 'source', 'createdAt', 'updatedAt'
+    ]
+  },
+  {
+    name: 'journal-entries',
+    model: JournalEntry,
+    description: 'Journal entries. Attachments are listed separately in journal-attachments.',
+    columns: [
+      '_id', 'date', 'title', 'content', 'mood', 'tags', 'emotions', 'isPrivate',
+      'isShareable', 'wordCount', 'readingTime', 'createdAt', 'updatedAt'
+    ]
+  },
+  {
+    name: 'assessments',
+    model: Assessment,
+    description: 'Completed questionnaires (PHQ-9, GAD-7). `responses` lists the answer to each item in order.',
+    columns: [
+      '_id', 'completedAt', 'type', 'version', 'responses', 'totalScore', 'severity',
+      'crisisFlag', 'createdAt', 'updatedAt'
+    ]
+  },
+  {
+    name: 'medications',
+    model: Medication,
+    description: 'Medications with their scheduled dose times. `doseHistory` lists every dose and the day it started.',
+    columns: [
+      '_id', 'name', 'dose', 'schedule.times', 'startDate', 'stopDate', 'doseHistory',
+      'notes', 'createdAt', 'updatedAt'
+    ]
+  },
+  {
+    name: 'medication-doses',
+    model: MedicationDose,
+    description: 'Logged doses: taken, late or skipped, per medication and day.',
+    columns: [
+      '_id', 'medication', 'date', 'scheduledTime', 'status', 'dose', 'takenAt',
+      'notes', 'createdAt', 'updatedAt'
+    ]
+  },
+  {
+    name: 'goals',
+    model: Goal,
+    description: 'Goals with their target and period (week, month or quarter). `activity` or `category` narrows activity-count goals; `metric` is the check-in metric a mood-average goal averages.',
+    columns: [
+      '_id', 'title', 'type', 'activity', 'category', 'metric', 'comparison', 'target', 'period',
+      'isActive', 'createdAt', 'updatedAt'
+    ]
+  }
+];
+
+const PROFILE_COLUMNS = [
+  '_id', 'name', 'email', 'role', 'emailVerified', 'preferences.theme',
+  'preferences.notifications.email', 'preferences.notifications.push',
+  'preferences.privacy', 'twoFactor.enabled', 'createdAt', 'updatedAt'
+];
+
+const ATTACHMENT_COLUMNS = ['journalEntry', 'type', 'filename', 'size', 'url', 'archivePath'];
+
+const datasetQuery = (dataset, userId) => (dataset.filter ? dataset.filter(userId) : { user: userId });
+
+// Total number of records an export would contain
+const countUserRecords = async (userId) => {
+  const counts = await Promise.all(DATASETS.map(dataset => dataset.model.countDocuments(datasetQuery(dataset, userId))));
+  return counts.reduce((sum, count) => sum + count, 0);
+};
+
+// Local file for an attachment URL, or null if it isn't stored on this server
+const resolveAttachmentFile = (url) => {
+  if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+
+  const filePath = path.resolve(UPLOADS_DIR, url.substring('/uploads/'.length));
+  if (!filePath.startsWith(UPLOADS_DIR + path.sep) || !fs.existsSync(filePath)) return null;
+  return filePath;
+};
+
+const buildReadme = (user, counts) => {
+  const sections = DATASETS.map(dataset => [
+    `## ${dataset.name} (${counts[dataset.name]} records)`,
+    '',
+    dataset.description,
+    '',
+    `Columns: ${dataset.columns.join(', ')}`
+  ].join('\n'));
+
+  return [
+    '# Mental Health Tracker data export',
+    '',
+    `Exported for ${user.email} on ${new Date().toISOString()}.`,
+    '',
+    'Every dataset is included twice: as JSON (the complete records) and as CSV',
+    '(one row per record; nested fields use dotted column names, lists are joined',
+    'with "; " and dates are ISO 8601 in UTC). `_id` values link records together,',
+    'e.g. mood-entries.activities lists ids from activities.',
+    '',
+    '## profile',
+    '',
+    'Your account details and preferences. Passwords and security secrets are never exported.',
+    '',
+    `Columns: ${PROFILE_COLUMNS.join(', ')}`,
+    '',
+    ...sections.flatMap(section => [section, '']),
+    '## journal-attachments',
+    '',
+    'Files attached to journal entries. `archivePath` points to the copy inside this',
+    'archive when the file is stored on the server; otherwise use `url`.',
+    '',
+    `Columns: ${ATTACHMENT_COLUMNS.join(', ')}`,
+    ''
+  ].join('\n');
+};
+
+const addDataset = (archive, name, records, columns) => {
+  archive.append(JSON.stringify(records, null, 2), { name: `${name}.json` });
+  archive.append(toCsv(records, columns), { name: `${name}.csv` });
+};
+
+// Write a ZIP of everything the user owns to the output stream. Resolves with
+// the number of records written once the archive has been finalized.
+const writeUserExport = async (userId, output) => {
+  const user = await User.findById(userId).lean();
+  if (!user) {
+    throw new Error('User not found');
+  }
+  delete user.password;
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('finish', resolve);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  addDataset(archive, 'profile', [user], PROFILE_COLUMNS);
+
+  const counts = {};
+  let recordCount = 0;
+  let journalEntries = [];
+
+  for (const dataset of DATASETS) {
+    const records = await dataset.model.find(datasetQuery(dataset, userId)).sort({ createdAt: 1 }).lean();
+    counts[dataset.name] = records.length;
+    recordCount += records.length;
+    addDataset(archive, dataset.name, records, dataset.columns);
+
+    if (dataset.model === JournalEntry) {
+      journalEntries = records;
+    }
+  }
+
+  const attachments = journalEntries.flatMap(entry => (entry.attachments || []).map(attachment => {
+    const filePath = resolveAttachmentFile(attachment.url);
+    const archivePath = filePath ? `attachments/${entry._id}/${path.basename(attachment.filename)}` : null;
+
+    if (filePath) {
+      archive.file(filePath, { name: archivePath });
+    }
+
+    return {
+      journalEntry: entry._id,
+      type: attachment.type,
+      filename: attachment.filename,
+      size: attachment.size,
+      url: attachment.url,
+      archivePath
+    };
+  }));
+  addDataset(archive, 'journal-attachments', attachments, ATTACHMENT_COLUMNS);
+
+  archive.append(buildReadme(user, counts), { name: 'README.md' });
+
+  await archive.finalize();
+  await finished;
+
+  return recordCount;
+};
+
+module.exports = { DATASETS, countUserRecords, writeUserExport };
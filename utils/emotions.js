@@ -0,0 +1,46 @@
+const { body } = require('express-validator');
+
+// Two rings of the emotion wheel: each core emotion with the more specific
+// feelings around it. Entries may tag either ring.
+const EMOTION_WHEEL = [
+  { name: 'happy', emotions: ['playful', 'content', 'interested', 'proud', 'accepted', 'powerful', 'peaceful', 'trusting', 'optimistic'] },
+  { name: 'sad', emotions: ['lonely', 'vulnerable', 'despair', 'guilty', 'depressed', 'hurt'] },
+  { name: 'angry', emotions: ['let-down', 'humiliated', 'bitter', 'mad', 'aggressive', 'frustrated', 'distant', 'critical'] },
+  { name: 'fearful', emotions: ['scared', 'anxious', 'insecure', 'weak', 'rejected', 'threatened'] },
+  { name: 'surprised', emotions: ['startled', 'confused', 'amazed', 'excited'] },
+  { name: 'disgusted', emotions: ['disapproving', 'disappointed', 'awful', 'repelled'] },
+  { name: 'bad', emotions: ['bored', 'busy', 'stressed', 'tired'] }
+];
+
+// Core emotion each tag belongs to, including the core emotions themselves
+const EMOTION_FAMILIES = Object.fromEntries(EMOTION_WHEEL.flatMap(({ name, emotions }) => [
+  [name, name],
+  ...emotions.map(emotion => [emotion, name])
+]));
+
+const EMOTIONS = Object.keys(EMOTION_FAMILIES);
+
+const MIN_INTENSITY = 1;
+const MAX_INTENSITY = 5;
+const MAX_EMOTIONS_PER_ENTRY = 10;
+
+// Validation for an optional `emotions: [{ name, intensity }]` request field
+const emotionRules = () => [
+  body('emotions').optional().isArray({ max: MAX_EMOTIONS_PER_ENTRY })
+    .withMessage(`Emotions must be an array of at most ${MAX_EMOTIONS_PER_ENTRY}`)
+    .custom(emotions => new Set(emotions.map(emotion => emotion?.name)).size === emotions.length)
+    .withMessage('Each emotion can only be tagged once'),
+  body('emotions.*.name').isIn(EMOTIONS).withMessage('Invalid emotion'),
+  body('emotions.*.intensity').isInt({ min: MIN_INTENSITY, max: MAX_INTENSITY })
+    .withMessage(`Emotion intensity must be between ${MIN_INTENSITY} and ${MAX_INTENSITY}`)
+    .toInt()
+];
+
+module.exports = {
+  EMOTION_WHEEL,
+  EMOTION_FAMILIES,
+  EMOTIONS,
+  MIN_INTENSITY,
+  MAX_INTENSITY,
+  emotionRules
+};
@@ -0,0 +1,241 @@
+const MoodEntry = require('../models/MoodEntry');
+const Activity = require('../models/Activity');
+const ActivityLog = require('../models/ActivityLog');
+const JournalEntry = require('../models/JournalEntry');
+const { toDateKey, shiftDateKey, daysBetween, startOfDateKey } = require('./timezone');
+const { rollUpMoodByDay } = require('./analytics');
+const { buildNights } = require('./sleep');
+const { weekStartOf } = require('./habits');
+
+const GOAL_TYPES = ['activity-count', 'journal-count', 'sleep-average', 'mood-average'];
+
+const GOAL_PERIODS = ['week', 'month', 'quarter'];
+
+const GOAL_COMPARISONS = ['at-least', 'at-most'];
+
+// Check-in metrics a mood-average goal can target, with their scales
+const GOAL_METRICS = {
+  mood: { min: 1, max: 5 },
+  energy: { min: 1, max: 10 },
+  stress: { min: 1, max: 10 },
+  anxiety: { min: 1, max: 10 }
+};
+
+const MAX_COUNT_TARGET = 500;
+
+// Previous periods reported with each goal
+const HISTORY_PERIODS = 4;
+
+// A count goal is at risk once this share of its period has passed and the
+// pace so far would fall short
+const AT_RISK_AFTER = 1 / 3;
+
+// Days of data an average needs before missing its target puts it at risk
+const MIN_AVERAGE_DAYS = 3;
+
+const isCountGoal = (goal) => goal.type === 'activity-count' || goal.type === 'journal-count';
+
+// Check a goal's fields fit its type. Returns an error message or null.
+const validateGoal = (goal) => {
+  if (isCountGoal(goal)) {
+    if (!Number.isInteger(goal.target) || goal.target < 1 || goal.target > MAX_COUNT_TARGET) {
+      return `Target must be a whole number between 1 and ${MAX_COUNT_TARGET}`;
+    }
+    if (goal.comparison !== 'at-least') return 'Count goals can only be at least a target';
+  }
+  if (goal.type === 'activity-count' && goal.activity && goal.category) {
+    return 'Choose an activity or a category, not both';
+  }
+  if (goal.type === 'sleep-average' && (goal.target <= 0 || goal.target > 24)) {
+    return 'Target must be between 0 and 24 hours';
+  }
+  if (goal.type === 'mood-average') {
+    const scale = GOAL_METRICS[goal.metric];
+    if (!scale) return 'A mood-average goal needs a metric';
+    if (goal.target < scale.min || goal.target > scale.max) {
+      return `Target must be between ${scale.min} and ${scale.max}`;
+    }
+  }
+  return null;
+};
+
+// First and last day of the calendar week (Monday to Sunday), month or
+// quarter containing `dateKey`
+const getPeriodRange = (period, dateKey) => {
+  if (period === 'week') {
+    const start = weekStartOf(dateKey);
+    return { start, end: shiftDateKey(start, 6) };
+  }
+
+  const [year, month] = dateKey.split('-').map(Number);
+  const firstMonth = period === 'quarter' ? Math.floor((month - 1) / 3) * 3 + 1 : month;
+  const lastMonth = period === 'quarter' ? firstMonth + 2 : month;
+  const pad = (value) => String(value).padStart(2, '0');
+  const nextStart = lastMonth === 12 ? `${year + 1}-01-01` : `${year}-${pad(lastMonth + 1)}-01`;
+  return { start: `${year}-${pad(firstMonth)}-01`, end: shiftDateKey(nextStart, -1) };
+};
+
+// The current period followed by the previous ones, newest first
+const getPeriods = (period, todayKey) => {
+  const periods = [getPeriodRange(period, todayKey)];
+  for (let i = 0; i < HISTORY_PERIODS; i++) {
+    periods.push(getPeriodRange(period, shiftDateKey(periods[periods.length - 1].start, -1)));
+  }
+  return periods;
+};
+
+// One { date, value } per thing the goal counts or averages, oldest first:
+// an occurrence for count goals, a day's value for average goals
+const goalSeries = (goal, data) => {
+  switch (goal.type) {
+    case 'activity-count':
+      return data.logs
+        .filter(log => {
+          // A goal whose activity was deleted counts nothing, never everything
+          if (goal.activity) return data.activities.has(goal.activity.toString()) && log.activity === goal.activity.toString();
+          if (goal.category) return log.category === goal.category;
+          return true;
+        })
+        .map(log => ({ date: log.date, value: 1 }));
+    case 'journal-count':
+      return data.journalDates.map(date => ({ date, value: 1 }));
+    case 'sleep-average':
+      return data.nights.map(night => ({ date: night.date, value: night.hours }));
+    case 'mood-average':
+      return data.moodDays
+        .filter(day => day[goal.metric] !== null)
+        .map(day => ({ date: day.date, value: day[goal.metric].mean }));
+    default:
+      return [];
+  }
+};
+
+const isMet = (goal, current) => {
+  if (current === null) return false;
+  return goal.comparison === 'at-most' ? current <= goal.target : current >= goal.target;
+};
+
+// How far a value is towards the target, from 0 to 100
+const percentOf = (goal, current) => {
+  if (current === null) return 0;
+  if (goal.comparison === 'at-most') {
+    return current <= goal.target ? 100 : Math.round((goal.target / current) * 100);
+  }
+  return Math.min(Math.round((current / goal.target) * 100), 100);
+};
+
+// Progress over one period. A count goal is completed on the day its count
+// reaches the target; an average goal only once its period is over.
+const measurePeriod = (goal, series, { start, end }) => {
+  const inPeriod = series.filter(item => item.date >= start && item.date <= end);
+  let current;
+  let completedOn = null;
+
+  if (isCountGoal(goal)) {
+    current = inPeriod.length;
+    if (current >= goal.target) completedOn = inPeriod[goal.target - 1].date;
+  } else {
+    current = inPeriod.length > 0
+      ? Math.round((inPeriod.reduce((sum, item) => sum + item.value, 0) / inPeriod.length) * 10) / 10
+      : null;
+  }
+
+  return {
+    start,
+    end,
+    current,
+    percent: percentOf(goal, current),
+    // Days with data: nights for sleep, checked-in days for mood
+    days: new Set(inPeriod.map(item => item.date)).size,
+    completedOn
+  };
+};
+
+// Where the current period stands: 'completed' (count reached), 'on-track',
+// 'at-risk' or 'no-data' (an average with nothing logged yet)
+const getStatus = (goal, progress, todayKey) => {
+  if (isCountGoal(goal)) {
+    if (progress.completedOn) return 'completed';
+    const elapsed = daysBetween(progress.start, todayKey) / (daysBetween(progress.start, progress.end) + 1);
+    return elapsed >= AT_RISK_AFTER && progress.current / elapsed < goal.target ? 'at-risk' : 'on-track';
+  }
+
+  if (progress.current === null) return 'no-data';
+  if (isMet(goal, progress.current)) return 'on-track';
+  return progress.days >= MIN_AVERAGE_DAYS ? 'at-risk' : 'on-track';
+};
+
+// Progress of each goal in its current period, plus whether each of the
+// previous periods since the goal was created met the target. Data for every
+// goal is fetched once. Goals must not have `activity` populated: it is
+// replaced here with the activity's name, icon and colour, and
+// `activityDeleted` is set when the activity no longer exists.
+const buildGoalsProgress = async (userId, goals, timeZone) => {
+  const todayKey = toDateKey(new Date(), timeZone);
+  const periodsByGoal = goals.map(goal => getPeriods(goal.period, todayKey));
+  const types = new Set(goals.map(goal => goal.type));
+  const fromKey = periodsByGoal.reduce((earliest, periods) => {
+    const start = periods[periods.length - 1].start;
+    return start < earliest ? start : earliest;
+  }, todayKey);
+  const since = startOfDateKey(fromKey, timeZone);
+
+  const data = { logs: [], activities: new Map(), journalDates: [], nights: [], moodDays: [] };
+
+  if (types.has('activity-count')) {
+    const [logs, activities] = await Promise.all([
+      ActivityLog.find({ user: userId, date: { $gte: since } }).select('activity date').sort({ date: 1 }),
+      Activity.find({ user: userId }).select('name icon color category')
+    ]);
+    data.activities = new Map(activities.map(activity => [activity._id.toString(), activity]));
+    data.logs = logs.map(log => ({
+      date: toDateKey(log.date, timeZone),
+      activity: log.activity.toString(),
+      category: data.activities.get(log.activity.toString())?.category
+    }));
+  }
+
+  if (types.has('journal-count')) {
+    const entries = await JournalEntry.find({ user: userId, date: { $gte: since } }).select('date').sort({ date: 1 });
+    data.journalDates = entries.map(entry => toDateKey(entry.date, timeZone));
+  }
+
+  if (types.has('sleep-average') || types.has('mood-average')) {
+    const moodEntries = await MoodEntry.find({ user: userId, date: { $gte: since } }).sort({ date: 1 });
+    data.nights = buildNights(moodEntries, timeZone);
+    data.moodDays = rollUpMoodByDay(moodEntries, timeZone);
+  }
+
+  return goals.map((goal, index) => {
+    const series = goalSeries(goal, data);
+    const [currentPeriod, ...previousPeriods] = periodsByGoal[index];
+    const progress = measurePeriod(goal, series, currentPeriod);
+    const createdKey = toDateKey(goal.createdAt, timeZone);
+    const activity = goal.activity ? data.activities.get(goal.activity.toString()) : null;
+
+    return {
+      ...goal.toObject(),
+      activity: activity ? { _id: activity._id, name: activity.name, icon: activity.icon, color: activity.color } : null,
+      activityDeleted: Boolean(goal.activity) && !activity,
+      progress: { ...progress, status: getStatus(goal, progress, todayKey) },
+      // Periods that ended before the goal existed aren't held against it
+      history: previousPeriods.filter(period => period.end >= createdKey).map(period => {
+        const past = measurePeriod(goal, series, period);
+        const met = isMet(goal, past.current);
+        return { ...past, met, completedOn: isCountGoal(goal) ? past.completedOn : met ? past.end : null };
+      })
+    };
+  });
+};
+
+module.exports = {
+  GOAL_TYPES,
+  GOAL_PERIODS,
+  GOAL_COMPARISONS,
+  GOAL_METRICS,
+  MAX_COUNT_TARGET,
+  HISTORY_PERIODS,
+  validateGoal,
+  getPeriodRange,
+  buildGoalsProgress
+};
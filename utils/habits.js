@@ -0,0 +1,85 @@
+const { toDateKey, shiftDateKey } = require('./timezone');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Days of history streaks are counted over
+const HISTORY_DAYS = 365;
+
+// Weeks of completion rates reported per habit
+const WEEKS_REPORTED = 8;
+
+const weekdayOf = (dateKey) => WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+
+// A recurring activity with no days picked is scheduled every day
+const isScheduledOn = (activity, dateKey) => {
+  return activity.recurringDays.length === 0 || activity.recurringDays.includes(weekdayOf(dateKey));
+};
+
+// Monday of the week containing `dateKey`
+const weekStartOf = (dateKey) => shiftDateKey(dateKey, -((WEEKDAYS.indexOf(weekdayOf(dateKey)) + 6) % 7));
+
+// Date keys of the days each activity was logged, keyed by activity id
+const groupCompletions = (logs, timeZone) => {
+  const completions = new Map();
+  logs.forEach(log => {
+    const id = log.activity.toString();
+    if (!completions.has(id)) completions.set(id, new Set());
+    completions.get(id).add(toDateKey(log.date, timeZone));
+  });
+  return completions;
+};
+
+// Streaks and weekly completion rates of one habit up to `todayKey`.
+// Only scheduled days count: a streak is the run of scheduled days that were
+// done, and today doesn't break it until the day is over. Days before the
+// habit was created (or first done) aren't counted against it.
+const buildHabitStats = (activity, completed, todayKey, timeZone) => {
+  const earliestKey = shiftDateKey(todayKey, -(HISTORY_DAYS - 1));
+  const firstCompletion = [...completed].sort()[0];
+  let startKey = toDateKey(activity.createdAt, timeZone);
+  if (firstCompletion && firstCompletion < startKey) startKey = firstCompletion;
+  if (startKey < earliestKey) startKey = earliestKey;
+
+  let run = 0;
+  let longestStreak = 0;
+  for (let dateKey = startKey; dateKey <= todayKey; dateKey = shiftDateKey(dateKey, 1)) {
+    if (!isScheduledOn(activity, dateKey)) continue;
+    if (completed.has(dateKey)) {
+      run++;
+      longestStreak = Math.max(longestStreak, run);
+    } else if (dateKey !== todayKey) {
+      run = 0;
+    }
+  }
+
+  const weekly = [];
+  const thisWeek = weekStartOf(todayKey);
+  for (let week = WEEKS_REPORTED - 1; week >= 0; week--) {
+    const weekStart = shiftDateKey(thisWeek, -7 * week);
+    let scheduled = 0;
+    let done = 0;
+    for (let offset = 0; offset < 7; offset++) {
+      const dateKey = shiftDateKey(weekStart, offset);
+      if (dateKey < startKey || dateKey > todayKey || !isScheduledOn(activity, dateKey)) continue;
+      scheduled++;
+      if (completed.has(dateKey)) done++;
+    }
+    weekly.push({
+      weekStart,
+      scheduled,
+      completed: done,
+      rate: scheduled > 0 ? Math.round((done / scheduled) * 100) : null
+    });
+  }
+
+  return { currentStreak: run, longestStreak, weekly };
+};
+
+module.exports = {
+  WEEKDAYS,
+  HISTORY_DAYS,
+  isScheduledOn,
+  weekStartOf,
+  groupCompletions,
+  buildHabitStats
+};
@@ -0,0 +1,140 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const { sendMail, clientUrl } = require('./mailer');
+const templates = require('./mailer/templates');
+
+// Failed attempts allowed before each further attempt has to wait, doubling
+// the delay every time (1s, 2s, 4s, ...)
+const ACCOUNT_FREE_ATTEMPTS = 3;
+const IP_FREE_ATTEMPTS = 10;
+
+// Failed attempts after which an account is locked for LOCKOUT_MINUTES
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 30;
+
+// Failed attempts from one IP address (across all accounts) allowed per window
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 30;
+const IP_WINDOW = 15 * 60 * 1000;
+
+// An account's failure count starts over after this long without failures
+const FAILURE_RESET = 24 * 60 * 60 * 1000;
+
+const FAILURE_REASONS = ['invalid-credentials', 'invalid-code'];
+
+const backoffDelay = (failures, freeAttempts) => {
+  if (failures < freeAttempts) return 0;
+  return Math.pow(2, failures - freeAttempts) * 1000;
+};
+
+// Milliseconds until the account may attempt to sign in again
+const getAccountRetryDelay = (user) => {
+  const blockedUntil = user.loginProtection?.blockedUntil;
+  return blockedUntil ? Math.max(0, blockedUntil.getTime() - Date.now()) : 0;
+};
+
+// Milliseconds until the IP address may attempt to sign in again
+const getIpRetryDelay = async (ip) => {
+  const failures = await LoginAttempt.find({
+    ip,
+    reason: { $in: FAILURE_REASONS },
+    createdAt: { $gte: new Date(Date.now() - IP_WINDOW) }
+  })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+
+  if (failures.length === 0) return 0;
+
+  const now = Date.now();
+  if (failures.length >= IP_MAX_FAILURES) {
+    // Blocked until enough failures have left the window
+    const oldest = failures[IP_MAX_FAILURES - 1].createdAt.getTime();
+    return Math.max(0, oldest + IP_WINDOW - now);
+  }
+
+  const latest = failures[0].createdAt.getTime();
+  return Math.max(0, latest + backoffDelay(failures.length, IP_FREE_ATTEMPTS) - now);
+};
+
+// The longer of the account and IP delays
+const getRetryDelay = async (user, ip) => {
+  const ipDelay = await getIpRetryDelay(ip);
+  return Math.max(ipDelay, user ? getAccountRetryDelay(user) : 0);
+};
+
+const recordLoginAttempt = (req, { user, email, success, reason }) => {
+  return LoginAttempt.create({
+    user: user ? user._id : null,
+    email: email || (user && user.email),
+    ip: req.ip,
+    userAgent: (req.get('User-Agent') || '').substring(0, 500),
+    success,
+    reason
+  });
+};
+
+const sendLockoutEmail = async (user, ip) => {
+  try {
+    await sendMail({
+      to: user.email,
+      ...templates.accountLocked({
+        name: user.name,
+        lockedMinutes: LOCKOUT_MINUTES,
+        ip,
+        resetUrl: clientUrl('/forgot-password')
+      })
+    });
+  } catch (error) {
+    console.error('Lockout email error:', error);
+  }
+};
+
+// Count a failed attempt against the account, blocking it for the backoff
+// delay or locking it once LOCKOUT_THRESHOLD is reached
+const registerFailedLogin = async (user, req, reason = 'invalid-credentials') => {
+  const now = new Date();
+  const protection = user.loginProtection;
+  const recent = protection.lastFailedAt && now - protection.lastFailedAt < FAILURE_RESET;
+  const failedAttempts = (recent ? protection.failedAttempts : 0) + 1;
+
+  const delay = failedAttempts >= LOCKOUT_THRESHOLD
+    ? LOCKOUT_MINUTES * 60 * 1000
+    : backoffDelay(failedAttempts, ACCOUNT_FREE_ATTEMPTS);
+
+  protection.failedAttempts = failedAttempts;
+  protection.lastFailedAt = now;
+  protection.blockedUntil = delay ? new Date(now.getTime() + delay) : null;
+  await user.save();
+
+  await recordLoginAttempt(req, { user, success: false, reason });
+
+  // Only notify when the account first becomes locked
+  if (failedAttempts === LOCKOUT_THRESHOLD) {
+    await sendLockoutEmail(user, req.ip);
+  }
+};
+
+const clearFailedLogins = (user) => {
+  user.loginProtection.failedAttempts = 0;
+  user.loginProtection.lastFailedAt = null;
+  user.loginProtection.blockedUntil = null;
+};
+
+// 429 response telling the client when to try again
+const sendRetryLater = (res, delay) => {
+  const seconds = Math.ceil(delay / 1000);
+  const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    message: `Too many failed sign-in attempts. Please try again in ${wait}.`,
+    code: 'LOGIN_THROTTLED',
+    retryAfter: seconds
+  });
+};
+
+module.exports = {
+  getRetryDelay,
+  recordLoginAttempt,
+  registerFailedLogin,
+  clearFailedLogins,
+  sendRetryLater
+};
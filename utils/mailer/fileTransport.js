@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+
+// Write each message to disk and log it, so mail can be read locally
+// without a mail server
+const createFileTransport = () => {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || 'logs/mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.txt`;
+      const contents = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text
+      ].join('\n') + '\n';
+
+      await fs.promises.writeFile(path.join(directory, filename), contents);
+      console.log(`Mail to ${message.to} ("${message.subject}") written to ${path.join(directory, filename)}`);
+    }
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,46 @@
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+
+// Available mail drivers, selected with MAIL_TRANSPORT
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const driver = process.env.MAIL_TRANSPORT || 'file';
+    if (!transports[driver]) {
+      throw new Error(`Unknown mail transport "${driver}"`);
+    }
+    transport = transports[driver]();
+  }
+  return transport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Mental Health Tracker <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Send an opt-in notification email. Nothing is sent to unverified addresses
+// or to users who turned email notifications off.
+const sendNotificationMail = async (user, message) => {
+  if (!user.canReceiveEmailNotifications()) return null;
+  return sendMail({ to: user.email, ...message });
+};
+
+// Build a link into the React client
+const clientUrl = (pathname) => {
+  return `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}${pathname}`;
+};
+
+module.exports = { sendMail, sendNotificationMail, clientUrl };
@@ -0,0 +1,109 @@
+// Email templates. Each returns the subject and plain-text/HTML bodies.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const passwordReset = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your password',
+  text: `Hi ${name},
+
+We received a request to reset the password for your Mental Health Tracker account.
+Open the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.
+
+${resetUrl}
+
+If you didn't ask for this, you can ignore this email - your password will not change.`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>We received a request to reset the password for your Mental Health Tracker account.
+Open the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.</p>
+<p><a href="${resetUrl}">Reset my password</a></p>
+<p>If you didn't ask for this, you can ignore this email - your password will not change.</p>`
+});
+
+const verifyEmail = ({ name, verifyUrl, expiresInHours }) => ({
+  subject: 'Confirm your email address',
+  text: `Hi ${name},
+
+Please confirm that this is your email address by opening the link below.
+We only send reminders and notifications to confirmed addresses. The link expires in ${expiresInHours} hours.
+
+${verifyUrl}
+
+If you didn't create a Mental Health Tracker account, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Please confirm that this is your email address by opening the link below.
+We only send reminders and notifications to confirmed addresses. The link expires in ${expiresInHours} hours.</p>
+<p><a href="${verifyUrl}">Confirm my email</a></p>
+<p>If you didn't create a Mental Health Tracker account, you can ignore this email.</p>`
+});
+
+const accountDeletionScheduled = ({ name, deletionDate, profileUrl }) => ({
+  subject: 'Your account is scheduled for deletion',
+  text: `Hi ${name},
+
+As requested, your Mental Health Tracker account and all of its mood entries, activities and journal entries will be permanently deleted on ${deletionDate}.
+
+Changed your mind? Sign in before then and cancel the deletion from your profile:
+
+${profileUrl}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>As requested, your Mental Health Tracker account and all of its mood entries, activities and journal entries will be permanently deleted on ${deletionDate}.</p>
+<p>Changed your mind? <a href="${profileUrl}">Sign in before then and cancel the deletion from your profile.</a></p>`
+});
+
+const dataExportReady = ({ name, profileUrl, expiresAt }) => ({
+  subject: 'Your data export is ready',
+  text: `Hi ${name},
+
+The export of your Mental Health Tracker data is ready. Sign in and download it from your profile:
+
+${profileUrl}
+
+The download link is available until ${expiresAt}.`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>The export of your Mental Health Tracker data is ready. <a href="${profileUrl}">Sign in and download it from your profile.</a></p>
+<p>The download link is available until ${expiresAt}.</p>`
+});
+
+const accountLocked = ({ name, lockedMinutes, ip, resetUrl }) => ({
+  subject: 'Your account has been temporarily locked',
+  text: `Hi ${name},
+
+There were too many failed attempts to sign in to your Mental Health Tracker account, most recently from IP address ${ip}. To protect your data, sign-in is blocked for the next ${lockedMinutes} minutes.
+
+If this was you, you can try again once the lock expires. If it wasn't, we recommend resetting your password, which also lifts the lock:
+
+${resetUrl}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>There were too many failed attempts to sign in to your Mental Health Tracker account, most recently from IP address ${escapeHtml(ip)}. To protect your data, sign-in is blocked for the next ${lockedMinutes} minutes.</p>
+<p>If this was you, you can try again once the lock expires. If it wasn't, we recommend <a href="${resetUrl}">resetting your password</a>, which also lifts the lock.</p>`
+});
+
+const clinicianInvite = ({ patientName, sharedData, acceptUrl, expiresAt, inviteExpiresInDays }) => ({
+  subject: `${patientName} wants to share their Mental Health Tracker data with you`,
+  text: `Hello,
+
+${patientName} has invited you to view their Mental Health Tracker data (${sharedData}) until ${expiresAt}. Access is read-only and every view is shown to them.
+
+Sign in or create an account with this email address, then open the link below to accept. The invitation expires in ${inviteExpiresInDays} days.
+
+${acceptUrl}
+
+If you don't know ${patientName}, you can ignore this email.`,
+  html: `<p>Hello,</p>
+<p>${escapeHtml(patientName)} has invited you to view their Mental Health Tracker data (${escapeHtml(sharedData)}) until ${expiresAt}. Access is read-only and every view is shown to them.</p>
+<p>Sign in or create an account with this email address, then <a href="${acceptUrl}">accept the invitation</a>. The invitation expires in ${inviteExpiresInDays} days.</p>
+<p>If you don't know ${escapeHtml(patientName)}, you can ignore this email.</p>`
+});
+
+module.exports = {
+  passwordReset,
+  verifyEmail,
+  accountDeletionScheduled,
+  dataExportReady,
+  accountLocked,
+  clinicianInvite
+};
@@ -0,0 +1,85 @@
+const { shiftDateKey, daysBetween } = require('./timezone');
+
+const DOSE_STATUSES = ['taken', 'late', 'skipped'];
+
+const MAX_DOSES_PER_DAY = 6;
+
+// Days from `fromKey` to `toKey` (inclusive) on which the medication was being
+// taken, as [firstKey, lastKey], or null when the ranges don't overlap
+const getActiveRange = (medication, fromKey, toKey) => {
+  const first = medication.startDate > fromKey ? medication.startDate : fromKey;
+  const last = medication.stopDate && medication.stopDate < toKey ? medication.stopDate : toKey;
+  return first <= last ? [first, last] : null;
+};
+
+// Scheduled doses, taken, late and skipped doses, and the adherence
+// percentage over a date range. Late doses count towards adherence; doses
+// with nothing logged count as missed. For scheduled medications only one
+// log per day and scheduled time counts, and logs that aren't for a time
+// currently on the schedule are ignored. As-needed medications (no scheduled
+// times) have no adherence.
+const buildAdherence = (medication, doses, fromKey, toKey) => {
+  const range = getActiveRange(medication, fromKey, toKey);
+  const { times } = medication.schedule;
+  const expected = range ? (daysBetween(range[0], range[1]) + 1) * times.length : 0;
+  let inRange = doses.filter(dose => range && dose.date >= range[0] && dose.date <= range[1]);
+  if (times.length > 0) {
+    const slots = new Map();
+    inRange
+      .filter(dose => times.includes(dose.scheduledTime))
+      .forEach(dose => {
+        const slot = `${dose.date} ${dose.scheduledTime}`;
+        if (!slots.has(slot)) slots.set(slot, dose);
+      });
+    inRange = [...slots.values()];
+  }
+  const count = (status) => inRange.filter(dose => dose.status === status).length;
+
+  const taken = count('taken');
+  const late = count('late');
+  const skipped = count('skipped');
+
+  return {
+    expected,
+    taken,
+    late,
+    skipped,
+    missed: Math.max(expected - taken - late - skipped, 0),
+    adherence: expected > 0 ? Math.min(Math.round(((taken + late) / expected) * 100), 100) : null
+  };
+};
+
+// Starts, stops and dose changes between two date keys, oldest first, for
+// marking on trend charts
+const buildMedicationEvents = (medications, fromKey, toKey) => {
+  const inRange = (dateKey) => dateKey >= fromKey && dateKey <= toKey;
+  const events = [];
+
+  medications.forEach(medication => {
+    const base = { medication: medication._id, name: medication.name };
+
+    if (inRange(medication.startDate)) {
+      events.push({ ...base, type: 'start', date: medication.startDate, dose: medication.doseHistory[0]?.dose || medication.dose });
+    }
+    medication.doseHistory.slice(1).forEach(change => {
+      if (inRange(change.date)) events.push({ ...base, type: 'dose-change', date: change.date, dose: change.dose });
+    });
+    if (medication.stopDate && inRange(medication.stopDate)) {
+      events.push({ ...base, type: 'stop', date: medication.stopDate, dose: medication.dose });
+    }
+  });
+
+  return events.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// First day of a window of `days` days ending on `toKey`
+const windowStart = (toKey, days) => shiftDateKey(toKey, -(days - 1));
+
+module.exports = {
+  DOSE_STATUSES,
+  MAX_DOSES_PER_DAY,
+  getActiveRange,
+  buildAdherence,
+  buildMedicationEvents,
+  windowStart
+};
@@ -0,0 +1,19 @@
+// Scopes a personal access token can be granted. Browser sessions can do
+// everything; tokens can only reach routes that declare one of these.
+const SCOPES = {
+  'mood:read': 'Read mood entries and mood statistics',
+  'mood:write': 'Create and delete mood entries',
+  'activities:read': 'Read activities',
+  'activities:write': 'Create, update and delete activities',
+  'journal:read': 'Read journal entries, tags and statistics',
+  'journal:write': 'Create, update and delete journal entries',
+  'assessments:read': 'Read questionnaire results and reminder schedules',
+  'assessments:write': 'Submit and delete questionnaires and change reminder schedules',
+  'medications:read': 'Read medications, dose logs and adherence',
+  'medications:write': 'Add, update and delete medications and log doses',
+  'goals:read': 'Read goals and their progress',
+  'goals:write': 'Create, update and delete goals',
+  'analytics:read': 'Read analytics and trends'
+};
+
+module.exports = { SCOPES };
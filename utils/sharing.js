@@ -0,0 +1,9 @@
+// Data a clinician can be given read-only access to. Journal access only
+// covers entries the user marked shareable.
+const SHARED_DATA_TYPES = ['mood', 'activities', 'journal'];
+
+// How long a grant can last, and how long an invitation can wait
+const GRANT_DURATION_OPTIONS_DAYS = [7, 30, 90, 180, 365];
+const INVITE_TTL_DAYS = 7;
+
+module.exports = { SHARED_DATA_TYPES, GRANT_DURATION_OPTIONS_DAYS, INVITE_TTL_DAYS };
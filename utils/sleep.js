@@ -0,0 +1,253 @@
+const { body } = require('express-validator');
+const { TIME_PATTERN, toDateKey, shiftDateKey } = require('./timezone');
+
+const SLEEP_QUALITIES = ['poor', 'fair', 'good', 'excellent'];
+
+// Nightly sleep the debt is measured against
+const SLEEP_NEED_HOURS = 8;
+
+// Sleep debt is the shortfall over this many days
+const DEBT_WINDOW_DAYS = 14;
+
+const SLEEP_DETAIL_FIELDS = ['bedtime', 'wakeTime', 'latencyMinutes', 'awakenings', 'napMinutes'];
+
+// Validation for the optional `sleep` object on a check-in. Every field may
+// be null to clear it.
+const sleepRules = () => [
+  body('sleep').optional().isObject().withMessage('Sleep must be an object'),
+  body('sleep.hours').optional({ nullable: true }).isFloat({ min: 0, max: 24 }).withMessage('Sleep hours must be between 0 and 24').toFloat(),
+  body('sleep.quality').optional({ nullable: true }).isIn(SLEEP_QUALITIES).withMessage('Invalid sleep quality'),
+  body('sleep.bedtime').optional({ nullable: true }).matches(TIME_PATTERN).withMessage('Bedtime must be formatted as HH:mm'),
+  body('sleep.wakeTime').optional({ nullable: true }).matches(TIME_PATTERN).withMessage('Wake time must be formatted as HH:mm'),
+  body('sleep.latencyMinutes').optional({ nullable: true }).isInt({ min: 0, max: 300 })
+    .withMessage('Time to fall asleep must be between 0 and 300 minutes')
+    .toInt(),
+  body('sleep.awakenings').optional({ nullable: true }).isInt({ min: 0, max: 30 })
+    .withMessage('Awakenings must be between 0 and 30')
+    .toInt(),
+  body('sleep.napMinutes').optional({ nullable: true }).isInt({ min: 0, max: 600 })
+    .withMessage('Nap time must be between 0 and 600 minutes')
+    .toInt()
+];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes after noon, so bedtimes either side of midnight sort and average
+// correctly (23:30 is 690, 00:30 is 750)
+const minutesAfterNoon = (time) => (toMinutes(time) - 12 * 60 + 24 * 60) % (24 * 60);
+
+// A wake time at or before the bedtime is the next morning
+const minutesInBed = (bedtime, wakeTime) => {
+  const minutes = toMinutes(wakeTime) - toMinutes(bedtime);
+  return minutes > 0 ? minutes : minutes + 24 * 60;
+};
+
+// Hours asleep between going to bed and waking, less the time it took to
+// fall asleep, to the nearest tenth
+const deriveSleepHours = (bedtime, wakeTime, latencyMinutes = 0) => {
+  return Math.round(Math.max(minutesInBed(bedtime, wakeTime) - (latencyMinutes || 0), 0) / 6) / 10;
+};
+
+// Merge submitted sleep fields over the current ones. Hours are derived when
+// both bedtime and wake time are known, otherwise taken as given. Returns
+// { sleep } or { error }.
+const resolveSleep = (submitted = {}, current = {}) => {
+  const sleep = { hours: null, quality: null };
+  SLEEP_DETAIL_FIELDS.forEach(field => { sleep[field] = null; });
+  Object.keys(sleep).forEach(field => {
+    if (submitted[field] !== undefined) sleep[field] = submitted[field];
+    else if (current[field] !== undefined) sleep[field] = current[field];
+  });
+
+  if (sleep.bedtime && sleep.wakeTime) {
+    if ((sleep.latencyMinutes || 0) >= minutesInBed(sleep.bedtime, sleep.wakeTime)) {
+      return { error: 'Time to fall asleep must be shorter than the time in bed' };
+    }
+    sleep.hours = deriveSleepHours(sleep.bedtime, sleep.wakeTime, sleep.latencyMinutes);
+  }
+
+  return { sleep };
+};
+
+const hasSleep = (sleep) => sleep && sleep.hours !== null && sleep.hours !== undefined;
+
+// One night per day in the user's timezone, from the day's last check-in
+// that recorded sleep. A check-in's sleep is the night before it, so each
+// night is keyed by the day it ended on.
+const buildNights = (moodEntries, timeZone) => {
+  const nights = new Map();
+  moodEntries.forEach(entry => {
+    if (!hasSleep(entry.sleep)) return;
+
+    const { hours, quality, bedtime, wakeTime, latencyMinutes, awakenings, napMinutes } = entry.sleep;
+    nights.set(toDateKey(entry.date, timeZone), {
+      hours,
+      quality,
+      bedtime,
+      wakeTime,
+      latencyMinutes,
+      awakenings,
+      napMinutes,
+      // Naps count towards the day's total and its debt
+      totalHours: Math.round((hours + (napMinutes || 0) / 60) * 10) / 10
+    });
+  });
+
+  return [...nights.entries()]
+    .map(([date, night]) => ({ date, ...night }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const meanOf = (nights, field) => {
+  const values = nights.map(night => night[field]).filter(value => value !== null && value !== undefined);
+  return values.length > 0 ? mean(values) : null;
+};
+
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => Math.pow(value - average, 2))));
+};
+
+// Average clock time and spread in minutes of a list of 'HH:mm' times
+const summarizeTimes = (times) => {
+  if (times.length === 0) return { average: null, deviationMinutes: null };
+
+  const offsets = times.map(minutesAfterNoon);
+  const average = (Math.round(mean(offsets)) + 12 * 60) % (24 * 60);
+  return {
+    average: `${String(Math.floor(average / 60)).padStart(2, '0')}:${String(average % 60).padStart(2, '0')}`,
+    deviationMinutes: Math.round(standardDeviation(offsets))
+  };
+};
+
+// Shortfall against SLEEP_NEED_HOURS over the DEBT_WINDOW_DAYS days ending on
+// `toKey`. Nights with nothing logged are left out rather than guessed;
+// extra sleep on one night pays back debt from others but the total never
+// goes below zero.
+const sleepDebtOn = (nightsByDate, toKey) => {
+  let balance = 0;
+  let nightsLogged = 0;
+  for (let offset = DEBT_WINDOW_DAYS - 1; offset >= 0; offset--) {
+    const night = nightsByDate.get(shiftDateKey(toKey, -offset));
+    if (!night) continue;
+    balance += SLEEP_NEED_HOURS - night.totalHours;
+    nightsLogged++;
+  }
+  return { hours: Math.round(Math.max(balance, 0) * 10) / 10, nightsLogged };
+};
+
+const BEDTIME_BUCKETS = [
+  { label: 'Before 22:00', until: '22:00' },
+  { label: '22:00–23:00', until: '23:00' },
+  { label: '23:00–00:00', until: '00:00' },
+  { label: '00:00–01:00', until: '01:00' },
+  { label: 'After 01:00', until: null }
+];
+
+const DURATION_BUCKETS = [
+  { label: 'Under 6h', under: 6 },
+  { label: '6–7h', under: 7 },
+  { label: '7–8h', under: 8 },
+  { label: '8–9h', under: 9 },
+  { label: '9h or more', under: null }
+];
+
+// Pearson correlation, or null with fewer than 3 pairs or no variation
+const correlate = (pairs) => {
+  if (pairs.length < 3) return null;
+  const xs = pairs.map(([x]) => x);
+  const ys = pairs.map(([, y]) => y);
+  const spread = standardDeviation(xs) * standardDeviation(ys);
+  if (spread === 0) return null;
+  const xMean = mean(xs);
+  const yMean = mean(ys);
+  return Math.round((mean(pairs.map(([x, y]) => (x - xMean) * (y - yMean))) / spread) * 100) / 100;
+};
+
+// Average mood and energy on the day after nights in each bucket
+const summarizeBuckets = (buckets, pairs, bucketOf) => buckets.map((bucket, index) => {
+  const inBucket = pairs.filter(pair => bucketOf(pair.night) === index);
+  return {
+    label: bucket.label,
+    nights: inBucket.length,
+    averageMood: inBucket.length > 0 ? mean(inBucket.map(pair => pair.day.mood.mean)) : null,
+    averageEnergy: inBucket.length > 0 ? mean(inBucket.map(pair => pair.day.energy.mean)) : null
+  };
+});
+
+// Sleep report for the days from `fromKey` to `toKey`. `nights` must reach
+// back DEBT_WINDOW_DAYS - 1 days before `fromKey` so the first day's debt is
+// complete. `moodDays` are daily mood rollups (rollUpMoodByDay).
+const buildSleepReport = (nights, moodDays, fromKey, toKey) => {
+  const nightsByDate = new Map(nights.map(night => [night.date, night]));
+  const inRange = nights.filter(night => night.date >= fromKey && night.date <= toKey);
+
+  const debt = [];
+  for (let dateKey = fromKey; dateKey <= toKey; dateKey = shiftDateKey(dateKey, 1)) {
+    debt.push({ date: dateKey, ...sleepDebtOn(nightsByDate, dateKey) });
+  }
+
+  // Each night is paired with the mood of the day it ended on
+  const moodByDate = new Map(moodDays.map(day => [day.date, day]));
+  const pairs = inRange
+    .filter(night => moodByDate.has(night.date))
+    .map(night => ({ night, day: moodByDate.get(night.date) }));
+  const timed = pairs.filter(pair => pair.night.bedtime);
+
+  const bedtimeBucket = (night) => {
+    const offset = minutesAfterNoon(night.bedtime);
+    const index = BEDTIME_BUCKETS.findIndex(bucket => bucket.until && offset < minutesAfterNoon(bucket.until));
+    return index === -1 ? BEDTIME_BUCKETS.length - 1 : index;
+  };
+  const durationBucket = (night) => {
+    const index = DURATION_BUCKETS.findIndex(bucket => bucket.under !== null && night.hours < bucket.under);
+    return index === -1 ? DURATION_BUCKETS.length - 1 : index;
+  };
+
+  return {
+    needHours: SLEEP_NEED_HOURS,
+    debtWindowDays: DEBT_WINDOW_DAYS,
+    nights: inRange,
+    summary: {
+      nightsLogged: inRange.length,
+      averageHours: meanOf(inRange, 'hours'),
+      averageLatencyMinutes: meanOf(inRange, 'latencyMinutes'),
+      averageAwakenings: meanOf(inRange, 'awakenings'),
+      currentDebtHours: debt.length > 0 ? debt[debt.length - 1].hours : 0
+    },
+    // How much bedtimes and wake times vary from night to night
+    consistency: {
+      bedtime: summarizeTimes(inRange.filter(night => night.bedtime).map(night => night.bedtime)),
+      wakeTime: summarizeTimes(inRange.filter(night => night.wakeTime).map(night => night.wakeTime))
+    },
+    debt,
+    nextDay: {
+      byBedtime: summarizeBuckets(BEDTIME_BUCKETS, timed, bedtimeBucket),
+      byDuration: summarizeBuckets(DURATION_BUCKETS, pairs, durationBucket),
+      // Positive: later bedtimes / longer sleep go with higher next-day values
+      correlations: {
+        bedtimeMood: correlate(timed.map(pair => [minutesAfterNoon(pair.night.bedtime), pair.day.mood.mean])),
+        bedtimeEnergy: correlate(timed.map(pair => [minutesAfterNoon(pair.night.bedtime), pair.day.energy.mean])),
+        hoursMood: correlate(pairs.map(pair => [pair.night.hours, pair.day.mood.mean])),
+        hoursEnergy: correlate(pairs.map(pair => [pair.night.hours, pair.day.energy.mean]))
+      }
+    }
+  };
+};
+
+module.exports = {
+  SLEEP_QUALITIES,
+  SLEEP_NEED_HOURS,
+  DEBT_WINDOW_DAYS,
+  sleepRules,
+  deriveSleepHours,
+  resolveSleep,
+  hasSleep,
+  buildNights,
+  buildSleepReport
+};
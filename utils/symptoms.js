@@ -0,0 +1,54 @@
+const { body } = require('express-validator');
+
+const SYMPTOM_CATEGORIES = ['emotional', 'cognitive', 'physical', 'behavioral'];
+
+// Severity of a reported symptom: 1 mild, 2 moderate, 3 severe
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+const MIN_SEVERITY = 1;
+const MAX_SEVERITY = SEVERITIES.length;
+
+const MAX_SYMPTOMS_PER_ENTRY = 20;
+const MAX_CUSTOM_SYMPTOMS = 30;
+
+// Built-in checklist every user starts with, seeded into the catalog at startup
+const DEFAULT_SYMPTOMS = [
+  { name: 'Irritability', category: 'emotional' },
+  { name: 'Tearfulness', category: 'emotional' },
+  { name: 'Panic attack', category: 'emotional' },
+  { name: 'Feeling numb', category: 'emotional' },
+  { name: 'Racing thoughts', category: 'cognitive' },
+  { name: 'Trouble concentrating', category: 'cognitive' },
+  { name: 'Intrusive thoughts', category: 'cognitive' },
+  { name: 'Forgetfulness', category: 'cognitive' },
+  { name: 'Headache', category: 'physical' },
+  { name: 'Fatigue', category: 'physical' },
+  { name: 'Appetite change', category: 'physical' },
+  { name: 'Muscle tension', category: 'physical' },
+  { name: 'Nausea', category: 'physical' },
+  { name: 'Restlessness', category: 'behavioral' },
+  { name: 'Social withdrawal', category: 'behavioral' },
+  { name: 'Oversleeping', category: 'behavioral' }
+];
+
+// Validation for an optional `symptoms: [{ symptom, severity }]` request
+// field. Whether each symptom is in the user's catalog is checked separately.
+const symptomRules = () => [
+  body('symptoms').optional().isArray({ max: MAX_SYMPTOMS_PER_ENTRY })
+    .withMessage(`Symptoms must be an array of at most ${MAX_SYMPTOMS_PER_ENTRY}`)
+    .custom(symptoms => new Set(symptoms.map(symptom => String(symptom?.symptom))).size === symptoms.length)
+    .withMessage('Each symptom can only be reported once per check-in'),
+  body('symptoms.*.symptom').isMongoId().withMessage('Invalid symptom id'),
+  body('symptoms.*.severity').isInt({ min: MIN_SEVERITY, max: MAX_SEVERITY })
+    .withMessage(`Symptom severity must be between ${MIN_SEVERITY} and ${MAX_SEVERITY}`)
+    .toInt()
+];
+
+module.exports = {
+  SYMPTOM_CATEGORIES,
+  SEVERITIES,
+  MIN_SEVERITY,
+  MAX_SEVERITY,
+  MAX_CUSTOM_SYMPTOMS,
+  DEFAULT_SYMPTOMS,
+  symptomRules
+};
@@ -0,0 +1,134 @@
+// Calendar-day helpers that work in a user's IANA timezone rather than the
+// server's. Days are identified by 'YYYY-MM-DD' keys in the user's zone.
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 'HH:mm' wall-clock time on a 24-hour clock
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The user's saved timezone, falling back to UTC
+const getUserTimeZone = (user) => {
+  const timeZone = user?.preferences?.timezone;
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+};
+
+const getLocalParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+// Milliseconds the zone is ahead of UTC at the given instant
+const getOffset = (date, timeZone) => {
+  const parts = getLocalParts(date, timeZone);
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// 'YYYY-MM-DD' of the instant in the given zone
+const toDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getLocalParts(new Date(date), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Move a date key by a number of calendar days
+const shiftDateKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+// Whole calendar days from one date key to another
+const daysBetween = (fromKey, toKey) => {
+  return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / DAY);
+};
+
+// The instant a local calendar day reaches an 'HH:mm' clock time. The offset
+// is re-read at the guessed instant so times next to a DST change land
+// correctly.
+const atTimeOnDateKey = (dateKey, time, timeZone = DEFAULT_TIMEZONE) => {
+  const localAsUtc = Date.parse(`${dateKey}T${time}:00Z`);
+  const guess = localAsUtc - getOffset(new Date(localAsUtc), timeZone);
+  return new Date(localAsUtc - getOffset(new Date(guess), timeZone));
+};
+
+// The instant a local calendar day starts
+const startOfDateKey = (dateKey, timeZone = DEFAULT_TIMEZONE) => {
+  return atTimeOnDateKey(dateKey, '00:00', timeZone);
+};
+
+// Start (inclusive) and end (exclusive) of a local calendar day
+const getDateKeyRange = (dateKey, timeZone = DEFAULT_TIMEZONE) => ({
+  dateKey,
+  start: startOfDateKey(dateKey, timeZone),
+  end: startOfDateKey(shiftDateKey(dateKey, 1), timeZone)
+});
+
+// Start (inclusive) and end (exclusive) of the local day containing the date
+const getDayRange = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  return getDateKeyRange(toDateKey(date, timeZone), timeZone);
+};
+
+// Consecutive days with at least one entry, ending today or yesterday
+const calculateStreak = (dates, timeZone = DEFAULT_TIMEZONE) => {
+  const dayKeys = new Set(dates.map(date => toDateKey(date, timeZone)));
+
+  let currentKey = toDateKey(new Date(), timeZone);
+  if (!dayKeys.has(currentKey)) currentKey = shiftDateKey(currentKey, -1);
+
+  let streak = 0;
+  while (dayKeys.has(currentKey)) {
+    streak++;
+    currentKey = shiftDateKey(currentKey, -1);
+  }
+  return streak;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DATE_KEY_PATTERN,
+  TIME_PATTERN,
+  isValidTimeZone,
+  getUserTimeZone,
+  toDateKey,
+  shiftDateKey,
+  daysBetween,
+  atTimeOnDateKey,
+  startOfDateKey,
+  getDateKeyRange,
+  getDayRange,
+  calculateStreak
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Generate a short-lived access token bound to a session
+const generateAccessToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET || 'fallback-secret', {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Generate a token proving the password step of a two-step login succeeded
+const generateChallengeToken = (id) => {
+  return jwt.sign({ id, purpose: '2fa' }, process.env.JWT_SECRET || 'fallback-secret', {
+    expiresIn: '5m'
+  });
+};
+
+// Returns the user id from a challenge token, or null if it is not valid
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate an opaque random token (refresh tokens, reset links, ...)
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Personal access tokens are recognisable by their prefix, which also tells
+// the auth middleware not to treat them as JWTs
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'mht_';
+
+const generatePersonalAccessToken = () => {
+  return PERSONAL_ACCESS_TOKEN_PREFIX + generateRandomToken();
+};
+
+// Only hashes of opaque tokens are ever stored in the database
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateRandomToken,
+  PERSONAL_ACCESS_TOKEN_PREFIX,
+  generatePersonalAccessToken,
+  hashToken
+};